@@ -1,5 +1,5 @@
-const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('../services/ghlClient');
 
 /**
  * Finds workshop ID from Supabase by matching event details
@@ -59,13 +59,8 @@ async function findWorkshopId(eventDetails) {
  * @returns {Promise<Object>} GHL API response
  */
 async function createContactWorkshopRelation(contactId, workshopRecordId, associationId) {
-    const apiKey = process.env.GHL_API_KEY;
     const locationId = process.env.GHL_LOCATION_ID;
 
-    if (!apiKey) {
-        throw new Error('GHL_API_KEY not configured in environment variables');
-    }
-
     if (!locationId) {
         throw new Error('GHL_LOCATION_ID not configured in environment variables');
     }
@@ -80,25 +75,15 @@ async function createContactWorkshopRelation(contactId, workshopRecordId, associ
         console.log('Workshop Record ID:', workshopRecordId);
         console.log('Association ID:', associationId);
 
-        const response = await axios.post(
-            'https://services.leadconnectorhq.com/associations/relations',
-            {
-                locationId: locationId,
-                associationId: associationId,
-                firstRecordId: contactId,
-                secondRecordId: workshopRecordId
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Version': '2021-07-28'
-                }
-            }
-        );
+        const data = await ghlClient.associations.createRelation({
+            locationId: locationId,
+            associationId: associationId,
+            firstRecordId: contactId,
+            secondRecordId: workshopRecordId
+        });
 
-        console.log('Contact-workshop relation created successfully:', response.data);
-        return response.data;
+        console.log('Contact-workshop relation created successfully:', data);
+        return data;
     } catch (error) {
         console.error('Error creating contact-workshop relation:', error.response?.data || error.message);
         throw error;
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('../services/ghlClient');
 
 /**
  * Parses raw Jotform webhook data for workshop event
@@ -162,8 +163,6 @@ function getMimeType(filename) {
  * @returns {Promise<Array<string>>} Array of uploaded file URLs
  */
 async function uploadFilesToMediaStorage(files, locationId) {
-    const apiKey = process.env.GHL_API_KEY;
-
     if (!files || files.length === 0) {
         console.log('No files to upload to GHL');
         return [];
@@ -183,31 +182,19 @@ async function uploadFilesToMediaStorage(files, locationId) {
                 contentType: mimeType
             });
 
-            const response = await axios.post(
-                `https://services.leadconnectorhq.com/medias/upload-file?locationId=${locationId}`,
-                formData,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Version': '2021-07-28',
-                        ...formData.getHeaders()
-                    },
-                    maxBodyLength: Infinity,
-                    maxContentLength: Infinity
-                }
-            );
-
-            console.log('File uploaded to Media Storage:', response.data);
+            const data = await ghlClient.media.uploadFile(formData, locationId);
+
+            console.log('File uploaded to Media Storage:', data);
 
             // Extract file information from response
             // Media Storage returns: { fileId, url, traceId }
             // Store as object with both fileId and url for GHL custom objects
-            if (response.data.url) {
+            if (data.url) {
                 uploadedUrls.push({
-                    fileId: response.data.fileId,
-                    url: response.data.url
+                    fileId: data.fileId,
+                    url: data.url
                 });
-                console.log(`File uploaded - ID: ${response.data.fileId}, URL: ${response.data.url}`);
+                console.log(`File uploaded - ID: ${data.fileId}, URL: ${data.url}`);
             }
         }
 
@@ -227,8 +214,6 @@ async function uploadFilesToMediaStorage(files, locationId) {
  * @returns {Promise<Object>} GHL API response
  */
 async function updateWorkshopFiles(recordId, fileUrls) {
-    const apiKey = process.env.GHL_API_KEY;
-
     if (!fileUrls || fileUrls.length === 0) {
         console.log('No file URLs to update');
         return null;
@@ -238,24 +223,14 @@ async function updateWorkshopFiles(recordId, fileUrls) {
         console.log(`Updating workshop record ${recordId} with ${fileUrls.length} file URL(s)...`);
 
         // Try the simpler endpoint pattern: /objects/records/{recordId}
-        const response = await axios.patch(
-            `https://services.leadconnectorhq.com/objects/records/${recordId}`,
-            {
-                properties: {
-                    files: fileUrls
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Version': '2021-07-28'
-                }
+        const data = await ghlClient.customObjects.patchRecord(recordId, {
+            properties: {
+                files: fileUrls
             }
-        );
+        });
 
-        console.log('Workshop files updated successfully:', response.data);
-        return response.data;
+        console.log('Workshop files updated successfully:', data);
+        return data;
     } catch (error) {
         console.error('Error updating workshop files:', error.response?.data || error.message);
         // Don't throw - workshop was already created
@@ -317,15 +292,10 @@ async function saveWorkshopToSupabase(ghlWorkshopId, workshopData) {
  * @returns {Promise<Object>} GHL API response
  */
 async function createWorkshopGHL(workshopData, files = []) {
-    const apiKey = process.env.GHL_API_KEY;
     const locationId = process.env.GHL_LOCATION_ID;
     // Correct schema key from GHL API: custom_objects.workshops
     const schemaKey = 'custom_objects.workshops';
 
-    if (!apiKey) {
-        throw new Error('GHL_API_KEY not configured in environment variables');
-    }
-
     if (!locationId) {
         throw new Error('GHL_LOCATION_ID not configured in environment variables');
     }
@@ -359,29 +329,19 @@ async function createWorkshopGHL(workshopData, files = []) {
         console.log('Schema Key:', schemaKey);
         console.log('Record Data:', JSON.stringify(recordData, null, 2));
 
-        const response = await axios.post(
-            `https://services.leadconnectorhq.com/objects/${schemaKey}/records`,
-            recordData,
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Version': '2021-07-28'
-                }
-            }
-        );
+        const data = await ghlClient.customObjects.createRecord(schemaKey, recordData);
 
-        console.log('Workshop record created successfully in GHL:', response.data);
+        console.log('Workshop record created successfully in GHL:', data);
 
         // Extract the record ID - GHL custom objects API returns it nested in record.id
-        const recordId = response.data.record?.id || response.data.id || response.data.recordId || response.data._id;
+        const recordId = data.record?.id || data.id || data.recordId || data._id;
         if (!recordId) {
-            console.error('No record ID found in GHL response:', response.data);
+            console.error('No record ID found in GHL response:', data);
             throw new Error('GHL API did not return a record ID');
         }
 
         console.log('Extracted workshop record ID:', recordId);
-        return { ...response.data.record, id: recordId };
+        return { ...data.record, id: recordId };
     } catch (error) {
         console.error('Error creating workshop record in GHL:', error.response?.data || error.message);
         throw error;
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const ghlClient = require('../services/ghlClient');
 
 /**
  * Gets workshop data from GHL custom object
@@ -6,30 +6,15 @@ const axios = require('axios');
  * @returns {Promise<Object>} Workshop data including current participants and max capacity
  */
 async function getWorkshopData(workshopRecordId) {
-    const apiKey = process.env.GHL_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('GHL_API_KEY not configured in environment variables');
-    }
-
     try {
         console.log(`Fetching workshop data for record ID: ${workshopRecordId}`);
 
-        const response = await axios.get(
-            `https://services.leadconnectorhq.com/objects/records/${workshopRecordId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Version': '2021-07-28'
-                }
-            }
-        );
+        const data = await ghlClient.customObjects.getRecordById(workshopRecordId);
 
-        console.log('Workshop data retrieved:', response.data);
+        console.log('Workshop data retrieved:', data);
 
         // Extract properties from the record
-        const properties = response.data.record?.properties || response.data.properties || {};
+        const properties = data.record?.properties || data.properties || {};
 
         return {
             recordId: workshopRecordId,
@@ -51,33 +36,17 @@ async function getWorkshopData(workshopRecordId) {
  * @returns {Promise<Object>} GHL API response
  */
 async function updateParticipantCount(workshopRecordId, newParticipantCount) {
-    const apiKey = process.env.GHL_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('GHL_API_KEY not configured in environment variables');
-    }
-
     try {
         console.log(`Updating workshop ${workshopRecordId} participants to: ${newParticipantCount}`);
 
-        const response = await axios.patch(
-            `https://services.leadconnectorhq.com/objects/records/${workshopRecordId}`,
-            {
-                properties: {
-                    number_of_participants: newParticipantCount.toString()
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Version': '2021-07-28'
-                }
+        const data = await ghlClient.customObjects.patchRecord(workshopRecordId, {
+            properties: {
+                number_of_participants: newParticipantCount.toString()
             }
-        );
+        });
 
-        console.log('Participant count updated successfully:', response.data);
-        return response.data;
+        console.log('Participant count updated successfully:', data);
+        return data;
     } catch (error) {
         console.error('Error updating participant count:', error.response?.data || error.message);
         throw error;
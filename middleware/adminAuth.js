@@ -0,0 +1,53 @@
+/**
+ * Admin Auth Middleware
+ *
+ * Protects /admin routes with a shared API key.
+ * Send the key in the x-admin-key header (or as a Bearer token).
+ * Admin routes are disabled (503) until ADMIN_API_KEY is configured.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Express middleware that requires a valid admin API key
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API not configured (ADMIN_API_KEY missing)'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const providedKey = req.headers['x-admin-key'] ||
+    (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!providedKey || !safeEqual(String(providedKey), adminKey)) {
+    console.warn(`⚠️ Unauthorized admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminKey
+};
@@ -0,0 +1,78 @@
+/**
+ * Confido Webhook Signature Middleware
+ *
+ * When CONFIDO_WEBHOOK_SECRET is set, every Confido webhook must carry a valid
+ * signature (x-confido-signature or x-webhook-signature) - unsigned requests are
+ * rejected. The HMAC is computed over the raw request body (req.rawBody), with a
+ * timestamp tolerance window and a nonce cache (see confidoService.verifyWebhookSignature).
+ *
+ * Headers:
+ * - x-confido-signature / x-webhook-signature: "t=<timestamp>,v1=<hmac>" or a bare HMAC
+ * - x-confido-timestamp / x-webhook-timestamp: timestamp when not in the signature header
+ * - x-confido-nonce / x-webhook-id: optional delivery ID used for replay protection
+ *
+ * Requests sent by this server itself (admin replays) are not checked.
+ */
+
+const { verifyWebhookSignature } = require('../services/confidoService');
+const { isInternalRequest } = require('../services/webhookReplayService');
+
+/**
+ * Records a rejected request in the webhook ledger (non-blocking)
+ * @param {Object} req - Express request
+ * @param {string} eventType - Event name
+ * @param {string} reason - Rejection reason
+ */
+function recordRejection(req, eventType, reason) {
+  const { recordRejectedWebhook } = require('../services/webhookEventService');
+
+  recordRejectedWebhook({
+    source: 'confido',
+    eventType: eventType,
+    route: req.path,
+    payload: req.body,
+    headers: req.headers,
+    reason: reason
+  }).catch(error => console.error('Error recording rejected Confido webhook:', error.message));
+}
+
+/**
+ * Creates the signature verification middleware for a Confido route
+ * @param {string} eventType - Event name used when recording rejections
+ * @returns {Function} Express middleware
+ */
+function confidoSignature(eventType) {
+  return (req, res, next) => {
+    if (isInternalRequest(req)) {
+      return next();
+    }
+
+    if (!process.env.CONFIDO_WEBHOOK_SECRET) {
+      console.warn('⚠️ CONFIDO_WEBHOOK_SECRET not set - skipping signature verification');
+      return next();
+    }
+
+    const result = verifyWebhookSignature({
+      rawBody: req.rawBody,
+      signature: req.headers['x-confido-signature'] || req.headers['x-webhook-signature'],
+      timestamp: req.headers['x-confido-timestamp'] || req.headers['x-webhook-timestamp'],
+      nonce: req.headers['x-confido-nonce'] || req.headers['x-webhook-id']
+    });
+
+    if (!result.valid) {
+      console.error(`❌ Rejected Confido webhook: ${result.reason}`);
+      recordRejection(req, eventType, result.reason);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    console.log('✅ Webhook signature verified');
+    next();
+  };
+}
+
+module.exports = {
+  confidoSignature
+};
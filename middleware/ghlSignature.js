@@ -0,0 +1,145 @@
+/**
+ * GHL Webhook Signature Middleware
+ *
+ * Verifies the x-wh-signature header GHL adds to signed webhooks:
+ * a base64 RSA-SHA256 signature of the raw request body, checked against
+ * the public key in GHL_WEBHOOK_PUBLIC_KEY (PEM).
+ *
+ * Mode per route (enforce | log-only | off):
+ *   GHL_SIGNATURE_MODE_<ROUTE> overrides GHL_SIGNATURE_MODE, which defaults to log-only.
+ *   <ROUTE> is the route name upper-cased with dashes as underscores,
+ *   e.g. GHL_SIGNATURE_MODE_OPPORTUNITY_STAGE_CHANGED=enforce
+ *
+ * Requires req.rawBody (captured by the express.json verify hook in server.js).
+ * Requests sent by this server itself (replays, internal forwards) are not checked.
+ */
+
+const crypto = require('crypto');
+const { isInternalRequest } = require('../services/webhookReplayService');
+
+const SIGNATURE_HEADER = 'x-wh-signature';
+const MODES = ['enforce', 'log-only', 'off'];
+const DEFAULT_MODE = 'log-only';
+
+/**
+ * Reads the configured public key (supports "\n" escaped single-line PEMs)
+ * @returns {string|null} PEM public key or null
+ */
+function getPublicKey() {
+  const key = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  return key ? key.replace(/\\n/g, '\n') : null;
+}
+
+/**
+ * Resolves the verification mode for a route
+ * @param {string} routeName - Route name, e.g. 'opportunity-stage-changed'
+ * @returns {string} enforce, log-only, or off
+ */
+function getSignatureMode(routeName) {
+  const routeEnv = `GHL_SIGNATURE_MODE_${routeName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const mode = (process.env[routeEnv] || process.env.GHL_SIGNATURE_MODE || DEFAULT_MODE).toLowerCase();
+
+  if (!MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown GHL signature mode "${mode}" for ${routeName}, using ${DEFAULT_MODE}`);
+    return DEFAULT_MODE;
+  }
+
+  return mode;
+}
+
+/**
+ * Verifies a GHL webhook signature
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - Base64 signature from the x-wh-signature header
+ * @param {string} publicKey - PEM public key
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyGhlSignature(rawBody, signature, publicKey) {
+  if (!rawBody || !signature || !publicKey) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    console.error('Error verifying GHL signature:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Records a rejected request in the webhook ledger (non-blocking)
+ * @param {Object} req - Express request
+ * @param {string} routeName - Route name
+ * @param {string} reason - Rejection reason
+ */
+function recordRejection(req, routeName, reason) {
+  // Lazy require so the verification helpers can be used without Supabase configured
+  const { recordRejectedWebhook } = require('../services/webhookEventService');
+
+  recordRejectedWebhook({
+    source: 'ghl',
+    eventType: routeName,
+    route: req.path,
+    payload: req.body,
+    headers: req.headers,
+    reason: reason
+  }).catch(error => console.error('Error recording rejected GHL webhook:', error.message));
+}
+
+/**
+ * Creates the signature verification middleware for a GHL route
+ * @param {string} routeName - Route name used for the mode setting and logging
+ * @returns {Function} Express middleware
+ */
+function ghlSignature(routeName) {
+  return (req, res, next) => {
+    const mode = getSignatureMode(routeName);
+
+    if (mode === 'off' || isInternalRequest(req)) {
+      return next();
+    }
+
+    const publicKey = getPublicKey();
+    const signature = req.headers[SIGNATURE_HEADER];
+    let failureReason = null;
+
+    if (!publicKey) {
+      failureReason = 'GHL_WEBHOOK_PUBLIC_KEY not configured';
+    } else if (!signature) {
+      failureReason = `Missing ${SIGNATURE_HEADER} header`;
+    } else if (!verifyGhlSignature(req.rawBody, signature, publicKey)) {
+      failureReason = 'Invalid GHL webhook signature';
+    }
+
+    if (!failureReason) {
+      console.log(`✅ GHL webhook signature verified (${routeName})`);
+      return next();
+    }
+
+    if (mode === 'log-only') {
+      console.warn(`⚠️ [log-only] GHL signature check failed for ${routeName}: ${failureReason}`);
+      return next();
+    }
+
+    console.error(`❌ Rejected GHL webhook for ${routeName}: ${failureReason}`);
+    recordRejection(req, routeName, failureReason);
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  };
+}
+
+module.exports = {
+  ghlSignature,
+  verifyGhlSignature,
+  getSignatureMode,
+  SIGNATURE_HEADER
+};
@@ -0,0 +1,172 @@
+/**
+ * Webhook Idempotency Middleware
+ *
+ * Records each inbound webhook in the webhook_events ledger and short-circuits
+ * duplicate deliveries by returning the stored response of the first delivery.
+ *
+ * Usage:
+ *   app.post('/webhooks/confido/payment-received',
+ *     webhookIdempotency({
+ *       source: 'confido',
+ *       eventType: 'payment-received',
+ *       getKey: (req) => req.body.payment_id
+ *     }),
+ *     handler);
+ *
+ * Options:
+ * - source: Webhook sender (ghl, confido, jotform)
+ * - eventType: Event name used in the key
+ * - getKey(req): Returns the natural event ID. When it returns nothing, a hash of the payload is used.
+ * - windowMs: Optional. Duplicates older than this are treated as a new event
+ *   (for events like stage changes that can legitimately repeat later).
+ *
+ * 5xx responses mark the event 'failed' (the dead-letter queue). Admin replays
+ * (services/webhookReplayService.js) reprocess the stored event by ID.
+ */
+
+const {
+  hashPayload,
+  recordWebhookEvent,
+  recordDuplicateDelivery,
+  restartWebhookEvent,
+  completeWebhookEvent,
+  getWebhookEventById
+} = require('../services/webhookEventService');
+const { isInternalRequest, REPLAY_ID_HEADER } = require('../services/webhookReplayService');
+
+// An event stuck in 'processing' longer than this is assumed to have crashed
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Builds the idempotency key for a request
+ * @param {Object} options - Middleware options
+ * @param {Object} req - Express request
+ * @returns {string} Idempotency key
+ */
+function buildIdempotencyKey(options, req) {
+  let naturalKey = null;
+
+  try {
+    naturalKey = options.getKey ? options.getKey(req) : null;
+  } catch (error) {
+    console.error('Error deriving idempotency key:', error.message);
+  }
+
+  const keyPart = naturalKey ? String(naturalKey) : `sha256:${hashPayload(req.body)}`;
+  return `${options.source}:${options.eventType}:${keyPart}`;
+}
+
+/**
+ * Wraps res.json so the response can be stored once the request finishes
+ * @param {Object} res - Express response
+ * @param {string} eventId - Ledger event ID
+ */
+function captureResponse(res, eventId) {
+  const originalJson = res.json.bind(res);
+  let responseBody;
+
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    // 5xx responses go to the dead-letter queue (status 'failed') for replay.
+    // Handlers set res.locals.webhookError in their catch block so the stack is kept.
+    const status = res.statusCode >= 500 ? 'failed' : 'processed';
+    completeWebhookEvent(eventId, {
+      status: status,
+      responseStatus: res.statusCode,
+      responseBody: responseBody,
+      error: res.locals.webhookError
+    });
+  });
+}
+
+/**
+ * Creates the idempotency middleware for a webhook route
+ * @param {Object} options - { source, eventType, getKey, windowMs }
+ * @returns {Function} Express middleware
+ */
+function webhookIdempotency(options) {
+  return async (req, res, next) => {
+    const idempotencyKey = buildIdempotencyKey(options, req);
+    const eventData = {
+      source: options.source,
+      eventType: options.eventType,
+      route: req.path,
+      idempotencyKey: idempotencyKey,
+      payload: req.body,
+      headers: req.headers
+    };
+
+    // Admin replay: reprocess the stored event itself rather than deriving a new key
+    const replayEventId = isInternalRequest(req) ? req.headers[REPLAY_ID_HEADER] : null;
+    if (replayEventId) {
+      try {
+        const storedEvent = await getWebhookEventById(replayEventId);
+        if (storedEvent) {
+          console.log(`♻️ Replaying webhook event ${replayEventId} (${storedEvent.idempotency_key})`);
+          const event = await restartWebhookEvent(storedEvent, { payload: storedEvent.payload });
+          res.locals.webhookEventId = event.id;
+          captureResponse(res, event.id);
+        }
+      } catch (error) {
+        console.error('⚠️ Failed to reset replayed webhook event:', error.message || error);
+      }
+      return next();
+    }
+
+    let event;
+    let isDuplicate;
+
+    try {
+      ({ event, isDuplicate } = await recordWebhookEvent(eventData));
+    } catch (error) {
+      // Never drop a webhook because the ledger is unavailable
+      console.error('⚠️ Webhook ledger unavailable, processing without idempotency:', error.message || error);
+      return next();
+    }
+
+    if (isDuplicate && event) {
+      const ageMs = Date.now() - new Date(event.received_at).getTime();
+      const outsideWindow = options.windowMs && ageMs > options.windowMs;
+      const stuckProcessing = event.status === 'processing' && ageMs > PROCESSING_TIMEOUT_MS;
+
+      if (event.status === 'processed' && !outsideWindow) {
+        console.log(`🔁 Duplicate webhook suppressed (${idempotencyKey}), returning stored result`);
+        await recordDuplicateDelivery(event);
+        res.set('X-Idempotent-Replay', 'true');
+        return res.status(event.response_status || 200).json(event.response_body || { success: true });
+      }
+
+      if (event.status === 'processing' && !stuckProcessing && !outsideWindow) {
+        console.log(`🔁 Duplicate webhook received while original is still processing (${idempotencyKey})`);
+        await recordDuplicateDelivery(event);
+        return res.status(409).json({
+          success: false,
+          message: 'Duplicate webhook is already being processed',
+          idempotencyKey: idempotencyKey
+        });
+      }
+
+      // Previous attempt failed, crashed, or the window passed - process again
+      console.log(`♻️ Reprocessing webhook event (${idempotencyKey}), previous status: ${event.status}`);
+      try {
+        event = await restartWebhookEvent(event, eventData);
+      } catch (error) {
+        console.error('⚠️ Failed to reset webhook event, processing without idempotency:', error.message || error);
+        return next();
+      }
+    }
+
+    res.locals.webhookEventId = event.id;
+    captureResponse(res, event.id);
+    next();
+  };
+}
+
+module.exports = {
+  webhookIdempotency,
+  buildIdempotencyKey
+};
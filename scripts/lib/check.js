@@ -0,0 +1,53 @@
+/**
+ * Check helpers for the offline test scripts (scripts/test-*.js)
+ *
+ * Each check prints ✅ PASS / ❌ FAIL with its label; finish() prints the
+ * totals and exits non-zero if any check failed.
+ */
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Records one check
+ * @param {string} label - What is being checked
+ * @param {boolean|Function} condition - The result, or a function that throws (e.g. an assert) on failure
+ */
+function check(label, condition) {
+  let ok = condition;
+  let message = null;
+
+  if (typeof condition === 'function') {
+    try {
+      condition();
+      ok = true;
+    } catch (error) {
+      ok = false;
+      message = error.message;
+    }
+  }
+
+  console.log(`${ok ? '✅ PASS' : '❌ FAIL'} - ${label}`);
+  if (message) {
+    console.log(`   ${message.split('\n').slice(0, 12).join('\n   ')}`);
+  }
+
+  if (ok) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Prints the totals and exits (1 if any check failed)
+ */
+function finish() {
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = {
+  check,
+  finish
+};
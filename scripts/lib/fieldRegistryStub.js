@@ -0,0 +1,26 @@
+/**
+ * Loads the custom field registry from a recorded snapshot for the offline tests
+ *
+ * Replaces ghlClient.locations.getCustomFields() with one that returns
+ * scripts/fixtures/ghl-custom-fields.json (or the given fields), so field keys
+ * resolve the way they do once the server has loaded the location's fields.
+ */
+
+const ghlClient = require('../../services/ghlClient');
+const { loadFieldRegistry } = require('../../services/customFieldRegistry');
+const snapshot = require('../fixtures/ghl-custom-fields.json');
+
+/**
+ * Loads the registry from the snapshot
+ * @param {Array} customFields - Fields to load instead of the snapshot
+ * @returns {Promise<Map>} Live fields keyed by field key
+ */
+async function loadFieldSnapshot(customFields = snapshot.customFields) {
+  process.env.GHL_LOCATION_ID = process.env.GHL_LOCATION_ID || 'test-location';
+  ghlClient.locations.getCustomFields = async () => ({ customFields });
+  return loadFieldRegistry();
+}
+
+module.exports = {
+  loadFieldSnapshot
+};
@@ -0,0 +1,91 @@
+/**
+ * In-memory Supabase stand-in for the offline test scripts
+ *
+ * Services create their client with createClient() when they are loaded, so
+ * call stubSupabase() before requiring the service under test. Supports the
+ * filters the tested services use (eq, in, is, lte, gt); inserts, upserts and
+ * updates are applied to the tables and logged in stub.writes. Set
+ * stub.errors[table] to make every query on a table fail with that error.
+ */
+
+const supabaseJs = require('@supabase/supabase-js');
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  in: (value, expected) => expected.includes(value),
+  is: (value, expected) => (value ?? null) === expected,
+  lte: (value, expected) => value != null && value <= expected,
+  gt: (value, expected) => value != null && value > expected
+};
+
+/**
+ * Replaces createClient() with one that reads and writes the given tables
+ * @param {Object} tables - Table name -> array of rows (mutated by writes)
+ * @returns {Object} { tables, writes: [{ table, op, values }], errors: { table: error } }
+ */
+function stubSupabase(tables = {}) {
+  const stub = { tables, writes: [], errors: {} };
+
+  const from = (table) => {
+    const filters = [];
+    let op = 'select';
+    let values = null;
+    let onConflict = null;
+    let single = false;
+
+    const run = () => {
+      const rows = stub.tables[table] || (stub.tables[table] = []);
+
+      if (stub.errors[table]) {
+        return { data: null, error: stub.errors[table] };
+      }
+
+      if (op === 'insert') {
+        stub.writes.push({ table, op, values });
+        rows.push(...[].concat(values));
+        return { data: single ? [].concat(values)[0] : values, error: null };
+      }
+
+      if (op === 'upsert') {
+        stub.writes.push({ table, op, values });
+        const saved = [].concat(values).map(value => {
+          const existing = rows.find(row => row[onConflict] === value[onConflict]);
+          if (existing) return Object.assign(existing, value);
+          rows.push({ ...value });
+          return rows[rows.length - 1];
+        });
+        return { data: single ? saved[0] : saved, error: null };
+      }
+
+      const matched = rows.filter(row => filters.every(([name, column, expected]) => FILTERS[name](row[column], expected)));
+      if (op === 'update') {
+        stub.writes.push({ table, op, values, rows: matched.map(row => ({ ...row })) });
+        matched.forEach(row => Object.assign(row, values));
+      }
+      return { data: single ? matched[0] || null : matched, error: null };
+    };
+
+    const query = {
+      select: () => query,
+      insert: (rows) => { op = 'insert'; values = rows; return query; },
+      update: (changes) => { op = 'update'; values = changes; return query; },
+      upsert: (rows, options = {}) => { op = 'upsert'; values = rows; onConflict = options.onConflict || 'id'; return query; },
+      single: () => { single = true; return query; },
+      maybeSingle: () => { single = true; return query; },
+      order: () => query,
+      limit: () => query,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    for (const name of Object.keys(FILTERS)) {
+      query[name] = (column, expected) => { filters.push([name, column, expected]); return query; };
+    }
+    return query;
+  };
+
+  supabaseJs.createClient = () => ({ from });
+  return stub;
+}
+
+module.exports = {
+  stubSupabase
+};
@@ -0,0 +1,52 @@
+/**
+ * Runs the offline test scripts
+ *
+ * These need no Supabase, GHL or network access (mock servers run locally).
+ * The other scripts/test-*.js call live APIs and are run by hand.
+ *
+ * Usage: npm test
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SUITES = [
+  'test-ghl-signature.js',
+  'test-confido-signature.js',
+  'test-ghl-client.js',
+  'test-custom-field-registry.js',
+  'test-form-mapping-specs.js',
+  'test-contact-merge-policy.js',
+  'test-contact-matching.js',
+  'test-task-conditions.js',
+  'test-business-calendar.js',
+  'test-task-sync.js',
+  'test-task-digest.js',
+  'test-stage-analytics.js',
+  'test-task-dependencies.js',
+  'test-task-completion-rules.js',
+  'test-task-routing.js',
+  'test-appointment-webhooks.js',
+  'test-sms-reminder-schedule.js',
+  'test-cron-schedule.js',
+  'test-sms-commands.js',
+  'test-sms-opt-out.js',
+  'test-sms-reply-target.js'
+];
+
+const failedSuites = [];
+
+for (const suite of SUITES) {
+  console.log(`\n▶️ ${suite}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, suite)], { stdio: 'inherit' });
+
+  if (result.status !== 0) {
+    failedSuites.push(suite);
+  }
+}
+
+console.log(`\n${SUITES.length - failedSuites.length} of ${SUITES.length} suites passed`);
+if (failedSuites.length > 0) {
+  console.log(`❌ Failed: ${failedSuites.join(', ')}`);
+}
+process.exit(failedSuites.length > 0 ? 1 : 0);
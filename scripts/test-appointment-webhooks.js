@@ -0,0 +1,195 @@
+/**
+ * Test the appointment updated and cancelled webhook handlers
+ *
+ * Runs processAppointmentUpdated() / processAppointmentCancelled() from
+ * services/appointmentService.js against a recorded appointment: reschedule
+ * detection, cancelled statuses, the echo of our own title updates, the stage
+ * revert and record lookup errors. Supabase is replaced with in-memory tables
+ * (scripts/lib/supabaseStub.js); GHL, SMS and email calls are recorded instead
+ * of sent.
+ *
+ * Usage: node scripts/test-appointment-webhooks.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+const stub = stubSupabase();
+const ghlClient = require('../services/ghlClient');
+const ghlService = require('../services/ghlService');
+const appointmentSmsService = require('../services/appointmentSmsService');
+const smsConfirmationService = require('../services/smsConfirmationService');
+const appointmentEmailService = require('../services/appointmentEmailService');
+const { check, finish } = require('./lib/check');
+
+// Outbound calls, by name
+let calls = [];
+const record = (name) => async (...args) => {
+  calls.push({ name, args, appointment: { ...stub.tables.appointments?.[0] } });
+  return { success: true };
+};
+const called = (name) => calls.filter(c => c.name === name);
+
+appointmentSmsService.rescheduleReminders = record('rescheduleReminders');
+appointmentSmsService.cancelScheduledReminder = record('cancelScheduledReminder');
+smsConfirmationService.removeConfirmationTag = record('removeConfirmationTag');
+appointmentEmailService.sendAppointmentRescheduledEmail = record('sendAppointmentRescheduledEmail');
+appointmentEmailService.sendAppointmentCancelledEmail = record('sendAppointmentCancelledEmail');
+ghlService.getContact = async () => ({ contact: { email: 'mary@example.com', firstName: 'Mary', lastName: 'Jones', phone: '+18135550100' } });
+
+const { processAppointmentUpdated, processAppointmentCancelled } = require('../services/appointmentService');
+
+const BOOKED_START = '2025-12-18T15:00:00.000Z';
+const TITLE = 'Gabby Ang - EP Discovery Call - Naples - Mary Jones';
+
+// The appointment as GHL returns it, and the opportunity's current stage
+let ghlAppointment;
+let opportunityStageId;
+
+ghlClient.calendars.getAppointment = async () => ({ event: ghlAppointment });
+ghlClient.calendars.updateAppointment = record('updateAppointment');
+ghlClient.opportunities.get = async () => ({ opportunity: { id: 'opp-1', pipelineId: 'pipe-1', pipelineStageId: opportunityStageId } });
+ghlClient.opportunities.update = record('updateOpportunity');
+ghlClient.forms.getSubmissions = async () => ({ submissions: [] });
+process.env.GHL_LOCATION_ID = process.env.GHL_LOCATION_ID || 'test-location';
+
+/**
+ * Resets the recorded booking, GHL's copy of the appointment and the call log
+ */
+function seed({ appointment = {}, ghl = {}, stageId = 'stage-scheduled' } = {}) {
+  stub.tables.appointments = [{
+    appointment_id: 'appt-1',
+    contact_id: 'contact-1',
+    calendar_id: 'cal-1',
+    title: TITLE,
+    meeting_type: 'EP Discovery Call',
+    meeting_location: 'Naples',
+    start_time: BOOKED_START,
+    status: 'booked',
+    opportunity_id: 'opp-1',
+    previous_pipeline_id: 'pipe-1',
+    previous_stage_id: 'stage-intake',
+    scheduled_stage_id: 'stage-scheduled',
+    ...appointment
+  }];
+  delete stub.errors.appointments;
+  ghlAppointment = { id: 'appt-1', calendarId: 'cal-1', contactId: 'contact-1', title: TITLE, startTime: BOOKED_START, appointmentStatus: 'confirmed', ...ghl };
+  opportunityStageId = stageId;
+  calls = [];
+}
+
+const webhook = (extra = {}) => ({
+  appointmentId: 'appt-1',
+  contactId: 'contact-1',
+  contactName: 'Mary Jones',
+  calendarId: 'cal-1',
+  calendarName: "Gabby Ang's Personal Calendar",
+  ...extra
+});
+const saved = () => stub.tables.appointments[0];
+
+async function run() {
+  console.log('=== Testing Appointment Webhooks ===\n');
+
+  console.log('--- updated ---');
+  seed({ ghl: { startTime: '2025-12-19T16:00:00.000Z' } });
+  let result = await processAppointmentUpdated(webhook());
+  check('new start time is a reschedule', result.action === 'reschedule' && result.previousStartTime === BOOKED_START);
+  check('reschedule moves the reminders to the new time', called('rescheduleReminders')[0]?.args[0].startTime === '2025-12-19T16:00:00.000Z');
+  check('reschedule removes the confirmation tag', called('removeConfirmationTag')[0]?.args[0] === 'contact-1');
+  check('reschedule emails the client with both times', called('sendAppointmentRescheduledEmail')[0]?.args[0].previousStartTime === BOOKED_START);
+  check('reschedule is recorded', saved().status === 'rescheduled' && saved().start_time === '2025-12-19T16:00:00.000Z');
+
+  seed({ ghl: { title: 'Old Calendar - EP Discovery Call - Naples - Mary Jones' } });
+  result = await processAppointmentUpdated(webhook());
+  check('same start time is an update, not a reschedule', result.action === 'update' && !result.rescheduled);
+  check('changed calendar re-titles the appointment', result.titleUpdated && called('updateAppointment')[0]?.args[1].title === TITLE);
+  check('update without a reschedule sends nothing', called('rescheduleReminders').length === 0 && called('sendAppointmentRescheduledEmail').length === 0);
+
+  seed();
+  result = await processAppointmentUpdated(webhook());
+  check('echo of our own title update changes nothing', result.action === 'update' && !result.titleUpdated && calls.length === 0);
+
+  seed({ appointment: { status: 'cancelled', title: `CANCELLED - ${TITLE}` }, ghl: { title: `CANCELLED - ${TITLE}` } });
+  result = await processAppointmentUpdated(webhook());
+  check('echo of our own "CANCELLED - " re-title is ignored', result.alreadyCancelled && calls.length === 0);
+
+  seed({ appointment: {} });
+  stub.tables.appointments = [];
+  ghlAppointment.startTime = '2025-12-19T16:00:00.000Z';
+  result = await processAppointmentUpdated(webhook());
+  check('appointment booked before records were kept is not treated as rescheduled', result.action === 'update' && called('rescheduleReminders').length === 0);
+
+  console.log('\n--- cancelled status on update ---');
+  seed();
+  result = await processAppointmentUpdated(webhook({ appointmentStatus: 'Cancelled' }));
+  check('cancelled status in the webhook is handled as a cancellation', result.action === 'cancellation' && saved().status === 'cancelled');
+
+  seed({ ghl: { appointmentStatus: 'canceled' } });
+  result = await processAppointmentUpdated(webhook());
+  check('cancelled status on the appointment is handled as a cancellation', result.action === 'cancellation' && called('cancelScheduledReminder').length === 1);
+
+  console.log('\n--- cancelled ---');
+  seed();
+  result = await processAppointmentCancelled(webhook());
+  check('cancellation cancels the reminders', called('cancelScheduledReminder')[0]?.args[0] === 'appt-1');
+  check('title is marked cancelled', result.titleUpdated && called('updateAppointment')[0]?.args[1].title === `CANCELLED - ${TITLE}`);
+  check('cancellation is recorded before the re-title (its webhook must see it)', called('updateAppointment')[0]?.appointment.status === 'cancelled');
+  check('cancellation removes the confirmation tag and emails the client', called('removeConfirmationTag').length === 1 &&
+    called('sendAppointmentCancelledEmail')[0]?.args[0].contactEmail === 'mary@example.com');
+  check('stage is left alone unless revert is enabled', !result.stageRevert.reverted && called('updateOpportunity').length === 0);
+
+  seed({ appointment: { status: 'cancelled' } });
+  result = await processAppointmentCancelled(webhook());
+  check('repeated cancellation does nothing', result.alreadyCancelled && calls.length === 0);
+
+  console.log('\n--- stage revert ---');
+  seed();
+  result = await processAppointmentCancelled(webhook({ revertStage: true }));
+  check('opportunity still in the booked stage moves back', result.stageRevert.reverted &&
+    called('updateOpportunity')[0]?.args[1].pipelineStageId === 'stage-intake');
+
+  seed({ stageId: 'stage-engaged' });
+  result = await processAppointmentCancelled(webhook({ revertStage: 'true' }));
+  check('opportunity that has moved on is left alone', !result.stageRevert.reverted && called('updateOpportunity').length === 0);
+
+  seed({ appointment: { previous_stage_id: 'stage-scheduled' } });
+  result = await processAppointmentCancelled(webhook({ revertStage: true }));
+  check('booking that did not move the opportunity is not reverted', !result.stageRevert.reverted && called('updateOpportunity').length === 0);
+
+  process.env.APPOINTMENT_CANCEL_REVERT_STAGE = 'true';
+  seed();
+  result = await processAppointmentCancelled(webhook());
+  check('APPOINTMENT_CANCEL_REVERT_STAGE turns the revert on', result.stageRevert.reverted);
+
+  seed();
+  result = await processAppointmentCancelled(webhook({ revertStage: false }));
+  check('webhook can turn the revert off', !result.stageRevert.reverted);
+  delete process.env.APPOINTMENT_CANCEL_REVERT_STAGE;
+
+  console.log('\n--- record lookup errors ---');
+  const throws = async (fn) => {
+    try {
+      await fn();
+      return false;
+    } catch (error) {
+      return error.message.includes('Failed to fetch appointment record');
+    }
+  };
+
+  seed({ ghl: { startTime: '2025-12-19T16:00:00.000Z' } });
+  stub.errors.appointments = { message: 'connection reset' };
+  check('update fails (and is retried) when the record cannot be read', await throws(() => processAppointmentUpdated(webhook())) &&
+    called('rescheduleReminders').length === 0);
+
+  seed();
+  stub.errors.appointments = { message: 'connection reset' };
+  check('cancellation fails before doing anything when the record cannot be read', await throws(() => processAppointmentCancelled(webhook())) &&
+    calls.length === 0);
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * Test business-day task due dates
+ *
+ * Runs computeDueDate() for each due_date_time_relation against fixed times
+ * around weekends, a firm holiday and both DST changes. No Supabase calls.
+ *
+ * Usage: node scripts/test-business-calendar.js
+ */
+
+const { computeDueDate, zonedTimeToUtc, nextBusinessTime, endOfLocalDay, DEFAULT_CALENDAR } = require('../utils/businessCalendar');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Business Calendar ===\n');
+
+const calendar = { ...DEFAULT_CALENDAR, holidays: new Set(['2025-12-25']) };
+const due = (value, relation, now) =>
+  computeDueDate({ due_date_value: value, due_date_time_relation: relation }, new Date(now), calendar).toISOString();
+
+// Friday 2025-12-19 3:00pm EST
+const FRIDAY_AFTERNOON = '2025-12-19T20:00:00Z';
+
+console.log('--- business relations ---');
+check('1 business day from Friday afternoon is Monday afternoon', due(1, 'business_days', FRIDAY_AFTERNOON) === '2025-12-22T20:00:00.000Z');
+check('business days skip a firm holiday', due(1, 'business_days', '2025-12-24T20:00:00Z') === '2025-12-26T20:00:00.000Z');
+check('business days created after hours are due at closing', due(2, 'business_days', '2025-12-16T02:00:00Z') === '2025-12-17T22:00:00.000Z');
+check('next business morning from Friday is Monday 9am', due(0, 'next_business_morning', FRIDAY_AFTERNOON) === '2025-12-22T14:00:00.000Z');
+check('end of business day during office hours is today 5pm', due(0, 'end_of_business_day', FRIDAY_AFTERNOON) === '2025-12-19T22:00:00.000Z');
+check('end of business day after closing rolls to the next working day', due(0, 'end_of_business_day', '2025-12-19T23:00:00Z') === '2025-12-22T22:00:00.000Z');
+check('end of business day plus 1 from Saturday is Tuesday 5pm', due(1, 'end_of_business_day', '2025-12-20T15:00:00Z') === '2025-12-23T22:00:00.000Z');
+
+console.log('\n--- calendar relations and DST ---');
+check('1 day is the same local time tomorrow (not shifted by the UTC offset)', due(1, 'days', '2025-12-18T20:00:00Z') === '2025-12-19T20:00:00.000Z');
+check('1 day from Friday rolls off the weekend to Monday, same time', due(1, 'days', FRIDAY_AFTERNOON) === '2025-12-22T20:00:00.000Z');
+check('1 day landing on a firm holiday rolls to the next working day', due(1, 'days', '2025-12-24T20:00:00Z') === '2025-12-26T20:00:00.000Z');
+check('1 day from Saturday across spring-forward is Monday 10am local', due(1, 'days', '2025-03-08T15:00:00Z') === '2025-03-10T14:00:00.000Z');
+check('1 week across fall-back keeps 10am local', due(1, 'weeks', '2025-10-28T14:00:00Z') === '2025-11-04T15:00:00.000Z');
+check('1 week landing on a firm holiday rolls to the next working day', due(1, 'weeks', '2025-12-18T20:00:00Z') === '2025-12-26T20:00:00.000Z');
+check('hours are elapsed time', due(3, 'hours', FRIDAY_AFTERNOON) === '2025-12-19T23:00:00.000Z');
+check('9am EDT converts to 13:00 UTC', zonedTimeToUtc({ year: 2025, month: 7, day: 1, hour: 9 }, 'America/New_York').toISOString() === '2025-07-01T13:00:00.000Z');
+check('skipped 2:30am on spring-forward resolves to 3:30am', zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, 'America/New_York').toISOString() === '2025-03-09T07:30:00.000Z');
+
+console.log('\n--- scheduling helpers ---');
+check('8am run before 8am is today', nextBusinessTime(new Date('2025-12-19T12:00:00Z'), 8 * 60, calendar).toISOString() === '2025-12-19T13:00:00.000Z');
+check('8am run after 8am on Christmas Eve skips the holiday', nextBusinessTime(new Date('2025-12-24T14:00:00Z'), 8 * 60, calendar).toISOString() === '2025-12-26T13:00:00.000Z');
+check('end of local day is midnight firm time', endOfLocalDay(new Date(FRIDAY_AFTERNOON), calendar.timeZone).toISOString() === '2025-12-20T05:00:00.000Z');
+
+finish();
@@ -12,6 +12,7 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 
 // Configuration
 const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3000/webhooks/confido/payment-received';
@@ -65,16 +66,25 @@ async function testPaymentWebhook() {
   console.log(JSON.stringify(mockPaymentPayload, null, 2));
   console.log('\n' + '='.repeat(50) + '\n');
 
-  // Optional: Generate a test signature if Confido uses webhook signatures
+  // Sign the raw body when CONFIDO_WEBHOOK_SECRET is set (verification is mandatory then)
+  const rawBody = JSON.stringify(mockPaymentPayload);
   const headers = {
-    'Content-Type': 'application/json',
-    // Uncomment and update if Confido uses webhook signatures
-    // 'x-confido-signature': 'test-signature-here',
-    // 'x-webhook-signature': 'test-signature-here'
+    'Content-Type': 'application/json'
   };
 
+  if (process.env.CONFIDO_WEBHOOK_SECRET) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const hmac = crypto
+      .createHmac('sha256', process.env.CONFIDO_WEBHOOK_SECRET)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    headers['x-confido-signature'] = `t=${timestamp},v1=${hmac}`;
+    console.log('🔏 Signed payload with CONFIDO_WEBHOOK_SECRET');
+  }
+
   try {
-    const response = await axios.post(WEBHOOK_URL, mockPaymentPayload, {
+    // Send the exact bytes that were signed
+    const response = await axios.post(WEBHOOK_URL, rawBody, {
       headers
     });
 
@@ -0,0 +1,61 @@
+/**
+ * Test duplicate contact matching
+ *
+ * Checks phone/email normalization, name similarity and candidate scoring in
+ * contactMatchingService against the default thresholds (merge >= 0.85,
+ * review >= 0.5). No GHL calls.
+ *
+ * Usage: node scripts/test-contact-matching.js
+ */
+
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeContactData,
+  nameSimilarity,
+  scoreCandidate
+} = require('../services/contactMatchingService');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Contact Matching ===\n');
+
+console.log('--- normalization ---');
+check('formatted US phone -> E.164', normalizePhone('(813) 555-0100') === '+18135550100');
+check('11-digit US phone -> E.164', normalizePhone('1-813-555-0100') === '+18135550100');
+check('E.164 phone kept', normalizePhone('+44 20 7946 0958') === '+442079460958');
+check('too-short phone rejected', normalizePhone('555-0100') === null);
+check('email trimmed and lowercased', normalizeEmail('  Mary.Jones@Example.COM ') === 'mary.jones@example.com');
+check('blank email rejected', normalizeEmail('  ') === null);
+const normalizedContact = normalizeContactData({ firstName: 'Mary', phone: '813 555 0100', email: 'MARY@Example.com' });
+check('submission saved with normalized phone and email', normalizedContact.phone === '+18135550100' && normalizedContact.email === 'mary@example.com');
+check('absent fields are not added', !('email' in normalizeContactData({ phone: 'n/a' })) && normalizeContactData({ phone: 'n/a' }).phone === 'n/a');
+
+console.log('\n--- name similarity ---');
+check('accents and case ignored', nameSimilarity('José Álvarez', 'jose alvarez') === 1);
+check('typo scores high', nameSimilarity('Jon Smith', 'John Smith') >= 0.9);
+check('added surname scores on shared words', nameSimilarity('Mary Jones', 'Mary Smith-Jones') >= 0.6);
+check('different person scores low', nameSimilarity('Robert Jones', 'Mary Jones') < 0.6);
+check('missing name gives no evidence', nameSimilarity('', 'Mary Jones') === null);
+
+console.log('\n--- scoring ---');
+const submission = { firstName: 'Mary', lastName: 'Jones', email: 'Mary@Example.com ', phone: '813.555.0100' };
+
+const sameEverything = scoreCandidate(submission, { firstName: 'Mary', lastName: 'Jones', email: 'mary@example.com', phone: '+18135550100' });
+check('same email, phone and name -> merge', sameEverything.score === 1 && sameEverything.emailMatch && sameEverything.phoneMatch);
+
+const differentFormatting = scoreCandidate({ ...submission, email: '' }, { firstName: 'mary', lastName: 'jones', phone: '(813) 555-0100' });
+check('phone formatted differently and no email still merges', differentFormatting.score >= 0.85);
+
+const sharedPhone = scoreCandidate(submission, { firstName: 'Robert', lastName: 'Jones', email: 'bob@example.com', phone: '+18135550100' });
+check('shared phone, different person -> below merge', sharedPhone.score < 0.85 && sharedPhone.phoneMatch && !sharedPhone.emailMatch);
+
+const sharedPhoneSameName = scoreCandidate(submission, { firstName: 'Mary', lastName: 'Jones', phone: '+18135550100' });
+check('shared phone and name, no stored email -> merge', sharedPhoneSameName.score >= 0.85);
+
+const emailOnly = scoreCandidate(submission, { firstName: 'Mary', lastName: 'Smith', email: 'mary@example.com', phone: '+17275550199' });
+check('same email, new phone and married name -> review', emailOnly.score >= 0.5 && emailOnly.score < 0.85);
+
+const reasons = sharedPhone.reasons.join(', ');
+check('reasons explain the score', reasons.includes('phone matches') && reasons.includes('email differs') && reasons.includes('name'));
+
+finish();
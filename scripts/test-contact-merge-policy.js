@@ -0,0 +1,84 @@
+/**
+ * Test the field-level merge policy for duplicate contacts
+ *
+ * Runs mergeContactData() against an existing contact to check that each policy
+ * in contact-merge-policy.json (overwrite, fill_empty, append, newest_with_history)
+ * produces the expected update payload. No GHL or Supabase calls.
+ *
+ * Usage: node scripts/test-contact-merge-policy.js
+ */
+
+const { mergeContactData, mergeField, describeNewContact, getFieldPolicy } = require('../services/contactMergeService');
+const { getFieldId } = require('../services/customFieldRegistry');
+const { loadFieldSnapshot } = require('./lib/fieldRegistryStub');
+const { check, finish } = require('./lib/check');
+
+async function run() {
+  console.log('=== Testing Contact Merge Policy ===\n');
+  await loadFieldSnapshot();
+
+  const LEAD_SOURCE = getFieldId('contact.lead_source');
+  const CALL_DETAILS = getFieldId('contact.contactcall_details');
+  const PRACTICE_AREA = getFieldId('contact.practice_area');
+  const PDF = getFieldId('contact.pdf');
+
+  const existingContact = {
+    id: 'contact-1',
+    firstName: 'Mary',
+    lastName: 'Jones',
+    email: 'mary@old.example.com',
+    phone: '+18135550100',
+    address1: '1 Hand-Entered St',
+    customFields: [
+      { id: LEAD_SOURCE, value: 'Referral from Bob' },
+      { id: CALL_DETAILS, value: 'First call' },
+      { id: PRACTICE_AREA, value: 'Probate' },
+      { id: PDF, value: 'https://old-link' }
+    ]
+  };
+
+  const submission = {
+    firstName: 'Mary',
+    lastName: '',
+    email: 'mary@new.example.com',
+    phone: '+18135550100',
+    address1: '9 Form Ave',
+    customFields: [
+      { id: LEAD_SOURCE, field_value: 'Google' },
+      { id: CALL_DETAILS, field_value: 'Second call' },
+      { id: PRACTICE_AREA, field_value: 'Estate Planning' },
+      { id: PDF, field_value: '' }
+    ]
+  };
+
+  const { payload, changes } = mergeContactData(existingContact, submission);
+  const changeFor = (field) => changes.find(c => c.field === field);
+  const customValue = (id) => payload.customFields?.find(f => f.id === id)?.field_value;
+
+  console.log('--- policies ---');
+  check('newest_with_history: empty submitted lastName does not blank the contact', !('lastName' in payload) && changeFor('lastName').action === 'kept');
+  check('newest_with_history: newer email replaces the stored one', payload.email === 'mary@new.example.com' &&
+    changeFor('email').previousValue === 'mary@old.example.com');
+  check('fill_empty: hand-entered address kept', !('address1' in payload) && changeFor('address1').reason === 'contact already has a value');
+  check('fill_empty: lead source kept', customValue(LEAD_SOURCE) === undefined);
+  check('append: call details appended', customValue(CALL_DETAILS) === 'First call\n\nSecond call');
+  check('overwrite: empty value written', customValue(PDF) === '' && changeFor('contact.pdf').policy === 'overwrite');
+  check('unchanged fields are not sent', !('firstName' in payload) && !('phone' in payload) && changeFor('firstName').action === 'unchanged');
+  check('custom field changes are audited by field key', changeFor('contact.practice_area')?.fieldId === PRACTICE_AREA &&
+    changeFor('contact.practice_area').newValue === 'Estate Planning');
+
+  console.log('\n--- edge cases ---');
+  check('append skips text already present', mergeField('contact.call_details', 'First call\n\nSecond call', 'Second call').action === 'unchanged');
+  check('fill_empty writes when the contact has no value', mergeField('phone', '', '+18135550199').action === 'updated');
+  check('TEXTBOX_LIST with all-blank sub-fields counts as empty', mergeField('contact.current_spouse', { a: 'Sue' }, { a: '', b: '' }).action === 'kept');
+  check('fields not in the config use the default policy', getFieldPolicy('contact.spouse_email').policy === 'newest_with_history');
+  check('new contacts list every non-empty field as created', describeNewContact(submission).every(c => c.action === 'created') &&
+    !describeNewContact(submission).some(c => c.field === 'lastName' || c.field === 'contact.pdf'));
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
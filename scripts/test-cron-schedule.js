@@ -0,0 +1,61 @@
+/**
+ * Test cron schedules
+ *
+ * Checks cron expression parsing and next-run calculation
+ * (utils/cronSchedule.js) used by the scheduler. No Supabase calls.
+ *
+ * Usage: node scripts/test-cron-schedule.js
+ */
+
+const { parseCronExpression, getNextCronTime } = require('../utils/cronSchedule');
+const { check, finish } = require('./lib/check');
+
+/**
+ * Checks that an expression is rejected
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if parsing throws
+ */
+function rejects(expression) {
+  try {
+    parseCronExpression(expression);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+console.log('=== Testing Cron Schedule ===\n');
+
+const TZ = 'America/New_York';
+const next = (expression, after) => {
+  const time = getNextCronTime(expression, new Date(after), TZ);
+  return time ? time.toISOString() : null;
+};
+
+console.log('--- parsing ---');
+const reminders = parseCronExpression('*/15 7-18 * * *');
+check('steps and ranges', [...reminders.minute.values].join() === '0,15,30,45' && reminders.hour.values.size === 12);
+check('lists and stepped ranges', [...parseCronExpression('0,30 9 1-10/3 * *').dayOfMonth.values].join() === '1,4,7,10');
+check('7 is Sunday', parseCronExpression('0 9 * * 7').dayOfWeek.values.has(0));
+check('rejects wrong field count', rejects('*/15 7-18 * *'));
+check('rejects out-of-range values', rejects('60 * * * *') && rejects('0 24 * * *') && rejects('0 0 0 * *'));
+check('rejects malformed fields', rejects('a * * * *') && rejects('*/0 * * * *') && rejects('5-1 * * * *'));
+
+console.log('\n--- next run ---');
+// Sunday Jan 6 2030, 12:07 EST (17:07 UTC)
+check('next quarter hour', next('*/15 7-18 * * *', '2030-01-06T17:07:00Z') === '2030-01-06T17:15:00.000Z');
+check('strictly after the current occurrence', next('*/15 7-18 * * *', '2030-01-06T17:15:00Z') === '2030-01-06T17:30:00.000Z');
+check('after the last hour moves to the next morning', next('*/15 7-18 * * *', '2030-01-06T23:50:00Z') === '2030-01-07T12:00:00.000Z');
+// Friday 20:00 EST -> Monday 8:00 EST
+check('weekdays only skips the weekend', next('0 8 * * 1-5', '2030-01-12T01:00:00Z') === '2030-01-14T13:00:00.000Z');
+check('day of month or day of week', next('0 8 15 * 0', '2030-01-07T12:00:00Z') === '2030-01-13T13:00:00.000Z');
+check('Feb 29 finds the next leap year', next('0 0 29 2 *', '2030-01-01T00:00:00Z') === '2032-02-29T05:00:00.000Z');
+check('never-matching schedule returns null', next('0 0 31 2 *', '2030-01-01T00:00:00Z') === null);
+
+console.log('\n--- DST ---');
+// 8am local is 13:00 UTC in winter and 12:00 UTC in summer (DST starts Mar 10 2030)
+check('same local time across DST', next('0 8 * * *', '2030-03-09T14:00:00Z') === '2030-03-10T12:00:00.000Z');
+// 2:30am doesn't exist on Mar 10 2030 - runs at 3:30 EDT
+check('time skipped by DST runs the hour after', next('30 2 * * *', '2030-03-10T05:00:00Z') === '2030-03-10T07:30:00.000Z');
+
+finish();
@@ -0,0 +1,64 @@
+/**
+ * Test custom field ID resolution and validation
+ *
+ * Loads services/customFieldRegistry.js from the recorded location fields
+ * (scripts/fixtures/ghl-custom-fields.json) and checks key lookups, the last
+ * known IDs used before it loads and the validation report. No GHL calls.
+ *
+ * Usage: node scripts/test-custom-field-registry.js
+ */
+
+const { getFieldId, getFieldKey, validateFieldRegistry, FIELD_CATALOG } = require('../services/customFieldRegistry');
+const { loadFieldSnapshot } = require('./lib/fieldRegistryStub');
+const snapshot = require('./fixtures/ghl-custom-fields.json');
+const { check, finish } = require('./lib/check');
+
+const notInLocation = Object.keys(FIELD_CATALOG).filter(fieldKey => !snapshot.customFields.some(f => f.fieldKey === fieldKey));
+const liveField = (fieldKey) => snapshot.customFields.find(f => f.fieldKey === fieldKey);
+
+async function run() {
+  console.log('=== Testing Custom Field Registry ===\n');
+
+  console.log('--- catalog ---');
+  check('every key declares a single data type', Object.values(FIELD_CATALOG).every(f => typeof f.dataType === 'string'));
+  check('form-spec and mapping keys are catalogued', FIELD_CATALOG['contact.bank_1']?.dataType === 'TEXTBOX_LIST' &&
+    FIELD_CATALOG['contact.contactpending_litigation']?.dataType === 'RADIO');
+  check('every key has a last known ID', Object.values(FIELD_CATALOG).every(f => f.id));
+  check('mapping keys use the ID from jotform-to-ghl-mapping.json', FIELD_CATALOG['contact.bank_1'].id === 'r08JDyJjW7UyKp1B3DLH');
+
+  console.log('\n--- before the registry loads ---');
+  check('every key resolves to its last known ID', Object.keys(FIELD_CATALOG).every(fieldKey => getFieldId(fieldKey) === FIELD_CATALOG[fieldKey].id));
+  check('unknown key does not resolve', getFieldId('contact.no_such_field') === null);
+  check('last known ID maps back to its key', getFieldKey(FIELD_CATALOG['contact.pdf'].id) === 'contact.pdf');
+
+  console.log('\n--- live fields ---');
+  await loadFieldSnapshot();
+  check('key resolves to the live field ID', getFieldId('contact.practice_area') === liveField('contact.practice_area').id);
+  check('key missing from the location uses its last known ID', getFieldId('contact.caller_email') === FIELD_CATALOG['contact.caller_email'].id);
+  check('unknown key does not resolve', getFieldId('contact.no_such_field') === null);
+  check('live field ID maps back to its key', getFieldKey(liveField('contact.lead_source').id) === 'contact.lead_source');
+  check('last known ID of a missing key maps back to it', getFieldKey(FIELD_CATALOG['contact.spouse_number'].id) === 'contact.spouse_number');
+
+  console.log('\n--- validation ---');
+  let report = await validateFieldRegistry({ reload: false });
+  check('keys without a live field are reported missing', report.missing.length === notInLocation.length &&
+    report.missing.every(f => f.lastKnownId === FIELD_CATALOG[f.fieldKey].id));
+  check('recorded location has no type mismatches or changed IDs', report.typeMismatches.length === 0 && report.idChanged.length === 0);
+
+  await loadFieldSnapshot(snapshot.customFields.map(f => (f.fieldKey === 'contact.practice_area' ? { ...f, dataType: 'LARGE_TEXT' } : f)));
+  report = await validateFieldRegistry({ reload: false });
+  check('changed data type is reported', !report.valid && report.typeMismatches.length === 1 &&
+    report.typeMismatches[0].expected === 'TEXT' && report.typeMismatches[0].actual === 'LARGE_TEXT');
+
+  await loadFieldSnapshot(snapshot.customFields.map(f => (f.fieldKey === 'contact.pdf' ? { ...f, id: 'recreatedPdfId' } : f)));
+  report = await validateFieldRegistry({ reload: false });
+  check('recreated field resolves to its new ID and is reported', getFieldId('contact.pdf') === 'recreatedPdfId' &&
+    report.idChanged.length === 1 && report.idChanged[0].currentId === 'recreatedPdfId');
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
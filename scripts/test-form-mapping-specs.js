@@ -0,0 +1,154 @@
+/**
+ * Test the declarative form mapping specs against recorded fixtures
+ *
+ * Each file in scripts/fixtures/form-mapping/ holds a JotForm rawRequest and the
+ * parsed data + GHL contact payload produced for it. The fixtures were captured
+ * from the hand-written parsers/mappers the specs replaced, so a pass means the
+ * spec-driven output is identical (including parsed key order).
+ *
+ * Usage: node scripts/test-form-mapping-specs.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJotFormWebhook } = require('../utils/jotformParser');
+const { mapJotFormToGHL, getListOverflow } = require('../utils/dataMapper');
+const { parseJotFormIntakeWebhook } = require('../utils/jotformIntakeParser');
+const { mapIntakeToGHL } = require('../utils/intakeDataMapper');
+const { parseSubmission, mapToContact, applyTransforms } = require('../utils/formMappingEngine');
+const { buildOverflowNote, summarizeOverflow } = require('../services/listOverflowService');
+const { check, finish } = require('./lib/check');
+const { loadFieldSnapshot } = require('./lib/fieldRegistryStub');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'form-mapping');
+
+const FORMS = {
+  'personal-info': { parse: parseJotFormWebhook, map: mapJotFormToGHL },
+  intake: { parse: parseJotFormIntakeWebhook, map: mapIntakeToGHL }
+};
+
+async function run() {
+  console.log('=== Testing Form Mapping Specs ===\n');
+
+  const fixtureFiles = fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort();
+  const checkFixtures = (when) => {
+    for (const file of fixtureFiles) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+      const form = FORMS[fixture.form];
+
+      check(`${file} (${fixture.description}) ${when}`, () => {
+        const parsed = form.parse(fixture.rawRequest);
+        assert.strictEqual(JSON.stringify(parsed), JSON.stringify(fixture.expected.parsed), 'parsed data differs');
+        assert.deepStrictEqual(form.map(parsed), fixture.expected.contact, 'contact payload differs');
+      });
+    }
+  };
+
+  // Submissions can arrive before the custom field registry has loaded (or when it can't)
+  console.log('--- fixtures, registry not loaded ---');
+  checkFixtures('before the registry loads');
+
+  console.log('\n--- fixtures, registry loaded ---');
+  await loadFieldSnapshot();
+  checkFixtures('with the registry loaded');
+
+  console.log('\n--- engine ---');
+  const spec = {
+    form: 'test',
+    input: { format: 'json-or-urlencoded' },
+    fields: [
+      { name: 'fullName', question: 'q1_name', type: 'name', format: '{first} {last}', transforms: ['trim'] },
+      { name: 'mobile', question: ['q2_mobile', 'q3_phone'], type: 'phone' },
+      { name: 'dob', question: 'q4_dob', type: 'date', format: 'YYYY-MM-DD' },
+      { name: 'interests', question: 'q5_interests', type: 'list' },
+      { name: 'notes', question: 'q6_notes' }
+    ],
+    contact: {
+      omitEmptyCustomFields: true,
+      standardFields: [
+        { field: 'firstName', from: { field: 'fullName', transforms: ['firstWord'] } },
+        { field: 'phone', from: 'mobile' }
+      ],
+      customFields: [
+        { key: ['contact.call_details', 'contact.contactcall_details'], from: 'notes' },
+        { key: 'contact.practice_area', from: 'interests', transforms: [{ join: ' | ' }] },
+        { key: 'contact.unknown_field_key', from: 'dob' }
+      ]
+    }
+  };
+
+  check('new form works from a spec alone (types, fallback questions, fan-out)', () => {
+    const parsed = parseSubmission(spec, {
+      q1_name: { first: 'Ada', last: 'Lovelace' },
+      q3_phone: { full: '(555) 010-0000' },
+      q4_dob: { year: '1815', month: '12', day: '10' },
+      q5_interests: ['Wills', 'Trusts'],
+      q6_notes: 'Called twice'
+    });
+    assert.deepStrictEqual(parsed, {
+      fullName: 'Ada Lovelace',
+      mobile: '(555) 010-0000',
+      dob: '1815-12-10',
+      interests: ['Wills', 'Trusts'],
+      notes: 'Called twice'
+    });
+
+    const contact = mapToContact(spec, parsed);
+    assert.strictEqual(contact.firstName, 'Ada');
+    assert.strictEqual(contact.phone, '(555) 010-0000');
+    assert.deepStrictEqual(contact.customFields.map(f => f.field_value), ['Called twice', 'Called twice', 'Wills | Trusts']);
+  });
+
+  check('empty submission omits customFields', () => {
+    const contact = mapToContact(spec, parseSubmission(spec, { q9_other: 'x' }));
+    assert.deepStrictEqual(contact, {});
+  });
+
+  check('unknown transform throws', () => {
+    assert.throws(() => applyTransforms('x', ['shout']), /Unknown form mapping transform: shout/);
+  });
+
+  check('unknown field type throws', () => {
+    assert.throws(() => parseSubmission({ form: 'bad', fields: [{ name: 'x', question: 'q1', type: 'signature' }] }, {}),
+      /Unknown field type "signature"/);
+  });
+
+  console.log('\n--- list overflow ---');
+  const beneficiary = (n) => ({ Name: `Beneficiary ${n}`, Relationship: 'Child', City: '' });
+
+  check('lists within the 5 contact fields are not flagged', () => {
+    const parsed = parseJotFormWebhook({ q43_beneficiaries: [1, 2, 3, 4, 5].map(beneficiary) });
+    assert.deepStrictEqual(getListOverflow(parsed), []);
+  });
+
+  check('rows beyond the 5 contact fields are reported with the complete list', () => {
+    const parsed = parseJotFormWebhook({
+      q43_beneficiaries: JSON.stringify([1, 2, 3, 4, 5, 6, 7].map(beneficiary)),
+      q33_finances: [{ 'Name of Bank': 'First Bank' }]
+    });
+    const overflow = getListOverflow(parsed);
+
+    assert.strictEqual(mapJotFormToGHL(parsed).customFields.length, 6);
+    assert.deepStrictEqual(summarizeOverflow(overflow), [{ list: 'beneficiaries', total: 7, stored: 5, dropped: 2 }]);
+    assert.strictEqual(overflow[0].rows.length, 7);
+  });
+
+  check('overflow note lists every row and marks the ones not in contact fields', () => {
+    const parsed = parseJotFormWebhook({ q43_beneficiaries: [1, 2, 3, 4, 5, 6].map(beneficiary) });
+    const note = buildOverflowNote(getListOverflow(parsed), { submissionId: '123', contactName: 'Mary Jones' });
+    const lines = note.split('\n');
+
+    assert.ok(lines.includes('Submission: 123'));
+    assert.ok(lines.includes('Beneficiaries (6 submitted, first 5 stored in contact fields):'));
+    assert.ok(lines.includes('1. Name: Beneficiary 1 | Relationship: Child'));
+    assert.ok(lines.includes('6. Name: Beneficiary 6 | Relationship: Child [not in contact fields]'));
+  });
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
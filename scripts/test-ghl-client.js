@@ -0,0 +1,136 @@
+/**
+ * Test the GHL API client against a local mock server
+ *
+ * Points ghlClient at a small Express app (via GHL_API_BASE_URL) that returns
+ * 429s, 5xx errors and paginated results, and checks retries, Retry-After,
+ * pagination, timeouts and error passthrough.
+ *
+ * Usage: node scripts/test-ghl-client.js
+ */
+
+require('dotenv').config();
+const express = require('express');
+
+process.env.GHL_API_KEY = process.env.GHL_API_KEY || 'test-key';
+
+const ghlClient = require('../services/ghlClient');
+const { check, finish } = require('./lib/check');
+
+async function run() {
+  console.log('=== Testing GHL API Client ===\n');
+
+  const calls = {};
+  const count = (key) => {
+    calls[key] = (calls[key] || 0) + 1;
+    return calls[key];
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // 429 with Retry-After on the first call, then OK
+  app.get('/contacts/rate-limited', (req, res) => {
+    if (count('rate-limited') === 1) {
+      return res.status(429).set('Retry-After', '1').json({ message: 'Too many requests' });
+    }
+    res.json({ contact: { id: 'rate-limited' }, version: req.headers.version, auth: req.headers.authorization });
+  });
+
+  // 503 on GET, then OK
+  app.get('/opportunities/flaky', (req, res) => {
+    if (count('flaky-get') === 1) {
+      return res.status(503).json({ message: 'Service unavailable' });
+    }
+    res.json({ opportunity: { id: 'flaky' } });
+  });
+
+  // 500 on POST - must not be retried
+  app.post('/opportunities/', (req, res) => {
+    count('flaky-post');
+    res.status(500).json({ message: 'Internal error' });
+  });
+
+  // 400 duplicate - passed through untouched
+  app.post('/contacts/', (req, res) => {
+    count('duplicate');
+    res.status(400).json({ message: 'This location does not allow duplicated contacts.' });
+  });
+
+  // Cursor pagination: 3 pages of 2 items
+  app.get('/opportunities/search', (req, res) => {
+    const pages = { '': ['a', 'b'], b: ['c', 'd'], d: ['e'] };
+    const cursor = req.query.startAfterId || '';
+    const ids = pages[cursor] || [];
+    const last = ids[ids.length - 1];
+    res.json({
+      opportunities: ids.map(id => ({ id })),
+      meta: pages[last] ? { startAfterId: last, startAfter: Date.now() } : {}
+    });
+  });
+
+  // Slow endpoint for timeouts
+  app.get('/users/slow', (req, res) => {
+    setTimeout(() => res.json({ id: 'slow' }), 500);
+  });
+
+  const server = app.listen(0);
+  process.env.GHL_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('--- retries ---');
+    const startedAt = Date.now();
+    const contact = await ghlClient.contacts.get('rate-limited');
+    check('429 retried and succeeded', contact.contact?.id === 'rate-limited' && calls['rate-limited'] === 2);
+    check('Retry-After honored (waited ~1s)', Date.now() - startedAt >= 900);
+    check('Version and Authorization headers sent', contact.version === '2021-07-28' && contact.auth === 'Bearer test-key');
+
+    const opp = await ghlClient.opportunities.get('flaky');
+    check('503 on GET retried and succeeded', opp.opportunity?.id === 'flaky' && calls['flaky-get'] === 2);
+
+    try {
+      await ghlClient.opportunities.create({ name: 'Test' });
+      check('500 on POST throws', false);
+    } catch (error) {
+      check('500 on POST not retried', error.response?.status === 500 && calls['flaky-post'] === 1);
+    }
+
+    try {
+      await ghlClient.contacts.create({ phone: '+15555550100' });
+      check('400 duplicate throws', false);
+    } catch (error) {
+      check('400 error passed through with response data', error.response?.status === 400 &&
+        error.response?.data?.message?.includes('duplicated') && calls.duplicate === 1);
+    }
+
+    console.log('\n--- pagination ---');
+    const all = await ghlClient.opportunities.searchAll({ contact_id: 'c1' });
+    check('all pages collected', all.map(o => o.id).join(',') === 'a,b,c,d,e');
+
+    const limited = await ghlClient.paginate('/opportunities/search', { itemsKey: 'opportunities', maxPages: 2 });
+    check('maxPages respected', limited.length === 4);
+
+    console.log('\n--- timeouts ---');
+    try {
+      await ghlClient.users.get('slow', { timeout: 100, maxRetries: 0 });
+      check('per-call timeout throws', false);
+    } catch (error) {
+      check('per-call timeout throws', error.code === 'ECONNABORTED');
+    }
+
+    console.log('\n--- helpers ---');
+    check('Retry-After seconds parsed', ghlClient.parseRetryAfter('2') === 2000);
+    check('Retry-After HTTP date parsed', ghlClient.parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) > 3000);
+    const redacted = ghlClient.redact({ email: 'a@b.com', phone: '+1555', name: 'Jane', nested: { Authorization: 'Bearer x' } });
+    check('sensitive fields redacted', redacted.email === '[REDACTED]' && redacted.phone === '[REDACTED]' &&
+      redacted.name === 'Jane' && redacted.nested.Authorization === '[REDACTED]');
+  } finally {
+    server.close();
+  }
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
@@ -25,11 +25,11 @@ async function testIntakeSurveyStageCheck() {
 
   try {
     console.log('📤 Sending webhook request...');
-    console.log('⏱️  Note: This will take up to 90 seconds due to retry logic (30s + 60s)\n');
+    console.log('⏱️  Note: The webhook responds 202 immediately; the stage check runs as a background job (30s + 60s)\n');
 
     const startTime = Date.now();
 
-    const response = await axios.post(
+    const queuedResponse = await axios.post(
       `${serverUrl}/webhooks/intakeSurvey`,
       {
         'contact-id': contactId,
@@ -38,20 +38,39 @@ async function testIntakeSurveyStageCheck() {
         headers: {
           'Content-Type': 'application/json'
         },
-        timeout: 120000 // 2 minute timeout
+        timeout: 30000
       }
     );
 
+    console.log(`📥 Webhook responded with ${queuedResponse.status}:`);
+    console.log(JSON.stringify(queuedResponse.data, null, 2));
+
+    // Poll the job until it finishes (up to 3 minutes)
+    const jobId = queuedResponse.data.jobId;
+    let job = null;
+
+    while (Date.now() - startTime < 180000) {
+      await new Promise(resolve => setTimeout(resolve, 10000));
+      const jobResponse = await axios.get(`${serverUrl}/jobs/${jobId}`);
+      job = jobResponse.data.job;
+      console.log(`   Job status: ${job.status} (attempts: ${job.attempts})`);
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        break;
+      }
+    }
+
+    const response = { data: job.result || {} };
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
 
     console.log('\n═══════════════════════════════════════════════════════════');
-    console.log('✅ WEBHOOK REQUEST SUCCESSFUL');
+    console.log(`✅ JOB ${job.status.toUpperCase()}`);
     console.log('═══════════════════════════════════════════════════════════\n');
 
     console.log(`⏱️  Processing Time: ${duration} seconds\n`);
 
-    console.log('📋 Response:');
+    console.log('📋 Job Result:');
     console.log(JSON.stringify(response.data, null, 2));
 
     console.log('\n═══════════════════════════════════════════════════════════');
@@ -0,0 +1,31 @@
+/**
+ * Test SMS reply commands
+ *
+ * Checks the keyword grammar for inbound SMS replies (utils/smsCommands.js).
+ * No Supabase or GHL calls.
+ *
+ * Usage: node scripts/test-sms-commands.js
+ */
+
+const { parseSmsCommand } = require('../utils/smsCommands');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing SMS Reply Commands ===\n');
+
+const commandOf = (body) => parseSmsCommand(body).command;
+const all = (bodies, command) => bodies.every(body => commandOf(body) === command);
+
+check('confirm words', all(['Y', 'y', 'yes', 'YES', 'Confirm', 'confirmed'], 'confirm'));
+check('cancel words', all(['C', 'cancel', 'CANCEL'], 'cancel'));
+check('reschedule words', all(['R', 'r', 'Reschedule'], 'reschedule'));
+check('opt-out words', all(['STOP', 'stop', 'Unsubscribe', 'STOPALL'], 'opt_out'));
+check('opt-in words', all(['START', 'unstop'], 'opt_in'));
+check('whitespace, quotes and trailing punctuation are ignored', all([' Yes! ', 'yes.', '"Y"', 'confirm!!', 'Y\n'], 'confirm'));
+check('keyword must be the whole reply', all(['yes but can we move it', 'please cancel', 'stop texting me', 'yy', 'R2'], null));
+check('empty replies are not commands', all(['', '   ', null, undefined], null));
+check('keyword is reported normalized', parseSmsCommand(' STOP. ').keyword === 'stop');
+check('numbers answer the appointment menu', parseSmsCommand(' 2. ').command === 'select' && parseSmsCommand('2').selection === 2 && parseSmsCommand('10').selection === 10);
+check('longer numbers and mixed replies are not menu answers', all(['123', '2 please', '#2'], null));
+check('non-commands keep their text for staff', parseSmsCommand('Running  late').text === 'running late' && parseSmsCommand('Running late').keyword === null);
+
+finish();
@@ -0,0 +1,103 @@
+/**
+ * Test SMS opt-outs on scheduled reminders
+ *
+ * Runs processScheduledReminders() (services/appointmentSmsService.js) against
+ * in-memory tables (scripts/lib/supabaseStub.js): reminders to opted-out
+ * contacts are skipped, and a failed opt-out lookup leaves the reminder pending
+ * for the next run instead of closing it. The GHL SMS webhook is recorded
+ * instead of called.
+ *
+ * Usage: node scripts/test-sms-opt-out.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+const stub = stubSupabase();
+const axios = require('axios');
+const { check, finish } = require('./lib/check');
+
+let posted = [];
+axios.post = async (url, payload) => {
+  posted.push(payload);
+  return { data: { ok: true } };
+};
+
+const { isOptedOut } = require('../services/smsOptOutService');
+const { processScheduledReminders } = require('../services/appointmentSmsService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resets the tables to one due 24h reminder for the contact
+ */
+function seed({ optedOut = null } = {}) {
+  stub.tables.scheduled_sms = [{
+    id: 'sms-1',
+    appointment_id: 'appt-1',
+    contact_id: 'contact-1',
+    contact_name: 'Mary Jones',
+    contact_phone: '+18135550100',
+    event_title: 'Gabby Ang - EP Discovery Call - Naples - Mary Jones',
+    location: 'Naples',
+    appointment_time: new Date(Date.now() + 23 * HOUR_MS).toISOString(),
+    scheduled_send_time: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+    reminder_offset: '24h',
+    status: 'pending',
+    claimed_by: null,
+    claimed_at: null
+  }];
+  stub.tables.sms_opt_outs = optedOut === null ? [] : [{ contact_id: 'contact-1', opted_out: optedOut }];
+  stub.tables.appointment_sms_messages = [];
+  delete stub.errors.sms_opt_outs;
+  posted = [];
+}
+
+const reminder = () => stub.tables.scheduled_sms[0];
+
+async function run() {
+  console.log('=== Testing SMS Opt-Outs ===\n');
+
+  console.log('--- opt-out lookup ---');
+  seed({ optedOut: true });
+  check('opted-out contact is suppressed', await isOptedOut('contact-1'));
+  seed({ optedOut: false });
+  check('contact who opted back in is not suppressed', !(await isOptedOut('contact-1')));
+  seed();
+  check('contact without a record is not suppressed', !(await isOptedOut('contact-1')));
+
+  stub.errors.sms_opt_outs = { message: 'connection reset' };
+  let threw = false;
+  try {
+    await isOptedOut('contact-1');
+  } catch (error) {
+    threw = error.message.includes('Failed to check SMS opt-out');
+  }
+  check('failed lookup throws instead of answering', threw);
+
+  console.log('\n--- scheduled reminders ---');
+  seed();
+  let results = await processScheduledReminders();
+  check('due reminder is sent', results.sent === 1 && posted.length === 1 && reminder().status === 'sent');
+
+  seed({ optedOut: true });
+  results = await processScheduledReminders();
+  check('reminder to an opted-out contact is skipped', results.optedOut === 1 && posted.length === 0 && reminder().status === 'skipped');
+
+  seed();
+  stub.errors.sms_opt_outs = { message: 'connection reset' };
+  results = await processScheduledReminders();
+  check('failed lookup sends nothing and is not counted as an opt-out', posted.length === 0 && results.optedOut === 0 && results.retrying === 1);
+  check('failed lookup leaves the reminder pending and unclaimed', reminder().status === 'pending' && reminder().claimed_at === null &&
+    reminder().error_message.includes('connection reset'));
+
+  delete stub.errors.sms_opt_outs;
+  results = await processScheduledReminders();
+  check('next run sends it once the lookup works', results.sent === 1 && posted.length === 1 && reminder().status === 'sent');
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
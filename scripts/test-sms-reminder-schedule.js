@@ -0,0 +1,88 @@
+/**
+ * Test SMS reminder scheduling
+ *
+ * Checks reminder offsets, send windows, the confirmation window and the cron's
+ * choice of due reminders (utils/smsReminderSchedule.js) against
+ * sms-reminder-policy.json. No Supabase or GHL calls.
+ *
+ * Usage: node scripts/test-sms-reminder-schedule.js
+ */
+
+const policy = require('../sms-reminder-policy.json');
+const {
+  parseOffset,
+  getReminderRules,
+  planReminders,
+  isInSendWindow,
+  planConfirmation,
+  selectDueReminders
+} = require('../utils/smsReminderSchedule');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing SMS Reminder Schedule ===\n');
+
+const TZ = 'America/New_York';
+const labels = (reminders) => reminders.map(r => r.label).join();
+
+console.log('--- offsets and rules ---');
+check('parses hours, minutes and days', parseOffset('72h') === 4320 && parseOffset('30m') === 30 && parseOffset('2d') === 2880);
+check('rejects invalid offsets', parseOffset('soon') === null && parseOffset('0h') === null);
+check('meeting types use their own offsets, longest first', labels(getReminderRules(policy, 'Vision Meeting')) === '72h,24h,2h');
+check('unknown meeting types use the default reminders', labels(getReminderRules(policy, 'Coffee')) === '24h');
+
+console.log('\n--- planning ---');
+// Friday Jan 10 2030, 11:00 EST (16:00 UTC)
+const now = new Date('2030-01-01T12:00:00Z');
+const vision = planReminders('2030-01-10T16:00:00Z', getReminderRules(policy, 'Vision Meeting'), now, TZ);
+check('all three reminders scheduled', labels(vision.reminders) === '72h,24h,2h');
+check('72h reminder keeps its exact time inside the window', vision.reminders[0].sendAt.toISOString() === '2030-01-07T16:00:00.000Z');
+check('2h reminder at 9am is inside its window', vision.reminders[2].sendAt.toISOString() === '2030-01-10T14:00:00.000Z');
+
+// 8:00 EST appointment: 24h reminder at 8:00 is fine, 2h reminder at 6:00 is outside 07:00-19:00
+const early = planReminders('2030-01-10T13:00:00Z', getReminderRules(policy, 'Vision Meeting'), now, TZ);
+check('2h reminder outside its window is skipped', labels(early.reminders) === '72h,24h' && early.skipped[0].label === '2h');
+
+// 18:30 EST appointment: 24h reminder at 18:30 is clamped to an hour before the window closes
+const evening = planReminders('2030-01-10T23:30:00Z', getReminderRules(policy, 'Vision Meeting'), now, TZ);
+check('late reminder is clamped to 15:00', evening.reminders[1].sendAt.toISOString() === '2030-01-09T20:00:00.000Z');
+
+// 07:00 EST appointment: 24h reminder at 07:00 is clamped to the window opening
+const morning = planReminders('2030-01-10T12:00:00Z', getReminderRules(policy, 'EP Discovery Call'), now, TZ);
+check('early reminder is clamped to 08:00', morning.reminders[0].sendAt.toISOString() === '2030-01-09T13:00:00.000Z');
+
+const soon = planReminders('2030-01-02T16:00:00Z', getReminderRules(policy, 'Vision Meeting'), now, TZ);
+check('reminders whose time has passed are skipped', labels(soon.reminders) === '24h,2h' && soon.skipped[0].reason === 'send time has passed');
+
+console.log('\n--- confirmation ---');
+check('confirmation is sent inside its window', planConfirmation(policy, '2030-01-10T16:00:00Z', new Date('2030-01-09T17:00:00Z'), TZ).send); // 12:00 EST
+check('booking at 22:00 gets no confirmation SMS', !planConfirmation(policy, '2030-01-10T16:00:00Z', new Date('2030-01-10T03:00:00Z'), TZ).send);
+check('no confirmation for an appointment that started', !planConfirmation(policy, '2030-01-09T16:00:00Z', new Date('2030-01-09T17:00:00Z'), TZ).send);
+check('policies without a confirmation window always send', planConfirmation({}, '2030-01-10T16:00:00Z', new Date('2030-01-10T03:00:00Z'), TZ).send);
+
+console.log('\n--- cron ---');
+const row = (id, appointmentId, offset, sendAt, window = ['08:00', '16:00']) => ({
+  id,
+  appointment_id: appointmentId,
+  reminder_offset: offset,
+  scheduled_send_time: sendAt,
+  appointment_time: '2030-01-10T16:00:00Z',
+  send_window_start: window && window[0],
+  send_window_end: window && window[1]
+});
+const cronTime = new Date('2030-01-09T17:00:00Z'); // 12:00 EST
+check('row inside its window can be sent', isInSendWindow(row('1', 'A', '24h', '2030-01-09T16:00:00Z'), cronTime, TZ));
+check('row outside its window waits', !isInSendWindow(row('1', 'A', '2h', '2030-01-09T16:00:00Z', ['13:00', '19:00']), cronTime, TZ));
+check('legacy rows use the 8am-4pm window', isInSendWindow({ scheduled_send_time: '2030-01-09T16:00:00Z' }, cronTime, TZ) &&
+  !isInSendWindow({ scheduled_send_time: '2030-01-09T16:00:00Z' }, new Date('2030-01-09T23:00:00Z'), TZ));
+
+const due = selectDueReminders([
+  row('1', 'A', '72h', '2030-01-07T16:00:00Z'),
+  row('2', 'A', '24h', '2030-01-09T16:00:00Z'),
+  row('3', 'B', '24h', '2030-01-09T16:00:00Z', ['13:00', '16:00']),
+  { ...row('4', 'C', '2h', '2030-01-09T15:00:00Z'), appointment_time: '2030-01-09T16:00:00Z' }
+], cronTime, TZ);
+check('only the latest due reminder of an appointment is sent', due.send.map(r => r.id).join() === '2' && due.superseded[0].row.id === '1');
+check('due reminder outside its window waits', due.wait.map(r => r.id).join() === '3');
+check('reminders for appointments that started expire', due.expired.map(r => r.id).join() === '4');
+
+finish();
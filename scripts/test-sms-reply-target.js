@@ -0,0 +1,142 @@
+/**
+ * Test SMS reply targeting
+ *
+ * Checks which appointment a reply is matched to and the numbered appointment
+ * menu (utils/smsReplyTarget.js). No Supabase or GHL calls.
+ *
+ * Usage: node scripts/test-sms-reply-target.js
+ */
+
+const {
+  selectUpcomingAppointments,
+  resolveReplyTarget,
+  findOpenMenu,
+  buildAppointmentMenu,
+  selectMenuOption
+} = require('../utils/smsReplyTarget');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing SMS Reply Targeting ===\n');
+
+const now = new Date('2030-03-01T12:00:00Z');
+const reminderRow = (id, appointmentId, status, createdAt, extra = {}) => ({
+  id,
+  appointment_id: appointmentId,
+  status,
+  created_at: createdAt,
+  event_title: `Old title ${appointmentId}`,
+  appointment_time: '2030-03-10T15:00:00Z',
+  ...extra
+});
+
+const cancelledAfterReminder = selectUpcomingAppointments(
+  [reminderRow('r1', 'appt-a', 'sent', '2030-02-20T10:00:00Z'), reminderRow('r2', 'appt-b', 'pending', '2030-02-21T10:00:00Z')],
+  [{ appointment_id: 'appt-a', status: 'cancelled' }, { appointment_id: 'appt-b', status: 'booked' }],
+  now
+);
+check('an appointment cancelled after its reminder was sent is not upcoming',
+  cancelledAfterReminder.map(row => row.appointment_id).join(',') === 'appt-b');
+
+const rescheduled = selectUpcomingAppointments(
+  [
+    reminderRow('r1', 'appt-a', 'sent', '2030-02-20T10:00:00Z'),
+    reminderRow('r3', 'appt-a', 'pending', '2030-02-25T10:00:00Z', { event_title: 'New title', appointment_time: '2030-03-12T15:00:00Z' })
+  ],
+  [{ appointment_id: 'appt-a', status: 'rescheduled', title: 'New title', start_time: '2030-03-12T15:00:00Z' }],
+  now
+);
+check('a rescheduled appointment keeps its newest reminder row, once',
+  rescheduled.length === 1 && rescheduled[0].id === 'r3');
+
+const staleOnly = selectUpcomingAppointments(
+  [reminderRow('r1', 'appt-a', 'sent', '2030-02-20T10:00:00Z')],
+  [{ appointment_id: 'appt-a', status: 'rescheduled', title: 'New title', start_time: '2030-03-12T15:00:00Z' }],
+  now
+);
+check('the appointment record\'s title and time win over a stale reminder row',
+  staleOnly[0].event_title === 'New title' && staleOnly[0].appointment_time === '2030-03-12T15:00:00Z');
+
+const ordered = selectUpcomingAppointments(
+  [
+    reminderRow('r1', 'appt-late', 'pending', '2030-02-20T10:00:00Z', { appointment_time: '2030-03-20T15:00:00Z' }),
+    reminderRow('r2', 'appt-soon', 'pending', '2030-02-20T10:00:00Z', { appointment_time: '2030-03-05T15:00:00Z' }),
+    reminderRow('r3', 'appt-moved-past', 'sent', '2030-02-20T10:00:00Z')
+  ],
+  [{ appointment_id: 'appt-moved-past', status: 'rescheduled', start_time: '2030-02-28T15:00:00Z' }],
+  now
+);
+check('upcoming appointments are earliest first and ones moved into the past drop out',
+  ordered.map(row => row.appointment_id).join(',') === 'appt-soon,appt-late');
+
+const sent = (appointmentId, sentAt, extra = {}) => ({
+  appointment_id: appointmentId,
+  message_type: 'reminder',
+  conversation_id: null,
+  sent_at: sentAt,
+  ...extra
+});
+
+// Newest first, as getRecentOutboundSms() returns them
+const twoAppointments = ['appt-a', 'appt-b'];
+
+check('no upcoming appointment has no target',
+  resolveReplyTarget([], []).appointmentId === null && !resolveReplyTarget([], []).ambiguous);
+check('a single upcoming appointment is the target even without a log',
+  resolveReplyTarget(['appt-a'], []).appointmentId === 'appt-a');
+check('several appointments and no logged SMS is ambiguous',
+  resolveReplyTarget(twoAppointments, []).ambiguous === true);
+
+const apart = [
+  sent('appt-b', '2030-03-05T14:00:00Z'),
+  sent('appt-a', '2030-03-04T14:00:00Z')
+];
+check('the last appointment texted about is the target', resolveReplyTarget(twoAppointments, apart).appointmentId === 'appt-b');
+
+const together = [
+  sent('appt-b', '2030-03-05T14:10:00Z'),
+  sent('appt-a', '2030-03-05T14:00:00Z')
+];
+check('SMS about two appointments sent together are ambiguous', resolveReplyTarget(twoAppointments, together).ambiguous === true);
+
+const sameAppointment = [
+  sent('appt-b', '2030-03-05T14:10:00Z', { message_type: 'reschedule_link' }),
+  sent('appt-b', '2030-03-05T14:00:00Z'),
+  sent('appt-a', '2030-03-04T14:00:00Z')
+];
+check('several SMS about the same appointment are not ambiguous',
+  resolveReplyTarget(twoAppointments, sameAppointment).appointmentId === 'appt-b');
+
+const pastAppointment = [
+  sent('appt-old', '2030-03-05T14:00:00Z'),
+  sent('appt-a', '2030-03-04T14:00:00Z')
+];
+check('SMS about appointments no longer upcoming are ignored',
+  resolveReplyTarget(twoAppointments, pastAppointment).appointmentId === 'appt-a');
+
+const conversations = [
+  sent('appt-b', '2030-03-05T14:00:00Z', { conversation_id: 'conv-2' }),
+  sent('appt-a', '2030-03-04T14:00:00Z', { conversation_id: 'conv-1' })
+];
+check('only SMS in the reply\'s conversation count',
+  resolveReplyTarget(twoAppointments, conversations, { conversationId: 'conv-1' }).appointmentId === 'appt-a');
+
+const menu = buildAppointmentMenu([
+  { appointmentId: 'appt-a', label: 'Initial Meeting', time: 'Monday, March 4, 2030 at 10:00 AM' },
+  { appointmentId: 'appt-b', label: 'Vision Meeting', time: 'Tuesday, March 5, 2030 at 2:00 PM' }
+], 'cancel');
+check('menu numbers the appointments in order',
+  menu.options.map(o => `${o.number}:${o.appointmentId}`).join(',') === '1:appt-a,2:appt-b');
+check('menu text asks for a number and lists the options',
+  menu.text.includes('want to cancel') && menu.text.includes('1. Initial Meeting - Monday, March 4, 2030 at 10:00 AM') && menu.text.includes('2. Vision Meeting'));
+
+const menuMessage = { message_type: 'appointment_menu', sent_at: '2030-03-05T14:00:00Z', resolved_at: null, menu_command: 'cancel', menu_options: menu.options };
+check('a number picks its option', selectMenuOption(menuMessage, 2).appointmentId === 'appt-b');
+check('a number outside the menu picks nothing', selectMenuOption(menuMessage, 3) === null && selectMenuOption(menuMessage, 0) === null);
+
+const replyAt = new Date('2030-03-05T15:00:00Z');
+check('a menu is open when it was the last SMS sent', findOpenMenu([menuMessage, ...apart], replyAt) === menuMessage);
+check('a menu is closed once answered', findOpenMenu([{ ...menuMessage, resolved_at: '2030-03-05T14:05:00Z' }], replyAt) === null);
+check('a menu is closed once another SMS went out after it', findOpenMenu([sent('appt-a', '2030-03-05T14:30:00Z'), menuMessage], replyAt) === null);
+check('a menu expires after a day', findOpenMenu([menuMessage], new Date('2030-03-06T14:01:00Z')) === null);
+
+finish();
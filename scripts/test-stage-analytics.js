@@ -0,0 +1,67 @@
+/**
+ * Test stage analytics aggregation
+ *
+ * Runs the utils/stageAnalytics.js reports against a small, fixed
+ * opportunity_stage_history sample. No Supabase calls.
+ *
+ * Usage: node scripts/test-stage-analytics.js
+ */
+
+const {
+  summarizeOpportunityHistory,
+  averageStageDurations,
+  stageConversionRates,
+  findStuckOpportunities
+} = require('../utils/stageAnalytics');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Stage Analytics ===\n');
+
+const now = new Date('2025-12-31T00:00:00Z');
+const day = (d) => `2025-12-${String(d).padStart(2, '0')}T00:00:00Z`;
+const stay = (opportunityId, stageId, stageName, entered, exited, next) => ({
+  opportunity_id: opportunityId,
+  stage_id: stageId,
+  stage_name: stageName,
+  entered_at: day(entered),
+  exited_at: exited ? day(exited) : null,
+  duration_seconds: exited ? (exited - entered) * 86400 : null,
+  next_stage_id: next ? next[0] : null,
+  next_stage_name: next ? next[1] : null
+});
+
+const rows = [
+  stay('O1', 'S1', 'Consult', 1, 3, ['S2', 'Engaged']),
+  stay('O1', 'S2', 'Engaged', 3, 10, ['S1', 'Consult']),
+  stay('O1', 'S1', 'Consult', 10, null),
+  stay('O2', 'S1', 'Consult', 2, 8, ['S9', 'Lost']),
+  stay('O2', 'S9', 'Lost', 8, null),
+  stay('O3', 'S1', 'Consult', 28, null)
+];
+
+console.log('--- time in stage ---');
+const o1 = summarizeOpportunityHistory(rows.filter(r => r.opportunity_id === 'O1'), now);
+const consult = o1.timeInStage.find(s => s.stageId === 'S1');
+check('timeline is in order with the open stay last', o1.timeline.map(s => s.stageName).join() === 'Consult,Engaged,Consult');
+check('returning to a stage adds up both visits (2 days + 21 open days)', consult.visits === 2 && consult.hours === 23 * 24);
+check('current stage is the open stay', o1.currentStage.stageName === 'Consult' && o1.currentStage.hours === 21 * 24);
+
+console.log('\n--- durations ---');
+const durations = averageStageDurations(rows, now);
+const consultDurations = durations.find(s => s.stageId === 'S1');
+check('average uses completed stays only', consultDurations.completedStays === 2 && consultDurations.averageHours === 4 * 24);
+check('open stays are counted separately', consultDurations.currentlyInStage === 2);
+check('stage with no completed stays has no average', durations.find(s => s.stageId === 'S9').averageHours === null);
+
+console.log('\n--- conversions ---');
+const conversions = stageConversionRates(rows);
+const fromConsult = conversions.find(s => s.stageId === 'S1');
+check('conversion rates are out of everyone who entered', fromConsult.entered === 4 && fromConsult.transitions.every(t => t.rate === 0.25));
+check('still in stage = entered - exited', fromConsult.stillInStage === 2);
+
+console.log('\n--- stuck ---');
+const stuck = findStuckOpportunities(rows, 14 * 24, now);
+check('only open stays past the threshold, longest first', stuck.map(s => s.opportunityId).join() === 'O2,O1');
+check('reports days in stage', stuck[0].days === 23);
+
+finish();
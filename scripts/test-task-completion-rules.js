@@ -0,0 +1,98 @@
+/**
+ * Test task completion rule matching
+ *
+ * Checks which task_completion_rules fire for a completed task (ruleMatches),
+ * how outcome tags are read from it (getOutcomeTags) and when it completes its
+ * stage (areStageTasksCompleted) in services/taskCompletionRulesService.js.
+ * Supabase is replaced with in-memory tables (scripts/lib/supabaseStub.js) and
+ * GHL's task list with a fixed one; no network calls.
+ *
+ * Usage: node scripts/test-task-completion-rules.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+const stub = stubSupabase();
+const ghlClient = require('../services/ghlClient');
+const { ruleMatches, getOutcomeTags, areStageTasksCompleted } = require('../services/taskCompletionRulesService');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Task Completion Rules ===\n');
+
+const facts = (overrides = {}) => ({
+  templateId: '12',
+  stageId: 'stage-engaged',
+  outcomeTags: [],
+  stageTasksCompleted: false,
+  ...overrides
+});
+const sameItems = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+console.log('--- outcome tags ---');
+check('hashtags in the title are read', sameItems(getOutcomeTags({ title: 'Follow up call #no-answer' }), ['no-answer']));
+check('hashtags in the body are read', sameItems(getOutcomeTags({ title: 'Follow up call', body: 'Left voicemail #No_Answer' }), ['no_answer']));
+check('tags sent with the webhook are read', sameItems(getOutcomeTags({ title: 'Follow up call', outcomeTags: ['Signed'] }), ['signed']));
+check('a single webhook tag string is read', sameItems(getOutcomeTags({ title: 'Follow up call', outcomeTags: '#signed' }), ['signed']));
+check('hashtags and webhook tags are combined without duplicates', sameItems(
+  getOutcomeTags({ title: 'Call #signed', body: '#paid', outcomeTags: ['SIGNED', 'declined'] }),
+  ['signed', 'paid', 'declined']
+));
+check('a task without tags has none', getOutcomeTags({ title: 'Follow up call' }).length === 0);
+check('a lone # is not a tag', getOutcomeTags({ title: 'Call client # 2', outcomeTags: ['', '#'] }).length === 0);
+
+console.log('\n--- task_completed ---');
+const completedRule = { trigger_type: 'task_completed', task_template_id: 12 };
+check('fires for its template (ids compared as strings)', ruleMatches(completedRule, facts()));
+check('does not fire for another template', !ruleMatches(completedRule, facts({ templateId: '13' })));
+check('does not fire when the template is unknown', !ruleMatches(completedRule, facts({ templateId: null })));
+
+console.log('\n--- stage scope ---');
+const scoped = { ...completedRule, stage_id: 'stage-engaged' };
+check('stage-scoped rule fires in its stage', ruleMatches(scoped, facts()));
+check('stage-scoped rule does not fire in another stage', !ruleMatches(scoped, facts({ stageId: 'stage-intake' })));
+check('rule without a stage fires in any stage', ruleMatches(completedRule, facts({ stageId: 'stage-intake' })));
+
+console.log('\n--- stage_tasks_completed ---');
+const stageRule = { trigger_type: 'stage_tasks_completed', stage_id: 'stage-engaged' };
+check('fires when every stage task is done', ruleMatches(stageRule, facts({ stageTasksCompleted: true })));
+check('does not fire while stage tasks are open', !ruleMatches(stageRule, facts()));
+check('does not fire in another stage even when its tasks are done', !ruleMatches(stageRule, facts({ stageId: 'stage-intake', stageTasksCompleted: true })));
+
+console.log('\n--- outcome_tag ---');
+const anyTask = { trigger_type: 'outcome_tag', outcome_tag: '#No-Answer' };
+const oneTemplate = { ...anyTask, task_template_id: '12' };
+check('rule without a template fires for any task with the tag', ruleMatches(anyTask, facts({ templateId: null, outcomeTags: ['no-answer'] })));
+check('rule tag is normalized (case, leading #)', ruleMatches(anyTask, facts({ outcomeTags: getOutcomeTags({ title: 'Call #NO-ANSWER' }) })));
+check('rule without a template does not fire without the tag', !ruleMatches(anyTask, facts({ outcomeTags: ['signed'] })));
+check('rule with a template fires for that template with the tag', ruleMatches(oneTemplate, facts({ outcomeTags: ['no-answer'] })));
+check('rule with a template does not fire for another template', !ruleMatches(oneTemplate, facts({ templateId: '13', outcomeTags: ['no-answer'] })));
+check('rule with a template does not fire when the template is unknown', !ruleMatches(oneTemplate, facts({ templateId: null, outcomeTags: ['no-answer'] })));
+check('tag sent with the webhook fires the rule', ruleMatches(anyTask, facts({ outcomeTags: getOutcomeTags({ title: 'Call', outcomeTags: ['no-answer'] }) })));
+
+console.log('\n--- unknown trigger ---');
+check('unknown trigger_type never fires', !ruleMatches({ trigger_type: 'task_deleted', task_template_id: '12' }, facts({ stageTasksCompleted: true })));
+
+async function checkStageCompletion() {
+  console.log('\n--- stage completion ---');
+  stub.tables.opportunity_stage_changes = [{ opportunity_id: 'opp-1', new_stage_id: 'stage-engaged', task_ids: ['t1', 't2'] }];
+  stub.tables.task_dependencies = [];
+  let ghlTasks = [{ id: 't1', completed: true }, { id: 't2', completed: false }];
+  ghlClient.tasks.list = async () => ({ tasks: ghlTasks });
+
+  const completes = (completedTaskId, stageId = 'stage-engaged') => areStageTasksCompleted({ opportunityId: 'opp-1', contactId: 'contact-1', stageId, completedTaskId });
+
+  check('completing the last open stage task completes the stage', await completes('t2'));
+  check('completing a stage task while another is open does not', !(await completes('t1')));
+
+  ghlTasks = [{ id: 't1', completed: true }, { id: 't2', completed: true }, { id: 'rule-task', completed: true }];
+  check('completing another task after the stage is done does not complete it again', !(await completes('rule-task')));
+  check('a stage task in another stage does not complete it', !(await completes('t2', 'stage-intake')));
+
+  stub.tables.task_dependencies = [{ opportunity_id: 'opp-1', status: 'waiting' }];
+  check('tasks waiting for a predecessor keep the stage open', !(await completes('t2')));
+}
+
+checkStageCompletion().then(finish).catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Test conditional stage task templates
+ *
+ * Evaluates ghl_task_list `conditions` against a sample opportunity and contact
+ * to check which templates would be created or skipped. No GHL or Supabase calls.
+ *
+ * Usage: node scripts/test-task-conditions.js
+ */
+
+const { evaluateConditions, filterTasksByConditions } = require('../services/taskConditionService');
+const { getFieldId } = require('../services/customFieldRegistry');
+const { loadFieldSnapshot } = require('./lib/fieldRegistryStub');
+const { check, finish } = require('./lib/check');
+
+async function run() {
+  console.log('=== Testing Task Conditions ===\n');
+
+  const context = {
+    contact: {
+      id: 'contact-1',
+      tags: ['Probate', 'referral'],
+      customFields: [
+        { id: getFieldId('contact.practice_area'), value: ' probate ' },
+        { id: getFieldId('contact.are_you_a_florida_resident'), value: 'No' },
+        { id: getFieldId('contact.are_you_and_your_spouse_planning_together'), value: '' }
+      ]
+    },
+    opportunity: {
+      id: 'opp-1',
+      source: 'Google Ads',
+      customFields: []
+    }
+  };
+
+  const rule = (field, operator, value) => ({ field, operator, value });
+
+  // Stage tasks can be created before the custom field registry has loaded
+  console.log('--- registry not loaded ---');
+  check('equals reads the field by its last known ID', evaluateConditions(rule('contact.practice_area', 'equals', 'Probate'), context).applies);
+  check('not_equals reads the field by its last known ID', !evaluateConditions(rule('contact.practice_area', 'not_equals', 'Probate'), context).applies);
+
+  await loadFieldSnapshot();
+
+  console.log('\n--- rules ---');
+  check('equals ignores case and whitespace', evaluateConditions(rule('contact.practice_area', 'equals', 'Probate'), context).applies);
+  check('not_equals', evaluateConditions(rule('contact.are_you_a_florida_resident', 'not_equals', 'Yes'), context).applies);
+  check('in', evaluateConditions(rule('contact.practice_area', 'in', ['Probate', 'Trust Administration']), context).applies);
+  check('contains on a list property', evaluateConditions(rule('contact.tags', 'contains', 'referral'), context).applies);
+  check('standard opportunity property', evaluateConditions(rule('opportunity.source', 'contains', 'google'), context).applies);
+  check('blank field is not_exists', evaluateConditions(rule('contact.are_you_and_your_spouse_planning_together', 'not_exists'), context).applies);
+  check('unknown field is an error, not an empty value', (() => {
+    try {
+      evaluateConditions(rule('contact.no_such_field', 'not_equals', 'x'), context);
+      return false;
+    } catch (error) {
+      return error.message === 'No custom field ID found for contact.no_such_field';
+    }
+  })());
+  check('template on an unknown field is skipped as invalid', filterTasksByConditions(
+    [{ task_number: 9, task_name: 'Unknown field', conditions: [rule('contact.no_such_field', 'not_equals', 'x')] }], context
+  ).skipped[0]?.reasons[0] === 'invalid conditions: No custom field ID found for contact.no_such_field');
+
+  console.log('\n--- groups ---');
+  check('list of rules requires all', !evaluateConditions([
+    rule('contact.practice_area', 'equals', 'Probate'),
+    rule('contact.are_you_a_florida_resident', 'equals', 'Yes')
+  ], context).applies);
+  check('any group passes on one match', evaluateConditions({ any: [
+    rule('contact.practice_area', 'equals', 'Estate Planning'),
+    rule('contact.are_you_a_florida_resident', 'equals', 'No')
+  ] }, context).applies);
+  check('no conditions always applies', evaluateConditions(null, context).applies && evaluateConditions([], context).applies);
+
+  console.log('\n--- stage templates ---');
+  const tasks = [
+    { task_number: 1, task_name: 'Welcome call', conditions: null },
+    { task_number: 2, task_name: 'Order death certificate', conditions: [rule('contact.practice_area', 'equals', 'Probate')] },
+    { task_number: 3, task_name: 'Draft joint trust', conditions: JSON.stringify([rule('contact.are_you_and_your_spouse_planning_together', 'equals', 'Yes')]) },
+    { task_number: 4, task_name: 'Typo', conditions: [rule('contact.practice_area', 'is', 'Probate')] }
+  ];
+  const { applicable, skipped } = filterTasksByConditions(tasks, context);
+  check('unconditional and matching templates are created', applicable.map(t => t.task_number).join(',') === '1,2');
+  check('skipped template reports why', skipped[0].taskNumber === 3 &&
+    skipped[0].reasons[0] === 'contact.are_you_and_your_spouse_planning_together equals "Yes" (is empty)');
+  check('invalid conditions are skipped, not created', skipped[1].taskNumber === 4 && skipped[1].reasons[0].startsWith('invalid conditions'));
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
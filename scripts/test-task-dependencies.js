@@ -0,0 +1,108 @@
+/**
+ * Test task dependency planning and bookkeeping
+ *
+ * Checks which stage task templates utils/taskDependencies.js creates straight
+ * away and which wait for a predecessor, and that services/taskDependencyService.js
+ * doesn't leave tasks waiting forever when their predecessor is deleted or never
+ * finishes creating. Supabase is replaced with in-memory tables
+ * (scripts/lib/supabaseStub.js); no GHL calls.
+ *
+ * Usage: node scripts/test-task-dependencies.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+const stub = stubSupabase();
+const { planTaskChain, getPredecessorNumber } = require('../utils/taskDependencies');
+const { completeWaitingTask, hasWaitingTasks } = require('../services/taskDependencyService');
+const { markTaskDeleted } = require('../services/ghlTaskService');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Task Dependencies ===\n');
+
+const template = (taskNumber, predecessor = null) => ({
+  id: `T${taskNumber}`,
+  task_number: taskNumber,
+  task_name: `Task ${taskNumber}`,
+  predecessor_task_number: predecessor
+});
+const numbers = (tasks) => tasks.map(task => task.task_number).join();
+
+console.log('--- predecessor number ---');
+check('missing predecessor is null', getPredecessorNumber(template(1)) === null);
+check('empty string is null', getPredecessorNumber(template(1, '')) === null);
+check('numeric strings are read as numbers', getPredecessorNumber(template(2, '1')) === 1);
+
+console.log('\n--- chains ---');
+const sequential = planTaskChain([template(1), template(2, 1), template(3, 2)]);
+check('first task is created now', numbers(sequential.ready) === '1');
+check('later tasks wait', numbers(sequential.waiting) === '2,3');
+check('no notes for a valid chain', sequential.notes.length === 0);
+
+const parallel = planTaskChain([template(1), template(2), template(3, 1), template(4, 1)]);
+check('tasks without a predecessor are all created now', numbers(parallel.ready) === '1,2');
+check('several tasks can wait for the same predecessor', numbers(parallel.waiting) === '3,4');
+
+console.log('\n--- broken chains ---');
+const skipped = planTaskChain([template(2, 1), template(3, 2)]);
+check('task whose predecessor is not being created is created now', numbers(skipped.ready) === '2');
+check('its own dependents still wait', numbers(skipped.waiting) === '3');
+check('explains why', skipped.notes[0].reason === 'predecessor task 1 is not being created, created now');
+
+const self = planTaskChain([template(1, 1)]);
+check('task that is its own predecessor is created now', numbers(self.ready) === '1' && self.notes.length === 1);
+
+const loop = planTaskChain([template(1, 2), template(2, 1), template(3, 1)]);
+check('tasks in a loop are created now', numbers(loop.ready) === '1,2');
+check('task waiting on a loop member still waits', numbers(loop.waiting) === '3');
+check('loop is described', loop.notes[0].reason.startsWith('circular predecessors'));
+
+/**
+ * Resets task_dependencies to a chain 1 -> 2 -> 3 where task 1 exists in GHL
+ * @param {Object} overrides - task_number -> fields to change on that row
+ */
+function seedChain(overrides = {}) {
+  const row = (taskNumber, predecessor, predecessorGhlTaskId = null) => ({
+    id: `dep-${taskNumber}`,
+    chain_id: 'chain-1',
+    opportunity_id: 'opp-1',
+    task_number: taskNumber,
+    predecessor_task_number: predecessor,
+    predecessor_ghl_task_id: predecessorGhlTaskId,
+    status: 'waiting',
+    ...overrides[taskNumber]
+  });
+  stub.tables.task_dependencies = [row(2, 1, 'ghl-task-1'), row(3, 2)];
+  stub.tables.ghl_tasks = [{ ghl_task_id: 'ghl-task-1', status: 'open' }];
+}
+const statusOf = (taskNumber) => stub.tables.task_dependencies.find(row => row.task_number === taskNumber).status;
+
+async function checkStrandedTasks() {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+  process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+  console.log('\n--- deleted predecessor ---');
+  seedChain();
+  check('chain keeps the stage open', await hasWaitingTasks('opp-1'));
+  await markTaskDeleted('ghl-task-1');
+  check('tasks waiting for a deleted task are cancelled, down the chain', statusOf(2) === 'cancelled' && statusOf(3) === 'cancelled');
+  check('stage is no longer held open', !(await hasWaitingTasks('opp-1')));
+
+  console.log('\n--- failed predecessor ---');
+  seedChain({ 2: { status: 'creating', released_at: new Date().toISOString() } });
+  await completeWaitingTask(stub.tables.task_dependencies[0], { error: 'GHL unavailable' });
+  check('tasks waiting for a task that failed to create are cancelled', statusOf(2) === 'failed' && statusOf(3) === 'cancelled');
+
+  console.log('\n--- stale creating ---');
+  seedChain({ 2: { status: 'creating', released_at: new Date().toISOString() } });
+  check('task being created keeps the stage open', await hasWaitingTasks('opp-1') && statusOf(2) === 'creating');
+
+  seedChain({ 2: { status: 'creating', released_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() } });
+  check('task stuck creating does not hold the stage open', !(await hasWaitingTasks('opp-1')));
+  check('stuck task fails and its dependents are cancelled', statusOf(2) === 'failed' && statusOf(3) === 'cancelled');
+}
+
+checkStrandedTasks().then(finish).catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+/**
+ * Test task digest grouping and escalation rules
+ *
+ * Runs buildDigests(), getEscalationPolicy() and isEscalationDue() against
+ * sample ghl_tasks rows. No Supabase, GHL or email calls.
+ *
+ * Usage: node scripts/test-task-digest.js
+ */
+
+const {
+  buildDigests,
+  getEscalationPolicy,
+  isEscalationDue,
+  renderDigestEmail
+} = require('../utils/taskDigest');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Task Digest ===\n');
+
+// Friday 2025-12-19 9:00am EST; the firm's day ends at midnight EST
+const now = new Date('2025-12-19T14:00:00Z');
+const dayEnd = new Date('2025-12-20T05:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+const tasks = [
+  { ghl_task_id: 'T1', task_name: 'Call client', assignee_id: 'U1', assignee_name: 'Ann Lee', due_date: hoursFromNow(-3) },
+  { ghl_task_id: 'T2', task_name: 'Send letter', assignee_id: 'U1', due_date: hoursFromNow(-50) },
+  { ghl_task_id: 'T3', task_name: 'File deed', assignee_id: 'U1', due_date: hoursFromNow(6) },
+  { ghl_task_id: 'T4', task_name: 'Next week', assignee_id: 'U1', due_date: hoursFromNow(72) },
+  { ghl_task_id: 'T5', task_name: 'Nobody', assignee_id: null, due_date: hoursFromNow(-10) },
+  { ghl_task_id: 'T6', task_name: 'Review', assignee_id: 'U2', due_date: hoursFromNow(2) }
+];
+
+console.log('--- buildDigests ---');
+const digests = buildDigests(tasks, now, dayEnd);
+const ann = digests.find(d => d.assigneeId === 'U1');
+check('one digest per assignee, unassigned tasks left out', digests.length === 2);
+check('overdue tasks are listed oldest first', ann.overdue.map(t => t.ghl_task_id).join() === 'T2,T1');
+check('due later today is due today, tomorrow is not listed', ann.dueToday.map(t => t.ghl_task_id).join() === 'T3');
+check('assignee name comes from the mirrored task', ann.assigneeName === 'Ann Lee');
+check('subject counts both sections', renderDigestEmail(ann, { now, timeZone: 'America/New_York' }).subject === 'Task digest: 2 overdue, 1 due today');
+
+console.log('\n--- escalation ---');
+const defaults = { thresholdHours: 48, action: 'email_supervisor', escalateTo: 'SUP' };
+const templatePolicy = getEscalationPolicy({ escalation_threshold_hours: 2, escalation_action: 'create_task', escalation_user_id: 'BOSS' }, defaults);
+check('template settings override the defaults', templatePolicy.thresholdHours === 2 && templatePolicy.action === 'create_task' && templatePolicy.escalateTo === 'BOSS');
+check('template without settings uses the defaults', JSON.stringify(getEscalationPolicy({}, defaults)) === JSON.stringify({ thresholdHours: 48, action: 'email_supervisor', escalateTo: 'SUP' }));
+check('a threshold of 0 is kept', getEscalationPolicy({ escalation_threshold_hours: 0 }, defaults).thresholdHours === 0);
+check('overdue past the default threshold escalates', isEscalationDue(tasks[1], getEscalationPolicy(null, defaults), now));
+check('overdue within the default threshold does not', !isEscalationDue(tasks[0], getEscalationPolicy(null, defaults), now));
+check('per-template threshold escalates sooner', isEscalationDue(tasks[0], templatePolicy, now));
+check('already escalated tasks are not escalated again', !isEscalationDue({ ...tasks[1], escalated_at: hoursFromNow(-1) }, getEscalationPolicy(null, defaults), now));
+check('action none never escalates', !isEscalationDue(tasks[1], getEscalationPolicy({ escalation_action: 'none' }, defaults), now));
+
+finish();
@@ -0,0 +1,129 @@
+/**
+ * Test stage task routing
+ *
+ * Checks the assignees services/taskRoutingService.js picks: out-of-office
+ * cover, round robin, the least-open-tasks tie-break and unknown strategies.
+ * Supabase is replaced with in-memory tables (scripts/lib/supabaseStub.js);
+ * no GHL calls.
+ *
+ * Usage: node scripts/test-task-routing.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+const stub = stubSupabase();
+const { routeTask, confirmAssignment } = require('../services/taskRoutingService');
+const { check, finish } = require('./lib/check');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+const member = (id, userId, lastAssignedAt, position) => ({
+  id,
+  team_name: 'intake',
+  user_id: userId,
+  user_name: `User ${userId}`,
+  active: true,
+  last_assigned_at: lastAssignedAt,
+  position
+});
+const openTasks = (userId, count) => Array.from({ length: count }, (_, i) => ({ ghl_task_id: `${userId}-${i}`, assignee_id: userId, status: 'open' }));
+const away = (userId, coverUserId = null) => ({ user_id: userId, cover_user_id: coverUserId, starts_at: hoursFromNow(-24), ends_at: hoursFromNow(24) });
+
+/**
+ * Resets the tables between scenarios
+ */
+function seed({ members = [], outOfOffice = [], tasks = [] } = {}) {
+  stub.tables.task_routing_team_members = members;
+  stub.tables.user_out_of_office = outOfOffice;
+  stub.tables.ghl_tasks = tasks;
+  stub.writes.length = 0;
+}
+
+const teamTask = (strategy, extra = {}) => ({ task_number: 1, task_name: 'Intake call', assignee_id: 'FIXED', routing_strategy: strategy, routing_team: 'intake', ...extra });
+const roundRobinWrites = () => stub.writes.filter(w => w.table === 'task_routing_team_members' && w.op === 'update');
+
+async function run() {
+  console.log('=== Testing Task Routing ===\n');
+
+  console.log('--- out of office ---');
+  seed({ outOfOffice: [away('FIXED', 'COVER')] });
+  let decision = await routeTask(teamTask('fixed', { routing_team: null }));
+  check('fixed assignee out of office is covered by their cover user', decision.assigneeId === 'COVER' && decision.reason.includes('covered by COVER'));
+
+  seed({ outOfOffice: [away('OWNER', 'COVER')] });
+  decision = await routeTask(teamTask('opportunity_owner', { routing_team: null }), { opportunity: { assignedTo: 'OWNER' } });
+  check('opportunity owner out of office is covered by their cover user', decision.assigneeId === 'COVER');
+
+  seed({
+    members: [member('m1', 'A', hoursFromNow(-1), 1), member('m2', 'B', hoursFromNow(-2), 2)],
+    outOfOffice: [away('FIXED')],
+    tasks: [...openTasks('A', 1), ...openTasks('B', 3)]
+  });
+  decision = await routeTask(teamTask('fixed'));
+  check('without a cover user the team member with fewest open tasks takes it', decision.assigneeId === 'A' && decision.reason.includes('reassigned by fewest open tasks'));
+
+  seed({ outOfOffice: [away('FIXED')] });
+  decision = await routeTask(teamTask('fixed', { routing_team: null }));
+  check('without a cover user or team the fixed assignee keeps it', decision.assigneeId === 'FIXED' && decision.reason.includes('no cover configured'));
+
+  seed({
+    members: [member('m1', 'A', null, 1), member('m2', 'B', null, 2)],
+    outOfOffice: [away('A', 'COVER')]
+  });
+  decision = await routeTask(teamTask('round_robin'));
+  check('round robin skips a member who is out of office', decision.assigneeId === 'B' && decision.reason.includes('skipped out of office: User A'));
+
+  seed({ members: [member('m1', 'A', null, 1)], outOfOffice: [away('A')] });
+  decision = await routeTask(teamTask('round_robin'));
+  check('whole team out of office falls back to the fixed assignee', decision.assigneeId === 'FIXED' && decision.reason.includes('no available members'));
+
+  console.log('\n--- round robin ---');
+  seed({ members: [member('m1', 'A', hoursFromNow(-1), 1), member('m2', 'B', hoursFromNow(-5), 2), member('m3', 'C', null, 3)] });
+  decision = await routeTask(teamTask('round_robin'));
+  check('never-assigned member goes first', decision.assigneeId === 'C');
+  check('routing alone does not advance the round robin', roundRobinWrites().length === 0);
+  await confirmAssignment(decision);
+  check('confirming the assignment advances the round robin', roundRobinWrites().length === 1 && roundRobinWrites()[0].rows[0].user_id === 'C');
+  decision = await routeTask(teamTask('round_robin'));
+  check('next task goes to the least recently assigned member', decision.assigneeId === 'B');
+
+  seed({ members: [member('m1', 'A', null, 1), member('m2', 'B', null, 2)] });
+  await routeTask(teamTask('round_robin'));
+  decision = await routeTask(teamTask('round_robin'));
+  check('an unconfirmed pick (failed create) keeps the member\'s turn', decision.assigneeId === 'A');
+
+  console.log('\n--- least open tasks ---');
+  seed({
+    members: [member('m1', 'A', hoursFromNow(-1), 1), member('m2', 'B', hoursFromNow(-3), 2), member('m3', 'C', hoursFromNow(-2), 3)],
+    tasks: [...openTasks('A', 2), ...openTasks('B', 2), ...openTasks('C', 2), { ghl_task_id: 'done', assignee_id: 'B', status: 'completed' }]
+  });
+  decision = await routeTask(teamTask('least_open_tasks'));
+  check('tie on open tasks goes to the least recently assigned member', decision.assigneeId === 'B' && decision.reason.includes('(2)'));
+  check('completed tasks are not counted', decision.candidates.find(c => c.userId === 'B').openTasks === 2);
+
+  seed({
+    members: [member('m1', 'A', null, 1), member('m2', 'B', hoursFromNow(-1), 2)],
+    tasks: [...openTasks('A', 4), ...openTasks('B', 1)]
+  });
+  decision = await routeTask(teamTask('least_open_tasks'));
+  check('fewest open tasks beats the round-robin order', decision.assigneeId === 'B');
+
+  console.log('\n--- strategy fallbacks ---');
+  seed();
+  decision = await routeTask(teamTask('alphabetical'));
+  check('unknown strategy uses the fixed assignee', decision.assigneeId === 'FIXED' && decision.reason.startsWith('unknown routing strategy "alphabetical"'));
+  check('unknown strategy picks no team member', decision.member === null && stub.writes.length === 0);
+
+  decision = await routeTask(teamTask('round_robin', { routing_team: null }));
+  check('team strategy without a team uses the fixed assignee', decision.assigneeId === 'FIXED' && decision.reason.includes('without routing_team'));
+
+  decision = await routeTask({ task_number: 2, task_name: 'Call', assignee_id: 'FIXED' });
+  check('no strategy means fixed', decision.strategy === 'fixed' && decision.assigneeId === 'FIXED');
+
+  finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * Test GHL task change detection for the ghl_tasks mirror
+ *
+ * Runs extractTaskData() and diffTask() against webhook payloads in the shapes
+ * GHL sends (flat and nested under "task"). No Supabase or GHL calls.
+ *
+ * Usage: node scripts/test-task-sync.js
+ */
+
+const { stubSupabase } = require('./lib/supabaseStub');
+
+// ghlTaskService loads taskDependencyService, which creates its client on load
+stubSupabase();
+const { extractTaskData, diffTask } = require('../services/ghlTaskService');
+const { check, finish } = require('./lib/check');
+
+console.log('=== Testing Task Sync ===\n');
+
+const stored = {
+  ghl_task_id: 'T1',
+  task_name: 'Call client',
+  task_description: null,
+  assignee_id: 'U1',
+  due_date: '2025-12-19T15:00:00+00:00',
+  completed: false
+};
+
+console.log('--- extractTaskData ---');
+const nested = extractTaskData({ task: { id: 'T1', contactId: 'C1', title: 'Call client', assignedTo: 'U2' } });
+check('reads nested task payloads', nested.ghl_task_id === 'T1' && nested.ghl_contact_id === 'C1' && nested.assignee_id === 'U2');
+check('fields missing from the payload stay undefined', nested.due_date === undefined && nested.completed === undefined);
+check('reads flat payloads', extractTaskData({ id: 'T2', completed: false }).completed === false);
+check('keeps an explicitly cleared assignee', extractTaskData({ id: 'T1', assignedTo: null }).assignee_id === null);
+
+console.log('\n--- diffTask ---');
+check('new task reports every provided field', diffTask(null, { task_name: 'A', completed: false }).join() === 'task_name,completed');
+check('same due date in another format is unchanged', diffTask(stored, { due_date: '2025-12-19T15:00:00.000Z' }).length === 0);
+check('moved due date is a change', diffTask(stored, { due_date: '2025-12-22T15:00:00.000Z' }).join() === 'due_date');
+check('reassignment is a change', diffTask(stored, { assignee_id: 'U2' }).join() === 'assignee_id');
+check('completion is a change', diffTask(stored, { completed: true }).join() === 'completed');
+check('empty description matches a null description', diffTask(stored, { task_description: '' }).length === 0);
+check('partial payload only compares what it contains', diffTask(stored, { ghl_task_id: 'T1', task_name: 'Call client' }).length === 0);
+
+finish();
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { validateFieldRegistry } = require('../services/customFieldRegistry');
+
+/**
+ * Checks every custom field key referenced in code against the GHL location
+ * Usage: node scripts/validate-custom-fields.js
+ */
+async function main() {
+  try {
+    console.log('Validating custom field registry against GHL...\n');
+
+    const report = await validateFieldRegistry();
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`Checked: ${report.checked} field keys`);
+
+    if (report.missing.length > 0) {
+      console.log('\nMissing from location:');
+      report.missing.forEach(f => console.log(`  - ${f.fieldKey} (last known ID: ${f.lastKnownId || 'N/A'})`));
+    }
+
+    if (report.typeMismatches.length > 0) {
+      console.log('\nData type mismatches:');
+      report.typeMismatches.forEach(f => console.log(`  - ${f.fieldKey}: ${f.actual} (expected ${f.expected})`));
+    }
+
+    if (report.idChanged.length > 0) {
+      console.log('\nIDs changed (resolved automatically by key):');
+      report.idChanged.forEach(f => console.log(`  - ${f.fieldKey}: ${f.lastKnownId} -> ${f.currentId}`));
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log(report.valid ? '✅ All field keys resolve' : '❌ Some field keys need attention');
+    process.exit(report.valid ? 0 : 1);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -2,17 +2,42 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const { parseJotFormWebhook } = require('./utils/jotformParser');
-const { mapJotFormToGHL } = require('./utils/dataMapper');
+const { mapJotFormToGHL, getListOverflow } = require('./utils/dataMapper');
 const { parseJotFormIntakeWebhook } = require('./utils/jotformIntakeParser');
 const { mapIntakeToGHL } = require('./utils/intakeDataMapper');
 const { createGHLContact, createGHLOpportunity, upsertGHLOpportunity } = require('./services/ghlService');
 const { handlePdfUpload } = require('./services/pdfService');
-const { processOpportunityStageChange, processTaskCompletion, checkAppointmentsWithRetry, searchOpportunitiesByContact, updateOpportunityStage, checkOpportunityStageWithRetry, getOpportunityById } = require('./services/ghlOpportunityService');
-const { processTaskCreation } = require('./services/ghlTaskService');
-const { processAppointmentCreated } = require('./services/appointmentService');
+const { storeListOverflow, summarizeOverflow } = require('./services/listOverflowService');
+const { processOpportunityStageChange, processTaskCompletion, searchOpportunitiesByContact, updateOpportunityStage, getOpportunityById, INTAKE_SURVEY_CHECK_DELAYS_MS } = require('./services/ghlOpportunityService');
+const { processTaskCreation, processTaskUpdate, processTaskDeletion } = require('./services/ghlTaskService');
+const { processAppointmentCreated, processAppointmentUpdated, processAppointmentCancelled } = require('./services/appointmentService');
 const { main: createWorkshopEvent } = require('./automations/create-workshop-event');
 const { main: associateContactToWorkshop } = require('./automations/associate-contact-to-workshop');
-const { processInboundSms } = require('./services/smsConfirmationService');
+const { processInboundSms } = require('./services/smsCommandService');
+const { enqueueJob, getJob, startJobWorker } = require('./services/jobQueueService');
+const { registerJobHandlers } = require('./services/jobHandlers');
+const { startScheduler, runScheduledJobNow, getScheduledJobStatuses, getScheduledJobRuns } = require('./services/schedulerService');
+const { registerScheduledJobs, TASK_RECONCILIATION_JOB, TASK_DIGEST_JOB } = require('./services/scheduledJobs');
+const { webhookIdempotency } = require('./middleware/webhookIdempotency');
+const { requireAdminKey } = require('./middleware/adminAuth');
+const { getWebhookEventById, listWebhookEvents } = require('./services/webhookEventService');
+const { replayWebhookEvent, replayWebhookEvents, getInternalRequestHeaders } = require('./services/webhookReplayService');
+const { ghlSignature } = require('./middleware/ghlSignature');
+const { confidoSignature } = require('./middleware/confidoSignature');
+const { ASSOCIATION_CHECK_MAX_ATTEMPTS } = require('./services/customInvoiceService');
+const { getStage, listStages, refreshRegistryFromGHL } = require('./services/pipelineRegistryService');
+const { getFieldId, validateFieldRegistry } = require('./services/customFieldRegistry');
+const { recordContactAudit, getContactAudit } = require('./services/contactAuditService');
+const { getRoutingDecisions } = require('./services/taskRoutingService');
+const { reconcileContactTasks } = require('./services/taskReconciliationService');
+const { runTaskDigest } = require('./services/taskDigestService');
+const {
+  parseAnalyticsFilters,
+  getOpportunityTimeInStage,
+  getAverageStageDurations,
+  getStageConversionRates,
+  getStuckOpportunities
+} = require('./services/stageHistoryService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,9 +45,14 @@ const PORT = process.env.PORT || 3000;
 // Multer for parsing multipart/form-data
 const upload = multer();
 
+// Keep the raw request body for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Redirect middleware for testing - forwards all requests to another server when enabled
 // Set REDIRECT_ENABLED env var to 'false' to disable, or change default below
@@ -89,7 +119,11 @@ app.get('/health', (req, res) => {
 });
 
 // JotForm webhook endpoint
-app.post('/webhook/jotform', upload.none(), async (req, res) => {
+app.post('/webhook/jotform', upload.none(), webhookIdempotency({
+  source: 'jotform',
+  eventType: 'personal-info-form',
+  getKey: (req) => req.body.submissionID
+}), async (req, res) => {
   try {
     console.log('Received JotForm webhook');
     console.log('Content-Type:', req.headers['content-type']);
@@ -107,6 +141,7 @@ app.post('/webhook/jotform', upload.none(), async (req, res) => {
     // Create or update contact in GHL
     const ghlResponse = await createGHLContact(ghlContactData);
     console.log('GHL response:', ghlResponse);
+    await recordContactAudit(ghlResponse, { source: 'personal-info-form', submissionId: req.body.submissionID });
 
     // Extract GHL contact ID
     const ghlContactId = ghlResponse.contact?.id || ghlResponse.id;
@@ -114,16 +149,15 @@ app.post('/webhook/jotform', upload.none(), async (req, res) => {
 
     // Create or update opportunity in "Pending Contact" stage
     let opportunityResult = null;
-    const pipelineId = process.env.GHL_PIPELINE_ID || 'LFxLIUP3LCVES60i9iwN'; // Default pipeline ID
-    const pendingContactStageId = 'f0241e66-85b6-477e-9754-393aeedaef20'; // Pending Contact stage ID
     const contactName = `${parsedData.yourFirstName} ${parsedData.yourLastName}`.trim();
 
     try {
+      const pendingContact = await getStage('pending_contact');
       console.log(`Upserting opportunity for contact ${ghlContactId} in Pending Contact stage`);
       opportunityResult = await upsertGHLOpportunity(
         ghlContactId,
-        pipelineId,
-        pendingContactStageId,
+        pendingContact.pipelineId,
+        pendingContact.stageId,
         contactName
       );
       console.log(opportunityResult.isNew ? 'Opportunity created:' : 'Opportunity updated:', opportunityResult);
@@ -133,6 +167,23 @@ app.post('/webhook/jotform', upload.none(), async (req, res) => {
       opportunityResult = { success: false, error: opportunityError.message };
     }
 
+    // Beneficiaries/bank accounts beyond the 5 contact fields go to a note
+    const listOverflow = getListOverflow(parsedData);
+    let listOverflowResult = null;
+
+    if (listOverflow.length > 0) {
+      try {
+        listOverflowResult = await storeListOverflow(ghlContactId, listOverflow, {
+          submissionId: req.body.submissionID,
+          contactName: contactName
+        });
+      } catch (overflowError) {
+        console.error('Error storing complete lists:', overflowError.message);
+        // Don't fail the whole request - the first 5 rows are already on the contact
+        listOverflowResult = { success: false, lists: summarizeOverflow(listOverflow), error: overflowError.message };
+      }
+    }
+
     // Check if PDF should be saved and upload directly
     let pdfUploadResult = null;
     const shouldSavePdf = parsedData.savePdf && parsedData.savePdf.trim() !== '';
@@ -168,15 +219,20 @@ app.post('/webhook/jotform', upload.none(), async (req, res) => {
       message: isDuplicate ? 'Contact updated successfully' : 'Contact created successfully',
       ghlContactId: ghlContactId,
       isDuplicate: isDuplicate,
+      contactMatch: ghlResponse.match,
+      duplicateReviewTaskId: ghlResponse.reviewTask?.taskId || null,
       opportunityCreated: isNewOpportunity && opportunityId ? true : false,
       opportunityUpdated: !isNewOpportunity && opportunityId ? true : false,
       opportunityId: opportunityId,
       pdfUploaded: pdfUploadResult?.success || false,
-      pdfDetails: pdfUploadResult
+      pdfDetails: pdfUploadResult,
+      listsTruncated: listOverflow.length > 0,
+      listOverflow: listOverflowResult
     });
 
   } catch (error) {
     console.error('Error processing webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -186,7 +242,16 @@ app.post('/webhook/jotform', upload.none(), async (req, res) => {
 });
 
 // GHL Opportunity Stage Changed webhook endpoint
-app.post('/webhooks/ghl/opportunity-stage-changed', async (req, res) => {
+app.post('/webhooks/ghl/opportunity-stage-changed', ghlSignature('opportunity-stage-changed'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'opportunity-stage-changed',
+  getKey: (req) => {
+    const opportunityId = req.body['opportunity-id'] || req.body.opportunityId || req.body.opportunity_id || req.body.customData?.['opportunity-id'];
+    const stage = req.body.stage_id || req.body.stageId || req.body['opportunity-stage-name'] || req.body.stageName || req.body.stage_name;
+    return opportunityId && stage ? `${opportunityId}:${stage}` : null;
+  },
+  windowMs: 5 * 60 * 1000 // a later move back into the same stage is a new event
+}), async (req, res) => {
   try {
     console.log('=== GHL OPPORTUNITY STAGE CHANGE WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -237,11 +302,13 @@ app.post('/webhooks/ghl/opportunity-stage-changed', async (req, res) => {
       success: true,
       message: result.message,
       tasksCreated: result.tasksCreated,
+      tasksSkipped: result.tasksSkipped,
       details: result
     });
 
   } catch (error) {
     console.error('Error processing GHL opportunity webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -251,7 +318,11 @@ app.post('/webhooks/ghl/opportunity-stage-changed', async (req, res) => {
 });
 
 // GHL Task Created webhook endpoint - Syncs tasks to Supabase
-app.post('/webhooks/ghl/task-created', async (req, res) => {
+app.post('/webhooks/ghl/task-created', ghlSignature('task-created'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'task-created',
+  getKey: (req) => req.body.task?.id || req.body.id || req.body.task_id || req.body.taskId
+}), async (req, res) => {
   try {
     console.log('=== GHL TASK CREATED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -269,6 +340,74 @@ app.post('/webhooks/ghl/task-created', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing GHL task created webhook:', error);
+    res.locals.webhookError = error;
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook',
+      error: error.message
+    });
+  }
+});
+
+// GHL Task Updated webhook endpoint - Keeps the ghl_tasks mirror current
+// (due date / title changes, reassignments, completing or re-opening a task)
+app.post('/webhooks/ghl/task-updated', ghlSignature('task-updated'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'task-updated',
+  // The same task is updated many times, so the key includes the update time (payload hash if missing)
+  getKey: (req) => {
+    const taskId = req.body.task?.id || req.body.id || req.body.task_id || req.body.taskId;
+    const updatedAt = req.body.task?.dateUpdated || req.body.dateUpdated;
+    return taskId && updatedAt ? `${taskId}:${updatedAt}` : null;
+  }
+}), async (req, res) => {
+  try {
+    console.log('=== GHL TASK UPDATED WEBHOOK RECEIVED ===');
+    console.log('Timestamp:', new Date().toISOString());
+    console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
+
+    const result = await processTaskUpdate(req.body);
+
+    res.json({
+      success: true,
+      message: result.message,
+      taskId: result.taskId,
+      changes: result.changes
+    });
+
+  } catch (error) {
+    console.error('Error processing GHL task updated webhook:', error);
+    res.locals.webhookError = error;
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook',
+      error: error.message
+    });
+  }
+});
+
+// GHL Task Deleted webhook endpoint - Marks the mirrored task as deleted
+app.post('/webhooks/ghl/task-deleted', ghlSignature('task-deleted'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'task-deleted',
+  getKey: (req) => req.body.task?.id || req.body.id || req.body.task_id || req.body.taskId
+}), async (req, res) => {
+  try {
+    console.log('=== GHL TASK DELETED WEBHOOK RECEIVED ===');
+    console.log('Timestamp:', new Date().toISOString());
+    console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
+
+    const result = await processTaskDeletion(req.body);
+
+    res.json({
+      success: true,
+      message: result.message,
+      taskId: result.taskId
+    });
+
+  } catch (error) {
+    console.error('Error processing GHL task deleted webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -278,7 +417,16 @@ app.post('/webhooks/ghl/task-created', async (req, res) => {
 });
 
 // GHL Task Completed webhook endpoint
-app.post('/webhooks/ghl/task-completed', async (req, res) => {
+app.post('/webhooks/ghl/task-completed', ghlSignature('task-completed'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'task-completed',
+  // A task reopened and completed again is a new completion, so the key includes when (payload hash if missing)
+  getKey: (req) => {
+    const taskId = req.body.task?.id || req.body.id || req.body.task_id || req.body.taskId;
+    const completedAt = req.body.task?.completedAt || req.body.completedAt || req.body.task?.dateUpdated || req.body.dateUpdated;
+    return taskId && completedAt ? `${taskId}:${completedAt}` : null;
+  }
+}), async (req, res) => {
   try {
     console.log('=== GHL TASK COMPLETED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -297,6 +445,8 @@ app.post('/webhooks/ghl/task-completed', async (req, res) => {
                      req.body.opportunity_id ||
                      req.body.customData?.['opportunity-id'],
       title: req.body.task?.title || req.body.title,
+      body: req.body.task?.body ?? req.body.body,
+      outcomeTags: req.body.task?.tags || req.body.outcomeTags || req.body.customData?.outcomeTags,
       completed: true, // Webhook fires on task completion, so always true
       assignedTo: req.body.task?.assignedTo || req.body.assignedTo || req.body.assigned_to,
       dueDate: req.body.task?.dueDate
@@ -327,17 +477,32 @@ app.post('/webhooks/ghl/task-completed', async (req, res) => {
       });
     }
 
+    // Record the completion in ghl_tasks. The reconciliation job repairs the
+    // mirror if this fails, so it doesn't stop the completion rules.
+    let taskSync = null;
+    if (taskData.taskId) {
+      try {
+        const synced = await processTaskUpdate(req.body, { completed: true });
+        taskSync = { success: true, changes: synced.changes };
+      } catch (syncError) {
+        console.error('Error syncing completed task to Supabase:', syncError.message);
+        taskSync = { success: false, error: syncError.message };
+      }
+    }
+
     // Process the task completion
     const result = await processTaskCompletion(taskData);
 
     res.json({
       success: true,
       message: result.message,
-      details: result
+      details: result,
+      taskSync: taskSync
     });
 
   } catch (error) {
     console.error('Error processing GHL task completion webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -346,9 +511,74 @@ app.post('/webhooks/ghl/task-completed', async (req, res) => {
   }
 });
 
+/**
+ * Extracts appointment data from a GHL appointment webhook
+ * Handles multiple possible field names for flexibility.
+ * NOTE: The correct appointmentId is in calendar.appointmentId or customData.appointmentId
+ * The root-level "id" is NOT the appointment ID
+ * @param {Object} body - Webhook body
+ * @returns {Object} Appointment webhook data
+ */
+function getAppointmentWebhookData(body) {
+  return {
+    appointmentId: body.calendar?.appointmentId ||
+                   body.customData?.appointmentId ||
+                   body.appointment_id ||
+                   body.appointmentId ||
+                   body['appointment-id'],
+    contactId: body.contact_id ||
+               body.contactId ||
+               body['contact-id'] ||
+               body.customData?.contactId,
+    contactPhone: body.contact_phone ||
+                  body.contactPhone ||
+                  body['contact-phone'] ||
+                  body.phone ||
+                  body.customData?.contactPhone,
+    contactEmail: body.contact_email ||
+                  body.contactEmail ||
+                  body['contact-email'] ||
+                  body.email ||
+                  body.customData?.contactEmail,
+    contactName: body.contact_name ||
+                 body.contactName ||
+                 body['contact-name'] ||
+                 body.full_name ||
+                 body.customData?.contactName,
+    calendarId: body.calendar?.id ||
+                body.calendar_id ||
+                body.calendarId ||
+                body['calendar-id'] ||
+                body.customData?.calendarId,
+    calendarName: body.calendar?.calendarName ||
+                  body.calendar_name ||
+                  body.calendarName ||
+                  body['calendar-name'] ||
+                  body.customData?.calendarName,
+    opportunityId: body.customData?.opportunityId ||
+                   body.opportunity_id ||
+                   body.opportunityId ||
+                   body['opportunity-id'],
+    startTime: body.calendar?.startTime ||
+               body.startTime ||
+               body.start_time ||
+               body.customData?.startTime,
+    appointmentStatus: body.calendar?.appointmentStatus ||
+                       body.calendar?.status ||
+                       body.appointmentStatus ||
+                       body.appointment_status ||
+                       body.customData?.appointmentStatus,
+    revertStage: body.customData?.revertStage
+  };
+}
+
 // GHL Appointment Created webhook endpoint
 // Updates appointment title with: Calendar Name - Meeting Type - Meeting - Contact Name
-app.post('/webhooks/ghl/appointment-created', async (req, res) => {
+app.post('/webhooks/ghl/appointment-created', ghlSignature('appointment-created'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'appointment-created',
+  getKey: (req) => req.body.calendar?.appointmentId || req.body.customData?.appointmentId || req.body.appointment_id || req.body.appointmentId || req.body['appointment-id']
+}), async (req, res) => {
   try {
     console.log('=== GHL APPOINTMENT CREATED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -356,49 +586,7 @@ app.post('/webhooks/ghl/appointment-created', async (req, res) => {
     console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
 
     // Extract appointment data from GHL webhook
-    // Handle multiple possible field names for flexibility
-    // NOTE: The correct appointmentId is in calendar.appointmentId or customData.appointmentId
-    // The root-level "id" is NOT the appointment ID
-    const webhookData = {
-      appointmentId: req.body.calendar?.appointmentId ||
-                     req.body.customData?.appointmentId ||
-                     req.body.appointment_id ||
-                     req.body.appointmentId ||
-                     req.body['appointment-id'],
-      contactId: req.body.contact_id ||
-                 req.body.contactId ||
-                 req.body['contact-id'] ||
-                 req.body.customData?.contactId,
-      contactPhone: req.body.contact_phone ||
-                    req.body.contactPhone ||
-                    req.body['contact-phone'] ||
-                    req.body.phone ||
-                    req.body.customData?.contactPhone,
-      contactEmail: req.body.contact_email ||
-                    req.body.contactEmail ||
-                    req.body['contact-email'] ||
-                    req.body.email ||
-                    req.body.customData?.contactEmail,
-      contactName: req.body.contact_name ||
-                   req.body.contactName ||
-                   req.body['contact-name'] ||
-                   req.body.full_name ||
-                   req.body.customData?.contactName,
-      calendarId: req.body.calendar?.id ||
-                  req.body.calendar_id ||
-                  req.body.calendarId ||
-                  req.body['calendar-id'] ||
-                  req.body.customData?.calendarId,
-      calendarName: req.body.calendar?.calendarName ||
-                    req.body.calendar_name ||
-                    req.body.calendarName ||
-                    req.body['calendar-name'] ||
-                    req.body.customData?.calendarName,
-      opportunityId: req.body.customData?.opportunityId ||
-                     req.body.opportunity_id ||
-                     req.body.opportunityId ||
-                     req.body['opportunity-id']
-    };
+    const webhookData = getAppointmentWebhookData(req.body);
 
     console.log('Extracted webhook data:', JSON.stringify(webhookData, null, 2));
 
@@ -423,11 +611,108 @@ app.post('/webhooks/ghl/appointment-created', async (req, res) => {
       usedFallback: result.usedFallback,
       meetingData: result.meetingData,
       stageUpdate: result.stageUpdate,
-      emailSent: result.emailSent
+      emailSent: result.emailSent,
+      confirmationSms: result.confirmationSms,
+      reminders: result.reminders
     });
 
   } catch (error) {
     console.error('Error processing GHL appointment webhook:', error);
+    res.locals.webhookError = error;
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook',
+      error: error.message
+    });
+  }
+});
+
+// GHL Appointment Updated webhook endpoint
+// Re-titles the appointment; a new start time also moves reminders, clears the
+// confirmation tag and emails the client. A cancelled status is handled as a cancellation.
+app.post('/webhooks/ghl/appointment-updated', ghlSignature('appointment-updated'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'appointment-updated',
+  getKey: (req) => {
+    const data = getAppointmentWebhookData(req.body);
+    // Every update of an appointment is its own event (falls back to a payload hash without a start time)
+    return data.appointmentId && data.startTime
+      ? `${data.appointmentId}:${data.startTime}:${data.calendarId || ''}:${data.appointmentStatus || ''}`
+      : null;
+  }
+}), async (req, res) => {
+  try {
+    console.log('=== GHL APPOINTMENT UPDATED WEBHOOK RECEIVED ===');
+    console.log('Timestamp:', new Date().toISOString());
+    console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
+
+    const webhookData = getAppointmentWebhookData(req.body);
+
+    console.log('Extracted webhook data:', JSON.stringify(webhookData, null, 2));
+
+    if (!webhookData.appointmentId) {
+      console.error('❌ Missing appointmentId in webhook payload');
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: appointmentId',
+        receivedFields: Object.keys(req.body)
+      });
+    }
+
+    const result = await processAppointmentUpdated(webhookData);
+
+    res.json({
+      ...result,
+      message: `Appointment ${result.action} processed`
+    });
+
+  } catch (error) {
+    console.error('Error processing GHL appointment updated webhook:', error);
+    res.locals.webhookError = error;
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook',
+      error: error.message
+    });
+  }
+});
+
+// GHL Appointment Cancelled webhook endpoint
+// Cancels reminders, marks the title, clears the confirmation tag, optionally moves
+// the opportunity back (customData.revertStage or APPOINTMENT_CANCEL_REVERT_STAGE) and emails the client
+app.post('/webhooks/ghl/appointment-cancelled', ghlSignature('appointment-cancelled'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'appointment-cancelled',
+  getKey: (req) => getAppointmentWebhookData(req.body).appointmentId
+}), async (req, res) => {
+  try {
+    console.log('=== GHL APPOINTMENT CANCELLED WEBHOOK RECEIVED ===');
+    console.log('Timestamp:', new Date().toISOString());
+    console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
+
+    const webhookData = getAppointmentWebhookData(req.body);
+
+    console.log('Extracted webhook data:', JSON.stringify(webhookData, null, 2));
+
+    if (!webhookData.appointmentId) {
+      console.error('❌ Missing appointmentId in webhook payload');
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: appointmentId',
+        receivedFields: Object.keys(req.body)
+      });
+    }
+
+    const result = await processAppointmentCancelled(webhookData);
+
+    res.json({
+      ...result,
+      message: result.alreadyCancelled ? 'Appointment was already cancelled' : 'Appointment cancellation processed'
+    });
+
+  } catch (error) {
+    console.error('Error processing GHL appointment cancelled webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -437,7 +722,12 @@ app.post('/webhooks/ghl/appointment-created', async (req, res) => {
 });
 
 // Intake Survey webhook endpoint
-app.post('/webhooks/intakeSurvey', async (req, res) => {
+app.post('/webhooks/intakeSurvey', webhookIdempotency({
+  source: 'ghl',
+  eventType: 'intake-survey',
+  getKey: (req) => req.body['contact-id'] || req.body.contact_id || req.body.contactId || req.body.customData?.['contact-id'],
+  windowMs: 10 * 60 * 1000
+}), async (req, res) => {
   try {
     console.log('=== INTAKE SURVEY WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -483,63 +773,38 @@ app.post('/webhooks/intakeSurvey', async (req, res) => {
 
     console.log(`✅ Found opportunity: ${opportunityId} (status: ${opportunity.status || 'unknown'})`);
 
-    // Define the expected pipeline and stage to check
-    const EXPECTED_PIPELINE_ID = '6cYEonzedT5vf2Lt8rcl';
-    const EXPECTED_STAGE_ID = '042cb50b-6ef1-448e-9f64-a7455e1395b5';
-
-    console.log('🔍 Checking if opportunity is still in original stage...');
-    console.log(`   Expected Pipeline: ${EXPECTED_PIPELINE_ID}`);
-    console.log(`   Expected Stage: ${EXPECTED_STAGE_ID}`);
-
-    // Check if opportunity has moved from the original stage with retry logic (30s, 60s)
-    const hasMoved = await checkOpportunityStageWithRetry(opportunityId, EXPECTED_PIPELINE_ID, EXPECTED_STAGE_ID);
-    console.log(`📊 Stage check result: ${hasMoved ? 'OPPORTUNITY HAS MOVED' : 'STILL IN SAME STAGE'}`);
-
-    // Determine target stage based on whether opportunity moved
-    const pipelineId = process.env.GHL_PIPELINE_ID || 'LFxLIUP3LCVES60i9iwN';
-    let targetStageId;
-    let stageName;
-
-    if (hasMoved) {
-      // Opportunity has moved to a different stage - do nothing
-      console.log('✅ Opportunity already moved to a different stage, no action needed');
+    // Stage to watch, and where to move the opportunity if it's still there
+    const expectedStage = await getStage('intake_survey_pending');
+    const targetStage = await getStage('pending_iv');
 
-      return res.json({
-        success: true,
-        message: 'Opportunity already moved to a different stage',
-        contactId: contactId,
-        opportunityId: opportunityId,
-        hasMoved: true,
-        action: 'none'
-      });
-    } else {
-      // Opportunity is still in the same stage - move to "Pending I/V"
-      targetStageId = '624feffa-eab0-4aeb-b186-ee921e5e6eb7'; // Pending I/V
-      stageName = 'Pending I/V';
-
-      console.log(`📍 Moving opportunity to: ${stageName}`);
-      console.log(`   Pipeline ID: ${pipelineId}`);
-      console.log(`   Stage ID: ${targetStageId}`);
-
-      // Update opportunity stage
-      await updateOpportunityStage(opportunityId, pipelineId, targetStageId);
+    // Queue the stage check (30s, then 60s). If the opportunity is still in the
+    // original stage after the last check, the job moves it to "Pending I/V".
+    const job = await enqueueJob('intake-survey-stage-check', {
+      contactId: contactId,
+      opportunityId: opportunityId,
+      expectedPipelineId: expectedStage.pipelineId,
+      expectedStageId: expectedStage.stageId,
+      targetPipelineId: targetStage.pipelineId,
+      targetStageId: targetStage.stageId,
+      targetStageName: targetStage.stageName || 'Pending I/V'
+    }, {
+      delayMs: INTAKE_SURVEY_CHECK_DELAYS_MS[0],
+      maxAttempts: INTAKE_SURVEY_CHECK_DELAYS_MS.length + 2
+    });
 
-      console.log(`✅ Successfully moved opportunity to ${stageName}`);
+    console.log(`✅ Stage check queued (job ${job.id})`);
 
-      res.json({
-        success: true,
-        message: `Opportunity moved to ${stageName}`,
-        contactId: contactId,
-        opportunityId: opportunityId,
-        hasMoved: false,
-        movedToStage: stageName,
-        pipelineId: pipelineId,
-        stageId: targetStageId
-      });
-    }
+    res.status(202).json({
+      success: true,
+      message: 'Intake survey stage check queued',
+      contactId: contactId,
+      opportunityId: opportunityId,
+      jobId: job.id
+    });
 
   } catch (error) {
     console.error('❌ Error processing intake survey webhook:', error);
+    res.locals.webhookError = error;
     console.error('Error stack:', error.stack);
     res.status(500).json({
       success: false,
@@ -550,7 +815,11 @@ app.post('/webhooks/intakeSurvey', async (req, res) => {
 });
 
 // Workshop creation endpoint - Jotform webhook
-app.post('/workshop', upload.none(), async (req, res) => {
+app.post('/workshop', upload.none(), webhookIdempotency({
+  source: 'jotform',
+  eventType: 'workshop',
+  getKey: (req) => req.body.submissionID
+}), async (req, res) => {
   try {
     console.log('=== WORKSHOP CREATION WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -582,6 +851,7 @@ app.post('/workshop', upload.none(), async (req, res) => {
 
   } catch (error) {
     console.error('Error processing workshop webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error creating workshop',
@@ -591,7 +861,11 @@ app.post('/workshop', upload.none(), async (req, res) => {
 });
 
 // JotForm Intake webhook endpoint
-app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
+app.post('/webhook/jotform-intake', upload.none(), webhookIdempotency({
+  source: 'jotform',
+  eventType: 'intake-form',
+  getKey: (req) => req.body.submissionID
+}), async (req, res) => {
   try {
     console.log('=== JOTFORM INTAKE WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -610,6 +884,7 @@ app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
     // Create or update contact in GHL
     const ghlResponse = await createGHLContact(ghlContactData);
     console.log('GHL response:', ghlResponse);
+    await recordContactAudit(ghlResponse, { source: 'intake-form', submissionId: req.body.submissionID });
 
     // Extract GHL contact ID
     const ghlContactId = ghlResponse.contact?.id || ghlResponse.id;
@@ -617,16 +892,15 @@ app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
 
     // Create opportunity in "Pending Contact" stage
     let opportunityResult = null;
-    const pipelineId = process.env.GHL_PIPELINE_ID || 'LFxLIUP3LCVES60i9iwN';
-    const pendingContactStageId = 'f0241e66-85b6-477e-9754-393aeedaef20'; // Pending Contact stage ID
     const contactName = parsedData.name || `${parsedData.firstName} ${parsedData.lastName}`.trim();
 
     try {
+      const pendingContact = await getStage('pending_contact');
       console.log(`Creating opportunity for contact ${ghlContactId} in Pending Contact stage`);
       opportunityResult = await createGHLOpportunity(
         ghlContactId,
-        pipelineId,
-        pendingContactStageId,
+        pendingContact.pipelineId,
+        pendingContact.stageId,
         contactName
       );
       console.log('Opportunity created:', opportunityResult);
@@ -667,6 +941,8 @@ app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
       message: isDuplicate ? 'Contact updated successfully' : 'Contact created successfully',
       ghlContactId: ghlContactId,
       isDuplicate: isDuplicate,
+      contactMatch: ghlResponse.match,
+      duplicateReviewTaskId: ghlResponse.reviewTask?.taskId || null,
       opportunityCreated: opportunityResult?.id ? true : false,
       opportunityId: opportunityResult?.id,
       pdfUploaded: pdfUploadResult?.success || false,
@@ -675,6 +951,7 @@ app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
 
   } catch (error) {
     console.error('Error processing intake webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -684,7 +961,10 @@ app.post('/webhook/jotform-intake', upload.none(), async (req, res) => {
 });
 
 // Associate contact to workshop endpoint
-app.post('/associate-contact-workshop', async (req, res) => {
+app.post('/associate-contact-workshop', webhookIdempotency({
+  source: 'ghl',
+  eventType: 'associate-contact-workshop'
+}), async (req, res) => {
   try {
     console.log('=== ASSOCIATE CONTACT TO WORKSHOP REQUEST RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -722,6 +1002,7 @@ app.post('/associate-contact-workshop', async (req, res) => {
 
   } catch (error) {
     console.error('Error associating contact to workshop:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error associating contact to workshop',
@@ -731,7 +1012,11 @@ app.post('/associate-contact-workshop', async (req, res) => {
 });
 
 // Intake Form webhook endpoint - Jotform webhook
-app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
+app.post('/webhooks/intakeForm', upload.none(), webhookIdempotency({
+  source: 'jotform',
+  eventType: 'intake-form-link',
+  getKey: (req) => req.body.submissionID
+}), async (req, res) => {
   try {
     console.log('=== INTAKE FORM WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -803,7 +1088,7 @@ app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
       ghlContactData.customFields = [];
     }
     ghlContactData.customFields.push({
-      id: 'BJKwhr1OUaStUYVo6poh', // Jotform Link field ID
+      id: getFieldId('contact.pdf'), // Jotform Link field
       field_value: jotformLink
     });
 
@@ -811,25 +1096,25 @@ app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
 
     // Create or update contact in GHL
     const ghlResponse = await createGHLContact(ghlContactData);
+    await recordContactAudit(ghlResponse, { source: 'intake-form-link', submissionId: submissionID });
     const ghlContactId = ghlResponse.contact?.id || ghlResponse.id;
     const isDuplicate = ghlResponse.isDuplicate || false;
 
     console.log(`GHL contact ${isDuplicate ? 'updated' : 'created'} successfully:`, ghlContactId);
     console.log('GHL response customFields:', JSON.stringify(ghlResponse.contact?.customFields || ghlResponse.customFields, null, 2));
 
-    // Create opportunity in specified pipeline/stage
-    const pipelineId = 'LFxLIUP3LCVES60i9iwN';
-    const stageId = 'f0241e66-85b6-477e-9754-393aeedaef20';
+    // Create opportunity in the Pending Contact stage
     const opportunityName = parsedData.name || `${parsedData.firstName} ${parsedData.lastName}`.trim();
 
-    console.log(`Creating opportunity: ${opportunityName} in pipeline ${pipelineId}, stage ${stageId}`);
-
     let opportunityResult = null;
     try {
+      const pendingContact = await getStage('pending_contact');
+      console.log(`Creating opportunity: ${opportunityName} in pipeline ${pendingContact.pipelineId}, stage ${pendingContact.stageId}`);
+
       opportunityResult = await createGHLOpportunity(
         ghlContactId,
-        pipelineId,
-        stageId,
+        pendingContact.pipelineId,
+        pendingContact.stageId,
         opportunityName
       );
       console.log('Opportunity created successfully:', opportunityResult);
@@ -858,6 +1143,8 @@ app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
       message: isDuplicate ? 'Contact updated and opportunity created' : 'Contact and opportunity created successfully',
       contactId: ghlContactId,
       isDuplicate: isDuplicate,
+      contactMatch: ghlResponse.match,
+      duplicateReviewTaskId: ghlResponse.reviewTask?.taskId || null,
       jotformLink: jotformLink,
       opportunityCreated: opportunityResult?.id ? true : false,
       opportunityId: opportunityResult?.id,
@@ -874,6 +1161,7 @@ app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
 
   } catch (error) {
     console.error('Error processing intake form webhook:', error);
+    res.locals.webhookError = error;
     console.error('Error stack:', error.stack);
     res.status(500).json({
       success: false,
@@ -884,7 +1172,11 @@ app.post('/webhooks/intakeForm', upload.none(), async (req, res) => {
 });
 
 // GHL Invoice Created webhook endpoint
-app.post('/webhooks/ghl/invoice-created', async (req, res) => {
+app.post('/webhooks/ghl/invoice-created', ghlSignature('invoice-created'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'invoice-created',
+  getKey: (req) => req.body.invoice?._data?._id || req.body.invoice?._id || req.body.invoice?.id || req.body._id || req.body.id
+}), async (req, res) => {
   try {
     console.log('=== GHL INVOICE CREATED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -1052,6 +1344,7 @@ app.post('/webhooks/ghl/invoice-created', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing GHL invoice webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing invoice webhook',
@@ -1061,30 +1354,21 @@ app.post('/webhooks/ghl/invoice-created', async (req, res) => {
 });
 
 // Confido Payment Received webhook endpoint
-app.post('/webhooks/confido/payment-received', async (req, res) => {
+app.post('/webhooks/confido/payment-received', confidoSignature('payment-received'), webhookIdempotency({
+  source: 'confido',
+  eventType: 'payment-received',
+  getKey: (req) => req.body.payment_id || req.body.paymentId || req.body.id
+}), async (req, res) => {
   try {
     console.log('=== CONFIDO PAYMENT WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
     console.log('Headers:', JSON.stringify(req.headers, null, 2));
     console.log('Full Request Body:', JSON.stringify(req.body, null, 2));
 
-    const confidoService = require('./services/confidoService');
     const invoiceService = require('./services/invoiceService');
     const ghlService = require('./services/ghlService');
 
-    // Verify webhook signature if provided
-    const signature = req.headers['x-confido-signature'] || req.headers['x-webhook-signature'];
-    if (signature) {
-      const isValid = confidoService.verifyWebhookSignature(req.body, signature);
-      if (!isValid) {
-        console.error('❌ Invalid webhook signature');
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid webhook signature'
-        });
-      }
-      console.log('✅ Webhook signature verified');
-    }
+    // Signature (when CONFIDO_WEBHOOK_SECRET is set) is verified by the confidoSignature middleware
 
     // Extract payment data from Confido webhook
     // NOTE: Update field names based on actual Confido webhook payload
@@ -1241,16 +1525,19 @@ app.post('/webhooks/confido/payment-received', async (req, res) => {
       // Move opportunity to "Engaged" stage after Confido payment received
       console.log('Moving opportunity to Engaged stage...');
       try {
-        const ENGAGED_STAGE_ID = '26243231-7b09-48dd-a8a1-18489bab69e3';
+        const engagedStage = await getStage('engaged');
 
-        // Get current opportunity to find its pipeline ID
-        const opportunity = await getOpportunityById(invoice.ghl_opportunity_id);
-        const currentPipelineId = opportunity.pipelineId;
+        // Use the registry pipeline, or the opportunity's current pipeline if it isn't set
+        let pipelineId = engagedStage.pipelineId;
+        if (!pipelineId) {
+          const opportunity = await getOpportunityById(invoice.ghl_opportunity_id);
+          pipelineId = opportunity.pipelineId;
+        }
 
-        console.log(`   Current Pipeline: ${currentPipelineId}`);
-        console.log(`   Target Stage (Engaged): ${ENGAGED_STAGE_ID}`);
+        console.log(`   Pipeline: ${pipelineId}`);
+        console.log(`   Target Stage (Engaged): ${engagedStage.stageId}`);
 
-        await updateOpportunityStage(invoice.ghl_opportunity_id, currentPipelineId, ENGAGED_STAGE_ID);
+        await updateOpportunityStage(invoice.ghl_opportunity_id, pipelineId, engagedStage.stageId);
         console.log('✅ Opportunity moved to Engaged stage');
       } catch (stageError) {
         console.error('Failed to move opportunity to Engaged stage:', stageError.message);
@@ -1312,6 +1599,7 @@ app.post('/webhooks/confido/payment-received', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing Confido payment webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing payment webhook',
@@ -1321,7 +1609,11 @@ app.post('/webhooks/confido/payment-received', async (req, res) => {
 });
 
 // GHL Association Created webhook endpoint
-app.post('/webhooks/ghl/association-created', async (req, res) => {
+app.post('/webhooks/ghl/association-created', ghlSignature('association-created'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'association-created',
+  getKey: (req) => req.body.id
+}), async (req, res) => {
   try {
     console.log('=== GHL ASSOCIATION CREATED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -1374,6 +1666,7 @@ app.post('/webhooks/ghl/association-created', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing GHL association webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing association webhook',
@@ -1385,7 +1678,16 @@ app.post('/webhooks/ghl/association-created', async (req, res) => {
 // GHL Custom Object (Invoice) Created webhook endpoint
 // Note: GHL may send all custom object events (Create, Update, Delete) to this endpoint
 // We route based on the 'type' field in the payload
-app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
+app.post('/webhooks/ghl/custom-object-created', ghlSignature('custom-object-created'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'custom-object',
+  getKey: (req) => {
+    // Only creates have a stable key - updates/deletes are deduped by payload hash
+    const eventType = req.body.type || 'RecordCreate';
+    const recordId = req.body.id || req.body.recordId;
+    return eventType === 'RecordCreate' && recordId ? `${eventType}:${recordId}` : null;
+  }
+}), async (req, res) => {
   try {
     console.log('=== GHL CUSTOM OBJECT WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -1402,7 +1704,7 @@ app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
         const deleteResponse = await axios.post(
           'http://localhost:' + (process.env.PORT || 3000) + '/webhooks/ghl/custom-object-deleted',
           req.body,
-          { headers: { 'Content-Type': 'application/json' } }
+          { headers: getInternalRequestHeaders() }
         );
         return res.json(deleteResponse.data);
       } catch (deleteError) {
@@ -1423,7 +1725,7 @@ app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
         const updateResponse = await axios.post(
           'http://localhost:' + (process.env.PORT || 3000) + '/webhooks/ghl/custom-object-updated',
           req.body,
-          { headers: { 'Content-Type': 'application/json' } }
+          { headers: getInternalRequestHeaders() }
         );
         return res.json(updateResponse.data);
       } catch (updateError) {
@@ -1439,10 +1741,6 @@ app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
     // Continue with RecordCreate handling
     console.log('📍 Processing as CREATE event...');
 
-    const ghlService = require('./services/ghlService');
-    const confidoService = require('./services/confidoService');
-    const invoiceService = require('./services/invoiceService');
-
     // Extract custom object data
     const objectData = {
       recordId: req.body.id || req.body.recordId,
@@ -1465,285 +1763,30 @@ app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
     console.log('✅ Invoice custom object detected');
     console.log('Invoice Record ID:', objectData.recordId);
 
-    // Retry logic: Wait and check for opportunity association (up to 6 attempts)
+    // Queue the association check - the job polls for the opportunity association
+    // (up to 6 checks, 10 seconds apart) and then creates the invoice.
     // Note: We only wait for the association - fields will come via RecordUpdate webhook
-    let invoiceRecord = null;
-    let relationsResponse = null;
-    let attemptCount = 0;
-    const maxAttempts = 6;
-    const delayMs = 10000; // 10 seconds
-
-    while (attemptCount < maxAttempts) {
-      attemptCount++;
-      console.log(`\n⏳ Attempt ${attemptCount}/${maxAttempts} - Checking for opportunity association...`);
-
-      if (attemptCount > 1) {
-        console.log(`Waiting ${delayMs / 1000} seconds before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
-
-      // Get custom object details
-      const customObjectResponse = await ghlService.getCustomObject(objectData.objectKey, objectData.recordId);
-      invoiceRecord = customObjectResponse.record;
-      console.log('Invoice Record:', JSON.stringify(invoiceRecord, null, 2));
-
-      // Get relations
-      relationsResponse = await ghlService.getRelations(objectData.recordId, objectData.locationId);
-      const hasRelations = relationsResponse.relations && relationsResponse.relations.length > 0;
-      console.log('Has Relations:', hasRelations);
-
-      // Find opportunity relation
-      const opportunityRelation = hasRelations
-        ? relationsResponse.relations.find(rel => rel.secondObjectKey === 'opportunity' || rel.firstObjectKey === 'opportunity')
-        : null;
-      const hasOpportunity = !!opportunityRelation;
-      console.log('Has Opportunity:', hasOpportunity);
-
-      // Check if we have the opportunity association
-      if (hasOpportunity) {
-        console.log(`✅ Opportunity association found on attempt ${attemptCount}`);
-        break;
-      }
-
-      console.log(`⚠️ Missing opportunity association on attempt ${attemptCount}`);
-
-      if (attemptCount === maxAttempts) {
-        console.log('❌ Max attempts reached - no opportunity association found');
-        return res.json({
-          success: false,
-          message: 'Invoice missing opportunity association after 6 attempts',
-          invoiceId: objectData.recordId,
-          hasOpportunity: hasOpportunity,
-          attempts: attemptCount
-        });
-      }
-    }
-
-    // Extract service items from properties
-    const serviceItems = invoiceRecord.properties.serviceproduct || [];
-    console.log('Service Items:', serviceItems);
-
-    // Calculate total from service items
-    const calculationResult = await invoiceService.calculateInvoiceTotal(serviceItems);
-    if (!calculationResult.success) {
-      console.error('Failed to calculate invoice total:', calculationResult.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to calculate invoice total',
-        error: calculationResult.error
-      });
-    }
-
-    const { total, lineItems, missingItems } = calculationResult;
-    console.log(`Calculated Total: $${total}`);
-    if (missingItems.length > 0) {
-      console.warn('Missing service items:', missingItems.join(', '));
-    }
-
-    // Find opportunity relation (we already verified it exists)
-    const opportunityRelation = relationsResponse.relations.find(
-      rel => rel.secondObjectKey === 'opportunity' || rel.firstObjectKey === 'opportunity'
-    );
-
-    const opportunityId = opportunityRelation.secondObjectKey === 'opportunity'
-      ? opportunityRelation.secondRecordId
-      : opportunityRelation.firstRecordId;
-
-    console.log('✅ Found opportunity:', opportunityId);
-
-    // Get opportunity details
-    const opportunityResponse = await ghlService.getOpportunity(opportunityId);
-    const opportunity = opportunityResponse.opportunity;
-    console.log('Opportunity Details:', JSON.stringify(opportunity, null, 2));
-
-    // Create invoice in Confido
-    console.log('Creating invoice in Confido...');
-    const confidoResult = await confidoService.createInvoice({
-      ghlInvoiceId: objectData.recordId,
-      opportunityId: opportunity.id,
-      opportunityName: opportunity.name,
-      contactId: opportunity.contactId,
-      contactName: opportunity.contact?.name || '',
-      contactEmail: opportunity.contact?.email || '',
-      contactPhone: opportunity.contact?.phone || '',
-      invoiceNumber: invoiceRecord.properties.invoice || objectData.recordId,
-      amountDue: total,
-      dueDate: invoiceRecord.properties.due_date || null,
-      memo: `Invoice for ${lineItems.map(item => item.name).join(', ')}`,
-      lineItems: lineItems
-    });
-
-    if (!confidoResult.success) {
-      // Check if this is a duplicate PaymentLink error
-      if (confidoResult.error === 'DUPLICATE_PAYMENTLINK') {
-        console.log('⚠️ PaymentLink already exists in Confido');
-        console.log('Checking Supabase for existing invoice record...');
-
-        // Get existing invoice from Supabase
-        const existingInvoice = await invoiceService.getInvoiceByGHLId(objectData.recordId);
-
-        if (existingInvoice.success && existingInvoice.data) {
-          console.log('✅ Found existing invoice in Supabase');
-          console.log('Payment URL:', existingInvoice.data.payment_url);
-
-          // Use the existing invoice data instead
-          return res.json({
-            success: true,
-            message: 'Invoice already exists (duplicate webhook)',
-            invoiceId: objectData.recordId,
-            opportunityId: opportunity.id,
-            paymentUrl: existingInvoice.data.payment_url,
-            isDuplicate: true
-          });
-        } else {
-          console.error('⚠️ PaymentLink exists in Confido but not in Supabase');
-          return res.json({
-            success: false,
-            message: 'Data inconsistency - PaymentLink exists in Confido but not in Supabase',
-            invoiceId: objectData.recordId,
-            confidoError: confidoResult.error
-          });
-        }
-      }
-
-      // Other errors
-      console.error('Failed to create invoice in Confido:', confidoResult.error);
-      return res.json({
-        success: true,
-        message: 'Invoice processed but Confido creation failed',
-        invoiceId: objectData.recordId,
-        opportunityId: opportunity.id,
-        confidoError: confidoResult.error
-      });
-    }
-
-    console.log('✅ Invoice created in Confido');
-    console.log('Confido PaymentLink ID:', confidoResult.confidoInvoiceId);
-    console.log('Payment URL:', confidoResult.paymentUrl);
-
-    // Generate invoice number (INV-YYYYMMDD-XXXX format)
-    const now = new Date();
-    const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-    const randomStr = Math.random().toString(36).substring(2, 6).toUpperCase();
-    const invoiceNumber = `INV-${dateStr}-${randomStr}`;
-
-    console.log('Generated Invoice Number:', invoiceNumber);
-
-    // Save to Supabase
-    console.log('Saving to Supabase...');
-    await invoiceService.saveInvoiceToSupabase({
-      ghlInvoiceId: objectData.recordId,
-      opportunityId: opportunity.id,
-      contactId: opportunity.contactId,
-      opportunityName: opportunity.name,
-      primaryContactName: opportunity.contact?.name,
-      confidoInvoiceId: confidoResult.confidoInvoiceId,
-      confidoClientId: confidoResult.confidoClientId,
-      confidoMatterId: confidoResult.confidoMatterId,
-      paymentUrl: confidoResult.paymentUrl,
-      serviceItems: lineItems,
-      invoiceNumber: invoiceNumber,
-      amountDue: total,
-      status: 'unpaid',
-      invoiceDate: new Date().toISOString(),
-      dueDate: invoiceRecord.properties.due_date || null
+    const job = await enqueueJob('invoice-association-check', {
+      recordId: objectData.recordId,
+      objectKey: objectData.objectKey,
+      locationId: objectData.locationId
+    }, {
+      // Room for two error retries on top of the checks
+      maxAttempts: ASSOCIATION_CHECK_MAX_ATTEMPTS + 2
     });
 
-    console.log('✅ Invoice saved to Supabase');
-
-    // Calculate subtotal (same as total for now, can be adjusted if taxes/fees added later)
-    const subtotal = total;
-
-    // Update GHL custom object with payment link, invoice number, subtotal, and total
-    try {
-      console.log('Updating GHL custom object with payment link and invoice details...');
-
-      // First verify the object still exists
-      console.log('Verifying custom object still exists...');
-      const verifyResponse = await ghlService.getCustomObject(objectData.objectKey, objectData.recordId);
+    console.log(`✅ Invoice processing queued (job ${job.id})`);
 
-      if (verifyResponse && verifyResponse.record) {
-        console.log('✅ Custom object verified, proceeding with update');
-        // Use short field names and pass properties as an object
-        // locationId is required as query parameter for PUT requests
-        // MONETORY fields require format: { value: number, currency: 'default' }
-        await ghlService.updateCustomObject(
-          objectData.objectKey,
-          objectData.recordId,
-          objectData.locationId,
-          {
-            payment_link: confidoResult.paymentUrl,
-            invoice_number: invoiceNumber,
-            subtotal: { value: subtotal, currency: 'default' },
-            total: { value: total, currency: 'default' }
-          }
-        );
-        console.log('✅ GHL custom object updated with payment link, invoice number, subtotal, and total');
-      } else {
-        console.warn('⚠️ Custom object no longer exists in GHL, skipping update');
-      }
-    } catch (updateError) {
-      console.error('Failed to update GHL custom object (non-blocking):', updateError.message);
-      if (updateError.response?.data) {
-        console.error('GHL Error Details:', JSON.stringify(updateError.response.data, null, 2));
-      }
-      console.error('This is OK - invoice still created in Confido and Supabase');
-      console.error('Payment link can be retrieved from Supabase if needed');
-    }
-
-    // Send invoice email to client
-    let emailSent = false;
-    const contactEmail = opportunity.contact?.email;
-    if (contactEmail) {
-      try {
-        console.log('Sending invoice email to:', contactEmail);
-        const { sendInvoiceEmail } = require('./services/invoiceEmailService');
-
-        const invoiceEmailData = {
-          billedTo: opportunity.contact?.name || opportunity.name,
-          invoiceNumber: invoiceNumber,
-          issueDate: new Date(),
-          dueDate: invoiceRecord.properties.due_date ? new Date(invoiceRecord.properties.due_date) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-          lineItems: lineItems.map(item => ({
-            name: item.name,
-            price: item.price,
-            quantity: item.quantity || 1,
-            tax: '-',
-            subtotal: item.price * (item.quantity || 1)
-          })),
-          subtotal: total,
-          amountDue: total,
-          paymentLink: confidoResult.paymentUrl
-        };
-
-        await sendInvoiceEmail(invoiceEmailData, contactEmail);
-        console.log('✅ Invoice email sent successfully');
-        emailSent = true;
-      } catch (emailError) {
-        console.error('Failed to send invoice email (non-blocking):', emailError.message);
-      }
-    } else {
-      console.warn('⚠️ No contact email found, skipping invoice email');
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Custom invoice processed successfully',
+      message: 'Invoice queued for processing',
       invoiceId: objectData.recordId,
-      opportunityId: opportunity.id,
-      total: total,
-      lineItems: lineItems,
-      missingItems: missingItems,
-      emailSent: emailSent,
-      confido: {
-        invoiceId: confidoResult.confidoInvoiceId,
-        paymentUrl: confidoResult.paymentUrl,
-        status: confidoResult.status
-      }
+      jobId: job.id
     });
 
   } catch (error) {
     console.error('Error processing custom object webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing custom object webhook',
@@ -1755,7 +1798,10 @@ app.post('/webhooks/ghl/custom-object-created', async (req, res) => {
 // GHL Custom Object (Invoice) Updated webhook endpoint
 // This fires when fields are added/updated on the invoice
 // Logic: Update Supabase, then create in Confido if no payment_link exists, otherwise update payment_link
-app.post('/webhooks/ghl/custom-object-updated', async (req, res) => {
+app.post('/webhooks/ghl/custom-object-updated', ghlSignature('custom-object-updated'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'custom-object-updated'
+}), async (req, res) => {
   try {
     console.log('=== GHL CUSTOM OBJECT UPDATED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -2080,6 +2126,7 @@ app.post('/webhooks/ghl/custom-object-updated', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing custom object update webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing custom object update webhook',
@@ -2090,7 +2137,11 @@ app.post('/webhooks/ghl/custom-object-updated', async (req, res) => {
 
 // GHL Custom Object (Invoice) Deleted webhook endpoint
 // Deletes PaymentLink from Confido and marks invoice as deleted in Supabase
-app.post('/webhooks/ghl/custom-object-deleted', async (req, res) => {
+app.post('/webhooks/ghl/custom-object-deleted', ghlSignature('custom-object-deleted'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'custom-object-deleted',
+  getKey: (req) => req.body.id || req.body.recordId
+}), async (req, res) => {
   try {
     console.log('=== GHL CUSTOM OBJECT DELETED WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -2171,6 +2222,7 @@ app.post('/webhooks/ghl/custom-object-deleted', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing custom object delete webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing custom object delete webhook',
@@ -2465,10 +2517,13 @@ const { processScheduledReminders } = require('./services/appointmentSmsService'
 
 /**
  * Cron endpoint to process scheduled SMS reminders
- * Should be called every 15-30 minutes during business hours (8am-4pm EST)
+ * The built-in scheduler runs this as the 'sms-reminders' job; the endpoint is kept for
+ * external crons (set SMS_REMINDER_JOB_ENABLED=false) and manual runs. Reminders are
+ * claimed before sending, so calling it while the scheduler runs doesn't send twice.
+ * Each reminder is only sent inside its own window.
  *
- * Example cron setup (every 15 minutes, 8am-4pm EST):
- * 0,15,30,45 8-15 * * * curl -X POST https://your-server.com/cron/process-sms-reminders
+ * Example cron setup (every 15 minutes, 7am-7pm EST):
+ * 0,15,30,45 7-18 * * * curl -X POST https://your-server.com/cron/process-sms-reminders
  */
 app.post('/cron/process-sms-reminders', async (req, res) => {
   console.log('\n========================================');
@@ -2496,9 +2551,26 @@ app.post('/cron/process-sms-reminders', async (req, res) => {
   }
 });
 
+// Messages for the inbound SMS response, by action
+const INBOUND_SMS_MESSAGES = {
+  tagged: 'Appointment confirmed',
+  cancelled: 'Appointment cancelled',
+  reschedule_requested: 'Reschedule request sent to staff',
+  opted_out: 'Contact opted out of SMS',
+  opted_in: 'Contact opted back in to SMS',
+  follow_up: 'Follow-up task created for staff',
+  menu_sent: 'Asked client which appointment they meant'
+};
+
 // GHL Inbound SMS webhook endpoint
-// Detects "Y"/"y" confirmation replies and adds "Confirmed [meeting_type]" tag
-app.post('/webhooks/ghl/inbound-sms', async (req, res) => {
+// Handles reply commands: confirm (Y), cancel (C), reschedule (R), STOP/START and
+// numeric answers to the appointment menu (see services/smsCommandService.js);
+// other replies go to staff as a follow-up task
+app.post('/webhooks/ghl/inbound-sms', ghlSignature('inbound-sms'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'inbound-sms',
+  getKey: (req) => req.body.messageId || req.body.message_id
+}), async (req, res) => {
   try {
     console.log('=== GHL INBOUND SMS WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -2514,6 +2586,8 @@ app.post('/webhooks/ghl/inbound-sms', async (req, res) => {
       direction: req.body.direction,
       conversationId: req.body.conversationId,
       locationId: req.body.locationId,
+      messageId: req.body.messageId || req.body.message_id,
+      phone: req.body.phone,
       dateAdded: req.body.dateAdded,
       attachments: req.body.attachments
     };
@@ -2525,15 +2599,19 @@ app.post('/webhooks/ghl/inbound-sms', async (req, res) => {
 
     res.json({
       success: true,
-      message: result.action === 'tagged' ? 'Confirmation tag added' : 'Message processed',
+      message: INBOUND_SMS_MESSAGES[result.action] || 'Message processed',
       action: result.action,
+      command: result.command,
+      appointmentId: result.appointmentId,
       tagAdded: result.tagAdded,
       meetingType: result.meetingType,
+      statusUpdated: result.statusUpdate?.success,
       reason: result.reason
     });
 
   } catch (error) {
     console.error('Error processing GHL inbound SMS webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -2544,7 +2622,10 @@ app.post('/webhooks/ghl/inbound-sms', async (req, res) => {
 
 // Call Transcript webhook endpoint
 // Receives call transcript, summarizes via OpenRouter, saves both to GHL contact custom fields
-app.post('/webhooks/ghl/call-transcript', async (req, res) => {
+app.post('/webhooks/ghl/call-transcript', ghlSignature('call-transcript'), webhookIdempotency({
+  source: 'ghl',
+  eventType: 'call-transcript'
+}), async (req, res) => {
   try {
     console.log('=== CALL TRANSCRIPT WEBHOOK RECEIVED ===');
     console.log('Timestamp:', new Date().toISOString());
@@ -2589,6 +2670,7 @@ app.post('/webhooks/ghl/call-transcript', async (req, res) => {
 
   } catch (error) {
     console.error('Error processing call transcript webhook:', error);
+    res.locals.webhookError = error;
     res.status(500).json({
       success: false,
       message: 'Error processing call transcript',
@@ -2597,10 +2679,610 @@ app.post('/webhooks/ghl/call-transcript', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
+// ============================================
+// ADMIN ENDPOINTS - WEBHOOK DEAD-LETTER QUEUE
+// ============================================
+// All admin endpoints require the x-admin-key header (ADMIN_API_KEY)
+
+/**
+ * List webhook events
+ * Defaults to failed events (the dead-letter queue)
+ * Query params: status (failed|processed|processing|all), source, eventType, limit
+ */
+app.get('/admin/webhook-events', requireAdminKey, async (req, res) => {
+  try {
+    const events = await listWebhookEvents({
+      status: req.query.status || 'failed',
+      source: req.query.source,
+      eventType: req.query.eventType,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: events.length,
+      events: events
+    });
+  } catch (error) {
+    console.error('Error listing webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing webhook events',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Inspect a single webhook event (payload, headers, error and stack)
+ */
+app.get('/admin/webhook-events/:eventId', requireAdminKey, async (req, res) => {
+  try {
+    const event = await getWebhookEventById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: event
+    });
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a batch of webhook events through their original handlers
+ * Body: { eventIds?: string[], source?, eventType?, limit?, dryRun?: boolean, force?: boolean }
+ * Without eventIds, failed events matching source/eventType are replayed (up to limit)
+ */
+app.post('/admin/webhook-events/replay', requireAdminKey, async (req, res) => {
+  try {
+    const { eventIds, source, eventType, limit, dryRun, force } = req.body || {};
+
+    console.log('=== ADMIN WEBHOOK BATCH REPLAY ===');
+    console.log('Options:', JSON.stringify({ eventIds, source, eventType, limit, dryRun, force }));
+
+    const result = await replayWebhookEvents({
+      eventIds: Array.isArray(eventIds) ? eventIds : undefined,
+      source,
+      eventType,
+      limit,
+      dryRun: dryRun === true,
+      force: force === true
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error replaying webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook events',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a single webhook event through its original handler
+ * Body: { dryRun?: boolean, force?: boolean } - force allows replaying a non-failed event
+ */
+app.post('/admin/webhook-events/:eventId/replay', requireAdminKey, async (req, res) => {
+  try {
+    const { dryRun, force } = req.body || {};
+
+    console.log(`=== ADMIN WEBHOOK REPLAY: ${req.params.eventId} ===`);
+
+    const result = await replayWebhookEvent(req.params.eventId, {
+      dryRun: dryRun === true,
+      force: force === true
+    });
+
+    if (!result.replayed && !result.dryRun) {
+      return res.status(result.reason === 'Event not found' ? 404 : 409).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook event',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - PIPELINE REGISTRY
+// ============================================
+
+/**
+ * List pipeline registry entries (logical name -> pipeline/stage IDs)
+ */
+app.get('/admin/pipeline-registry', requireAdminKey, async (req, res) => {
+  try {
+    const stages = await listStages();
+
+    res.json({
+      success: true,
+      count: stages.length,
+      stages: stages
+    });
+  } catch (error) {
+    console.error('Error listing pipeline registry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing pipeline registry',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Refresh the pipeline registry from the GHL pipelines API
+ * Validates that every logical name still resolves to a stage.
+ * Body: { dryRun } - dryRun reports changes without saving them
+ */
+app.post('/admin/pipeline-registry/refresh', requireAdminKey, async (req, res) => {
+  try {
+    const { dryRun } = req.body || {};
+
+    console.log('=== ADMIN PIPELINE REGISTRY REFRESH ===');
+
+    const report = await refreshRegistryFromGHL({ dryRun: dryRun === true });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error refreshing pipeline registry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing pipeline registry',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - CUSTOM FIELD REGISTRY
+// ============================================
+
+/**
+ * Reload custom fields from GHL and validate every referenced field key
+ * Reports keys missing from the location and data type mismatches.
+ */
+app.get('/admin/custom-fields/validate', requireAdminKey, async (req, res) => {
+  try {
+    console.log('=== ADMIN CUSTOM FIELD VALIDATION ===');
+
+    const report = await validateFieldRegistry();
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error validating custom fields:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating custom fields',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - CONTACT UPDATE AUDIT
+// ============================================
+
+/**
+ * Field change history for a contact from form submissions (merge policy audit)
+ * Query params: field (custom field key or standard field name), limit
+ */
+app.get('/admin/contacts/:contactId/audit', requireAdminKey, async (req, res) => {
+  try {
+    const audit = await getContactAudit(req.params.contactId, {
+      field: req.query.field || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      contactId: req.params.contactId,
+      count: audit.length,
+      audit: audit
+    });
+  } catch (error) {
+    console.error('Error fetching contact audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contact audit',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - TASK ROUTING
+// ============================================
+
+/**
+ * Why stage tasks went to whom (routing strategy, reason, candidates considered)
+ * Query params: opportunityId, assigneeId, limit
+ */
+app.get('/admin/task-routing/decisions', requireAdminKey, async (req, res) => {
+  try {
+    const decisions = await getRoutingDecisions({
+      opportunityId: req.query.opportunityId || null,
+      assigneeId: req.query.assigneeId || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: decisions.length,
+      decisions: decisions
+    });
+  } catch (error) {
+    console.error('Error fetching task routing decisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task routing decisions',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - TASK RECONCILIATION & DIGEST
+// ============================================
+
+/**
+ * Repairs the ghl_tasks mirror from GHL
+ * Body: { contactId } reconciles one contact; without it the task-reconciliation
+ * scheduled job runs a full pass now (409 if it's already running on any instance)
+ */
+app.post('/admin/tasks/reconcile', requireAdminKey, async (req, res) => {
+  try {
+    const contactId = req.body?.contactId || req.query.contactId;
+
+    if (contactId) {
+      const summary = await reconcileContactTasks(contactId);
+      return res.json({
+        success: true,
+        summary: summary
+      });
+    }
+
+    const result = await runScheduledJobNow(TASK_RECONCILIATION_JOB);
+
+    if (!result.ran) {
+      return res.status(result.reason === 'Job not found' ? 404 : 409).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Error reconciling tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Sends the task digests and escalations now
+ * ?dryRun=true returns who would get which tasks without sending or escalating;
+ * otherwise the task-digest scheduled job runs now (409 if it's already running)
+ */
+app.post('/admin/tasks/digest', requireAdminKey, async (req, res) => {
+  try {
+    if (req.query.dryRun === 'true') {
+      const result = await runTaskDigest({ dryRun: true });
+      return res.json({
+        success: true,
+        ...result
+      });
+    }
+
+    const result = await runScheduledJobNow(TASK_DIGEST_JOB);
+
+    if (!result.ran) {
+      return res.status(result.reason === 'Job not found' ? 404 : 409).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Error running task digest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running task digest',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - SCHEDULER
+// ============================================
+
+/**
+ * Scheduled jobs with their schedule, next run, whether they're running and their last run
+ */
+app.get('/admin/scheduler/jobs', requireAdminKey, async (req, res) => {
+  try {
+    const jobs = await getScheduledJobStatuses();
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run history of a scheduled job, newest first
+ * Query params: limit (default 20, max 200)
+ */
+app.get('/admin/scheduler/jobs/:name/runs', requireAdminKey, async (req, res) => {
+  try {
+    const runs = await getScheduledJobRuns(req.params.name, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      job: req.params.name,
+      count: runs.length,
+      runs: runs
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled job runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Runs a scheduled job now (409 if it's already running on any instance)
+ */
+app.post('/admin/scheduler/jobs/:name/run', requireAdminKey, async (req, res) => {
+  try {
+    console.log(`=== ADMIN SCHEDULED JOB RUN: ${req.params.name} ===`);
+
+    const result = await runScheduledJobNow(req.params.name);
+
+    if (!result.ran) {
+      return res.status(result.reason === 'Job not found' ? 404 : 409).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Error running scheduled job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running scheduled job',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS - STAGE ANALYTICS
+// ============================================
+
+/**
+ * Parses the shared stage analytics filters, responding 400 if they're invalid
+ * Query params: pipelineId, practiceArea, from, to (entered_at range, ISO dates)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Filters, or null if a response was sent
+ */
+function getStageAnalyticsFilters(req, res) {
+  try {
+    return parseAnalyticsFilters(req.query);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Stage timeline and time spent in each stage for one opportunity
+ */
+app.get('/admin/analytics/stages/opportunities/:opportunityId', requireAdminKey, async (req, res) => {
+  try {
+    const result = await getOpportunityTimeInStage(req.params.opportunityId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error fetching opportunity stage history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching opportunity stage history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Average and median time in each stage
+ */
+app.get('/admin/analytics/stages/durations', requireAdminKey, async (req, res) => {
+  const filters = getStageAnalyticsFilters(req, res);
+  if (!filters) return;
+
+  try {
+    const stages = await getAverageStageDurations(filters);
+
+    res.json({
+      success: true,
+      filters: filters,
+      stages: stages
+    });
+  } catch (error) {
+    console.error('Error calculating stage durations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating stage durations',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Where opportunities go after each stage (counts and rates)
+ */
+app.get('/admin/analytics/stages/conversions', requireAdminKey, async (req, res) => {
+  const filters = getStageAnalyticsFilters(req, res);
+  if (!filters) return;
+
+  try {
+    const stages = await getStageConversionRates(filters);
+
+    res.json({
+      success: true,
+      filters: filters,
+      stages: stages
+    });
+  } catch (error) {
+    console.error('Error calculating stage conversion rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating stage conversion rates',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Opportunities in their current stage for longer than thresholdDays
+ * (default STAGE_STUCK_THRESHOLD_DAYS, 14)
+ */
+app.get('/admin/analytics/stages/stuck', requireAdminKey, async (req, res) => {
+  const filters = getStageAnalyticsFilters(req, res);
+  if (!filters) return;
+
+  try {
+    const result = await getStuckOpportunities({ ...filters, thresholdDays: req.query.thresholdDays });
+
+    res.json({
+      success: true,
+      filters: filters,
+      thresholdDays: result.thresholdDays,
+      count: result.opportunities.length,
+      opportunities: result.opportunities
+    });
+  } catch (error) {
+    console.error('Error fetching stuck opportunities:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stuck opportunities',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// BACKGROUND JOB ENDPOINTS
+// ============================================
+
+/**
+ * Job status endpoint
+ * Returns the status of a queued job (jobId is returned by endpoints that respond 202).
+ * Includes the payload, result and last error, so it needs the admin key.
+ */
+app.get('/jobs/:jobId', requireAdminKey, async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        type: job.job_type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        runAt: job.run_at,
+        lastError: job.last_error,
+        result: job.result,
+        createdAt: job.created_at,
+        completedAt: job.completed_at
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: error.message
+    });
+  }
+});
+
+// Start server
+app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Webhook endpoint: http://localhost:${PORT}/webhook/jotform`);
+
+  // Start the background job worker (set JOB_WORKER_ENABLED=false to run without it)
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    registerJobHandlers();
+    startJobWorker();
+  }
+
+  // Cron-style jobs such as the reminder SMS, task reconciliation and task digest (set SCHEDULER_ENABLED=false to run without them)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    registerScheduledJobs();
+    startScheduler();
+  }
+
+  // Load custom field IDs and report missing/mistyped keys (set CUSTOM_FIELD_VALIDATION_ENABLED=false to skip)
+  if (process.env.CUSTOM_FIELD_VALIDATION_ENABLED !== 'false') {
+    validateFieldRegistry().catch(error => {
+      console.error('⚠️ Custom field validation failed, using last known field IDs:', error.message);
+    });
+  }
 });
 
 module.exports = app;
@@ -3,6 +3,7 @@
  *
  * Sends meeting confirmation emails via Make.com webhook for specific meeting types.
  * Triggered for: Initial Meeting, Vision Meeting, Standalone Meeting
+ * Reschedule and cancellation emails are sent for every meeting type.
  */
 
 const axios = require('axios');
@@ -873,6 +874,230 @@ async function sendMeetingConfirmationEmail(appointmentData) {
   }
 }
 
+/**
+ * Generates the HTML email body for a rescheduled appointment
+ * @param {Object} data - Email data
+ * @param {string} data.firstName - Contact first name
+ * @param {string} data.meetingName - Meeting type, or "appointment"
+ * @param {string} data.dateTime - Formatted new date and time
+ * @param {string} data.previousDateTime - Formatted old date and time (optional)
+ * @param {string} data.location - Full address or zoom link (optional)
+ * @returns {string} HTML email body
+ */
+function generateAppointmentRescheduledHTML(data) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #e8f4fc;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #e8f4fc; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td align="center" style="padding: 40px 40px 20px 40px;">
+              <img src="${LOGO_URL}" alt="Safe Harbor Law Firm" width="400" style="max-width: 100%;">
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px;">
+              <h2 style="color: #1a365d; margin: 0 0 20px 0; font-size: 24px;">Your Appointment Has Been Rescheduled</h2>
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0 0 10px 0;">
+                Hi ${data.firstName},
+              </p>
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                Your ${data.meetingName} has been moved${data.previousDateTime ? ` from ${data.previousDateTime}` : ''} to <strong>${data.dateTime}</strong>${data.location ? `, in our <strong>${data.location}</strong>` : ''}.
+              </p>
+
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 20px 0;">
+                If this new time doesn't work for you, or you have any questions, please respond to this email or give us a call/text at <strong>239-317-3116</strong>.
+              </p>
+
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 20px 0 0 0;">
+                Regards,<br><strong>Safe Harbor Law Firm</strong>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Generates the HTML email body for a cancelled appointment
+ * @param {Object} data - Email data
+ * @param {string} data.firstName - Contact first name
+ * @param {string} data.meetingName - Meeting type, or "appointment"
+ * @param {string} data.dateTime - Formatted date and time of the cancelled appointment
+ * @returns {string} HTML email body
+ */
+function generateAppointmentCancelledHTML(data) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #e8f4fc;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #e8f4fc; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td align="center" style="padding: 40px 40px 20px 40px;">
+              <img src="${LOGO_URL}" alt="Safe Harbor Law Firm" width="400" style="max-width: 100%;">
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px;">
+              <h2 style="color: #1a365d; margin: 0 0 20px 0; font-size: 24px;">Your Appointment Has Been Cancelled</h2>
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0 0 10px 0;">
+                Hi ${data.firstName},
+              </p>
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                Your ${data.meetingName} on <strong>${data.dateTime}</strong> has been cancelled.
+              </p>
+
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 20px 0;">
+                If you would like to book a new time, or you have any questions, please respond to this email or give us a call/text at <strong>239-317-3116</strong>.
+              </p>
+
+              <p style="color: #333; font-size: 16px; line-height: 1.6; margin: 20px 0 0 0;">
+                Regards,<br><strong>Safe Harbor Law Firm</strong>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Sends a rescheduled appointment email via Make.com webhook (any meeting type)
+ * @param {Object} appointmentData - Appointment data
+ * @param {string} appointmentData.contactEmail - Recipient email address
+ * @param {string} appointmentData.contactName - Contact full name
+ * @param {string} appointmentData.contactFirstName - Contact first name
+ * @param {string} appointmentData.startTime - New start time (ISO string)
+ * @param {string} appointmentData.previousStartTime - Old start time (ISO string, optional)
+ * @param {string} appointmentData.meetingLocation - Meeting location (optional)
+ * @param {string} appointmentData.meetingType - Meeting type (optional)
+ * @returns {Promise<Object>} Webhook response
+ */
+async function sendAppointmentRescheduledEmail(appointmentData) {
+  if (!MAKE_WEBHOOK_URL) {
+    console.log('⚠️ MAKE_APPOINTMENT_EMAIL_WEBHOOK not configured, skipping email');
+    return { success: false, reason: 'Webhook not configured' };
+  }
+
+  const { contactEmail, contactName, contactFirstName, startTime, previousStartTime, meetingLocation, meetingType } = appointmentData;
+
+  if (!contactEmail) {
+    console.log('⚠️ No contact email provided, skipping reschedule email');
+    return { success: false, reason: 'No email address' };
+  }
+
+  console.log('=== Sending Appointment Rescheduled Email ===');
+  console.log('To:', contactEmail);
+  console.log('Meeting Type:', meetingType);
+  console.log('Time:', previousStartTime, '->', startTime);
+
+  const htmlBody = generateAppointmentRescheduledHTML({
+    firstName: contactFirstName || contactName || 'Valued Client',
+    meetingName: meetingType || 'appointment',
+    dateTime: formatAppointmentDateTime(startTime),
+    previousDateTime: previousStartTime ? formatAppointmentDateTime(previousStartTime) : null,
+    location: meetingLocation ? getLocationText(meetingLocation) : null
+  });
+
+  const payload = {
+    to: contactEmail,
+    subject: 'Your Appointment with Safe Harbor Law Firm Has Been Rescheduled',
+    htmlBody: htmlBody,
+    type: 'appointment_rescheduled'
+  };
+
+  try {
+    const response = await axios.post(MAKE_WEBHOOK_URL, payload, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    console.log('✅ Appointment rescheduled email sent successfully');
+    return { success: true, response: response.data };
+
+  } catch (error) {
+    console.error('❌ Failed to send appointment rescheduled email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sends a cancelled appointment email via Make.com webhook (any meeting type)
+ * @param {Object} appointmentData - Appointment data
+ * @param {string} appointmentData.contactEmail - Recipient email address
+ * @param {string} appointmentData.contactName - Contact full name
+ * @param {string} appointmentData.contactFirstName - Contact first name
+ * @param {string} appointmentData.startTime - Start time of the cancelled appointment (ISO string)
+ * @param {string} appointmentData.meetingType - Meeting type (optional)
+ * @returns {Promise<Object>} Webhook response
+ */
+async function sendAppointmentCancelledEmail(appointmentData) {
+  if (!MAKE_WEBHOOK_URL) {
+    console.log('⚠️ MAKE_APPOINTMENT_EMAIL_WEBHOOK not configured, skipping email');
+    return { success: false, reason: 'Webhook not configured' };
+  }
+
+  const { contactEmail, contactName, contactFirstName, startTime, meetingType } = appointmentData;
+
+  if (!contactEmail) {
+    console.log('⚠️ No contact email provided, skipping cancellation email');
+    return { success: false, reason: 'No email address' };
+  }
+
+  console.log('=== Sending Appointment Cancelled Email ===');
+  console.log('To:', contactEmail);
+  console.log('Meeting Type:', meetingType);
+  console.log('Time:', startTime);
+
+  const htmlBody = generateAppointmentCancelledHTML({
+    firstName: contactFirstName || contactName || 'Valued Client',
+    meetingName: meetingType || 'appointment',
+    dateTime: formatAppointmentDateTime(startTime)
+  });
+
+  const payload = {
+    to: contactEmail,
+    subject: 'Your Appointment with Safe Harbor Law Firm Has Been Cancelled',
+    htmlBody: htmlBody,
+    type: 'appointment_cancelled'
+  };
+
+  try {
+    const response = await axios.post(MAKE_WEBHOOK_URL, payload, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    console.log('✅ Appointment cancelled email sent successfully');
+    return { success: true, response: response.data };
+
+  } catch (error) {
+    console.error('❌ Failed to send appointment cancelled email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   shouldSendConfirmationEmail,
   shouldSendDiscoveryCallEmail,
@@ -884,6 +1109,8 @@ module.exports = {
   sendTrustAdminMeetingEmail,
   sendGeneralDiscoveryCallEmail,
   sendDocReviewMeetingEmail,
+  sendAppointmentRescheduledEmail,
+  sendAppointmentCancelledEmail,
   formatAppointmentDateTime,
   getLocationText,
   generateMeetingConfirmationHTML,
@@ -891,6 +1118,8 @@ module.exports = {
   generateTrustAdminMeetingHTML,
   generateGeneralDiscoveryCallHTML,
   generateDocReviewMeetingHTML,
+  generateAppointmentRescheduledHTML,
+  generateAppointmentCancelledHTML,
   EMAIL_TRIGGER_MEETING_TYPES,
   DISCOVERY_CALL_MEETING_TYPES,
   TRUST_ADMIN_MEETING_TYPES,
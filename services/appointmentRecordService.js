@@ -0,0 +1,92 @@
+/**
+ * Appointment Record Service
+ *
+ * Keeps the appointments table: one row per GHL appointment handled by the
+ * appointment webhooks, with its title, start time and the stage move the
+ * booking made. The update/cancel webhooks compare against it to detect a
+ * reschedule and to move the opportunity back.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+/**
+ * Saves an appointment record (insert or update by appointment_id)
+ * @param {Object} record - appointments row fields, appointment_id required
+ * @returns {Promise<Object>} { success, record, error }
+ */
+async function saveAppointmentRecord(record) {
+  try {
+    const { data, error } = await supabase
+      .from('appointments')
+      .upsert(record, { onConflict: 'appointment_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Failed to save appointment record:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, record: data };
+  } catch (error) {
+    console.error('❌ Error saving appointment record:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets an appointment record
+ * Throws if the lookup fails, so an unreadable record isn't taken for an
+ * appointment booked before records were kept (and the webhook is retried).
+ * @param {string} appointmentId - GHL appointment ID
+ * @returns {Promise<Object|null>} appointments row, or null if unknown
+ */
+async function getAppointmentRecord(appointmentId) {
+  if (!appointmentId) return null;
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('appointment_id', appointmentId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Failed to fetch appointment record:', error.message);
+    throw new Error(`Failed to fetch appointment record ${appointmentId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Gets the records of several appointments
+ * @param {Array<string>} appointmentIds - GHL appointment IDs
+ * @returns {Promise<Array>} appointments rows of the known ones (empty on error)
+ */
+async function getAppointmentRecords(appointmentIds) {
+  if (!appointmentIds || appointmentIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .in('appointment_id', appointmentIds);
+
+  if (error) {
+    console.error('❌ Failed to fetch appointment records:', error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  saveAppointmentRecord,
+  getAppointmentRecord,
+  getAppointmentRecords
+};
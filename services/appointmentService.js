@@ -1,7 +1,11 @@
-const axios = require('axios');
+const ghlClient = require('./ghlClient');
 const { searchOpportunitiesByContact } = require('./ghlOpportunityService');
-const { shouldSendConfirmationEmail, sendMeetingConfirmationEmail, shouldSendDiscoveryCallEmail, sendProbateDiscoveryCallEmail, shouldSendTrustAdminEmail, sendTrustAdminMeetingEmail, shouldSendGeneralDiscoveryCallEmail, sendGeneralDiscoveryCallEmail, shouldSendDocReviewEmail, sendDocReviewMeetingEmail } = require('./appointmentEmailService');
+const { shouldSendConfirmationEmail, sendMeetingConfirmationEmail, shouldSendDiscoveryCallEmail, sendProbateDiscoveryCallEmail, shouldSendTrustAdminEmail, sendTrustAdminMeetingEmail, shouldSendGeneralDiscoveryCallEmail, sendGeneralDiscoveryCallEmail, shouldSendDocReviewEmail, sendDocReviewMeetingEmail, sendAppointmentRescheduledEmail, sendAppointmentCancelledEmail } = require('./appointmentEmailService');
 const { getContact } = require('./ghlService');
+const { getStage } = require('./pipelineRegistryService');
+const { sendConfirmationSms, scheduleReminderSms, cancelScheduledReminder, rescheduleReminders } = require('./appointmentSmsService');
+const { removeConfirmationTag } = require('./smsConfirmationService');
+const { saveAppointmentRecord, getAppointmentRecord } = require('./appointmentRecordService');
 
 /**
  * Appointment Service
@@ -11,10 +15,9 @@ const { getContact } = require('./ghlService');
  * - Getting calendar details
  * - Updating appointment titles
  * - Moving opportunities to stages based on meeting type
+ * - Reschedules and cancellations (reminders, title, confirmation tag, stage, client email)
  */
 
-const BASE_URL = 'https://services.leadconnectorhq.com';
-
 // Form ID for "Phone and Email" booking form
 const APPOINTMENT_FORM_ID = 'GqeCjaSjT4CqyZuKWLIK';
 
@@ -25,37 +28,27 @@ const FORM_FIELDS = {
   CALENDAR_NAME: 'calendar_name'           // e.g., "Gabby Ang's Personal Calendar"
 };
 
-// Meeting Type to Stage ID mapping
+// Meeting Type to stage mapping (logical names from pipeline_stage_registry)
 // Discovery calls → "Scheduled Discovery Call" stage
 // Meetings → "Scheduled I/V" stage
 const MEETING_TYPE_STAGE_MAP = {
   // Discovery Calls → Scheduled Discovery Call
-  'EP Discovery Call': '12d9abab-c81b-4215-8b2a-020bc3fff912',
-  'Deed Discovery Call': '12d9abab-c81b-4215-8b2a-020bc3fff912',
-  'Probate Discovery Call': '12d9abab-c81b-4215-8b2a-020bc3fff912',
+  'EP Discovery Call': 'scheduled_discovery_call',
+  'Deed Discovery Call': 'scheduled_discovery_call',
+  'Probate Discovery Call': 'scheduled_discovery_call',
   // Meetings → Scheduled I/V
-  'Trust Admin Meeting': '1648da87-eab3-491f-a51b-8d1646137550',
-  'Initial Meeting': '1648da87-eab3-491f-a51b-8d1646137550',
-  'Vision Meeting': '1648da87-eab3-491f-a51b-8d1646137550',
-  'Doc Review Meeting': '1648da87-eab3-491f-a51b-8d1646137550',
-  'Standalone Meeting': '1648da87-eab3-491f-a51b-8d1646137550',
+  'Trust Admin Meeting': 'scheduled_iv',
+  'Initial Meeting': 'scheduled_iv',
+  'Vision Meeting': 'scheduled_iv',
+  'Doc Review Meeting': 'scheduled_iv',
+  'Standalone Meeting': 'scheduled_iv',
 };
 
-/**
- * Gets common headers for GHL API requests
- */
-function getHeaders() {
-  const apiKey = process.env.GHL_API_KEY;
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
+// Prefix for the title of a cancelled appointment
+const CANCELLED_TITLE_PREFIX = 'CANCELLED - ';
 
-  return {
-    'Authorization': `Bearer ${apiKey}`,
-    'Version': '2021-07-28',
-    'Content-Type': 'application/json'
-  };
-}
+// GHL appointmentStatus values that mean the appointment is off
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
 
 /**
  * Fetches form submission by phone or email
@@ -88,17 +81,14 @@ async function getFormSubmission(formId, searchQuery) {
   try {
     console.log(`🔍 Searching form submissions for: ${cleanedQuery}`);
 
-    const response = await axios.get(`${BASE_URL}/forms/submissions`, {
-      params: {
-        locationId: locationId,
-        formId: formId,
-        q: cleanedQuery,
-        limit: 1
-      },
-      headers: getHeaders()
+    const data = await ghlClient.forms.getSubmissions({
+      locationId: locationId,
+      formId: formId,
+      q: cleanedQuery,
+      limit: 1
     });
 
-    const submissions = response.data.submissions || [];
+    const submissions = data.submissions || [];
 
     if (submissions.length === 0) {
       console.log(`⚠️ No form submission found for query: ${searchQuery}`);
@@ -142,12 +132,10 @@ async function getCalendar(calendarId) {
   try {
     console.log(`📅 Fetching calendar: ${calendarId}`);
 
-    const response = await axios.get(`${BASE_URL}/calendars/${calendarId}`, {
-      headers: getHeaders()
-    });
+    const data = await ghlClient.calendars.get(calendarId);
 
-    console.log(`✅ Found calendar: ${response.data.calendar?.name || 'Unknown'}`);
-    return response.data.calendar || response.data;
+    console.log(`✅ Found calendar: ${data.calendar?.name || 'Unknown'}`);
+    return data.calendar || data;
   } catch (error) {
     console.error('❌ Error fetching calendar:', error.response?.data || error.message);
     return null;
@@ -168,15 +156,10 @@ async function getAppointment(appointmentId) {
   try {
     console.log(`📅 Fetching appointment: ${appointmentId}`);
 
-    const response = await axios.get(
-      `${BASE_URL}/calendars/events/appointments/${appointmentId}`,
-      {
-        headers: getHeaders()
-      }
-    );
+    const data = await ghlClient.calendars.getAppointment(appointmentId);
 
     console.log(`✅ Found appointment`);
-    return response.data.event || response.data;
+    return data.event || data;
   } catch (error) {
     console.error('❌ Error fetching appointment:', error.response?.data || error.message);
     return null;
@@ -184,22 +167,13 @@ async function getAppointment(appointmentId) {
 }
 
 /**
- * Updates an appointment's title
+ * Gets the calendar ID the appointment update endpoint requires
  * @param {string} appointmentId - The appointment/event ID
- * @param {string} title - New title for the appointment
- * @param {string} calendarId - The calendar ID (required for the endpoint, will be fetched if not provided)
- * @returns {Promise<Object|null>} Updated appointment data or null on failure
+ * @param {string} calendarId - The calendar ID, if known (fetched from the appointment if not)
+ * @returns {Promise<string>} Calendar ID
+ * @throws {Error} If it can't be determined
  */
-async function updateAppointmentTitle(appointmentId, title, calendarId) {
-  if (!appointmentId) {
-    throw new Error('Appointment ID is required');
-  }
-
-  if (!title) {
-    throw new Error('Title is required');
-  }
-
-  // If calendarId not provided, fetch the appointment to get it
+async function resolveCalendarId(appointmentId, calendarId) {
   let resolvedCalendarId = calendarId;
   if (!resolvedCalendarId) {
     console.log('📅 No calendarId provided, fetching appointment to get it...');
@@ -214,22 +188,37 @@ async function updateAppointmentTitle(appointmentId, title, calendarId) {
     throw new Error('Could not determine calendarId for appointment update');
   }
 
+  return resolvedCalendarId;
+}
+
+/**
+ * Updates an appointment's title
+ * @param {string} appointmentId - The appointment/event ID
+ * @param {string} title - New title for the appointment
+ * @param {string} calendarId - The calendar ID (required for the endpoint, will be fetched if not provided)
+ * @returns {Promise<Object|null>} Updated appointment data or null on failure
+ */
+async function updateAppointmentTitle(appointmentId, title, calendarId) {
+  if (!appointmentId) {
+    throw new Error('Appointment ID is required');
+  }
+
+  if (!title) {
+    throw new Error('Title is required');
+  }
+
+  const resolvedCalendarId = await resolveCalendarId(appointmentId, calendarId);
+
   try {
     console.log(`📝 Updating appointment ${appointmentId} title to: "${title}"`);
 
-    const response = await axios.put(
-      `${BASE_URL}/calendars/events/appointments/${appointmentId}`,
-      {
-        title: title,
-        calendarId: resolvedCalendarId
-      },
-      {
-        headers: getHeaders()
-      }
-    );
+    const data = await ghlClient.calendars.updateAppointment(appointmentId, {
+      title: title,
+      calendarId: resolvedCalendarId
+    });
 
     console.log(`✅ Appointment title updated successfully`);
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error updating appointment:', error.response?.data || error.message);
     throw error;
@@ -237,22 +226,62 @@ async function updateAppointmentTitle(appointmentId, title, calendarId) {
 }
 
 /**
- * Gets the stage ID for a given meeting type
+ * Updates an appointment's status in GHL
+ * @param {string} appointmentId - The appointment/event ID
+ * @param {string} status - GHL appointment status ('confirmed', 'cancelled', ...)
+ * @param {string} calendarId - The calendar ID (fetched from the appointment if not provided)
+ * @returns {Promise<Object>} Updated appointment data
+ */
+async function updateAppointmentStatus(appointmentId, status, calendarId) {
+  if (!appointmentId) {
+    throw new Error('Appointment ID is required');
+  }
+
+  const resolvedCalendarId = await resolveCalendarId(appointmentId, calendarId);
+
+  try {
+    console.log(`📝 Setting appointment ${appointmentId} status to: ${status}`);
+
+    const data = await ghlClient.calendars.updateAppointment(appointmentId, {
+      appointmentStatus: status,
+      calendarId: resolvedCalendarId
+    });
+
+    console.log(`✅ Appointment status updated successfully`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error updating appointment status:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Gets the registry stage for a given meeting type
  * @param {string} meetingType - The meeting type (e.g., "EP Discovery Call")
- * @returns {string|null} Stage ID or null if no mapping exists
+ * @returns {Promise<Object|null>} Stage ({ pipelineId, stageId, ... }) or null if no mapping exists
  */
-function getStageIdForMeetingType(meetingType) {
+async function getStageForMeetingType(meetingType) {
   if (!meetingType) return null;
-  return MEETING_TYPE_STAGE_MAP[meetingType] || null;
+
+  const logicalName = MEETING_TYPE_STAGE_MAP[meetingType];
+  if (!logicalName) return null;
+
+  try {
+    return await getStage(logicalName);
+  } catch (error) {
+    console.error(`❌ Error resolving stage "${logicalName}":`, error.message);
+    return null;
+  }
 }
 
 /**
  * Updates an opportunity's stage in GHL
  * @param {string} opportunityId - The opportunity ID
  * @param {string} stageId - The target stage ID
+ * @param {string} pipelineId - The pipeline the stage belongs to
  * @returns {Promise<Object|null>} Updated opportunity data or null on failure
  */
-async function updateOpportunityStage(opportunityId, stageId) {
+async function updateOpportunityStage(opportunityId, stageId, pipelineId) {
   if (!opportunityId) {
     console.log('⚠️ No opportunity ID provided, skipping stage update');
     return null;
@@ -263,24 +292,16 @@ async function updateOpportunityStage(opportunityId, stageId) {
     return null;
   }
 
-  const pipelineId = process.env.GHL_PIPELINE_ID || 'LFxLIUP3LCVES60i9iwN';
-
   try {
     console.log(`📊 Updating opportunity ${opportunityId} to stage ${stageId}`);
 
-    const response = await axios.put(
-      `${BASE_URL}/opportunities/${opportunityId}`,
-      {
-        pipelineId: pipelineId,
-        pipelineStageId: stageId
-      },
-      {
-        headers: getHeaders()
-      }
-    );
+    const data = await ghlClient.opportunities.update(opportunityId, {
+      pipelineId: pipelineId,
+      pipelineStageId: stageId
+    });
 
     console.log(`✅ Opportunity stage updated successfully`);
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error updating opportunity stage:', error.response?.data || error.message);
     // Don't throw - stage update failure shouldn't fail the whole webhook
@@ -322,10 +343,125 @@ function buildAppointmentTitle({ calendarName, meetingType, meeting, contactName
   return parts.join(' - ');
 }
 
+/**
+ * Builds the appointment title, falling back to "Calendar Name - Contact Name"
+ * when the meeting type is unknown
+ * @param {Object|null} meetingData - { meetingType, meeting }
+ * @param {string} calendarName - Calendar name
+ * @param {string} contactName - Contact full name
+ * @returns {string} Formatted title
+ */
+function buildTitleForMeeting(meetingData, calendarName, contactName) {
+  let title;
+
+  if (meetingData && meetingData.meetingType) {
+    // Full format: Calendar Name - Meeting Type - Meeting - Contact Name
+    title = buildAppointmentTitle({
+      calendarName: calendarName,
+      meetingType: meetingData.meetingType,
+      meeting: meetingData.meeting,
+      contactName: contactName
+    });
+  } else {
+    // Fallback format: Calendar Name - Contact Name
+    title = buildAppointmentTitle({
+      calendarName: calendarName || 'Appointment',
+      contactName: contactName
+    });
+    console.log('⚠️ Using fallback title format (form submission not found or missing data)');
+  }
+
+  console.log(`🏷️ Final title: "${title}"`);
+  return title;
+}
+
+/**
+ * Reads the meeting type and location back out of a title built by buildAppointmentTitle()
+ * @param {string} title - Appointment title
+ * @returns {Object} { meetingType, meeting } (null when not found)
+ */
+function parseAppointmentTitle(title) {
+  const parts = String(title || '').replace(CANCELLED_TITLE_PREFIX, '').split(' - ').map(part => part.trim());
+  const index = parts.findIndex(part => MEETING_TYPE_STAGE_MAP[part]);
+
+  if (index === -1) {
+    return { meetingType: null, meeting: null };
+  }
+
+  // The meeting is only present when it isn't the last part (the contact name)
+  return {
+    meetingType: parts[index],
+    meeting: index + 2 < parts.length ? parts[index + 1] : null
+  };
+}
+
+/**
+ * Fetches the contact to address an email, falling back to the webhook data
+ * @param {string} contactId - GHL contact ID
+ * @param {Object} fallback - { email, name, phone } from the webhook
+ * @returns {Promise<Object>} { email, name, firstName, phone }
+ */
+async function getEmailRecipient(contactId, fallback = {}) {
+  const recipient = {
+    email: fallback.email || null,
+    name: fallback.name || null,
+    firstName: null,
+    phone: fallback.phone || null
+  };
+
+  if (!contactId) return recipient;
+
+  try {
+    console.log(`👤 Fetching contact details for: ${contactId}`);
+    const contactData = await getContact(contactId);
+    const contact = contactData?.contact || contactData;
+
+    if (contact?.email) {
+      recipient.email = contact.email;
+      console.log(`✅ Found contact email: ${recipient.email}`);
+    }
+    if (contact?.firstName) {
+      recipient.firstName = contact.firstName;
+      console.log(`✅ Found contact first name: ${recipient.firstName}`);
+    }
+    if (contact?.phone) {
+      recipient.phone = contact.phone;
+      console.log(`✅ Found contact phone: ${recipient.phone}`);
+    }
+    if (contact?.name || contact?.firstName) {
+      recipient.name = contact.name || `${contact.firstName} ${contact.lastName || ''}`.trim();
+    }
+  } catch (contactError) {
+    console.error('⚠️ Could not fetch contact, using webhook data:', contactError.message);
+  }
+
+  return recipient;
+}
+
+/**
+ * Gets an opportunity's current pipeline and stage
+ * @param {string} opportunityId - The opportunity ID
+ * @returns {Promise<Object|null>} { pipelineId, stageId } or null on failure
+ */
+async function getOpportunityStage(opportunityId) {
+  try {
+    const data = await ghlClient.opportunities.get(opportunityId);
+    const opportunity = data.opportunity || data;
+    return {
+      pipelineId: opportunity.pipelineId || null,
+      stageId: opportunity.pipelineStageId || opportunity.stageId || null
+    };
+  } catch (error) {
+    console.error('❌ Error fetching opportunity stage:', error.response?.data || error.message);
+    return null;
+  }
+}
+
 /**
  * Main handler for appointment created webhook
  * Fetches form submission, extracts data, updates appointment title,
- * and moves opportunity to appropriate stage based on meeting type
+ * moves opportunity to appropriate stage based on meeting type, sends the
+ * confirmation SMS and schedules the reminder SMS
  *
  * @param {Object} webhookData - Webhook payload from GHL
  * @param {string} webhookData.appointmentId - The appointment ID
@@ -403,26 +539,7 @@ async function processAppointmentCreated(webhookData) {
   }
 
   // Step 3: Build the title
-  let title;
-
-  if (meetingData && meetingData.meetingType) {
-    // Full format: Calendar Name - Meeting Type - Meeting - Contact Name
-    title = buildAppointmentTitle({
-      calendarName: calendarName,
-      meetingType: meetingData.meetingType,
-      meeting: meetingData.meeting,
-      contactName: contactName
-    });
-  } else {
-    // Fallback format: Calendar Name - Contact Name
-    title = buildAppointmentTitle({
-      calendarName: calendarName || 'Appointment',
-      contactName: contactName
-    });
-    console.log('⚠️ Using fallback title format (form submission not found or missing data)');
-  }
-
-  console.log(`🏷️ Final title: "${title}"`);
+  const title = buildTitleForMeeting(meetingData, calendarName, contactName);
 
   // Step 4: Update the appointment
   const result = await updateAppointmentTitle(appointmentId, title, calendarId);
@@ -430,6 +547,8 @@ async function processAppointmentCreated(webhookData) {
   // Step 5: Move opportunity to appropriate stage based on meeting type
   let stageUpdateResult = null;
   let targetStageId = null;
+  let previousStage = null;
+  let scheduledStage = null;
   let resolvedOpportunityId = opportunityId;
 
   // If no opportunityId provided, try to find it by contactId
@@ -453,11 +572,17 @@ async function processAppointmentCreated(webhookData) {
   }
 
   if (resolvedOpportunityId && meetingData?.meetingType) {
-    targetStageId = getStageIdForMeetingType(meetingData.meetingType);
+    const targetStage = await getStageForMeetingType(meetingData.meetingType);
+    targetStageId = targetStage?.stageId || null;
 
     if (targetStageId) {
       console.log(`📊 Meeting type "${meetingData.meetingType}" maps to stage ID: ${targetStageId}`);
-      stageUpdateResult = await updateOpportunityStage(resolvedOpportunityId, targetStageId);
+      // Remembered so a cancellation can move the opportunity back
+      previousStage = await getOpportunityStage(resolvedOpportunityId);
+      stageUpdateResult = await updateOpportunityStage(resolvedOpportunityId, targetStageId, targetStage.pipelineId);
+      if (stageUpdateResult) {
+        scheduledStage = { pipelineId: targetStage.pipelineId, stageId: targetStageId };
+      }
     } else {
       console.log(`⚠️ No stage mapping found for meeting type: "${meetingData.meetingType}", skipping stage update`);
     }
@@ -467,7 +592,19 @@ async function processAppointmentCreated(webhookData) {
     console.log('⚠️ No meeting type found, skipping stage update');
   }
 
-  // Step 6: Send confirmation email for specific meeting types
+  // Step 6: Fetch full appointment details (start time, contact)
+  const appointmentDetails = await getAppointment(appointmentId);
+  console.log('📅 Appointment details:', JSON.stringify(appointmentDetails, null, 2));
+
+  // Extract appointment data (may be nested under 'appointment' key)
+  const appointment = appointmentDetails?.appointment || appointmentDetails;
+  const appointmentStartTime = appointment?.startTime || appointment?.start_time;
+  console.log(`📅 Appointment start time: ${appointmentStartTime}`);
+
+  // Get the contact ID from the appointment
+  const appointmentContactId = appointment?.contactId || appointment?.contact_id || contactId;
+
+  // Step 7: Send confirmation email for specific meeting types
   let emailResult = null;
   const requiresConfirmationEmail = meetingData?.meetingType && shouldSendConfirmationEmail(meetingData.meetingType);
   const requiresDiscoveryCallEmail = meetingData?.meetingType && shouldSendDiscoveryCallEmail(meetingData.meetingType);
@@ -483,49 +620,15 @@ async function processAppointmentCreated(webhookData) {
     if (requiresDocReviewEmail) emailType = 'doc review';
     console.log(`📧 Meeting type "${meetingData.meetingType}" requires ${emailType} email`);
 
-    // Fetch full appointment details to get start time
-    const appointmentDetails = await getAppointment(appointmentId);
-    console.log('📅 Appointment details:', JSON.stringify(appointmentDetails, null, 2));
-
-    // Extract appointment data (may be nested under 'appointment' key)
-    const appointment = appointmentDetails?.appointment || appointmentDetails;
-    const appointmentStartTime = appointment?.startTime || appointment?.start_time;
-    console.log(`📅 Appointment start time: ${appointmentStartTime}`);
-
-    // Get the contact ID from the appointment
-    const appointmentContactId = appointment?.contactId || appointment?.contact_id || contactId;
-
-    // Fetch contact to get their email, first name, and phone
-    let recipientEmail = contactEmail;
-    let recipientName = contactName;
-    let recipientFirstName = null;
-    let recipientPhone = contactPhone;
-
-    if (appointmentContactId) {
-      try {
-        console.log(`👤 Fetching contact details for: ${appointmentContactId}`);
-        const contactData = await getContact(appointmentContactId);
-        const contact = contactData?.contact || contactData;
-
-        if (contact?.email) {
-          recipientEmail = contact.email;
-          console.log(`✅ Found contact email: ${recipientEmail}`);
-        }
-        if (contact?.firstName) {
-          recipientFirstName = contact.firstName;
-          console.log(`✅ Found contact first name: ${recipientFirstName}`);
-        }
-        if (contact?.phone) {
-          recipientPhone = contact.phone;
-          console.log(`✅ Found contact phone: ${recipientPhone}`);
-        }
-        if (contact?.name || contact?.firstName) {
-          recipientName = contact.name || `${contact.firstName} ${contact.lastName || ''}`.trim();
-        }
-      } catch (contactError) {
-        console.error('⚠️ Could not fetch contact, using webhook data:', contactError.message);
-      }
-    }
+    const recipient = await getEmailRecipient(appointmentContactId, {
+      email: contactEmail,
+      name: contactName,
+      phone: contactPhone
+    });
+    const recipientEmail = recipient.email;
+    const recipientName = recipient.name;
+    const recipientFirstName = recipient.firstName;
+    const recipientPhone = recipient.phone;
 
     if (!recipientEmail) {
       console.log('⚠️ No email found for contact, skipping email');
@@ -585,6 +688,51 @@ async function processAppointmentCreated(webhookData) {
     console.log(`📧 Meeting type "${meetingData.meetingType}" does not require confirmation email`);
   }
 
+  // Step 8: Confirmation SMS, then reminder SMS at the meeting type's offsets (sms-reminder-policy.json)
+  let confirmationSmsResult = null;
+  let reminderResult = null;
+  if (appointmentStartTime && appointmentContactId) {
+    confirmationSmsResult = await sendConfirmationSms({
+      contactId: appointmentContactId,
+      appointmentId,
+      eventTitle: title,
+      startTime: appointmentStartTime,
+      location: meetingData?.meeting,
+      contactName,
+      contactPhone
+    });
+
+    reminderResult = await scheduleReminderSms({
+      contactId: appointmentContactId,
+      appointmentId,
+      eventTitle: title,
+      startTime: appointmentStartTime,
+      meetingType: meetingData?.meetingType,
+      location: meetingData?.meeting,
+      contactName,
+      contactPhone
+    });
+  } else {
+    console.log('⚠️ No start time or contact for appointment, skipping confirmation and reminder SMS');
+  }
+
+  // Step 9: Remember the appointment for the update/cancel webhooks
+  await saveAppointmentRecord({
+    appointment_id: appointmentId,
+    contact_id: appointmentContactId || null,
+    opportunity_id: resolvedOpportunityId || null,
+    calendar_id: appointment?.calendarId || calendarId || null,
+    title,
+    meeting_type: meetingData?.meetingType || null,
+    meeting_location: meetingData?.meeting || null,
+    start_time: appointmentStartTime || null,
+    status: 'booked',
+    previous_pipeline_id: previousStage?.pipelineId || null,
+    previous_stage_id: previousStage?.stageId || null,
+    scheduled_pipeline_id: scheduledStage?.pipelineId || null,
+    scheduled_stage_id: scheduledStage?.stageId || null
+  });
+
   return {
     success: true,
     appointmentId,
@@ -597,6 +745,340 @@ async function processAppointmentCreated(webhookData) {
       targetStageId,
       success: !!stageUpdateResult
     },
+    emailSent: emailResult,
+    confirmationSms: confirmationSmsResult,
+    reminders: reminderResult
+  };
+}
+
+/**
+ * Checks whether a GHL appointment status means cancelled
+ * @param {string} status - appointmentStatus from GHL
+ * @returns {boolean} True if cancelled
+ */
+function isCancelledStatus(status) {
+  return CANCELLED_STATUSES.includes(String(status || '').toLowerCase());
+}
+
+/**
+ * Moves the opportunity back to the stage it was in before the booking
+ * Only if the opportunity is still in the stage the booking moved it to.
+ * @param {Object|null} record - appointments row
+ * @returns {Promise<Object>} { reverted, opportunityId, stageId, reason }
+ */
+async function revertOpportunityStage(record) {
+  if (!record?.opportunity_id || !record.previous_stage_id || !record.scheduled_stage_id) {
+    return { reverted: false, reason: 'Booking did not move the opportunity' };
+  }
+
+  if (record.previous_stage_id === record.scheduled_stage_id) {
+    return { reverted: false, reason: 'Opportunity was already in the scheduled stage when booked' };
+  }
+
+  const current = await getOpportunityStage(record.opportunity_id);
+  if (!current) {
+    return { reverted: false, reason: 'Could not fetch opportunity' };
+  }
+
+  if (current.stageId !== record.scheduled_stage_id) {
+    console.log(`ℹ️ Opportunity ${record.opportunity_id} has moved on since the booking, leaving its stage`);
+    return { reverted: false, reason: 'Opportunity has moved on since the booking' };
+  }
+
+  const result = await updateOpportunityStage(
+    record.opportunity_id,
+    record.previous_stage_id,
+    record.previous_pipeline_id || current.pipelineId
+  );
+
+  return {
+    reverted: !!result,
+    opportunityId: record.opportunity_id,
+    stageId: record.previous_stage_id,
+    reason: result ? null : 'Stage update failed'
+  };
+}
+
+/**
+ * Main handler for appointment updated webhook
+ * Re-titles the appointment (the calendar may have changed). If the start time
+ * moved, also moves pending reminders, removes the confirmation tag and sends
+ * the client a reschedule email. A cancelled status is handled as a cancellation;
+ * updates to an appointment already recorded as cancelled are ignored.
+ *
+ * @param {Object} webhookData - Webhook payload from GHL (same fields as appointment created,
+ *   plus startTime and appointmentStatus)
+ * @returns {Promise<Object>} Result of the operation (action: update, reschedule or cancellation)
+ */
+async function processAppointmentUpdated(webhookData) {
+  const {
+    appointmentId,
+    contactId,
+    contactPhone,
+    contactEmail,
+    contactName,
+    calendarId,
+    calendarName: webhookCalendarName,
+    appointmentStatus
+  } = webhookData;
+
+  console.log('\n========================================');
+  console.log('📅 Processing Appointment Updated Webhook');
+  console.log('========================================');
+  console.log(`Appointment ID: ${appointmentId}`);
+  console.log(`Contact: ${contactName} (${contactId})`);
+  console.log(`Status: ${appointmentStatus || '(not provided)'}`);
+  console.log('========================================\n');
+
+  if (!appointmentId) {
+    throw new Error('Missing required field: appointmentId');
+  }
+
+  if (isCancelledStatus(appointmentStatus)) {
+    console.log('📅 Appointment status is cancelled, handling as a cancellation');
+    return processAppointmentCancelled(webhookData);
+  }
+
+  // Our own "CANCELLED - " title update fires this webhook after a cancellation
+  const record = await getAppointmentRecord(appointmentId);
+
+  if (record?.status === 'cancelled') {
+    console.log('ℹ️ Appointment already cancelled, ignoring update');
+    return { success: true, action: 'update', appointmentId, alreadyCancelled: true };
+  }
+
+  // Step 1: Compare the appointment with what we recorded
+  const appointmentDetails = await getAppointment(appointmentId);
+  const appointment = appointmentDetails?.appointment || appointmentDetails;
+
+  if (!appointment) {
+    throw new Error(`Could not fetch appointment ${appointmentId}`);
+  }
+
+  if (isCancelledStatus(appointment.appointmentStatus)) {
+    console.log('📅 Appointment status is cancelled, handling as a cancellation');
+    return processAppointmentCancelled(webhookData);
+  }
+
+  const startTime = appointment.startTime || appointment.start_time || webhookData.startTime || null;
+  const previousStartTime = record?.start_time || null;
+  const rescheduled = Boolean(startTime && previousStartTime &&
+    new Date(startTime).getTime() !== new Date(previousStartTime).getTime());
+  const appointmentContactId = appointment.contactId || appointment.contact_id || contactId || record?.contact_id;
+  const resolvedCalendarId = appointment.calendarId || calendarId || record?.calendar_id;
+
+  if (!record) {
+    console.log('⚠️ Appointment was booked before it was recorded, cannot tell if it was rescheduled');
+  }
+  console.log(`📅 Start time: ${previousStartTime || '(unknown)'} -> ${startTime}${rescheduled ? ' (rescheduled)' : ''}`);
+
+  const recipient = await getEmailRecipient(appointmentContactId, {
+    email: contactEmail,
+    name: contactName,
+    phone: contactPhone
+  });
+
+  // Step 2: Rebuild the title - meeting type from the booking, calendar from the appointment
+  let meetingData = record?.meeting_type
+    ? { meetingType: record.meeting_type, meeting: record.meeting_location }
+    : null;
+
+  if (!meetingData) {
+    const searchQuery = contactPhone || contactEmail || recipient.phone || recipient.email;
+    const submission = searchQuery ? await getFormSubmission(APPOINTMENT_FORM_ID, searchQuery) : null;
+    meetingData = submission ? extractMeetingData(submission) : parseAppointmentTitle(appointment.title);
+  }
+
+  let calendarName = webhookCalendarName;
+  if (!calendarName && resolvedCalendarId) {
+    const calendar = await getCalendar(resolvedCalendarId);
+    calendarName = calendar?.name;
+  }
+  calendarName = calendarName || meetingData?.calendarName || null;
+
+  const title = buildTitleForMeeting(meetingData, calendarName, contactName || recipient.name);
+
+  // Our own title update fires this webhook again; the title then matches
+  const titleUpdated = title !== appointment.title;
+  if (titleUpdated) {
+    await updateAppointmentTitle(appointmentId, title, resolvedCalendarId);
+  } else {
+    console.log('ℹ️ Title unchanged');
+  }
+
+  // Step 3: Reschedule follow-up
+  let reminders = null;
+  let tagRemoval = null;
+  let emailResult = null;
+
+  if (rescheduled) {
+    reminders = await rescheduleReminders({
+      contactId: appointmentContactId,
+      appointmentId,
+      eventTitle: title,
+      startTime,
+      meetingType: meetingData?.meetingType,
+      location: meetingData?.meeting,
+      contactName: recipient.name,
+      contactPhone: recipient.phone
+    });
+
+    // The client confirmed the old time
+    if (appointmentContactId) {
+      tagRemoval = await removeConfirmationTag(appointmentContactId, meetingData?.meetingType);
+    }
+
+    emailResult = await sendAppointmentRescheduledEmail({
+      contactEmail: recipient.email,
+      contactName: recipient.name,
+      contactFirstName: recipient.firstName,
+      startTime,
+      previousStartTime,
+      meetingLocation: meetingData?.meeting,
+      meetingType: meetingData?.meetingType
+    });
+  }
+
+  // Step 4: Update the record
+  await saveAppointmentRecord({
+    appointment_id: appointmentId,
+    contact_id: appointmentContactId || null,
+    calendar_id: resolvedCalendarId || null,
+    title,
+    meeting_type: meetingData?.meetingType || null,
+    meeting_location: meetingData?.meeting || null,
+    start_time: startTime,
+    ...(rescheduled ? { status: 'rescheduled', rescheduled_at: new Date().toISOString() } : {})
+  });
+
+  return {
+    success: true,
+    action: rescheduled ? 'reschedule' : 'update',
+    appointmentId,
+    title,
+    titleUpdated,
+    rescheduled,
+    previousStartTime,
+    startTime,
+    reminders,
+    tagRemoval,
+    emailSent: emailResult
+  };
+}
+
+/**
+ * Main handler for appointment cancelled webhook
+ * Cancels pending reminders, marks the title as cancelled, removes the
+ * confirmation tag, optionally moves the opportunity back to the stage it was
+ * in before the booking, and sends the client a cancellation email.
+ *
+ * @param {Object} webhookData - Webhook payload from GHL
+ * @param {boolean} webhookData.revertStage - Move the opportunity back (defaults to
+ *   APPOINTMENT_CANCEL_REVERT_STAGE)
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function processAppointmentCancelled(webhookData) {
+  const { appointmentId, contactId, contactPhone, contactEmail, contactName, calendarId } = webhookData;
+
+  console.log('\n========================================');
+  console.log('📅 Processing Appointment Cancelled Webhook');
+  console.log('========================================');
+  console.log(`Appointment ID: ${appointmentId}`);
+  console.log(`Contact: ${contactName} (${contactId})`);
+  console.log('========================================\n');
+
+  if (!appointmentId) {
+    throw new Error('Missing required field: appointmentId');
+  }
+
+  const record = await getAppointmentRecord(appointmentId);
+
+  if (record?.status === 'cancelled') {
+    console.log('ℹ️ Appointment already cancelled, nothing to do');
+    return { success: true, action: 'cancellation', appointmentId, alreadyCancelled: true };
+  }
+
+  const appointmentDetails = await getAppointment(appointmentId);
+  const appointment = appointmentDetails?.appointment || appointmentDetails;
+  const startTime = appointment?.startTime || appointment?.start_time || record?.start_time || webhookData.startTime || null;
+  const appointmentContactId = appointment?.contactId || appointment?.contact_id || contactId || record?.contact_id;
+  const meetingType = record?.meeting_type || parseAppointmentTitle(appointment?.title || record?.title).meetingType;
+
+  const currentTitle = appointment?.title || record?.title || null;
+  const title = currentTitle && !currentTitle.startsWith(CANCELLED_TITLE_PREFIX)
+    ? `${CANCELLED_TITLE_PREFIX}${currentTitle}`
+    : currentTitle;
+
+  // Step 1: Record the cancellation first - the title update below fires the
+  // appointment-updated webhook, which must see the appointment as cancelled
+  const saved = await saveAppointmentRecord({
+    appointment_id: appointmentId,
+    contact_id: appointmentContactId || null,
+    title,
+    start_time: startTime,
+    status: 'cancelled',
+    cancelled_at: new Date().toISOString()
+  });
+
+  if (!saved.success) {
+    // Nothing has been done yet, so the webhook can safely be retried
+    throw new Error(`Failed to record appointment cancellation: ${saved.error}`);
+  }
+
+  // Step 2: Cancel pending reminders
+  const reminders = await cancelScheduledReminder(appointmentId);
+
+  // Step 3: Mark the title as cancelled
+  let titleUpdated = false;
+
+  if (title !== currentTitle) {
+    try {
+      await updateAppointmentTitle(appointmentId, title, appointment?.calendarId || calendarId || record?.calendar_id);
+      titleUpdated = true;
+    } catch (error) {
+      // Don't fail the cancellation over the title
+      console.error('⚠️ Could not update cancelled appointment title:', error.message);
+    }
+  }
+
+  // Step 4: Remove the confirmation tag
+  let tagRemoval = null;
+  if (appointmentContactId) {
+    tagRemoval = await removeConfirmationTag(appointmentContactId, meetingType);
+  }
+
+  // Step 5: Move the opportunity back (optional)
+  const revertEnabled = webhookData.revertStage !== undefined && webhookData.revertStage !== null
+    ? String(webhookData.revertStage) === 'true'
+    : process.env.APPOINTMENT_CANCEL_REVERT_STAGE === 'true';
+  const stageRevert = revertEnabled
+    ? await revertOpportunityStage(record)
+    : { reverted: false, reason: 'Stage revert not enabled' };
+
+  // Step 6: Let the client know
+  const recipient = await getEmailRecipient(appointmentContactId, {
+    email: contactEmail,
+    name: contactName,
+    phone: contactPhone
+  });
+
+  const emailResult = await sendAppointmentCancelledEmail({
+    contactEmail: recipient.email,
+    contactName: recipient.name,
+    contactFirstName: recipient.firstName,
+    startTime,
+    meetingType
+  });
+
+  return {
+    success: true,
+    action: 'cancellation',
+    appointmentId,
+    title,
+    titleUpdated,
+    reminders,
+    tagRemoval,
+    stageRevert,
     emailSent: emailResult
   };
 }
@@ -607,9 +1089,13 @@ module.exports = {
   getCalendar,
   getAppointment,
   updateAppointmentTitle,
+  updateAppointmentStatus,
   buildAppointmentTitle,
   processAppointmentCreated,
-  getStageIdForMeetingType,
+  processAppointmentUpdated,
+  processAppointmentCancelled,
+  parseAppointmentTitle,
+  getStageForMeetingType,
   updateOpportunityStage,
   FORM_FIELDS,
   MEETING_TYPE_STAGE_MAP
@@ -3,12 +3,18 @@
  *
  * Sends appointment SMS notifications via GHL webhook.
  * Supports:
- * - Confirmation SMS (sent immediately after email)
- * - Reminder SMS (scheduled 24 hours before appointment, within 8am-4pm EST)
+ * - Confirmation SMS (sent when the appointment is booked, inside the policy's confirmation window)
+ * - Reminder SMS (scheduled at the meeting type's offsets from sms-reminder-policy.json,
+ *   e.g. 72h, 24h and 2h before, each within its own send window)
  */
 
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const reminderPolicy = require('../sms-reminder-policy.json');
+const { WORKER_ID } = require('./jobQueueService');
+const { isOptedOut } = require('./smsOptOutService');
+const { recordOutboundSms } = require('./smsMessageLogService');
+const { getReminderRules, planReminders, planConfirmation, selectDueReminders } = require('../utils/smsReminderSchedule');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -16,6 +22,12 @@ const supabase = createClient(
   process.env.SUPABASE_KEY
 );
 
+// Timezone of the reminder send windows
+const REMINDER_TIME_ZONE = reminderPolicy.timeZone || 'America/New_York';
+
+// A claimed reminder not marked sent/failed by then is assumed abandoned (e.g. server restarted mid-send)
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
 // GHL Webhook URL for SMS automation
 const GHL_SMS_WEBHOOK_URL = 'https://services.leadconnectorhq.com/hooks/afYLuZPi37CZR1IpJlfn/webhook-trigger/85d6309b-8bf7-49d7-9d53-1690e2a8d2f9';
 
@@ -43,77 +55,58 @@ function formatAppointmentDateTime(startTime) {
   return date.toLocaleString('en-US', options);
 }
 
-/**
- * Calculates the reminder send time (24 hours before appointment, adjusted to 8am-4pm EST window)
- * @param {string} appointmentTime - ISO date string of appointment
- * @returns {Date} The calculated reminder send time
- */
-function calculateReminderTime(appointmentTime) {
-  if (!appointmentTime) return null;
-
-  const appointmentDate = new Date(appointmentTime);
-
-  // 24 hours before appointment
-  const reminderTime = new Date(appointmentDate.getTime() - (24 * 60 * 60 * 1000));
-
-  // Get the hour in EST
-  const estFormatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/New_York',
-    hour: 'numeric',
-    hour12: false
-  });
-  const estHour = parseInt(estFormatter.format(reminderTime));
-
-  // Adjust to 8am-4pm window
-  if (estHour < 8) {
-    // Before 8am - set to 8am same day
-    const hoursToAdd = 8 - estHour;
-    reminderTime.setTime(reminderTime.getTime() + (hoursToAdd * 60 * 60 * 1000));
-  } else if (estHour >= 16) {
-    // After 4pm (16:00) - set to 3pm (15:00) same day
-    const hoursToSubtract = estHour - 15;
-    reminderTime.setTime(reminderTime.getTime() - (hoursToSubtract * 60 * 60 * 1000));
-  }
-
-  return reminderTime;
-}
-
-/**
- * Checks if current time is within SMS sending window (8am-4pm EST)
- * @returns {boolean} True if within window
- */
-function isWithinSmsWindow() {
-  const now = new Date();
-  const estFormatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/New_York',
-    hour: 'numeric',
-    hour12: false
-  });
-  const estHour = parseInt(estFormatter.format(now));
-
-  return estHour >= 8 && estHour < 16;
-}
-
 /**
  * Sends an SMS via GHL webhook
+ * Nothing is sent to contacts who opted out (returns { success: false, skipped: true }),
+ * or when the opt-out can't be checked (returns { success: false, retry: true, error }).
+ * SMS about an appointment are logged so replies can be matched to it (services/smsMessageLogService.js).
  * @param {Object} smsData - SMS data
- * @param {string} smsData.type - 'confirmation' or 'reminder'
+ * @param {string} smsData.type - 'confirmation', 'reminder', 'reschedule_link' or 'appointment_menu'
+ * @param {string} smsData.appointmentId - Appointment the SMS is about
  * @param {string} smsData.eventTitle - The appointment title
  * @param {string} smsData.time - Formatted appointment time
  * @param {string} smsData.location - Meeting location
  * @param {string} smsData.contactId - GHL contact ID (for the automation to send to)
  * @param {string} smsData.contactName - Contact full name
  * @param {string} smsData.contactPhone - Contact phone number
+ * @param {string} smsData.reminderOffset - Reminder offset, e.g. '24h' (reminders only)
+ * @param {string} smsData.bookingLink - Link to book a new time (reschedule_link only)
+ * @param {string} smsData.message - Full message text (appointment_menu only)
  * @returns {Promise<Object>} Webhook response
  */
 async function sendAppointmentSms(smsData) {
-  const { type, eventTitle, time, location, contactId, contactName, contactPhone } = smsData;
+  const {
+    type,
+    appointmentId,
+    eventTitle,
+    time,
+    location,
+    contactId,
+    contactName,
+    contactPhone,
+    reminderOffset,
+    bookingLink,
+    message
+  } = smsData;
 
   if (!contactId) {
     console.log('⚠️ No contact ID provided, skipping SMS');
     return { success: false, reason: 'No contact ID' };
   }
 
+  let optedOut;
+  try {
+    optedOut = await isOptedOut(contactId);
+  } catch (error) {
+    console.error(`⚠️ Not sending ${type} SMS until the opt-out can be checked`);
+    return { success: false, retry: true, error: error.message };
+  }
+
+  if (optedOut) {
+    console.log(`🔕 Contact ${contactId} opted out of SMS, not sending ${type} SMS`);
+    return { success: false, skipped: true, reason: 'Contact opted out of SMS' };
+  }
+
   console.log('=== Sending Appointment SMS ===');
   console.log('Type:', type);
   console.log('Event Title:', eventTitle);
@@ -133,6 +126,19 @@ async function sendAppointmentSms(smsData) {
     contactPhone: contactPhone
   };
 
+  // Lets the automation word a 72h reminder differently from a 2h one
+  if (reminderOffset) {
+    payload.reminderOffset = reminderOffset;
+  }
+
+  if (bookingLink) {
+    payload.bookingLink = bookingLink;
+  }
+
+  if (message) {
+    payload.message = message;
+  }
+
   try {
     const response = await axios.post(GHL_SMS_WEBHOOK_URL, payload, {
       headers: {
@@ -142,6 +148,11 @@ async function sendAppointmentSms(smsData) {
     });
 
     console.log(`✅ ${type} SMS webhook triggered successfully`);
+
+    if (appointmentId) {
+      await recordOutboundSms({ contactId, appointmentId, messageType: type, reminderOffset });
+    }
+
     return { success: true, response: response.data };
 
   } catch (error) {
@@ -151,9 +162,12 @@ async function sendAppointmentSms(smsData) {
 }
 
 /**
- * Sends a confirmation SMS immediately after email
+ * Sends the confirmation SMS for a new booking
+ * Only inside the confirmation window of sms-reminder-policy.json, and never to
+ * contacts who opted out (returns { success: false, skipped: true, reason }).
  * @param {Object} appointmentData - Appointment data
  * @param {string} appointmentData.contactId - GHL contact ID
+ * @param {string} appointmentData.appointmentId - Appointment ID
  * @param {string} appointmentData.eventTitle - Appointment title
  * @param {string} appointmentData.startTime - Appointment start time (ISO string)
  * @param {string} appointmentData.location - Meeting location
@@ -162,12 +176,19 @@ async function sendAppointmentSms(smsData) {
  * @returns {Promise<Object>} Result
  */
 async function sendConfirmationSms(appointmentData) {
-  const { contactId, eventTitle, startTime, location, contactName, contactPhone } = appointmentData;
+  const { contactId, appointmentId, eventTitle, startTime, location, contactName, contactPhone } = appointmentData;
+
+  const plan = planConfirmation(reminderPolicy, startTime, new Date(), REMINDER_TIME_ZONE);
+  if (!plan.send) {
+    console.log(`⚠️ Confirmation SMS not sent: ${plan.reason}`);
+    return { success: false, skipped: true, reason: plan.reason };
+  }
 
   const formattedTime = formatAppointmentDateTime(startTime);
 
   return sendAppointmentSms({
     type: 'confirmation',
+    appointmentId: appointmentId,
     eventTitle: eventTitle || 'Appointment',
     time: formattedTime,
     location: location || '[Location]',
@@ -178,20 +199,22 @@ async function sendConfirmationSms(appointmentData) {
 }
 
 /**
- * Schedules a reminder SMS for 24 hours before appointment (adjusted to 8am-4pm EST window)
+ * Schedules the reminder SMS for an appointment, one per offset configured for
+ * its meeting type in sms-reminder-policy.json
  * Saves to Supabase scheduled_sms table for cron job to process
  * @param {Object} appointmentData - Appointment data
  * @param {string} appointmentData.contactId - GHL contact ID
  * @param {string} appointmentData.appointmentId - Appointment ID
  * @param {string} appointmentData.eventTitle - Appointment title
  * @param {string} appointmentData.startTime - Appointment start time (ISO string)
+ * @param {string} appointmentData.meetingType - Meeting type (unknown types use defaultReminders)
  * @param {string} appointmentData.location - Meeting location
  * @param {string} appointmentData.contactName - Contact full name
  * @param {string} appointmentData.contactPhone - Contact phone number
- * @returns {Promise<Object>} Result with scheduled time info
+ * @returns {Promise<Object>} Result with { reminders: [{ id, offset, scheduledFor }], skipped }
  */
 async function scheduleReminderSms(appointmentData) {
-  const { contactId, appointmentId, eventTitle, startTime, location, contactName, contactPhone } = appointmentData;
+  const { contactId, appointmentId, eventTitle, startTime, meetingType, location, contactName, contactPhone } = appointmentData;
 
   if (!startTime) {
     console.log('⚠️ No start time provided, cannot schedule reminder');
@@ -203,24 +226,24 @@ async function scheduleReminderSms(appointmentData) {
     return { success: false, reason: 'No contact ID' };
   }
 
-  const reminderTime = calculateReminderTime(startTime);
-  const formattedAppointmentTime = formatAppointmentDateTime(startTime);
+  const rules = getReminderRules(reminderPolicy, meetingType);
+  const { reminders, skipped } = planReminders(startTime, rules, new Date(), REMINDER_TIME_ZONE);
 
   console.log('=== Scheduling Reminder SMS ===');
-  console.log('Appointment Time:', formattedAppointmentTime);
-  console.log('Calculated Reminder Time:', reminderTime?.toISOString());
+  console.log('Appointment Time:', formatAppointmentDateTime(startTime));
+  console.log('Meeting Type:', meetingType || '(unknown, using default reminders)');
+  reminders.forEach(r => console.log(`Reminder ${r.label}: ${r.sendAt.toISOString()}`));
+  skipped.forEach(r => console.log(`⚠️ Reminder ${r.label} skipped: ${r.reason}`));
 
-  // Check if reminder time is in the past
-  if (reminderTime && reminderTime <= new Date()) {
-    console.log('⚠️ Reminder time is in the past, skipping scheduling');
-    return { success: false, reason: 'Reminder time is in the past' };
+  if (reminders.length === 0) {
+    return { success: false, reason: 'No reminder falls before the appointment', reminders: [], skipped, appointmentTime: startTime };
   }
 
   try {
     // Save to Supabase for cron job to process
     const { data, error } = await supabase
       .from('scheduled_sms')
-      .insert({
+      .insert(reminders.map(reminder => ({
         contact_id: contactId,
         contact_name: contactName,
         contact_phone: contactPhone,
@@ -228,24 +251,30 @@ async function scheduleReminderSms(appointmentData) {
         event_title: eventTitle || 'Appointment',
         appointment_time: startTime,
         location: location || '[Location]',
-        scheduled_send_time: reminderTime.toISOString(),
+        scheduled_send_time: reminder.sendAt.toISOString(),
+        reminder_offset: reminder.label,
+        reminder_offset_minutes: reminder.offsetMinutes,
+        send_window_start: reminder.window?.start || null,
+        send_window_end: reminder.window?.end || null,
         status: 'pending'
-      })
-      .select()
-      .single();
+      })))
+      .select();
 
     if (error) {
       console.error('❌ Failed to schedule reminder SMS:', error.message);
       return { success: false, error: error.message };
     }
 
-    console.log(`✅ Reminder SMS scheduled for ${reminderTime.toISOString()}`);
-    console.log(`📝 Scheduled SMS ID: ${data.id}`);
+    console.log(`✅ ${data.length} reminder SMS scheduled`);
 
     return {
       success: true,
-      scheduledSmsId: data.id,
-      scheduledFor: reminderTime.toISOString(),
+      reminders: data.map(row => ({
+        id: row.id,
+        offset: row.reminder_offset,
+        scheduledFor: row.scheduled_send_time
+      })),
+      skipped,
       appointmentTime: startTime
     };
 
@@ -256,8 +285,61 @@ async function scheduleReminderSms(appointmentData) {
 }
 
 /**
- * Processes pending scheduled SMS reminders (called by cron job)
- * Sends all reminders that are due and within the 8am-4pm EST window
+ * Marks a scheduled reminder that won't be sent
+ * @param {Object} reminder - scheduled_sms row
+ * @param {string} status - 'expired' or 'skipped'
+ * @param {string} reason - Why it isn't sent
+ * @returns {Promise<void>}
+ */
+async function closeReminder(reminder, status, reason) {
+  const { error } = await supabase
+    .from('scheduled_sms')
+    .update({ status, error_message: reason, updated_at: new Date().toISOString() })
+    .eq('id', reminder.id)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error(`⚠️ Failed to update reminder status: ${error.message}`);
+  }
+}
+
+/**
+ * Claims a due reminder for this instance before sending it
+ * The update only matches if the claim is still the one that was read, so when
+ * runs overlap (scheduler on several instances, the cron endpoint) one sends it.
+ * @param {Object} reminder - scheduled_sms row as read
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed row, or null if another run has it
+ */
+async function claimReminder(reminder, now) {
+  if (reminder.claimed_at && now.getTime() - new Date(reminder.claimed_at).getTime() < CLAIM_LEASE_MS) {
+    return null;
+  }
+
+  let query = supabase
+    .from('scheduled_sms')
+    .update({ claimed_by: WORKER_ID, claimed_at: now.toISOString() })
+    .eq('id', reminder.id)
+    .eq('status', 'pending');
+
+  query = reminder.claimed_at ? query.eq('claimed_at', reminder.claimed_at) : query.is('claimed_at', null);
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    console.error(`⚠️ Failed to claim reminder ${reminder.id}: ${error.message}`);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Processes pending scheduled SMS reminders (called by the scheduler and the cron endpoint)
+ * Sends the reminders that are due and inside their own send window. Reminders
+ * for appointments that already started expire; if several reminders of one
+ * appointment are due, only the latest is sent and the others are skipped.
+ * Each reminder is claimed before it is sent, so overlapping runs send it once.
  * @returns {Promise<Object>} Results of processing
  */
 async function processScheduledReminders() {
@@ -265,12 +347,6 @@ async function processScheduledReminders() {
   console.log('📱 Processing Scheduled SMS Reminders');
   console.log('========================================');
 
-  // Check if within SMS window (8am-4pm EST)
-  if (!isWithinSmsWindow()) {
-    console.log('⏰ Outside SMS window (8am-4pm EST), skipping processing');
-    return { success: true, processed: 0, reason: 'Outside SMS window' };
-  }
-
   const now = new Date();
   console.log(`Current time: ${now.toISOString()}`);
 
@@ -294,48 +370,91 @@ async function processScheduledReminders() {
       return { success: true, processed: 0 };
     }
 
+    const due = selectDueReminders(pendingReminders, now, REMINDER_TIME_ZONE);
+
     const results = {
       success: true,
       processed: 0,
       sent: 0,
       failed: 0,
+      waiting: due.wait.length,
+      expired: due.expired.length,
+      superseded: due.superseded.length,
+      claimedElsewhere: 0,
+      optedOut: 0,
+      retrying: 0,
       details: []
     };
 
+    for (const reminder of due.expired) {
+      await closeReminder(reminder, 'expired', 'Appointment started before the reminder was sent');
+    }
+
+    for (const { row, by } of due.superseded) {
+      await closeReminder(row, 'skipped', `Superseded by the ${by.reminder_offset || 'later'} reminder`);
+    }
+
+    if (due.wait.length > 0) {
+      console.log(`⏰ ${due.wait.length} due reminder(s) outside their send window, waiting`);
+    }
+
     // Process each reminder
-    for (const reminder of pendingReminders) {
-      console.log(`\n📤 Processing reminder for: ${reminder.contact_name || reminder.contact_id}`);
+    for (const reminder of due.send) {
+      if (!(await claimReminder(reminder, now))) {
+        console.log(`⏭️ Reminder ${reminder.id} is being sent by another run, skipping`);
+        results.claimedElsewhere++;
+        continue;
+      }
+
+      console.log(`\n📤 Processing ${reminder.reminder_offset || ''} reminder for: ${reminder.contact_name || reminder.contact_id}`);
 
       const formattedTime = formatAppointmentDateTime(reminder.appointment_time);
 
       // Send the SMS
       const smsResult = await sendAppointmentSms({
         type: 'reminder',
+        appointmentId: reminder.appointment_id,
         eventTitle: reminder.event_title,
         time: formattedTime,
         location: reminder.location,
         contactId: reminder.contact_id,
         contactName: reminder.contact_name,
-        contactPhone: reminder.contact_phone
+        contactPhone: reminder.contact_phone,
+        reminderOffset: reminder.reminder_offset
       });
 
-      // Update the record status
-      const updateData = smsResult.success
-        ? { status: 'sent', sent_at: new Date().toISOString(), updated_at: new Date().toISOString() }
-        : { status: 'failed', error_message: smsResult.error || smsResult.reason, updated_at: new Date().toISOString() };
+      // Update the record status (opted-out contacts' reminders are skipped, not failed;
+      // if the opt-out couldn't be checked the claim is released so the next run retries it)
+      let updateData;
+      if (smsResult.retry) {
+        updateData = { claimed_by: null, claimed_at: null, error_message: smsResult.error, updated_at: new Date().toISOString() };
+      } else if (smsResult.success) {
+        updateData = { status: 'sent', sent_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+      } else {
+        updateData = {
+          status: smsResult.skipped ? 'skipped' : 'failed',
+          error_message: smsResult.error || smsResult.reason,
+          updated_at: new Date().toISOString()
+        };
+      }
 
       const { error: updateError } = await supabase
         .from('scheduled_sms')
         .update(updateData)
-        .eq('id', reminder.id);
+        .eq('id', reminder.id)
+        .eq('claimed_by', WORKER_ID);
 
       if (updateError) {
         console.error(`⚠️ Failed to update reminder status: ${updateError.message}`);
       }
 
       results.processed++;
-      if (smsResult.success) {
+      if (smsResult.retry) {
+        results.retrying++;
+      } else if (smsResult.success) {
         results.sent++;
+      } else if (smsResult.skipped) {
+        results.optedOut++;
       } else {
         results.failed++;
       }
@@ -343,12 +462,13 @@ async function processScheduledReminders() {
       results.details.push({
         id: reminder.id,
         contactId: reminder.contact_id,
+        offset: reminder.reminder_offset || null,
         success: smsResult.success,
         error: smsResult.error || smsResult.reason
       });
     }
 
-    console.log(`\n✅ Processing complete: ${results.sent} sent, ${results.failed} failed`);
+    console.log(`\n✅ Processing complete: ${results.sent} sent, ${results.failed} failed, ${results.retrying} retrying, ${results.waiting} waiting, ${results.expired} expired, ${results.superseded} superseded`);
     return results;
 
   } catch (error) {
@@ -389,14 +509,30 @@ async function cancelScheduledReminder(appointmentId) {
   }
 }
 
+/**
+ * Moves an appointment's reminders to its new start time
+ * Pending reminders are cancelled and the full set is scheduled again.
+ * @param {Object} appointmentData - Same fields as scheduleReminderSms(), with the new startTime
+ * @returns {Promise<Object>} { success, cancelled, scheduled }
+ */
+async function rescheduleReminders(appointmentData) {
+  const cancelResult = await cancelScheduledReminder(appointmentData.appointmentId);
+
+  if (!cancelResult.success) {
+    return { success: false, cancelled: 0, scheduled: null, error: cancelResult.error || cancelResult.reason };
+  }
+
+  const scheduled = await scheduleReminderSms(appointmentData);
+  return { success: scheduled.success, cancelled: cancelResult.cancelled, scheduled };
+}
+
 module.exports = {
   sendAppointmentSms,
   sendConfirmationSms,
   scheduleReminderSms,
   processScheduledReminders,
   cancelScheduledReminder,
+  rescheduleReminders,
   formatAppointmentDateTime,
-  calculateReminderTime,
-  isWithinSmsWindow,
   GHL_SMS_WEBHOOK_URL
 };
@@ -0,0 +1,99 @@
+/**
+ * Business Calendar Service
+ *
+ * Builds the firm's business calendar for task due dates: office hours and
+ * working days from the environment, closures from the firm_holidays table
+ * (cached in memory). The date math is in utils/businessCalendar.js.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { computeDueDate, parseTimeOfDay, DEFAULT_CALENDAR } = require('../utils/businessCalendar');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+
+let holidayCache = null;
+let holidaysLoadedAt = 0;
+
+/**
+ * Gets the holiday cache TTL
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTtl() {
+  const ttl = parseInt(process.env.BUSINESS_CALENDAR_CACHE_TTL_MS, 10);
+  return Number.isNaN(ttl) ? DEFAULT_CACHE_TTL_MS : ttl;
+}
+
+/**
+ * Loads active firm holidays
+ * A due date is better slightly off than not set, so if Supabase is unreachable
+ * the previous holidays (or none) are used.
+ * @param {Object} options - Load options
+ * @param {boolean} options.force - Reload even if the cache is fresh
+ * @returns {Promise<Set>} Holiday dates as 'YYYY-MM-DD'
+ */
+async function loadHolidays({ force = false } = {}) {
+  if (!force && holidayCache && Date.now() - holidaysLoadedAt < getCacheTtl()) {
+    return holidayCache;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('firm_holidays')
+      .select('holiday_date')
+      .eq('active', true);
+
+    if (error) {
+      throw error;
+    }
+
+    holidayCache = new Set((data || []).map(row => String(row.holiday_date).slice(0, 10)));
+    holidaysLoadedAt = Date.now();
+    console.log(`📅 Firm holidays loaded (${holidayCache.size} dates)`);
+    return holidayCache;
+  } catch (error) {
+    console.error(`⚠️ Error loading firm holidays, ${holidayCache ? 'using cached dates' : 'ignoring holidays'}:`, error.message);
+    return holidayCache || new Set();
+  }
+}
+
+/**
+ * Gets the business calendar
+ * @returns {Promise<Object>} { timeZone, startMinutes, endMinutes, workDays, holidays }
+ */
+async function getBusinessCalendar() {
+  const workDays = (process.env.BUSINESS_DAYS || '')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+
+  return {
+    timeZone: process.env.BUSINESS_TIMEZONE || DEFAULT_CALENDAR.timeZone,
+    startMinutes: parseTimeOfDay(process.env.BUSINESS_HOURS_START, DEFAULT_CALENDAR.startMinutes),
+    endMinutes: parseTimeOfDay(process.env.BUSINESS_HOURS_END, DEFAULT_CALENDAR.endMinutes),
+    workDays: workDays.length > 0 ? workDays : DEFAULT_CALENDAR.workDays,
+    holidays: await loadHolidays()
+  };
+}
+
+/**
+ * Calculates a task's due date on the business calendar
+ * @param {Object} taskData - { due_date_value, due_date_time_relation }
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Promise<Date>} Due date
+ */
+async function calculateBusinessDueDate(taskData, now = new Date()) {
+  const calendar = await getBusinessCalendar();
+  return computeDueDate(taskData, now, calendar);
+}
+
+module.exports = {
+  calculateBusinessDueDate,
+  getBusinessCalendar,
+  loadHolidays
+};
@@ -1,14 +1,14 @@
 const axios = require('axios');
 const { updateGHLContact } = require('./ghlService');
+const { getFieldId } = require('./customFieldRegistry');
 
 // OpenRouter API configuration
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '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';
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
-// Custom field IDs for transcript and summary
-// contact.transcript and contact.call_summary
-const TRANSCRIPT_FIELD_ID = 'KHujI9n0QTz9qmLMWqrr';
-const SUMMARY_FIELD_ID = 'ICK8Dj0rDnKJsvrlJtZw';
+// Custom field keys for transcript and summary
+const TRANSCRIPT_FIELD_KEY = 'contact.transcript';
+const SUMMARY_FIELD_KEY = 'contact.call_summary';
 
 /**
  * Summarizes a call transcript using OpenRouter GPT OSS 120B
@@ -83,11 +83,11 @@ async function updateContactWithTranscript(contactId, transcript, summary) {
     const contactData = {
       customFields: [
         {
-          id: TRANSCRIPT_FIELD_ID,
+          id: getFieldId(TRANSCRIPT_FIELD_KEY),
           value: transcript
         },
         {
-          id: SUMMARY_FIELD_ID,
+          id: getFieldId(SUMMARY_FIELD_KEY),
           value: summary
         }
       ]
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const crypto = require('crypto');
 
 /**
  * Confido Legal Service
@@ -622,34 +623,128 @@ async function deletePaymentLink(paymentLinkId) {
   }
 }
 
+// Webhook replay protection: signatures older than the tolerance window are rejected,
+// and nonces seen inside the window are remembered so the same delivery can't be replayed
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.CONFIDO_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+const seenWebhookNonces = new Map(); // nonce -> expiry timestamp (ms)
+
 /**
- * Verify webhook signature from Confido
- * Note: Confido webhook signature verification logic would go here if they provide it
- * @param {Object} payload - Webhook payload
- * @param {string} signature - Signature from webhook headers
- * @returns {boolean} True if signature is valid
+ * Parses a Confido signature header.
+ * Supports "t=<timestamp>,v1=<signature>[,n=<nonce>]" or a bare signature
+ * (timestamp then comes from its own header).
+ * @param {string} header - Signature header value
+ * @returns {Object} { timestamp, signatures, nonce }
+ */
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [], nonce: null };
+
+  if (!header) {
+    return parsed;
+  }
+
+  if (!header.includes('=') || !header.includes(',')) {
+    parsed.signatures.push(header.trim());
+    return parsed;
+  }
+
+  for (const part of header.split(',')) {
+    const [key, ...rest] = part.trim().split('=');
+    const value = rest.join('=');
+    if (key === 't') parsed.timestamp = value;
+    if (key === 'v1') parsed.signatures.push(value);
+    if (key === 'n') parsed.nonce = value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Compares a provided signature against the expected HMAC digest in constant time.
+ * Accepts hex or base64 encoded signatures.
+ * @param {string} provided - Signature from the header
+ * @param {Buffer} expected - Expected HMAC digest
+ * @returns {boolean} True if they match
  */
-function verifyWebhookSignature(payload, signature) {
-  // TODO: Implement signature verification if Confido provides webhook signatures
-  // For now, we'll allow all webhooks if no secret is configured
+function signatureMatches(provided, expected) {
+  const encoding = /^[0-9a-f]+$/i.test(provided) && provided.length === expected.length * 2 ? 'hex' : 'base64';
+  const providedBuffer = Buffer.from(provided, encoding);
+
+  return providedBuffer.length === expected.length && crypto.timingSafeEqual(providedBuffer, expected);
+}
 
+/**
+ * Removes expired nonces from the replay cache
+ */
+function pruneNonceCache() {
+  const now = Date.now();
+  for (const [nonce, expiresAt] of seenWebhookNonces) {
+    if (expiresAt <= now) {
+      seenWebhookNonces.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Verify webhook signature from Confido
+ * HMAC-SHA256 over "<timestamp>.<raw body>" using CONFIDO_WEBHOOK_SECRET.
+ * Rejects timestamps outside the tolerance window and nonces already seen.
+ * @param {Object} params
+ * @param {Buffer|string} params.rawBody - Raw request body (not the re-serialized req.body)
+ * @param {string} params.signature - Signature header value
+ * @param {string} params.timestamp - Timestamp header value (when not inside the signature header)
+ * @param {string} params.nonce - Nonce/delivery ID header value (defaults to the signature)
+ * @returns {Object} { valid: boolean, reason?: string }
+ */
+function verifyWebhookSignature({ rawBody, signature, timestamp, nonce }) {
   const CONFIDO_WEBHOOK_SECRET = process.env.CONFIDO_WEBHOOK_SECRET;
 
   if (!CONFIDO_WEBHOOK_SECRET) {
-    console.warn('⚠️ CONFIDO_WEBHOOK_SECRET not set - skipping signature verification');
-    return true;
+    return { valid: false, reason: 'CONFIDO_WEBHOOK_SECRET not configured' };
   }
 
-  try {
-    // Implement Confido's specific signature verification algorithm here
-    // This is a placeholder
-    console.log('✅ Webhook signature verification (placeholder)');
-    return true;
+  const parsed = parseSignatureHeader(signature);
+  const signedAt = parsed.timestamp || timestamp;
 
+  if (parsed.signatures.length === 0) {
+    return { valid: false, reason: 'Missing signature' };
+  }
+
+  if (!signedAt || !/^\d+$/.test(String(signedAt))) {
+    return { valid: false, reason: 'Missing or invalid signature timestamp' };
+  }
+
+  // Accept seconds or milliseconds
+  const signedAtSeconds = String(signedAt).length > 10 ? Math.floor(Number(signedAt) / 1000) : Number(signedAt);
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - signedAtSeconds);
+  if (ageSeconds > WEBHOOK_TOLERANCE_SECONDS) {
+    return { valid: false, reason: `Signature timestamp outside tolerance window (${ageSeconds}s)` };
+  }
+
+  try {
+    const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || '');
+    const expected = crypto
+      .createHmac('sha256', CONFIDO_WEBHOOK_SECRET)
+      .update(Buffer.concat([Buffer.from(`${signedAt}.`), body]))
+      .digest();
+
+    const matched = parsed.signatures.some(candidate => signatureMatches(candidate, expected));
+    if (!matched) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
   } catch (error) {
     console.error('❌ Error verifying webhook signature:', error.message);
-    return false;
+    return { valid: false, reason: 'Signature verification error' };
+  }
+
+  // Replay protection - only remember nonces of valid signatures
+  pruneNonceCache();
+  const replayKey = parsed.nonce || nonce || parsed.signatures[0];
+  if (seenWebhookNonces.has(replayKey)) {
+    return { valid: false, reason: 'Replayed webhook (nonce already used)' };
   }
+  seenWebhookNonces.set(replayKey, Date.now() + WEBHOOK_TOLERANCE_SECONDS * 2 * 1000);
+
+  return { valid: true };
 }
 
 /**
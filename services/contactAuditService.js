@@ -0,0 +1,88 @@
+/**
+ * Contact Audit Service
+ *
+ * Records which contact fields each form submission set, changed or left alone
+ * (contact_update_audit table). Together with the previous values kept here, this
+ * is the history behind the newest_with_history merge policy.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+/**
+ * Records the outcome of a contact create/update for a submission
+ * Never throws - a failed audit write must not fail the webhook.
+ * @param {Object} ghlResponse - Result of ghlService.createGHLContact()
+ * @param {Object} context - { source, submissionId }
+ * @returns {Promise<Object>} { success, auditId, error }
+ */
+async function recordContactAudit(ghlResponse, { source, submissionId = null } = {}) {
+  try {
+    const contactId = ghlResponse?.contact?.id || ghlResponse?.id;
+    const changes = ghlResponse?.mergeChanges || [];
+    const changedFields = changes
+      .filter(c => c.action === 'created' || c.action === 'updated')
+      .map(c => c.field);
+
+    const { data, error } = await supabase
+      .from('contact_update_audit')
+      .insert({
+        contact_id: contactId,
+        source: source,
+        submission_id: submissionId,
+        contact_action: ghlResponse?.contactAction || (ghlResponse?.isDuplicate ? 'updated' : 'created'),
+        changed_fields: changedFields,
+        changes: changes
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`📝 Contact audit recorded for ${contactId} (${source}): ${changedFields.length} field(s) changed`);
+    return { success: true, auditId: data.id };
+  } catch (error) {
+    console.error('❌ Error recording contact audit:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets the audit history for a contact, newest first
+ * @param {string} contactId - GHL contact ID
+ * @param {Object} options - { field, limit }
+ * @returns {Promise<Array>} Audit records
+ */
+async function getContactAudit(contactId, { field = null, limit = 50 } = {}) {
+  let query = supabase
+    .from('contact_update_audit')
+    .select('*')
+    .eq('contact_id', contactId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit, 10) || 50, 500));
+
+  if (field) {
+    query = query.contains('changed_fields', [field]);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching contact audit:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  recordContactAudit,
+  getContactAudit
+};
@@ -0,0 +1,360 @@
+/**
+ * Contact Matching Service
+ *
+ * Finds the existing GHL contact a form submission belongs to. Phones are
+ * normalized to E.164 and emails to trimmed lowercase, GHL is searched by both,
+ * and each candidate that shares a phone or email is scored on how much of the
+ * available evidence agrees (email, phone, name similarity):
+ *
+ *   score >= CONTACT_MATCH_AUTO_MERGE_THRESHOLD (0.85) -> merge into the candidate
+ *   score >= CONTACT_MATCH_REVIEW_THRESHOLD (0.5)      -> new contact + "possible duplicate" task
+ *   otherwise                                          -> new contact
+ *
+ * A shared phone with a different name (a spouse or child calling for a parent)
+ * scores below the merge threshold, so it is never merged into the wrong person.
+ */
+
+const ghlClient = require('./ghlClient');
+
+const DEFAULT_COUNTRY_CODE = '1';
+const DEFAULT_AUTO_MERGE_THRESHOLD = 0.85;
+const DEFAULT_REVIEW_THRESHOLD = 0.5;
+const REVIEW_TASK_DUE_HOURS = 24;
+
+// How much each kind of evidence counts when both sides have it
+const WEIGHTS = {
+  email: 0.4,
+  phone: 0.3,
+  name: 0.3
+};
+
+/**
+ * Normalizes a phone number to E.164
+ * 10-digit numbers are treated as US/Canada (+1).
+ * @param {string} phone - Phone in any format, e.g. '(813) 555-0100'
+ * @returns {string|null} E.164 phone, e.g. '+18135550100', or null if not a phone number
+ */
+function normalizePhone(phone) {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (trimmed.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    return `+${digits}`;
+  }
+  if (digits.length > 11 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes an email address (trimmed, lowercase)
+ * @param {string} email - Email address
+ * @returns {string|null} Normalized email or null if empty/invalid
+ */
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+
+  const normalized = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Normalizes the phone and email of a mapped submission before it is matched,
+ * created or merged, so GHL stores one format. Unparseable values are kept as-is.
+ * @param {Object} contactData - Mapped submission (GHL contact format)
+ * @returns {Object} Copy with normalized phone/email
+ */
+function normalizeContactData(contactData) {
+  const normalized = { ...contactData };
+  if ('phone' in normalized) {
+    normalized.phone = normalizePhone(normalized.phone) || normalized.phone;
+  }
+  if ('email' in normalized) {
+    normalized.email = normalizeEmail(normalized.email) || normalized.email;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a name for comparison (lowercase, no accents or punctuation)
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, '')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Scores how similar two full names are
+ * Best of character similarity and word overlap, so typos ("Jon"/"John") and
+ * extra/missing names ("Mary Jones"/"Mary Smith-Jones") both score well.
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number|null} 0..1, or null if either name is empty
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) return null;
+  if (left === right) return 1;
+
+  const characterScore = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+  const wordScore = shared / Math.max(leftWords.size, rightWords.size);
+
+  return Math.max(characterScore, wordScore);
+}
+
+/**
+ * Gets a contact's full name
+ * @param {Object} contact - GHL contact or mapped submission
+ * @returns {string} Full name
+ */
+function getFullName(contact) {
+  const name = `${contact.firstName || ''} ${contact.lastName || ''}`.trim();
+  return name || contact.contactName || contact.name || '';
+}
+
+/**
+ * Scores a candidate contact against a submission
+ * Only evidence present on both sides counts, so a form without an email
+ * can still reach 1.0 on phone + name.
+ * @param {Object} submission - Mapped submission (GHL contact format)
+ * @param {Object} candidate - GHL contact
+ * @returns {Object} { score, emailMatch, phoneMatch, nameScore, reasons }
+ */
+function scoreCandidate(submission, candidate) {
+  const reasons = [];
+  let earned = 0;
+  let possible = 0;
+
+  const submittedEmail = normalizeEmail(submission.email);
+  const candidateEmail = normalizeEmail(candidate.email);
+  let emailMatch = null;
+  if (submittedEmail && candidateEmail) {
+    emailMatch = submittedEmail === candidateEmail;
+    possible += WEIGHTS.email;
+    if (emailMatch) earned += WEIGHTS.email;
+    reasons.push(emailMatch ? 'email matches' : 'email differs');
+  }
+
+  const submittedPhone = normalizePhone(submission.phone);
+  const candidatePhone = normalizePhone(candidate.phone);
+  let phoneMatch = null;
+  if (submittedPhone && candidatePhone) {
+    phoneMatch = submittedPhone === candidatePhone;
+    possible += WEIGHTS.phone;
+    if (phoneMatch) earned += WEIGHTS.phone;
+    reasons.push(phoneMatch ? 'phone matches' : 'phone differs');
+  }
+
+  const nameScore = nameSimilarity(getFullName(submission), getFullName(candidate));
+  if (nameScore !== null) {
+    possible += WEIGHTS.name;
+    earned += WEIGHTS.name * nameScore;
+    reasons.push(`name ${Math.round(nameScore * 100)}% similar`);
+  }
+
+  const score = possible > 0 ? earned / possible : 0;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    emailMatch,
+    phoneMatch,
+    nameScore,
+    reasons
+  };
+}
+
+/**
+ * Gets a threshold from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Threshold (0..1)
+ */
+function getThreshold(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Searches GHL for contacts sharing the submission's phone or email
+ * @param {Object} submission - Mapped submission
+ * @param {string} locationId - GHL location ID
+ * @param {string} apiKey - GHL API key
+ * @returns {Promise<Array>} Candidate contacts (deduplicated)
+ */
+async function searchCandidates(submission, locationId, apiKey) {
+  const queries = [normalizePhone(submission.phone), normalizeEmail(submission.email)].filter(Boolean);
+  const candidates = new Map();
+
+  for (const query of queries) {
+    try {
+      const data = await ghlClient.contacts.search({ locationId: locationId, query: query }, { apiKey });
+      for (const contact of data.contacts || []) {
+        candidates.set(contact.id, contact);
+      }
+    } catch (error) {
+      console.error(`Error searching contacts for "${query}":`, error.response?.data || error.message);
+    }
+  }
+
+  return Array.from(candidates.values());
+}
+
+/**
+ * Finds the existing contact a submission belongs to
+ * @param {Object} submission - Mapped submission (GHL contact format)
+ * @param {string} locationId - GHL location ID
+ * @param {string} apiKey - GHL API key
+ * @returns {Promise<Object>} { decision: 'merge' | 'review' | 'new', contact, score, candidates }
+ */
+async function findContactMatch(submission, locationId, apiKey) {
+  const autoMergeThreshold = getThreshold('CONTACT_MATCH_AUTO_MERGE_THRESHOLD', DEFAULT_AUTO_MERGE_THRESHOLD);
+  const reviewThreshold = getThreshold('CONTACT_MATCH_REVIEW_THRESHOLD', DEFAULT_REVIEW_THRESHOLD);
+
+  const results = await searchCandidates(submission, locationId, apiKey);
+
+  // GHL search is fuzzy - only keep contacts that actually share a phone or email
+  const candidates = results
+    .map(contact => ({ contact, ...scoreCandidate(submission, contact) }))
+    .filter(c => c.emailMatch || c.phoneMatch)
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  let decision = 'new';
+  if (best && best.score >= autoMergeThreshold) {
+    decision = 'merge';
+  } else if (best && best.score >= reviewThreshold) {
+    decision = 'review';
+  }
+
+  console.log(`🔍 Contact match: ${decision}${best ? ` (best ${best.contact.id} score ${best.score}: ${best.reasons.join(', ')})` : ''}, ${candidates.length} candidate(s)`);
+
+  return {
+    decision,
+    contact: decision === 'merge' ? best.contact : null,
+    score: best?.score ?? null,
+    candidates
+  };
+}
+
+/**
+ * Summarizes a match result for API responses and logs
+ * @param {Object} match - Result of findContactMatch()
+ * @returns {Object} { decision, score, candidates: [{ id, name, score, reasons }] }
+ */
+function summarizeMatch(match) {
+  return {
+    decision: match.decision,
+    score: match.score,
+    candidates: match.candidates.map(c => ({
+      id: c.contact.id,
+      name: getFullName(c.contact),
+      score: c.score,
+      reasons: c.reasons
+    }))
+  };
+}
+
+/**
+ * Creates a "possible duplicate" review task on a contact
+ * Never throws - the submission has already been saved.
+ * @param {string} contactId - Contact the submission was saved to
+ * @param {Object} match - Result of findContactMatch()
+ * @param {Object} submission - Mapped submission
+ * @returns {Promise<Object>} { success, taskId, error }
+ */
+async function createDuplicateReviewTask(contactId, match, submission) {
+  try {
+    const others = match.candidates.filter(c => c.contact.id !== contactId);
+    const mergedByGhl = others.length < match.candidates.length;
+
+    const lines = [
+      `A form submission for ${getFullName(submission) || 'an unnamed contact'} partially matched existing contacts.`,
+      mergedByGhl
+        ? 'GHL\'s duplicate rule saved it to this contact - confirm this is the same person.'
+        : 'It was saved as a new contact - merge in GHL if these are the same person.',
+      '',
+      'Possible duplicates:'
+    ];
+    for (const candidate of mergedByGhl ? match.candidates : others) {
+      lines.push(`- ${getFullName(candidate.contact) || '(no name)'} (${candidate.contact.id}) - score ${candidate.score}: ${candidate.reasons.join(', ')}`);
+    }
+
+    const payload = {
+      title: 'Review possible duplicate contact',
+      body: lines.join('\n'),
+      dueDate: new Date(Date.now() + REVIEW_TASK_DUE_HOURS * 60 * 60 * 1000).toISOString(),
+      completed: false
+    };
+    if (process.env.CONTACT_REVIEW_ASSIGNEE_ID) {
+      payload.assignedTo = process.env.CONTACT_REVIEW_ASSIGNEE_ID;
+    }
+
+    const data = await ghlClient.tasks.create(contactId, payload);
+    const taskId = data.task?.id || data.id || null;
+
+    console.log(`📋 Possible duplicate review task ${taskId} created on contact ${contactId}`);
+    return { success: true, taskId: taskId };
+  } catch (error) {
+    console.error(`❌ Error creating duplicate review task for contact ${contactId}:`, error.response?.data || error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  findContactMatch,
+  createDuplicateReviewTask,
+  summarizeMatch,
+  normalizeContactData,
+  scoreCandidate,
+  nameSimilarity,
+  normalizePhone,
+  normalizeEmail
+};
@@ -0,0 +1,218 @@
+/**
+ * Contact Merge Service
+ *
+ * Decides, field by field, how a form submission updates an existing GHL contact
+ * (matched contacts in ghlService.createGHLContact). Policies are read
+ * from contact-merge-policy.json:
+ *
+ *   overwrite           - submitted value replaces the stored one, even when empty
+ *   fill_empty          - only written when the contact has no value yet
+ *   append              - submitted text is added after the stored text
+ *   newest_with_history - non-empty submitted value wins; previous value is audited
+ *
+ * Only fields that actually change are sent to GHL. The returned change list is
+ * what contactAuditService stores per submission.
+ */
+
+const mergePolicyConfig = require('../contact-merge-policy.json');
+const { getFieldKey } = require('./customFieldRegistry');
+
+const POLICIES = ['overwrite', 'fill_empty', 'append', 'newest_with_history'];
+const DEFAULT_APPEND_SEPARATOR = '\n\n';
+
+// Payload keys that aren't contact fields
+const IGNORED_FIELDS = ['customFields', 'locationId'];
+
+/**
+ * Gets the merge policy for a field
+ * @param {string} field - Standard field name or custom field key
+ * @returns {Object} { policy, separator }
+ */
+function getFieldPolicy(field) {
+  const configured = mergePolicyConfig.fields[field] || mergePolicyConfig.defaultPolicy;
+  const options = typeof configured === 'string' ? { policy: configured } : configured;
+
+  if (!POLICIES.includes(options.policy)) {
+    throw new Error(`Unknown merge policy "${options.policy}" for field ${field} in contact-merge-policy.json`);
+  }
+
+  return {
+    policy: options.policy,
+    separator: options.separator ?? DEFAULT_APPEND_SEPARATOR
+  };
+}
+
+/**
+ * Checks whether a field value is empty (blank string, empty list, or a
+ * TEXTBOX_LIST object whose sub-fields are all blank)
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.every(isEmptyValue);
+  if (typeof value === 'object') return Object.values(value).every(isEmptyValue);
+  return false;
+}
+
+/**
+ * Compares two field values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+  if (typeof a === 'string' && typeof b === 'string') return a.trim() === b.trim();
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Applies a field's policy
+ * @param {string} field - Standard field name or custom field key
+ * @param {*} existingValue - Value stored on the contact
+ * @param {*} incomingValue - Value from the submission
+ * @returns {Object} { policy, action: 'updated' | 'kept' | 'unchanged', value, reason }
+ */
+function mergeField(field, existingValue, incomingValue) {
+  const { policy, separator } = getFieldPolicy(field);
+  const result = (action, value, reason) => ({ policy, action, value, reason });
+
+  if (valuesEqual(existingValue, incomingValue)) {
+    return result('unchanged');
+  }
+
+  if (policy === 'overwrite') {
+    return result('updated', incomingValue);
+  }
+
+  if (isEmptyValue(incomingValue)) {
+    return result('kept', undefined, 'submitted value is empty');
+  }
+
+  if (isEmptyValue(existingValue)) {
+    return result('updated', incomingValue);
+  }
+
+  if (policy === 'fill_empty') {
+    return result('kept', undefined, 'contact already has a value');
+  }
+
+  if (policy === 'append' && typeof existingValue === 'string' && typeof incomingValue === 'string') {
+    if (existingValue.includes(incomingValue.trim())) {
+      return result('unchanged');
+    }
+    return result('updated', `${existingValue}${separator}${incomingValue}`);
+  }
+
+  // newest_with_history (and append for non-text values)
+  return result('updated', incomingValue);
+}
+
+/**
+ * Reads the custom field values of a GHL contact
+ * @param {Object} contact - GHL contact (GET /contacts/:id)
+ * @returns {Map} Custom field ID -> value
+ */
+function getExistingCustomFields(contact) {
+  const values = new Map();
+  for (const field of contact?.customFields || []) {
+    values.set(field.id, field.value ?? field.field_value);
+  }
+  return values;
+}
+
+/**
+ * Merges a submission into an existing contact
+ * @param {Object} existingContact - GHL contact (GET /contacts/:id)
+ * @param {Object} contactData - Mapped submission (GHL contact format)
+ * @returns {Object} { payload, changes } - payload holds only the fields to update
+ */
+function mergeContactData(existingContact, contactData) {
+  const payload = {};
+  const changes = [];
+
+  for (const [field, incomingValue] of Object.entries(contactData)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const previousValue = existingContact?.[field];
+    const merged = mergeField(field, previousValue, incomingValue);
+
+    if (merged.action === 'updated') {
+      payload[field] = merged.value;
+    }
+    changes.push({
+      field,
+      policy: merged.policy,
+      action: merged.action,
+      previousValue: previousValue ?? null,
+      newValue: merged.action === 'updated' ? merged.value : incomingValue,
+      reason: merged.reason
+    });
+  }
+
+  const existingCustomFields = getExistingCustomFields(existingContact);
+  const customFields = [];
+
+  for (const customField of contactData.customFields || []) {
+    const fieldKey = getFieldKey(customField.id) || customField.id;
+    const previousValue = existingCustomFields.get(customField.id);
+    const merged = mergeField(fieldKey, previousValue, customField.field_value);
+
+    if (merged.action === 'updated') {
+      customFields.push({ id: customField.id, field_value: merged.value });
+    }
+    changes.push({
+      field: fieldKey,
+      fieldId: customField.id,
+      policy: merged.policy,
+      action: merged.action,
+      previousValue: previousValue ?? null,
+      newValue: merged.action === 'updated' ? merged.value : customField.field_value,
+      reason: merged.reason
+    });
+  }
+
+  if (customFields.length > 0) {
+    payload.customFields = customFields;
+  }
+
+  return { payload, changes };
+}
+
+/**
+ * Lists the fields set on a newly created contact (for the audit record)
+ * @param {Object} contactData - Mapped submission (GHL contact format)
+ * @returns {Array} Changes in the same shape as mergeContactData()
+ */
+function describeNewContact(contactData) {
+  const changes = [];
+
+  for (const [field, value] of Object.entries(contactData)) {
+    if (IGNORED_FIELDS.includes(field) || isEmptyValue(value)) continue;
+    changes.push({ field, action: 'created', previousValue: null, newValue: value });
+  }
+
+  for (const customField of contactData.customFields || []) {
+    if (isEmptyValue(customField.field_value)) continue;
+    changes.push({
+      field: getFieldKey(customField.id) || customField.id,
+      fieldId: customField.id,
+      action: 'created',
+      previousValue: null,
+      newValue: customField.field_value
+    });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  mergeContactData,
+  mergeField,
+  describeNewContact,
+  getFieldPolicy,
+  isEmptyValue,
+  POLICIES
+};
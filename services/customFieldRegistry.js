@@ -0,0 +1,240 @@
+/**
+ * Custom Field Registry
+ *
+ * Resolves GHL contact custom field IDs by field key (contact.xyz). Field IDs are
+ * loaded from the location's custom fields API; the catalog below lists
+ * every key the code writes to, the data type it expects, and the last known ID
+ * (used until the registry has loaded, or if GHL can't be reached).
+ *
+ * validateFieldRegistry() reports referenced keys that no longer exist in the
+ * location, or whose data type doesn't match what the code writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ghlClient = require('./ghlClient');
+const jotformMapping = require('../jotform-to-ghl-mapping.json');
+
+const FORM_SPEC_DIR = path.join(__dirname, '..', 'form-specs');
+
+// Every field key referenced in code: expected data type and last known ID
+const FIELD_CATALOG = {
+  // form-specs/intake.json
+  'contact.pdf': { dataType: 'RADIO', id: 'BJKwhr1OUaStUYVo6poh' },
+  'contact.practice_area': { dataType: 'TEXT', id: 'wDIbx6zdbLXKOykmZ2tz' },
+  'contact.lead_source': { dataType: 'SINGLE_OPTIONS', id: 'HXp4FS1uVHX14zsqKQsc' },
+  'contact.contactcall_details': { dataType: 'LARGE_TEXT', id: 'VXeY8yaEx7NB8dYHCW5D' },
+  'contact.what_is_your_primary_concern': { dataType: 'RADIO', id: 'D0tJaiWjvhuoeDs612Ly' },
+  'contact.what_assets_are_involved': { dataType: 'LARGE_TEXT', id: 'Kb5B5V6lhtJK0zNuY1AK' },
+  'contact.are_there_any_disagreements_among_the_beneficiaries_that_we_should_be_aware_of_listen_closely_for_potential_litigation_concerns': { dataType: 'RADIO', id: 'hvyeRjtJaVzr258ygiA9' },
+  'contact.are_the_assets_owned_individually_by_the_decedent_or_are_they_in_a_trust': { dataType: 'RADIO', id: 'f9P0TxDhzfUt9iJ3dSM4' },
+  'contact.are_all_the_assets_owned_individually_by_the_decedent_or_are_they_in_a_trust': { dataType: 'RADIO', id: '03uwVudxUoprB0qkYL9b' },
+  'contact.was_there_a_will': { dataType: 'RADIO', id: 'ZEUgmck6XDxSbBPuoF9Z' },
+  'contact.do_you_have_access_to_the_original_will': { dataType: 'RADIO', id: 'VcMVgPtDJDsw1JQgjPZB' },
+  'contact.if_applicable_what_assets_need_to_go_to_probate_or_are_there_assets_that_does_not_have_any_beneficiaries_listed': { dataType: 'LARGE_TEXT', id: '7lzAFwgr7g9PHuH9go4i' },
+  'contact.complete_name_of_decedent': { dataType: 'TEXT', id: 'a6Nrb3zV1X3GvBU7MVSI' },
+  'contact.date_of_death_of_the_decedent': { dataType: 'DATE', id: 'Utm3GRHcCwIqS8UX8aUZ' },
+  'contact.relationship_with_the_decedent': { dataType: 'TEXT', id: 'eM97PlH4hd5ymrk644o4' },
+  'contact.is_the_caller_is_scheduling_on_behalf_of_the_potential_client': { dataType: 'RADIO', id: 'ktGC3b2JInlsqPMkuo7n' },
+  'contact.will_the_client_be_able_to_join_the_meeting': { dataType: 'RADIO', id: 'joqJjFgOxWP9eE7pxwp8' },
+  'contact.client_is_of_sound_mind_to_make_decisions': { dataType: 'RADIO', id: 'q2G0uBRyIeQZm9CPDRGd' },
+  'contact.are_you_a_florida_resident': { dataType: 'RADIO', id: 'VoJV82JGngzfNN0WeZ30' },
+  'contact.specify_the_callers_concern': { dataType: 'RADIO', id: 'qY1wsvCHcAuaYLlhS4hS' },
+  'contact.caller_does_not_have_a_trust_and_would_like_to_seek_counsel_on_whether_they_need_a_trust_set_up_for_my_property': { dataType: 'CHECKBOX', id: 'ZKh6TYwT4NcRpwrmzR2G' },
+  'contact.are_you_single_or_married': { dataType: 'RADIO', id: 'SdnOpiR5HTA7fLdnAccX' },
+  'contact.current_spouse': { dataType: 'TEXTBOX_LIST', id: 'PaWSsRF646ra92Wl28BO' },
+  'contact.are_you_and_your_spouse_planning_together': { dataType: 'RADIO', id: 'MRuVXS73El19MxjSr0Ig' },
+  'contact.spouse_email': { dataType: 'TEXT', id: 'BXXjv1Af1OqHIkUMYj6l' },
+  'contact.do_you_have_children': { dataType: 'RADIO', id: 'xjWip13J5EdmS81fq3yc' },
+  'contact.do_you_have_existing_documents': { dataType: 'RADIO', id: 'C1gvPZ2nGBg9sGzbR4xN' },
+  'contact.is_the_trust_funded': { dataType: 'RADIO', id: 'aQ0oOgcXQ6JFTrbvf0N9' },
+  'contact.are_you_hoping_to_update_your_documents_start_from_scratch_or_just_have_your_current_documents_reviewed': { dataType: 'RADIO', id: 'AwfYv74AT3dgZtE4F2p5' },
+  'contact.contactestate_planning_goals': { dataType: 'LARGE_TEXT', id: '8MHzLZPXWKvOmoUflq8q' },
+  'contact.contactwhat_documents_do_you_have': { dataType: 'LARGE_TEXT', id: 'bNv9hfUrSu3K8ugqrgQd' },
+  'contact.contactlegal_advice_sought': { dataType: 'LARGE_TEXT', id: 'Lo8I4CtpepzDaYMNhQAc' },
+  'contact.contactrecent_life_events': { dataType: 'LARGE_TEXT', id: 'i4Jlmf1iD6Q4CNBH76fw' },
+  'contact.contactare_you_the_document_owner': { dataType: 'RADIO', id: 'eDSfGoq1EKx7WovjzTWB' },
+  'contact.contactrelationship_with_document_owners': { dataType: 'TEXT', id: 'm5pzXlr0KDAKz5GBidYs' },
+  'contact.contactare_you_a_beneficiary_or_trustee': { dataType: 'RADIO', id: '444HNl6rElyB7RUCOs2B' },
+  'contact.contactpower_of_attorney_poa': { dataType: 'RADIO', id: 'jpvNCxKz9bUtZzyGa8xN' },
+  'contact.contactpending_litigation': { dataType: 'RADIO', id: 'VScWnDNprhqiKb7Es6ln' },
+  'contact.are_you_a_florida_resident__doc': { dataType: 'RADIO', id: 'uuIVUwtTAPXqUCLtcaig' },
+  'contact.what_documents_so_you_have__doc': { dataType: 'LARGE_TEXT', id: 'w3LM4IBJW97j20EsonwS' },
+
+  // Not in the location under these keys: GHL created the intake fields as
+  // contact.contactcall_details, contact.contactcallers_phone_number and
+  // contact.contactcallers_email, and there is no caller full name or spouse phone
+  // field (documentation/estate-planning-field-mapping-review.md)
+  'contact.call_details': { dataType: 'LARGE_TEXT', id: 'OnKVBS9adCKWvUs5XjcV' },
+  'contact.caller_full_name': { dataType: 'TEXT', id: '2ShvnG8RIHnxx8s3hTn3' },
+  'contact.spouse_number': { dataType: 'TEXT', id: 'Sq5h0Skg4EC699PbpChg' },
+  'contact.callers_phone_number': { dataType: 'TEXT', id: 'uwRsFWKolWCIVF0FvFEc' },
+  'contact.caller_email': { dataType: 'TEXT', id: 'qIFylxpVQiK5U9QjOKrc' },
+
+  // services/callTranscriptService.js
+  'contact.transcript': { dataType: 'LARGE_TEXT', id: 'KHujI9n0QTz9qmLMWqrr' },
+  'contact.call_summary': { dataType: 'LARGE_TEXT', id: 'ICK8Dj0rDnKJsvrlJtZw' }
+};
+
+// form-specs/personal-info.json - TEXTBOX_LIST fields from jotform-to-ghl-mapping.json
+for (const entry of Object.values(jotformMapping.mapping)) {
+  for (const field of Array.isArray(entry) ? entry : [entry]) {
+    if (field.ghlFieldKey && !FIELD_CATALOG[field.ghlFieldKey]) {
+      FIELD_CATALOG[field.ghlFieldKey] = { dataType: field.fieldType, id: field.ghlFieldId };
+    }
+  }
+}
+
+// Keys added to a form spec but not listed above are still validated as text (no last known ID)
+for (const file of fs.readdirSync(FORM_SPEC_DIR).filter(f => f.endsWith('.json'))) {
+  const spec = JSON.parse(fs.readFileSync(path.join(FORM_SPEC_DIR, file), 'utf8'));
+  for (const entry of spec.contact?.customFields || []) {
+    for (const fieldKey of [].concat(entry.key || [])) {
+      if (!FIELD_CATALOG[fieldKey]) {
+        FIELD_CATALOG[fieldKey] = { dataType: 'TEXT', id: null };
+      }
+    }
+  }
+}
+
+let liveFields = null;
+let loadedAt = null;
+const warnedKeys = new Set();
+
+/**
+ * Loads the location's custom fields into the registry
+ * @returns {Promise<Map>} Live fields keyed by field key
+ */
+async function loadFieldRegistry() {
+  const locationId = process.env.GHL_LOCATION_ID;
+
+  if (!locationId) {
+    throw new Error('GHL_LOCATION_ID not configured in environment variables');
+  }
+
+  // model=all includes opportunity fields (opportunity.xyz keys used by task conditions)
+  const { customFields = [] } = await ghlClient.locations.getCustomFields(locationId, { params: { model: 'all' } });
+  const fields = new Map();
+
+  for (const field of customFields) {
+    if (field.fieldKey) {
+      fields.set(field.fieldKey, {
+        id: field.id,
+        name: field.name,
+        dataType: field.dataType
+      });
+    }
+  }
+
+  liveFields = fields;
+  loadedAt = new Date().toISOString();
+  warnedKeys.clear();
+  console.log(`📋 Custom field registry loaded (${fields.size} fields)`);
+  return liveFields;
+}
+
+/**
+ * Looks up a custom field ID by field key
+ * Uses the live registry once loaded, otherwise the catalog's last known ID.
+ * @param {string} fieldKey - Field key, e.g. 'contact.practice_area'
+ * @returns {string|null} Field ID or null if the key is unknown
+ */
+function getFieldId(fieldKey) {
+  const live = liveFields?.get(fieldKey);
+  if (live) {
+    return live.id;
+  }
+
+  const known = FIELD_CATALOG[fieldKey]?.id || null;
+
+  if (liveFields && !warnedKeys.has(fieldKey)) {
+    warnedKeys.add(fieldKey);
+    console.warn(`⚠️ Custom field ${fieldKey} not found in GHL location${known ? `, using last known ID ${known}` : ''}`);
+  }
+
+  return known;
+}
+
+/**
+ * Looks up a field key by custom field ID (reverse of getFieldId)
+ * @param {string} fieldId - GHL custom field ID
+ * @returns {string|null} Field key or null if the ID is unknown
+ */
+function getFieldKey(fieldId) {
+  if (liveFields) {
+    for (const [fieldKey, field] of liveFields) {
+      if (field.id === fieldId) {
+        return fieldKey;
+      }
+    }
+  }
+
+  for (const [fieldKey, field] of Object.entries(FIELD_CATALOG)) {
+    if (field.id === fieldId) {
+      return fieldKey;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks every catalog key against the location's custom fields
+ * @param {Object} options - Validation options
+ * @param {boolean} options.reload - Reload fields from GHL first (default true)
+ * @returns {Promise<Object>} { valid, checked, missing, typeMismatches, idChanged }
+ */
+async function validateFieldRegistry({ reload = true } = {}) {
+  if (reload || !liveFields) {
+    await loadFieldRegistry();
+  }
+
+  const missing = [];
+  const typeMismatches = [];
+  const idChanged = [];
+
+  for (const [fieldKey, expected] of Object.entries(FIELD_CATALOG)) {
+    const live = liveFields.get(fieldKey);
+
+    if (!live) {
+      missing.push({ fieldKey, lastKnownId: expected.id });
+      continue;
+    }
+
+    if (live.dataType !== expected.dataType) {
+      typeMismatches.push({
+        fieldKey,
+        expected: expected.dataType,
+        actual: live.dataType
+      });
+    }
+
+    if (expected.id && expected.id !== live.id) {
+      idChanged.push({ fieldKey, lastKnownId: expected.id, currentId: live.id });
+    }
+  }
+
+  missing.forEach(f => console.error(`❌ Custom field missing: ${f.fieldKey}`));
+  typeMismatches.forEach(f => console.error(`❌ Custom field type mismatch: ${f.fieldKey} is ${f.actual}, expected ${f.expected}`));
+  idChanged.forEach(f => console.warn(`⚠️ Custom field ID changed: ${f.fieldKey} ${f.lastKnownId} -> ${f.currentId}`));
+
+  const valid = missing.length === 0 && typeMismatches.length === 0;
+  console.log(`${valid ? '✅' : '❌'} Custom field validation: ${Object.keys(FIELD_CATALOG).length} keys checked, ${missing.length} missing, ${typeMismatches.length} type mismatches`);
+
+  return {
+    valid,
+    loadedAt,
+    checked: Object.keys(FIELD_CATALOG).length,
+    missing,
+    typeMismatches,
+    idChanged
+  };
+}
+
+module.exports = {
+  loadFieldRegistry,
+  getFieldId,
+  getFieldKey,
+  validateFieldRegistry,
+  FIELD_CATALOG
+};
@@ -0,0 +1,279 @@
+/**
+ * Custom Invoice Service
+ *
+ * Handles GHL custom object (invoice) RecordCreate events:
+ * waits for the opportunity association, creates the invoice in Confido,
+ * saves it to Supabase, writes the payment link back to GHL and emails the client.
+ *
+ * The association check runs as a background job (see services/jobHandlers.js)
+ * so the webhook request no longer sleeps while GHL links the opportunity.
+ */
+
+const ghlService = require('./ghlService');
+const confidoService = require('./confidoService');
+const invoiceService = require('./invoiceService');
+
+// Association polling: up to 6 checks, 10 seconds apart
+const ASSOCIATION_CHECK_MAX_ATTEMPTS = 6;
+const ASSOCIATION_CHECK_DELAY_MS = 10000;
+
+/**
+ * Finds the opportunity relation in a GHL relations list
+ * @param {Array} relations - Relations from ghlService.getRelations()
+ * @returns {Object|null} The opportunity relation or null
+ */
+function findOpportunityRelation(relations) {
+  if (!relations || relations.length === 0) {
+    return null;
+  }
+
+  return relations.find(
+    rel => rel.secondObjectKey === 'opportunity' || rel.firstObjectKey === 'opportunity'
+  ) || null;
+}
+
+/**
+ * Checks once whether the invoice record has been associated with an opportunity
+ * @param {Object} objectData - { recordId, objectKey, locationId }
+ * @returns {Promise<Object>} { invoiceRecord, opportunityRelation }
+ */
+async function checkInvoiceAssociation(objectData) {
+  // Get custom object details
+  const customObjectResponse = await ghlService.getCustomObject(objectData.objectKey, objectData.recordId);
+  const invoiceRecord = customObjectResponse.record;
+  console.log('Invoice Record:', JSON.stringify(invoiceRecord, null, 2));
+
+  // Get relations
+  const relationsResponse = await ghlService.getRelations(objectData.recordId, objectData.locationId);
+  const opportunityRelation = findOpportunityRelation(relationsResponse.relations);
+  console.log('Has Opportunity:', !!opportunityRelation);
+
+  return { invoiceRecord, opportunityRelation };
+}
+
+/**
+ * Creates the invoice in Confido/Supabase once the opportunity association exists
+ * @param {Object} objectData - { recordId, objectKey, locationId }
+ * @param {Object} invoiceRecord - GHL custom object record
+ * @param {Object} opportunityRelation - Relation linking the invoice to an opportunity
+ * @returns {Promise<Object>} Processing result
+ */
+async function processInvoiceRecordCreated(objectData, invoiceRecord, opportunityRelation) {
+  // Extract service items from properties
+  const serviceItems = invoiceRecord.properties.serviceproduct || [];
+  console.log('Service Items:', serviceItems);
+
+  // Calculate total from service items
+  const calculationResult = await invoiceService.calculateInvoiceTotal(serviceItems);
+  if (!calculationResult.success) {
+    console.error('Failed to calculate invoice total:', calculationResult.error);
+    throw new Error(`Failed to calculate invoice total: ${calculationResult.error}`);
+  }
+
+  const { total, lineItems, missingItems } = calculationResult;
+  console.log(`Calculated Total: $${total}`);
+  if (missingItems.length > 0) {
+    console.warn('Missing service items:', missingItems.join(', '));
+  }
+
+  const opportunityId = opportunityRelation.secondObjectKey === 'opportunity'
+    ? opportunityRelation.secondRecordId
+    : opportunityRelation.firstRecordId;
+
+  console.log('✅ Found opportunity:', opportunityId);
+
+  // Get opportunity details
+  const opportunityResponse = await ghlService.getOpportunity(opportunityId);
+  const opportunity = opportunityResponse.opportunity;
+  console.log('Opportunity Details:', JSON.stringify(opportunity, null, 2));
+
+  // Create invoice in Confido
+  console.log('Creating invoice in Confido...');
+  const confidoResult = await confidoService.createInvoice({
+    ghlInvoiceId: objectData.recordId,
+    opportunityId: opportunity.id,
+    opportunityName: opportunity.name,
+    contactId: opportunity.contactId,
+    contactName: opportunity.contact?.name || '',
+    contactEmail: opportunity.contact?.email || '',
+    contactPhone: opportunity.contact?.phone || '',
+    invoiceNumber: invoiceRecord.properties.invoice || objectData.recordId,
+    amountDue: total,
+    dueDate: invoiceRecord.properties.due_date || null,
+    memo: `Invoice for ${lineItems.map(item => item.name).join(', ')}`,
+    lineItems: lineItems
+  });
+
+  if (!confidoResult.success) {
+    // Check if this is a duplicate PaymentLink error
+    if (confidoResult.error === 'DUPLICATE_PAYMENTLINK') {
+      console.log('⚠️ PaymentLink already exists in Confido');
+      console.log('Checking Supabase for existing invoice record...');
+
+      // Get existing invoice from Supabase
+      const existingInvoice = await invoiceService.getInvoiceByGHLId(objectData.recordId);
+
+      if (existingInvoice.success && existingInvoice.data) {
+        console.log('✅ Found existing invoice in Supabase');
+        console.log('Payment URL:', existingInvoice.data.payment_url);
+
+        return {
+          success: true,
+          message: 'Invoice already exists (duplicate webhook)',
+          invoiceId: objectData.recordId,
+          opportunityId: opportunity.id,
+          paymentUrl: existingInvoice.data.payment_url,
+          isDuplicate: true
+        };
+      }
+
+      console.error('⚠️ PaymentLink exists in Confido but not in Supabase');
+      return {
+        success: false,
+        message: 'Data inconsistency - PaymentLink exists in Confido but not in Supabase',
+        invoiceId: objectData.recordId,
+        confidoError: confidoResult.error
+      };
+    }
+
+    // Other errors
+    console.error('Failed to create invoice in Confido:', confidoResult.error);
+    return {
+      success: true,
+      message: 'Invoice processed but Confido creation failed',
+      invoiceId: objectData.recordId,
+      opportunityId: opportunity.id,
+      confidoError: confidoResult.error
+    };
+  }
+
+  console.log('✅ Invoice created in Confido');
+  console.log('Confido PaymentLink ID:', confidoResult.confidoInvoiceId);
+  console.log('Payment URL:', confidoResult.paymentUrl);
+
+  // Generate invoice number (INV-YYYYMMDD-XXXX format)
+  const now = new Date();
+  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
+  const randomStr = Math.random().toString(36).substring(2, 6).toUpperCase();
+  const invoiceNumber = `INV-${dateStr}-${randomStr}`;
+
+  console.log('Generated Invoice Number:', invoiceNumber);
+
+  // Save to Supabase
+  console.log('Saving to Supabase...');
+  await invoiceService.saveInvoiceToSupabase({
+    ghlInvoiceId: objectData.recordId,
+    opportunityId: opportunity.id,
+    contactId: opportunity.contactId,
+    opportunityName: opportunity.name,
+    primaryContactName: opportunity.contact?.name,
+    confidoInvoiceId: confidoResult.confidoInvoiceId,
+    confidoClientId: confidoResult.confidoClientId,
+    confidoMatterId: confidoResult.confidoMatterId,
+    paymentUrl: confidoResult.paymentUrl,
+    serviceItems: lineItems,
+    invoiceNumber: invoiceNumber,
+    amountDue: total,
+    status: 'unpaid',
+    invoiceDate: new Date().toISOString(),
+    dueDate: invoiceRecord.properties.due_date || null
+  });
+
+  console.log('✅ Invoice saved to Supabase');
+
+  // Calculate subtotal (same as total for now, can be adjusted if taxes/fees added later)
+  const subtotal = total;
+
+  // Update GHL custom object with payment link, invoice number, subtotal, and total
+  try {
+    console.log('Updating GHL custom object with payment link and invoice details...');
+
+    // First verify the object still exists
+    console.log('Verifying custom object still exists...');
+    const verifyResponse = await ghlService.getCustomObject(objectData.objectKey, objectData.recordId);
+
+    if (verifyResponse && verifyResponse.record) {
+      console.log('✅ Custom object verified, proceeding with update');
+      // MONETORY fields require format: { value: number, currency: 'default' }
+      await ghlService.updateCustomObject(
+        objectData.objectKey,
+        objectData.recordId,
+        objectData.locationId,
+        {
+          payment_link: confidoResult.paymentUrl,
+          invoice_number: invoiceNumber,
+          subtotal: { value: subtotal, currency: 'default' },
+          total: { value: total, currency: 'default' }
+        }
+      );
+      console.log('✅ GHL custom object updated with payment link, invoice number, subtotal, and total');
+    } else {
+      console.warn('⚠️ Custom object no longer exists in GHL, skipping update');
+    }
+  } catch (updateError) {
+    console.error('Failed to update GHL custom object (non-blocking):', updateError.message);
+    if (updateError.response?.data) {
+      console.error('GHL Error Details:', JSON.stringify(updateError.response.data, null, 2));
+    }
+    console.error('This is OK - invoice still created in Confido and Supabase');
+  }
+
+  // Send invoice email to client
+  let emailSent = false;
+  const contactEmail = opportunity.contact?.email;
+  if (contactEmail) {
+    try {
+      console.log('Sending invoice email to:', contactEmail);
+      const { sendInvoiceEmail } = require('./invoiceEmailService');
+
+      const invoiceEmailData = {
+        billedTo: opportunity.contact?.name || opportunity.name,
+        invoiceNumber: invoiceNumber,
+        issueDate: new Date(),
+        dueDate: invoiceRecord.properties.due_date ? new Date(invoiceRecord.properties.due_date) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        lineItems: lineItems.map(item => ({
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity || 1,
+          tax: '-',
+          subtotal: item.price * (item.quantity || 1)
+        })),
+        subtotal: total,
+        amountDue: total,
+        paymentLink: confidoResult.paymentUrl
+      };
+
+      await sendInvoiceEmail(invoiceEmailData, contactEmail);
+      console.log('✅ Invoice email sent successfully');
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send invoice email (non-blocking):', emailError.message);
+    }
+  } else {
+    console.warn('⚠️ No contact email found, skipping invoice email');
+  }
+
+  return {
+    success: true,
+    message: 'Custom invoice processed successfully',
+    invoiceId: objectData.recordId,
+    opportunityId: opportunity.id,
+    total: total,
+    lineItems: lineItems,
+    missingItems: missingItems,
+    emailSent: emailSent,
+    confido: {
+      invoiceId: confidoResult.confidoInvoiceId,
+      paymentUrl: confidoResult.paymentUrl,
+      status: confidoResult.status
+    }
+  };
+}
+
+module.exports = {
+  findOpportunityRelation,
+  checkInvoiceAssociation,
+  processInvoiceRecordCreated,
+  ASSOCIATION_CHECK_MAX_ATTEMPTS,
+  ASSOCIATION_CHECK_DELAY_MS
+};
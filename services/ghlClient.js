@@ -0,0 +1,376 @@
+/**
+ * GHL API Client
+ *
+ * Single entry point for calls to the GoHighLevel API (services.leadconnectorhq.com):
+ * - Shared Authorization/Version headers
+ * - Retries 429s (all methods) and transient 5xx/network errors (idempotent methods)
+ *   with exponential backoff, honoring the Retry-After header
+ * - Cursor pagination helper (paginate)
+ * - One log line per call; redacted params/bodies when GHL_API_DEBUG=true
+ * - Per-call timeouts (options.timeout, default GHL_API_TIMEOUT_MS)
+ *
+ * Failed calls rethrow the original axios error, so callers can keep checking
+ * error.response?.status and error.response?.data.
+ */
+
+const axios = require('axios');
+
+const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
+const GHL_API_VERSION = '2021-07-28';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+const DEFAULT_MAX_PAGES = 50;
+
+// 5xx/network retries are limited to these so a create isn't sent twice
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'patch', 'delete'];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Keys whose values are masked in debug logs
+const REDACTED_KEYS = /authorization|token|api[-_]?key|secret|password|^phone$|^email$|^query$|^q$|dateofbirth/i;
+
+/**
+ * Reads a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value or fallback
+ */
+function getNumberSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Masks sensitive values in an object for logging
+ * @param {*} value - Value to redact
+ * @returns {*} Copy with sensitive values replaced by [REDACTED]
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = REDACTED_KEYS.test(key) ? '[REDACTED]' : redact(child);
+  }
+  return result;
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string} header - Retry-After header value
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Calculates the backoff delay before the next retry
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function calculateRetryDelay(attempt) {
+  const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  const jitter = Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+  return Math.min(exponential + jitter, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Decides whether a failed call can be retried
+ * @param {Object} error - Axios error
+ * @param {string} method - HTTP method (lowercase)
+ * @returns {boolean} True if the call is safe to retry
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+
+  if (status === 429) {
+    return true;
+  }
+
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+
+  if (status) {
+    return status >= 500;
+  }
+
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Checks if a request body is a form-data instance
+ * @param {*} data - Request body
+ * @returns {boolean} True for form-data bodies
+ */
+function isFormData(data) {
+  return !!data && typeof data.getHeaders === 'function' && typeof data.getBuffer === 'function';
+}
+
+/**
+ * Sends a request to the GHL API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. '/contacts/abc123'
+ * @param {Object} options - Request options
+ * @param {Object} options.params - Query parameters
+ * @param {Object} options.data - Request body (JSON object or form-data instance)
+ * @param {Object} options.headers - Extra headers
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {number} options.maxRetries - Retries for 429/transient errors
+ * @param {string} options.apiKey - API key override (defaults to GHL_API_KEY)
+ * @returns {Promise<Object>} Response body
+ */
+async function request(method, path, options = {}) {
+  const apiKey = options.apiKey || process.env.GHL_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('GHL_API_KEY not configured in environment variables');
+  }
+
+  const httpMethod = method.toLowerCase();
+  const maxRetries = options.maxRetries ?? getNumberSetting('GHL_API_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const debug = process.env.GHL_API_DEBUG === 'true';
+
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Version': GHL_API_VERSION
+  };
+
+  // Buffer form-data up front so the body can be re-sent on retry
+  let data = options.data;
+  if (isFormData(data)) {
+    Object.assign(headers, data.getHeaders());
+    data = data.getBuffer();
+  } else if (data !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  Object.assign(headers, options.headers);
+
+  const label = `${method.toUpperCase()} ${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const startedAt = Date.now();
+
+    if (debug) {
+      console.log(`[GHL] → ${label}`, JSON.stringify(redact({ params: options.params, data: Buffer.isBuffer(data) ? '[binary]' : data })));
+    }
+
+    try {
+      const response = await axios({
+        method: httpMethod,
+        baseURL: process.env.GHL_API_BASE_URL || GHL_BASE_URL,
+        url: path,
+        params: options.params,
+        data: data,
+        headers: headers,
+        timeout: options.timeout ?? getNumberSetting('GHL_API_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      console.log(`[GHL] ${label} → ${response.status} (${Date.now() - startedAt}ms)`);
+      if (debug) {
+        console.log(`[GHL] ← ${label}`, JSON.stringify(redact(response.data)));
+      }
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || error.code || 'ERR';
+      console.error(`[GHL] ${label} → ${status} (${Date.now() - startedAt}ms)`);
+
+      if (attempt >= maxRetries || !isRetryable(error, httpMethod)) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null && retryAfter > RETRY_MAX_DELAY_MS) {
+        console.error(`[GHL] ${label} Retry-After ${retryAfter}ms exceeds ${RETRY_MAX_DELAY_MS}ms, giving up`);
+        throw error;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : calculateRetryDelay(attempt + 1);
+      console.warn(`⚠️ [GHL] Retrying ${label} in ${delay}ms (retry ${attempt + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Returns the next-page params for GHL cursor pagination
+ * Supports startAfter/startAfterId cursors (contacts, opportunities) and
+ * page numbers (forms/submissions)
+ * @param {Object} data - Response body of the current page
+ * @param {Object} params - Params used for the current page
+ * @returns {Object|null} Params for the next page, or null on the last page
+ */
+function getNextPageParams(data, params) {
+  const meta = data.meta || {};
+
+  if (meta.startAfterId) {
+    return { ...params, startAfterId: meta.startAfterId, startAfter: meta.startAfter };
+  }
+
+  if (meta.nextPage) {
+    return { ...params, page: meta.nextPage };
+  }
+
+  return null;
+}
+
+/**
+ * Fetches every page of a paginated GET endpoint
+ * @param {string} path - API path
+ * @param {Object} options - Pagination options (plus any request() options)
+ * @param {string} options.itemsKey - Response key holding the page items, e.g. 'opportunities'
+ * @param {Object} options.params - Query parameters for the first page
+ * @param {Function} options.getNextParams - (data, params) => next params or null
+ * @param {number} options.maxPages - Safety limit on pages fetched
+ * @returns {Promise<Array>} Items from all pages
+ */
+async function paginate(path, options = {}) {
+  const { itemsKey, getNextParams = getNextPageParams, maxPages = DEFAULT_MAX_PAGES, ...requestOptions } = options;
+  const items = [];
+  let params = { ...(options.params || {}) };
+  let previousCursor = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await request('GET', path, { ...requestOptions, params });
+    const pageItems = data[itemsKey] || [];
+    items.push(...pageItems);
+
+    const nextParams = pageItems.length > 0 ? getNextParams(data, params) : null;
+    const cursor = nextParams && JSON.stringify(nextParams);
+
+    if (!nextParams || cursor === previousCursor) {
+      return items;
+    }
+
+    previousCursor = cursor;
+    params = nextParams;
+  }
+
+  console.warn(`⚠️ [GHL] Stopped paginating GET ${path} after ${maxPages} pages (${items.length} items)`);
+  return items;
+}
+
+const contacts = {
+  get: (contactId, options) => request('GET', `/contacts/${contactId}`, options),
+  search: (params, options) => request('GET', '/contacts/', { ...options, params }),
+  create: (data, options) => request('POST', '/contacts/', { ...options, data }),
+  update: (contactId, data, options) => request('PUT', `/contacts/${contactId}`, { ...options, data }),
+  getAppointments: (contactId, options) => request('GET', `/contacts/${contactId}/appointments`, options),
+  addNote: (contactId, body, options) => request('POST', `/contacts/${contactId}/notes`, { ...options, data: { body } })
+};
+
+const opportunities = {
+  get: (opportunityId, options) => request('GET', `/opportunities/${opportunityId}`, options),
+  search: (params, options) => request('GET', '/opportunities/search', { ...options, params }),
+  searchAll: (params, options) => paginate('/opportunities/search', { ...options, params, itemsKey: 'opportunities' }),
+  create: (data, options) => request('POST', '/opportunities/', { ...options, data }),
+  update: (opportunityId, data, options) => request('PUT', `/opportunities/${opportunityId}`, { ...options, data }),
+  getPipelines: (locationId, options) => request('GET', '/opportunities/pipelines', { ...options, params: { locationId } })
+};
+
+const tasks = {
+  list: (contactId, options) => request('GET', `/contacts/${contactId}/tasks`, options),
+  get: (contactId, taskId, options) => request('GET', `/contacts/${contactId}/tasks/${taskId}`, options),
+  create: (contactId, data, options) => request('POST', `/contacts/${contactId}/tasks`, { ...options, data }),
+  update: (contactId, taskId, data, options) => request('PUT', `/contacts/${contactId}/tasks/${taskId}`, { ...options, data }),
+  setCompleted: (contactId, taskId, completed, options) => request('PUT', `/contacts/${contactId}/tasks/${taskId}/completed`, { ...options, data: { completed } }),
+  remove: (contactId, taskId, options) => request('DELETE', `/contacts/${contactId}/tasks/${taskId}`, options),
+  createForOpportunity: (data, options) => request('POST', '/opportunities/tasks', { ...options, data })
+};
+
+const calendars = {
+  get: (calendarId, options) => request('GET', `/calendars/${calendarId}`, options),
+  getAppointment: (appointmentId, options) => request('GET', `/calendars/events/appointments/${appointmentId}`, options),
+  updateAppointment: (appointmentId, data, options) => request('PUT', `/calendars/events/appointments/${appointmentId}`, { ...options, data })
+};
+
+const customObjects = {
+  getRecord: (schemaKey, recordId, options) => request('GET', `/objects/${schemaKey}/records/${recordId}`, options),
+  getRecordById: (recordId, options) => request('GET', `/objects/records/${recordId}`, options),
+  createRecord: (schemaKey, data, options) => request('POST', `/objects/${schemaKey}/records`, { ...options, data }),
+  // locationId must be passed as a query parameter for PUT requests
+  updateRecord: (schemaKey, recordId, locationId, properties, options) =>
+    request('PUT', `/objects/${schemaKey}/records/${recordId}`, { ...options, params: { locationId }, data: { properties } }),
+  patchRecord: (recordId, data, options) => request('PATCH', `/objects/records/${recordId}`, { ...options, data })
+};
+
+const associations = {
+  getRelations: (recordId, locationId, options) => request('GET', `/associations/relations/${recordId}`, { ...options, params: { locationId } }),
+  createRelation: (data, options) => request('POST', '/associations/relations', { ...options, data })
+};
+
+const media = {
+  uploadFile: (formData, locationId, options) => request('POST', '/medias/upload-file', { ...options, params: { locationId }, data: formData })
+};
+
+const tags = {
+  create: (locationId, name, options) => request('POST', `/locations/${locationId}/tags`, { ...options, data: { name } }),
+  addToContact: (contactId, tagNames, options) => request('POST', `/contacts/${contactId}/tags`, { ...options, data: { tags: tagNames } }),
+  removeFromContact: (contactId, tagNames, options) => request('DELETE', `/contacts/${contactId}/tags`, { ...options, data: { tags: tagNames } })
+};
+
+const users = {
+  get: (userId, options) => request('GET', `/users/${userId}`, options)
+};
+
+const locations = {
+  getCustomFields: (locationId, options) => request('GET', `/locations/${locationId}/customFields`, options)
+};
+
+const forms = {
+  getSubmissions: (params, options) => request('GET', '/forms/submissions', { ...options, params }),
+  uploadCustomFiles: (formData, params, options) => request('POST', '/forms/upload-custom-files', { ...options, params, data: formData })
+};
+
+const invoices = {
+  get: (invoiceId, options) => request('GET', `/invoices/${invoiceId}`, options),
+  recordPayment: (invoiceId, data, options) => request('POST', `/invoices/${invoiceId}/record-payment`, { ...options, data })
+};
+
+module.exports = {
+  request,
+  paginate,
+  getNextPageParams,
+  parseRetryAfter,
+  redact,
+  contacts,
+  opportunities,
+  tasks,
+  calendars,
+  customObjects,
+  associations,
+  media,
+  tags,
+  users,
+  locations,
+  forms,
+  invoices,
+  GHL_BASE_URL,
+  GHL_API_VERSION
+};
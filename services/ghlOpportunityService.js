@@ -1,5 +1,19 @@
-const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('./ghlClient');
+const { buildConditionContext, filterTasksByConditions, getTaskConditions } = require('./taskConditionService');
+const { calculateBusinessDueDate } = require('./businessCalendarService');
+const { routeTask, confirmAssignment, recordRoutingDecision } = require('./taskRoutingService');
+const { runTaskCompletionRules } = require('./taskCompletionRulesService');
+const { syncTaskToSupabase } = require('./ghlTaskService');
+const { recordStageTransition } = require('./stageHistoryService');
+const { planTaskChain } = require('../utils/taskDependencies');
+const {
+  recordWaitingTasks,
+  getTasksWaitingFor,
+  claimWaitingTask,
+  completeWaitingTask,
+  cancelWaitingTasks
+} = require('./taskDependencyService');
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -78,22 +92,8 @@ async function getRecentStageChanges(opportunityId) {
  * @returns {Promise<boolean>} True if deleted successfully
  */
 async function deleteGHLTask(contactId, taskId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    await axios.delete(
-      `https://services.leadconnectorhq.com/contacts/${contactId}/tasks/${taskId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    await ghlClient.tasks.remove(contactId, taskId);
 
     console.log(`GHL Task ${taskId} deleted successfully`);
     return true;
@@ -179,6 +179,50 @@ async function updateStageChangeTaskIds(recordId, taskIds) {
   }
 }
 
+/**
+ * Adds a task created later (a released dependent task) to a stage change record
+ * @param {string} recordId - Stage change record ID
+ * @param {string} taskId - GHL task ID
+ * @returns {Promise<void>}
+ */
+async function addStageChangeTaskId(recordId, taskId) {
+  const { data, error } = await supabase
+    .from('opportunity_stage_changes')
+    .select('task_ids')
+    .eq('id', recordId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching stage change task IDs:', error);
+    throw error;
+  }
+
+  // Record already removed by the grace-period cleanup
+  if (!data) return;
+
+  await updateStageChangeTaskIds(recordId, [...(data.task_ids || []), taskId]);
+}
+
+/**
+ * Get a task template by ID
+ * @param {string} templateId - ghl_task_list ID
+ * @returns {Promise<Object|null>} ghl_task_list row
+ */
+async function getTaskTemplate(templateId) {
+  const { data, error } = await supabase
+    .from('ghl_task_list')
+    .select('*')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching task template:', error);
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Get tasks for a specific opportunity stage from Supabase
  * @param {string} stageName - The opportunity stage name
@@ -210,38 +254,23 @@ async function getTasksForStage(stageName) {
  * @param {Object} taskData - Task data including title, description, due date, etc.
  * @param {string} opportunityId - GHL opportunity ID
  * @param {string} contactId - GHL contact ID
+ * @param {string} assigneeId - GHL user ID (defaults to the template's assignee_id)
  * @returns {Promise<Object>} API response
  */
-async function createGHLTask(taskData, opportunityId, contactId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
+async function createGHLTask(taskData, opportunityId, contactId, assigneeId = taskData.assignee_id) {
   try {
     const payload = {
       title: taskData.task_name,
       body: taskData.task_description,
-      assignedTo: taskData.assignee_id,
-      dueDate: calculateDueDate(taskData),
+      assignedTo: assigneeId,
+      dueDate: await calculateDueDate(taskData),
       completed: false
     };
 
-    const response = await axios.post(
-      `https://services.leadconnectorhq.com/contacts/${contactId}/tasks`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.tasks.create(contactId, payload);
 
-    console.log('GHL Task created successfully:', response.data);
-    return response.data;
+    console.log('GHL Task created successfully:', data);
+    return data;
   } catch (error) {
     console.error('Error creating GHL task:', error.response?.data || error.message);
     throw error;
@@ -250,48 +279,82 @@ async function createGHLTask(taskData, opportunityId, contactId) {
 
 /**
  * Calculate due date based on task configuration
- * Uses EST (America/New_York) timezone
+ * Uses the firm's business calendar (office hours, weekends, firm_holidays) in
+ * BUSINESS_TIMEZONE (America/New_York by default), DST-aware.
  * @param {Object} taskData - Task data with due_date_value and due_date_time_relation
- * @returns {string} ISO date string for due date
+ *   (minutes, hours, days, weeks, business_days, next_business_morning, end_of_business_day)
+ * @returns {Promise<string>} ISO date string for due date
  */
-function calculateDueDate(taskData) {
-  // Get current time in EST (America/New_York timezone)
-  const now = new Date();
-  const estTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-
-  const value = taskData.due_date_value || 0;
-  const relation = taskData.due_date_time_relation || 'days';
-
-  let milliseconds = 0;
-  switch (relation) {
-    case 'minutes':
-      milliseconds = value * 60 * 1000;
-      break;
-    case 'hours':
-      milliseconds = value * 60 * 60 * 1000;
-      break;
-    case 'days':
-      milliseconds = value * 24 * 60 * 60 * 1000;
-      break;
-    case 'weeks':
-      milliseconds = value * 7 * 24 * 60 * 60 * 1000;
-      break;
-    default:
-      milliseconds = value * 24 * 60 * 60 * 1000; // Default to days
-  }
-
-  const dueDate = new Date(estTime.getTime() + milliseconds);
+async function calculateDueDate(taskData) {
+  const dueDate = await calculateBusinessDueDate(taskData);
 
   // Log for debugging
-  console.log(`Calculating due date in EST: Current EST time: ${estTime.toISOString()}, Due date: ${dueDate.toISOString()}`);
+  console.log(`Calculating due date: ${taskData.due_date_value || 0} ${taskData.due_date_time_relation || 'days'} -> ${dueDate.toISOString()}`);
 
   return dueDate.toISOString();
 }
 
+/**
+ * Routes and creates one stage task in GHL, then records the routing decision
+ * and the task's template in ghl_tasks
+ * @param {Object} task - ghl_task_list row
+ * @param {Object} details - { opportunityId, contactId, stageName, context }
+ * @returns {Promise<Object>} { createdTask, ghlTaskId, assignment }
+ */
+async function createStageTask(task, { opportunityId, contactId, stageName, context }) {
+  const routing = await routeTask(task, context);
+  console.log(`Task ${task.task_number} assigned to ${routing.assigneeId || 'nobody'}: ${routing.reason}`);
+
+  const createdTask = await createGHLTask(task, opportunityId, contactId, routing.assigneeId);
+  // Extract task ID from response
+  const ghlTaskId = createdTask.task?.id || createdTask.id;
+
+  // Only now does the team member's round-robin turn count as used
+  await confirmAssignment(routing);
+  await recordRoutingDecision(routing, { task, opportunityId, contactId, stageName, ghlTaskId });
+
+  // Completion rules match tasks by template, not title
+  if (ghlTaskId) {
+    try {
+      await syncTaskToSupabase({
+        ghl_task_id: ghlTaskId,
+        ghl_contact_id: contactId,
+        task_name: task.task_name,
+        task_description: task.task_description,
+        assignee_id: routing.assigneeId,
+        due_date: createdTask.task?.dueDate || createdTask.dueDate,
+        completed: false,
+        task_template_id: task.id,
+        opportunity_id: opportunityId,
+        stage_name: stageName
+      });
+    } catch (syncError) {
+      console.error(`Error recording template for task ${ghlTaskId}:`, syncError.message);
+    }
+  }
+
+  return {
+    createdTask,
+    ghlTaskId: ghlTaskId || null,
+    assignment: {
+      taskNumber: task.task_number,
+      ghlTaskId: ghlTaskId || null,
+      assigneeId: routing.assigneeId,
+      strategy: routing.strategy,
+      reason: routing.reason
+    }
+  };
+}
+
 /**
  * Process opportunity stage change and create tasks
  * Implements 2-minute grace period: if stage changes again within 2 minutes,
  * tasks from the previous stage change are deleted.
+ * Templates with conditions (taskConditionService) are only created when they
+ * match the opportunity/contact; the rest are reported in skippedTasks.
+ * Every change is also added to the permanent stage history (stageHistoryService).
+ * Templates with a predecessor_task_number wait (taskDependencyService) and are
+ * created when the predecessor is completed - see releaseWaitingTasks().
  * @param {Object} webhookData - Webhook data from GHL
  * @returns {Promise<Object>} Processing result
  */
@@ -305,6 +368,13 @@ async function processOpportunityStageChange(webhookData) {
 
     console.log(`Processing opportunity ${opportunityId} - Stage: ${stageName}`);
 
+    // Tasks still waiting on a predecessor belonged to the stage the opportunity just left
+    try {
+      await cancelWaitingTasks(opportunityId);
+    } catch (cancelError) {
+      console.error('Error cancelling waiting tasks:', cancelError.message);
+    }
+
     // Step 1: Check for recent stage changes within grace period and delete their tasks
     let deletionResult = { deletedCount: 0, taskIds: [] };
     if (contactId) {
@@ -315,11 +385,35 @@ async function processOpportunityStageChange(webhookData) {
       }
     }
 
-    // Step 2: Get tasks for this stage from Supabase
-    const tasks = await getTasksForStage(stageName);
+    // Step 2: Get tasks for this stage from Supabase, keeping those whose conditions match
+    const stageTasks = await getTasksForStage(stageName);
+    let tasks = stageTasks;
+    let skippedTasks = [];
+
+    // Conditions and opportunity-owner routing need the opportunity/contact
+    let context = { contact: null, opportunity: null };
+    if (stageTasks.some(task => getTaskConditions(task) || task.routing_strategy === 'opportunity_owner')) {
+      context = await buildConditionContext(opportunityId, contactId);
+    }
+
+    if (stageTasks.some(task => getTaskConditions(task))) {
+      ({ applicable: tasks, skipped: skippedTasks } = filterTasksByConditions(stageTasks, context));
+    }
+
+    // Permanent stage history for analytics (the grace-period records below get deleted)
+    await recordStageTransition({
+      opportunityId,
+      opportunityName,
+      contactId,
+      pipelineId,
+      stageId,
+      stageName,
+      previousStageId,
+      previousStageName
+    }, context);
 
     if (tasks.length === 0) {
-      console.log(`No tasks configured for stage: ${stageName}`);
+      console.log(`No tasks ${stageTasks.length > 0 ? 'apply' : 'configured'} for stage: ${stageName}`);
       // Still record the stage change even if no tasks, so we can track if user changes again
       await recordStageChange({
         opportunityId,
@@ -334,6 +428,8 @@ async function processOpportunityStageChange(webhookData) {
         success: true,
         message: 'No tasks to create for this stage',
         tasksCreated: 0,
+        tasksSkipped: skippedTasks.length,
+        skippedTasks,
         tasksDeleted: deletionResult.deletedCount
       };
     }
@@ -349,31 +445,54 @@ async function processOpportunityStageChange(webhookData) {
       taskIds: [] // Will update after tasks are created
     });
 
-    // Step 4: Create tasks in GHL
+    // Step 4: Route and create tasks in GHL
+    const plan = planTaskChain(tasks);
+    plan.notes.forEach(note => console.log(`⛓️ Task ${note.taskNumber} (${note.taskName}): ${note.reason}`));
+
     const createdTasks = [];
     const createdTaskIds = [];
-    for (const task of tasks) {
+    const createdByNumber = new Map();
+    const assignments = [];
+    for (const task of plan.ready) {
       try {
-        const createdTask = await createGHLTask(task, opportunityId, contactId);
+        const { createdTask, ghlTaskId, assignment } = await createStageTask(task, { opportunityId, contactId, stageName, context });
         createdTasks.push(createdTask);
-        // Extract task ID from response
-        if (createdTask.task?.id) {
-          createdTaskIds.push(createdTask.task.id);
-        } else if (createdTask.id) {
-          createdTaskIds.push(createdTask.id);
+        if (ghlTaskId) {
+          createdTaskIds.push(ghlTaskId);
+          createdByNumber.set(Number(task.task_number), ghlTaskId);
         }
+        assignments.push(assignment);
       } catch (taskError) {
         console.error(`Error creating task ${task.task_number}:`, taskError.message);
         // Continue creating other tasks even if one fails
       }
     }
 
-    // Step 5: Update the stage change record with created task IDs
+    // Step 5: Update the stage change record with created task IDs - before anything
+    // else can fail, so a retried webhook's grace-period cleanup can remove them
     if (createdTaskIds.length > 0) {
       await updateStageChangeTaskIds(stageChangeRecord.id, createdTaskIds);
     }
 
-    console.log(`Successfully created ${createdTasks.length} out of ${tasks.length} tasks`);
+    // Step 6: Store the tasks that wait for a predecessor
+    let waitingTasks = [];
+    let waitingTasksError = null;
+    if (plan.waiting.length > 0) {
+      const chain = { chainId: stageChangeRecord.id, opportunityId, contactId, stageName };
+      try {
+        waitingTasks = (await recordWaitingTasks(chain, plan.waiting, createdByNumber)).map(row => ({
+          taskNumber: row.task_number,
+          taskName: row.task_name,
+          predecessorTaskNumber: row.predecessor_task_number
+        }));
+      } catch (waitingError) {
+        console.error(`Error recording ${plan.waiting.length} waiting task(s):`, waitingError.message);
+        waitingTasksError = waitingError.message;
+        // The created tasks stand; the dependent tasks will need creating by hand
+      }
+    }
+
+    console.log(`Successfully created ${createdTasks.length} out of ${plan.ready.length} tasks (${waitingTasks.length} waiting for a predecessor, ${skippedTasks.length} skipped by conditions)`);
 
     return {
       success: true,
@@ -381,6 +500,13 @@ async function processOpportunityStageChange(webhookData) {
       tasksCreated: createdTasks.length,
       totalTasks: tasks.length,
       tasks: createdTasks,
+      tasksSkipped: skippedTasks.length,
+      skippedTasks,
+      tasksWaiting: waitingTasks.length,
+      waitingTasks,
+      waitingTasksError,
+      chainNotes: plan.notes,
+      assignments,
       tasksDeleted: deletionResult.deletedCount,
       gracePeriodApplied: deletionResult.deletedCount > 0
     };
@@ -398,32 +524,16 @@ async function processOpportunityStageChange(webhookData) {
  * @returns {Promise<Object>} API response
  */
 async function updateOpportunityStage(opportunityId, pipelineId, stageId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     const payload = {
       pipelineId: pipelineId,
       pipelineStageId: stageId
     };
 
-    const response = await axios.put(
-      `https://services.leadconnectorhq.com/opportunities/${opportunityId}`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.opportunities.update(opportunityId, payload);
 
-    console.log('Opportunity stage updated successfully:', response.data);
-    return response.data;
+    console.log('Opportunity stage updated successfully:', data);
+    return data;
   } catch (error) {
     console.error('Error updating opportunity stage:', error.response?.data || error.message);
     throw error;
@@ -437,29 +547,14 @@ async function updateOpportunityStage(opportunityId, pipelineId, stageId) {
  * @returns {Promise<Array>} Array of opportunities for the contact
  */
 async function searchOpportunitiesByContact(contactId, locationId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/search`,
-      {
-        params: {
-          location_id: locationId,
-          contact_id: contactId
-        },
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const opportunities = await ghlClient.opportunities.searchAll({
+      location_id: locationId,
+      contact_id: contactId
+    });
 
-    console.log(`Found ${response.data.opportunities?.length || 0} opportunities for contact ${contactId}`);
-    return response.data.opportunities || [];
+    console.log(`Found ${opportunities.length} opportunities for contact ${contactId}`);
+    return opportunities;
   } catch (error) {
     console.error('Error searching opportunities:', error.response?.data || error.message);
     throw error;
@@ -472,24 +567,10 @@ async function searchOpportunitiesByContact(contactId, locationId) {
  * @returns {Promise<Array>} Array of tasks
  */
 async function getContactTasks(contactId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${contactId}/tasks`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.tasks.list(contactId);
 
-    return response.data.tasks || [];
+    return data.tasks || [];
   } catch (error) {
     console.error('Error fetching contact tasks:', error.response?.data || error.message);
     throw error;
@@ -502,24 +583,10 @@ async function getContactTasks(contactId) {
  * @returns {Promise<boolean>} True if appointments exist
  */
 async function checkContactAppointments(contactId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${contactId}/appointments`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.contacts.getAppointments(contactId);
 
-    const appointments = response.data.events || response.data.appointments || [];
+    const appointments = data.events || data.appointments || [];
     const hasAppointments = appointments.length > 0;
 
     console.log(`Contact ${contactId} has ${appointments.length} appointment(s)`);
@@ -531,105 +598,106 @@ async function checkContactAppointments(contactId) {
   }
 }
 
-/**
- * Check for appointments with retry logic (5s, 30s, 60s delays)
- * @param {string} contactId - GHL contact ID
- * @returns {Promise<boolean>} True if appointments found after retries
- */
-async function checkAppointmentsWithRetry(contactId) {
-  const delays = [5000, 30000, 60000]; // 5s, 30s, 60s
-
-  for (let i = 0; i < delays.length; i++) {
-    console.log(`Waiting ${delays[i]/1000} seconds before checking appointments (attempt ${i + 1}/3)...`);
-    await new Promise(resolve => setTimeout(resolve, delays[i]));
-
-    const hasAppointments = await checkContactAppointments(contactId);
-
-    if (hasAppointments) {
-      console.log(`✅ Appointments found on attempt ${i + 1}`);
-      return true;
-    }
-
-    console.log(`❌ No appointments found on attempt ${i + 1}`);
-  }
-
-  console.log('No appointments found after all retries');
-  return false;
-}
-
 /**
  * Get opportunity details by ID
  * @param {string} opportunityId - GHL opportunity ID
  * @returns {Promise<Object>} Opportunity details
  */
 async function getOpportunityById(opportunityId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/${opportunityId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.opportunities.get(opportunityId);
 
-    return response.data.opportunity || response.data;
+    return data.opportunity || data;
   } catch (error) {
     console.error('Error getting opportunity:', error.response?.data || error.message);
     throw error;
   }
 }
 
+// Delays between intake survey stage checks (30s, 60s).
+// Used by the 'intake-survey-stage-check' job instead of sleeping inside the request.
+const INTAKE_SURVEY_CHECK_DELAYS_MS = [30000, 60000];
+
 /**
- * Check if opportunity is still in the same stage with retry logic (30s, 60s delays)
+ * Check once whether an opportunity has left the expected pipeline/stage
  * @param {string} opportunityId - GHL opportunity ID
  * @param {string} expectedPipelineId - Expected pipeline ID
  * @param {string} expectedStageId - Expected stage ID
  * @returns {Promise<boolean>} True if opportunity moved to different stage, false if still in same stage
  */
-async function checkOpportunityStageWithRetry(opportunityId, expectedPipelineId, expectedStageId) {
-  const delays = [30000, 60000]; // 30s, 60s
+async function hasOpportunityLeftStage(opportunityId, expectedPipelineId, expectedStageId) {
+  const opportunity = await getOpportunityById(opportunityId);
+  const currentPipelineId = opportunity.pipelineId;
+  const currentStageId = opportunity.pipelineStageId;
 
-  for (let i = 0; i < delays.length; i++) {
-    console.log(`Waiting ${delays[i]/1000} seconds before checking opportunity stage (attempt ${i + 1}/2)...`);
-    await new Promise(resolve => setTimeout(resolve, delays[i]));
+  console.log(`Current stage: Pipeline ${currentPipelineId}, Stage ${currentStageId}`);
+  console.log(`Expected stage: Pipeline ${expectedPipelineId}, Stage ${expectedStageId}`);
 
-    const opportunity = await getOpportunityById(opportunityId);
-    const currentPipelineId = opportunity.pipelineId;
-    const currentStageId = opportunity.pipelineStageId;
+  return currentPipelineId !== expectedPipelineId || currentStageId !== expectedStageId;
+}
 
-    console.log(`Current stage: Pipeline ${currentPipelineId}, Stage ${currentStageId}`);
-    console.log(`Expected stage: Pipeline ${expectedPipelineId}, Stage ${expectedStageId}`);
+/**
+ * Creates the tasks that were waiting for a completed task
+ * Each released task is added to its stage change record, so it's part of the
+ * stage's tasks (grace-period cleanup, stage_tasks_completed rules).
+ * @param {string} completedTaskId - Completed GHL task ID
+ * @param {string} contactId - GHL contact ID
+ * @returns {Promise<Array>} [{ taskNumber, taskName, ghlTaskId, assigneeId, error }]
+ */
+async function releaseWaitingTasks(completedTaskId, contactId) {
+  const rows = await getTasksWaitingFor(completedTaskId);
+  const released = [];
+
+  for (const row of rows) {
+    // Another delivery of the same completion got there first
+    if (!await claimWaitingTask(row)) continue;
+
+    try {
+      const task = await getTaskTemplate(row.task_template_id);
+      if (!task) {
+        throw new Error(`Task template ${row.task_template_id} no longer exists`);
+      }
 
-    // Check if opportunity has moved to a different stage
-    if (currentPipelineId !== expectedPipelineId || currentStageId !== expectedStageId) {
-      console.log(`✅ Opportunity has moved from original stage (attempt ${i + 1})`);
-      return true; // Opportunity has moved
-    }
+      const taskContactId = row.contact_id || contactId;
+      let context = { contact: null, opportunity: null };
+      if (task.routing_strategy === 'opportunity_owner') {
+        context = await buildConditionContext(row.opportunity_id, taskContactId);
+      }
+
+      const { ghlTaskId, assignment } = await createStageTask(task, {
+        opportunityId: row.opportunity_id,
+        contactId: taskContactId,
+        stageName: row.stage_name,
+        context
+      });
 
-    console.log(`❌ Opportunity still in same stage (attempt ${i + 1})`);
+      if (ghlTaskId) {
+        await addStageChangeTaskId(row.chain_id, ghlTaskId);
+      }
+      await completeWaitingTask(row, { ghlTaskId });
+
+      console.log(`⛓️ Created task ${row.task_number} (${row.task_name}) after task ${completedTaskId} was completed`);
+      released.push({ taskNumber: row.task_number, taskName: row.task_name, ghlTaskId, assigneeId: assignment.assigneeId });
+    } catch (error) {
+      console.error(`Error creating waiting task ${row.task_number}:`, error.message);
+      await completeWaitingTask(row, { error: error.message });
+      released.push({ taskNumber: row.task_number, taskName: row.task_name, ghlTaskId: null, error: error.message });
+    }
   }
 
-  console.log('Opportunity still in same stage after all retries');
-  return false; // Still in same stage
+  return released;
 }
 
 /**
- * Process task completion and check if opportunity should be moved
+ * Process task completion and run the matching task completion rules
+ * (move stage, create follow-up tasks, add tags, send email)
  * @param {Object} taskData - Task completion webhook data
  * @returns {Promise<Object>} Processing result
  */
 async function processTaskCompletion(taskData) {
   try {
     const { contactId, title } = taskData;
-    let { opportunityId, taskId } = taskData;
+    let { opportunityId } = taskData;
 
     console.log(`Processing task completion: Task "${title}", Contact ${contactId}, Opportunity ${opportunityId}`);
 
@@ -638,6 +706,16 @@ async function processTaskCompletion(taskData) {
       return { success: true, message: 'No contact to process' };
     }
 
+    // Tasks waiting for this one are created first, so stage rules see them as open
+    let dependentTasks = [];
+    if (taskData.taskId) {
+      try {
+        dependentTasks = await releaseWaitingTasks(taskData.taskId, contactId);
+      } catch (releaseError) {
+        console.error('Error releasing waiting tasks:', releaseError.message);
+      }
+    }
+
     // If no opportunityId provided, search for it using contactId
     if (!opportunityId) {
       console.log('No opportunityId provided, searching by contactId...');
@@ -649,7 +727,7 @@ async function processTaskCompletion(taskData) {
 
         if (!opportunities || opportunities.length === 0) {
           console.log('No opportunities found for this contact');
-          return { success: true, message: 'No opportunity found for contact' };
+          return { success: true, message: 'No opportunity found for contact', dependentTasks };
         }
 
         // Use the first open opportunity (you can add more logic here if needed)
@@ -667,82 +745,39 @@ async function processTaskCompletion(taskData) {
     }
 
     // Get opportunity details to find current stage
-    const apiKey = process.env.GHL_API_KEY;
-    const oppResponse = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/${opportunityId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const oppData = await ghlClient.opportunities.get(opportunityId);
 
-    console.log('Opportunity API response:', JSON.stringify(oppResponse.data, null, 2));
+    console.log('Opportunity API response:', JSON.stringify(oppData, null, 2));
 
     // Data is nested under 'opportunity' object
-    const opportunityData = oppResponse.data.opportunity || oppResponse.data;
+    const opportunityData = oppData.opportunity || oppData;
     const currentStageId = opportunityData.pipelineStageId || opportunityData.stageId;
     const currentPipelineId = opportunityData.pipelineId;
 
     console.log(`Current opportunity stage: ${currentStageId}, pipeline: ${currentPipelineId}`);
 
-    // Check if this is the final task that should trigger opportunity move
-    const finalTaskTitle = "Final follow-up call—if no answer, send final text and close the matter.";
-
-    console.log(`Checking if task "${title}" matches final task: "${finalTaskTitle}"`);
-
-    if (title !== finalTaskTitle) {
-      console.log('Not the final task, skipping opportunity move');
-      return { success: true, message: 'Not the final task' };
-    }
-
-    console.log('Final task completed, proceeding to move opportunity');
-
-    // This was the final task - check if we should move the opportunity
-    const { data: mappings, error } = await supabase
-      .from('stage_completion_mappings')
-      .select('*')
-      .eq('source_stage_id', currentStageId)
-      .eq('active', true)
-      .limit(1);
-
-    if (error) {
-      console.error('Error fetching stage mapping:', error);
-      throw error;
-    }
-
-    if (!mappings || mappings.length === 0) {
-      console.log(`No mapping found for stage ${currentStageId}`);
-      return { success: true, message: 'No stage mapping configured' };
-    }
-
-    const mapping = mappings[0];
-
-    // Check if target stage ID is available
-    if (!mapping.target_stage_id) {
-      console.log(`Target stage ID not configured for ${mapping.source_stage_name}`);
-      return { success: true, message: 'Target stage ID not configured yet' };
-    }
-
-    console.log(`Moving opportunity to pipeline ${mapping.target_pipeline_id}, stage ${mapping.target_stage_id}`);
-
-    // Move the opportunity
-    await updateOpportunityStage(
+    const result = await runTaskCompletionRules({
+      taskData,
+      contactId,
       opportunityId,
-      mapping.target_pipeline_id,
-      mapping.target_stage_id
-    );
+      opportunity: opportunityData,
+      stageId: currentStageId
+    });
+
+    const movedTo = result.rulesMatched
+      .flatMap(rule => rule.actions)
+      .filter(action => action.type === 'move_stage' && action.success)
+      .pop();
 
     return {
       success: true,
-      message: `Opportunity moved to ${mapping.target_pipeline_name} - ${mapping.target_stage_name}`,
-      movedTo: {
-        pipelineId: mapping.target_pipeline_id,
-        pipelineName: mapping.target_pipeline_name,
-        stageId: mapping.target_stage_id,
-        stageName: mapping.target_stage_name
-      }
+      message: result.rulesMatched.length > 0
+        ? `Ran ${result.rulesMatched.length} task completion rule(s)`
+        : 'No task completion rules matched',
+      opportunityId,
+      ...result,
+      dependentTasks,
+      movedTo: movedTo ? { pipelineId: movedTo.pipelineId, stageId: movedTo.stageId } : null
     };
   } catch (error) {
     console.error('Error in processTaskCompletion:', error);
@@ -756,12 +791,13 @@ module.exports = {
   deleteGHLTask,
   processOpportunityStageChange,
   processTaskCompletion,
+  releaseWaitingTasks,
   updateOpportunityStage,
   searchOpportunitiesByContact,
   checkContactAppointments,
-  checkAppointmentsWithRetry,
   getOpportunityById,
-  checkOpportunityStageWithRetry,
+  hasOpportunityLeftStage,
+  INTAKE_SURVEY_CHECK_DELAYS_MS,
   // Grace period functions
   recordStageChange,
   getRecentStageChanges,
@@ -1,39 +1,6 @@
-const axios = require('axios');
-
-/**
- * Searches for existing contact by phone or email
- * @param {string} phone - Contact phone number
- * @param {string} locationId - GHL location ID
- * @param {string} apiKey - GHL API key
- * @returns {Promise<Object|null>} Existing contact or null
- */
-async function findExistingContact(phone, locationId, apiKey) {
-  if (!phone) return null;
-
-  try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/`,
-      {
-        params: {
-          locationId: locationId,
-          query: phone
-        },
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    if (response.data.contacts && response.data.contacts.length > 0) {
-      return response.data.contacts[0];
-    }
-    return null;
-  } catch (error) {
-    console.error('Error searching for contact:', error.response?.data || error.message);
-    return null;
-  }
-}
+const ghlClient = require('./ghlClient');
+const { mergeContactData, describeNewContact } = require('./contactMergeService');
+const { findContactMatch, createDuplicateReviewTask, summarizeMatch, normalizeContactData } = require('./contactMatchingService');
 
 /**
  * Updates an existing contact in GoHighLevel
@@ -44,20 +11,10 @@ async function findExistingContact(phone, locationId, apiKey) {
  */
 async function updateGHLContact(contactId, contactData, apiKey) {
   try {
-    const response = await axios.put(
-      `https://services.leadconnectorhq.com/contacts/${contactId}`,
-      contactData,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    console.log('GHL Contact updated successfully:', response.data);
-    return response.data;
+    const data = await ghlClient.contacts.update(contactId, contactData, { apiKey });
+
+    console.log('GHL Contact updated successfully:', data);
+    return data;
   } catch (error) {
     console.error('Error updating GHL contact:', error.response?.data || error.message);
     throw error;
@@ -65,11 +22,63 @@ async function updateGHLContact(contactId, contactData, apiKey) {
 }
 
 /**
- * Creates or updates a contact in GoHighLevel
+ * Merges a submission into an existing contact using the field merge policy
+ * @param {string} contactId - Existing GHL contact ID
  * @param {Object} contactData - Contact data in GHL format
- * @returns {Promise<Object>} API response with contactId and isDuplicate flag
+ * @param {string} apiKey - GHL API key
+ * @returns {Promise<Object>} { contact, id, isDuplicate, contactAction, mergeChanges }
+ */
+async function mergeIntoContact(contactId, contactData, apiKey) {
+  console.log('Merging submission into existing contact:', contactId);
+
+  // Search results can omit custom fields - merge against the full contact
+  const { contact: currentContact } = await ghlClient.contacts.get(contactId, { apiKey });
+  const { payload, changes } = mergeContactData(currentContact, contactData);
+  const updatedFields = changes.filter(c => c.action === 'updated').map(c => c.field);
+  const keptFields = changes.filter(c => c.action === 'kept').map(c => c.field);
+
+  if (keptFields.length > 0) {
+    console.log('Merge policy kept existing values for:', keptFields.join(', '));
+  }
+
+  if (updatedFields.length === 0) {
+    console.log('No contact fields changed, skipping update');
+    return {
+      contact: { id: contactId },
+      id: contactId,
+      isDuplicate: true,
+      contactAction: 'unchanged',
+      mergeChanges: changes
+    };
+  }
+
+  console.log('Updating fields:', updatedFields.join(', '));
+
+  // Update existing contact with the changed fields only
+  const updateResponse = await updateGHLContact(contactId, payload, apiKey);
+
+  return {
+    contact: { id: contactId },
+    id: contactId,
+    isDuplicate: true,
+    contactAction: 'updated',
+    mergeChanges: changes,
+    ...updateResponse
+  };
+}
+
+/**
+ * Creates or updates a contact in GoHighLevel
+ * The submission is first matched against existing contacts by normalized phone
+ * and email (contactMatchingService). Confident matches are merged field by field
+ * (contact-merge-policy.json) rather than overwritten; partial matches create the
+ * contact and a "possible duplicate" review task.
+ * @param {Object} submittedData - Contact data in GHL format
+ * @returns {Promise<Object>} API response with contactId, isDuplicate flag,
+ *   contactAction (created/updated/unchanged), mergeChanges (per-field audit),
+ *   match (decision, score, candidates) and reviewTask
  */
-async function createGHLContact(contactData) {
+async function createGHLContact(submittedData) {
   const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
 
@@ -81,29 +90,30 @@ async function createGHLContact(contactData) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
 
+  const contactData = normalizeContactData(submittedData);
+  const match = await findContactMatch(contactData, locationId, apiKey);
+
+  if (match.decision === 'merge') {
+    const merged = await mergeIntoContact(match.contact.id, contactData, apiKey);
+    return { ...merged, match: summarizeMatch(match), reviewTask: null };
+  }
+
   const payload = {
     ...contactData,
     locationId: locationId
   };
 
+  let result;
   try {
     // Try to create contact
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/contacts/',
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    console.log('GHL Contact created successfully:', response.data);
-    return {
-      ...response.data,
-      isDuplicate: false
+    const data = await ghlClient.contacts.create(payload, { apiKey });
+
+    console.log('GHL Contact created successfully:', data);
+    result = {
+      ...data,
+      isDuplicate: false,
+      contactAction: 'created',
+      mergeChanges: describeNewContact(contactData)
     };
   } catch (error) {
     console.error('GHL API Error Details:', JSON.stringify(error.response?.data, null, 2));
@@ -112,34 +122,29 @@ async function createGHLContact(contactData) {
     const isDuplicateError = error.response?.status === 400 &&
                             error.response?.data?.message?.includes('duplicated');
 
-    if (isDuplicateError) {
-      console.log('Duplicate contact detected, searching for existing contact...');
-
-      // Search for existing contact
-      const existingContact = await findExistingContact(contactData.phone, locationId, apiKey);
-
-      if (existingContact) {
-        console.log('Found existing contact, updating:', existingContact.id);
+    if (!isDuplicateError) {
+      console.error('Error creating GHL contact:', error.response?.data || error.message);
+      throw error;
+    }
 
-        // Update existing contact
-        const updateResponse = await updateGHLContact(existingContact.id, contactData, apiKey);
+    // GHL's own duplicate rule rejected the create - it reports the contact it matched
+    const existingContactId = error.response?.data?.meta?.contactId || match.candidates[0]?.contact.id;
 
-        return {
-          contact: { id: existingContact.id },
-          id: existingContact.id,
-          isDuplicate: true,
-          ...updateResponse
-        };
-      } else {
-        console.error('Could not find existing contact to update');
-        throw new Error('Duplicate contact error but could not find existing contact');
-      }
+    if (!existingContactId) {
+      console.error('Could not find existing contact to update');
+      throw new Error('Duplicate contact error but could not find existing contact');
     }
 
-    // Re-throw if not a duplicate error
-    console.error('Error creating GHL contact:', error.response?.data || error.message);
-    throw error;
+    console.log('Duplicate contact detected by GHL, merging into:', existingContactId);
+    result = await mergeIntoContact(existingContactId, contactData, apiKey);
   }
+
+  const contactId = result.contact?.id || result.id;
+  const reviewTask = match.decision === 'review'
+    ? await createDuplicateReviewTask(contactId, match, contactData)
+    : null;
+
+  return { ...result, match: summarizeMatch(match), reviewTask };
 }
 
 /**
@@ -151,13 +156,8 @@ async function createGHLContact(contactData) {
  * @returns {Promise<Object>} API response
  */
 async function createGHLOpportunity(contactId, pipelineId, stageId, name) {
-  const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
 
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
@@ -172,20 +172,10 @@ async function createGHLOpportunity(contactId, pipelineId, stageId, name) {
       contactId: contactId
     };
 
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/opportunities/',
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    console.log('GHL Opportunity created successfully:', response.data);
-    return response.data;
+    const data = await ghlClient.opportunities.create(payload);
+
+    console.log('GHL Opportunity created successfully:', data);
+    return data;
   } catch (error) {
     console.error('Error creating GHL opportunity:', error.response?.data || error.message);
     throw error;
@@ -197,30 +187,17 @@ async function createGHLOpportunity(contactId, pipelineId, stageId, name) {
  * @returns {Promise<Array>} Array of custom field objects
  */
 async function getCustomFields() {
-  const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
 
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
 
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/locations/${locationId}/customFields`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.locations.getCustomFields(locationId);
 
     console.log('Custom fields fetched successfully');
-    return response.data.customFields || [];
+    return data.customFields || [];
   } catch (error) {
     console.error('Error fetching custom fields:', error.response?.data || error.message);
     throw error;
@@ -233,25 +210,11 @@ async function getCustomFields() {
  * @returns {Promise<Object>} Contact data
  */
 async function getContact(contactId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.contacts.get(contactId);
 
     console.log('Contact fetched successfully:', contactId);
-    return response.data;
+    return data;
   } catch (error) {
     console.error('Error fetching contact:', error.response?.data || error.message);
     throw error;
@@ -269,12 +232,6 @@ async function getContact(contactId) {
  * @returns {Promise<Object>} Task creation response
  */
 async function createTask(contactId, title, body, dueDate, assignedTo = null, opportunityId = null) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   const payload = {
     contactId: contactId,
     title: title,
@@ -293,20 +250,10 @@ async function createTask(contactId, title, body, dueDate, assignedTo = null, op
   }
 
   try {
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/opportunities/tasks',
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    console.log('Task created successfully:', response.data);
-    return response.data;
+    const data = await ghlClient.tasks.createForOpportunity(payload);
+
+    console.log('Task created successfully:', data);
+    return data;
   } catch (error) {
     console.error('Error creating task:', error.response?.data || error.message);
     throw error;
@@ -324,12 +271,6 @@ async function createTask(contactId, title, body, dueDate, assignedTo = null, op
  * @returns {Promise<Object>} Payment record response
  */
 async function recordInvoicePayment(invoiceId, paymentData) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     console.log('=== Recording Payment in GHL Invoice ===');
     console.log('Invoice ID:', invoiceId);
@@ -342,21 +283,11 @@ async function recordInvoicePayment(invoiceId, paymentData) {
       note: paymentData.note || 'Payment processed via Confido Legal'
     };
 
-    const response = await axios.post(
-      `https://services.leadconnectorhq.com/invoices/${invoiceId}/record-payment`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.invoices.recordPayment(invoiceId, payload);
 
     console.log('✅ Payment recorded in GHL invoice successfully');
-    console.log('Response:', JSON.stringify(response.data, null, 2));
-    return response.data;
+    console.log('Response:', JSON.stringify(data, null, 2));
+    return data;
   } catch (error) {
     console.error('❌ Error recording payment in GHL invoice:', error.response?.data || error.message);
     throw error;
@@ -369,28 +300,14 @@ async function recordInvoicePayment(invoiceId, paymentData) {
  * @returns {Promise<Object>} Invoice data
  */
 async function getInvoice(invoiceId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     console.log('=== Fetching Invoice from GHL ===');
     console.log('Invoice ID:', invoiceId);
 
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/invoices/${invoiceId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.invoices.get(invoiceId);
 
     console.log('✅ Invoice fetched successfully from GHL');
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error fetching invoice from GHL:', error.response?.data || error.message);
     throw error;
@@ -404,29 +321,15 @@ async function getInvoice(invoiceId) {
  * @returns {Promise<Object>} Custom object data
  */
 async function getCustomObject(objectKey, recordId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     console.log('=== Fetching Custom Object from GHL ===');
     console.log('Object Key:', objectKey);
     console.log('Record ID:', recordId);
 
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/objects/${objectKey}/records/${recordId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.customObjects.getRecord(objectKey, recordId);
 
     console.log('✅ Custom object fetched successfully from GHL');
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error fetching custom object from GHL:', error.response?.data || error.message);
     throw error;
@@ -443,12 +346,6 @@ async function getCustomObject(objectKey, recordId) {
  * @returns {Promise<Object>} Update response
  */
 async function updateCustomObject(objectKey, recordId, locationId, properties) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('locationId is required for updating custom objects');
   }
@@ -460,21 +357,10 @@ async function updateCustomObject(objectKey, recordId, locationId, properties) {
     console.log('Location ID:', locationId);
     console.log('Properties:', JSON.stringify(properties, null, 2));
 
-    // locationId must be passed as query parameter for PUT requests
-    const response = await axios.put(
-      `https://services.leadconnectorhq.com/objects/${objectKey}/records/${recordId}?locationId=${locationId}`,
-      { properties },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.customObjects.updateRecord(objectKey, recordId, locationId, properties);
 
     console.log('✅ Custom object updated successfully in GHL');
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error updating custom object in GHL:', error.response?.data || error.message);
     throw error;
@@ -488,31 +374,16 @@ async function updateCustomObject(objectKey, recordId, locationId, properties) {
  * @returns {Promise<Object>} Relations data
  */
 async function getRelations(recordId, locationId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     console.log('=== Fetching Relations from GHL ===');
     console.log('Record ID:', recordId);
     console.log('Location ID:', locationId);
 
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/associations/relations/${recordId}`,
-      {
-        params: { locationId },
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.associations.getRelations(recordId, locationId);
 
     console.log('✅ Relations fetched successfully from GHL');
-    console.log(`Found ${response.data.relations?.length || 0} relations`);
-    return response.data;
+    console.log(`Found ${data.relations?.length || 0} relations`);
+    return data;
   } catch (error) {
     console.error('❌ Error fetching relations from GHL:', error.response?.data || error.message);
     throw error;
@@ -526,13 +397,8 @@ async function getRelations(recordId, locationId) {
  * @returns {Promise<Array>} Array of opportunities for the contact
  */
 async function searchOpportunitiesByContact(contactId, pipelineId = null) {
-  const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
 
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
@@ -551,18 +417,7 @@ async function searchOpportunitiesByContact(contactId, pipelineId = null) {
       params.pipeline_id = pipelineId;
     }
 
-    const response = await axios.get(
-      'https://services.leadconnectorhq.com/opportunities/search',
-      {
-        params,
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    const opportunities = response.data.opportunities || [];
+    const opportunities = await ghlClient.opportunities.searchAll(params);
     console.log(`Found ${opportunities.length} opportunities for contact`);
     return opportunities;
   } catch (error) {
@@ -582,13 +437,8 @@ async function searchOpportunitiesByContact(contactId, pipelineId = null) {
  * @returns {Promise<Object>} API response with isNew flag
  */
 async function upsertGHLOpportunity(contactId, pipelineId, stageId, name) {
-  const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
 
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
@@ -608,21 +458,11 @@ async function upsertGHLOpportunity(contactId, pipelineId, stageId, name) {
         name: name
       };
 
-      const response = await axios.put(
-        `https://services.leadconnectorhq.com/opportunities/${existingOpp.id}`,
-        updatePayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'Version': '2021-07-28'
-          }
-        }
-      );
-
-      console.log('GHL Opportunity updated successfully:', response.data);
+      const data = await ghlClient.opportunities.update(existingOpp.id, updatePayload);
+
+      console.log('GHL Opportunity updated successfully:', data);
       return {
-        ...response.data,
+        ...data,
         isNew: false,
         existingOpportunityId: existingOpp.id
       };
@@ -639,21 +479,11 @@ async function upsertGHLOpportunity(contactId, pipelineId, stageId, name) {
         contactId: contactId
       };
 
-      const response = await axios.post(
-        'https://services.leadconnectorhq.com/opportunities/',
-        createPayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'Version': '2021-07-28'
-          }
-        }
-      );
-
-      console.log('GHL Opportunity created successfully:', response.data);
+      const data = await ghlClient.opportunities.create(createPayload);
+
+      console.log('GHL Opportunity created successfully:', data);
       return {
-        ...response.data,
+        ...data,
         isNew: true
       };
     }
@@ -669,28 +499,14 @@ async function upsertGHLOpportunity(contactId, pipelineId, stageId, name) {
  * @returns {Promise<Object>} Opportunity data with contact details
  */
 async function getOpportunity(opportunityId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
     console.log('=== Fetching Opportunity from GHL ===');
     console.log('Opportunity ID:', opportunityId);
 
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/${opportunityId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const data = await ghlClient.opportunities.get(opportunityId);
 
     console.log('✅ Opportunity fetched successfully from GHL');
-    return response.data;
+    return data;
   } catch (error) {
     console.error('❌ Error fetching opportunity from GHL:', error.response?.data || error.message);
     throw error;
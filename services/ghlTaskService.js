@@ -1,11 +1,17 @@
 const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('./ghlClient');
+const { cancelTasksWaitingFor } = require('./taskDependencyService');
+
+// Fields compared when deciding whether the mirrored task is out of date
+const TRACKED_FIELDS = ['task_name', 'task_description', 'assignee_id', 'due_date', 'completed'];
+
+let supabaseClient = null;
 
 /**
- * Syncs a task from GHL to Supabase
- * @param {Object} taskData - Task data from GHL webhook
- * @returns {Promise<Object>} Supabase response
+ * Gets the Supabase client, created on first use
+ * @returns {Object} Supabase client
  */
-async function syncTaskToSupabase(taskData) {
+function getSupabase() {
   const supabaseUrl = process.env.SUPABASE_URL;
   const supabaseKey = process.env.SUPABASE_KEY;
 
@@ -13,23 +19,128 @@ async function syncTaskToSupabase(taskData) {
     throw new Error('SUPABASE_URL or SUPABASE_KEY not configured in environment variables');
   }
 
-  const supabase = createClient(supabaseUrl, supabaseKey);
+  if (!supabaseClient) {
+    supabaseClient = createClient(supabaseUrl, supabaseKey);
+  }
+  return supabaseClient;
+}
+
+/**
+ * Gets the mirrored task row
+ * @param {string} ghlTaskId - GHL task ID
+ * @returns {Promise<Object|null>} ghl_tasks row or null
+ */
+async function getTaskRecord(ghlTaskId) {
+  const { data, error } = await getSupabase()
+    .from('ghl_tasks')
+    .select('*')
+    .eq('ghl_task_id', ghlTaskId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching task from Supabase:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Extracts task fields from a GHL webhook payload or task object
+ * Fields that aren't in the payload are left undefined so they don't overwrite the stored values.
+ * @param {Object} webhookData - Webhook body ({ ... } or { task: { ... } }) or a GHL task
+ * @returns {Object} Task data in ghl_tasks column names
+ */
+function extractTaskData(webhookData) {
+  const task = webhookData.task || {};
+  // null is meaningful here (e.g. assignee removed), so only fall back when the key is absent
+  const field = (key) => (webhookData[key] !== undefined ? webhookData[key] : task[key]);
+
+  return {
+    ghl_task_id: webhookData.id || task.id || webhookData.task_id || webhookData.taskId,
+    ghl_contact_id: webhookData.contactId || task.contactId || webhookData['contact-id'] || webhookData.contact_id,
+    task_name: webhookData.title || task.title,
+    task_description: field('body'),
+    assignee_id: field('assignedTo'),
+    due_date: webhookData.dueDate || task.dueDate,
+    completed: field('completed'),
+    completed_at: webhookData.completedAt || task.completedAt || undefined
+  };
+}
+
+/**
+ * Normalizes a tracked field for comparison
+ * @param {string} field - Column name
+ * @param {*} value - Value
+ * @returns {*} Comparable value
+ */
+function comparableValue(field, value) {
+  if (field === 'completed') return value === true;
+  if (field === 'due_date') return value ? new Date(value).getTime() : null;
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Lists the tracked fields that differ between the mirrored task and new task data
+ * Fields missing from the new data are not compared.
+ * @param {Object|null} existing - ghl_tasks row
+ * @param {Object} taskData - Task data from extractTaskData()
+ * @returns {Array<string>} Changed column names (all provided fields if there's no row yet)
+ */
+function diffTask(existing, taskData) {
+  return TRACKED_FIELDS.filter(field => {
+    if (taskData[field] === undefined) return false;
+    if (!existing) return true;
+    return comparableValue(field, existing[field]) !== comparableValue(field, taskData[field]);
+  });
+}
+
+/**
+ * Syncs a task from GHL to Supabase
+ * Fields left undefined keep their stored value. Status and completed_at follow
+ * the completed flag, and the completion time isn't moved once recorded.
+ * @param {Object} taskData - Task data from GHL webhook
+ * @returns {Promise<Object>} Supabase response
+ */
+async function syncTaskToSupabase(taskData) {
+  const supabase = getSupabase();
 
   try {
     console.log('Syncing task to Supabase:', taskData.ghl_task_id);
 
+    const existing = await getTaskRecord(taskData.ghl_task_id);
+    const pick = (field) => (taskData[field] !== undefined ? taskData[field] : existing?.[field]);
+    const completed = pick('completed') === true;
+    const alreadyCompleted = existing?.completed === true && existing.status !== 'deleted';
+    const assigneeId = pick('assignee_id') || null;
+    // A new assignee without a looked-up name shouldn't keep the previous person's name
+    const assigneeChanged = taskData.assignee_name === undefined && assigneeId !== (existing?.assignee_id || null);
+
     // Prepare task data for Supabase
     const taskRecord = {
       ghl_task_id: taskData.ghl_task_id,
-      ghl_contact_id: taskData.ghl_contact_id || null,
-      task_name: taskData.task_name,
-      task_description: taskData.task_description || null,
-      assignee_name: taskData.assignee_name || null,
-      assignee_id: taskData.assignee_id || null,
-      due_date: taskData.due_date || null,
-      completed: taskData.completed || false
+      ghl_contact_id: pick('ghl_contact_id') || null,
+      task_name: pick('task_name'),
+      task_description: pick('task_description') || null,
+      assignee_name: assigneeChanged ? null : pick('assignee_name') || null,
+      assignee_id: assigneeId,
+      due_date: pick('due_date') || null,
+      completed: completed,
+      status: completed ? 'completed' : 'open',
+      completed_at: completed
+        ? (taskData.completed_at || (alreadyCompleted && existing.completed_at) || new Date().toISOString())
+        : null,
+      deleted_at: null,
+      last_synced_at: new Date().toISOString()
     };
 
+    // Only known for stage tasks we create - omitted so webhook syncs don't clear them
+    for (const field of ['task_template_id', 'opportunity_id', 'stage_name']) {
+      if (taskData[field] !== undefined) {
+        taskRecord[field] = taskData[field] === null ? null : String(taskData[field]);
+      }
+    }
+
     // Upsert task (insert or update if exists)
     const { data, error } = await supabase
       .from('ghl_tasks')
@@ -53,6 +164,32 @@ async function syncTaskToSupabase(taskData) {
   }
 }
 
+/**
+ * Marks a mirrored task as deleted in GHL
+ * The row is kept (with status 'deleted') so reports and routing history still resolve it.
+ * Tasks waiting for it (task dependencies) are cancelled, since it will never be completed.
+ * @param {string} ghlTaskId - GHL task ID
+ * @returns {Promise<Object|null>} Updated row, or null if the task was never synced
+ */
+async function markTaskDeleted(ghlTaskId) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await getSupabase()
+    .from('ghl_tasks')
+    .update({ status: 'deleted', deleted_at: now, last_synced_at: now })
+    .eq('ghl_task_id', ghlTaskId)
+    .select();
+
+  if (error) {
+    console.error('Error marking task deleted in Supabase:', error);
+    throw error;
+  }
+
+  await cancelTasksWaitingFor(ghlTaskId);
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
 /**
  * Get assignee information from GHL
  * @param {string} assigneeId - GHL user ID
@@ -62,27 +199,29 @@ async function syncTaskToSupabase(taskData) {
 async function getAssigneeInfo(assigneeId, apiKey) {
   if (!assigneeId) return null;
 
-  const axios = require('axios');
-  const locationId = process.env.GHL_LOCATION_ID;
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/users/${assigneeId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    return response.data;
+    return await ghlClient.users.get(assigneeId, { apiKey });
   } catch (error) {
     console.error('Error fetching assignee info:', error.response?.data || error.message);
     return null;
   }
 }
 
+/**
+ * Looks up an assignee's display name
+ * @param {string} assigneeId - GHL user ID
+ * @param {string} apiKey - GHL API key
+ * @returns {Promise<string|null>} Name, or null if unknown
+ */
+async function getAssigneeName(assigneeId, apiKey = process.env.GHL_API_KEY) {
+  if (!assigneeId || !apiKey) return null;
+
+  const assigneeInfo = await getAssigneeInfo(assigneeId, apiKey);
+  if (!assigneeInfo) return null;
+
+  return assigneeInfo.name || `${assigneeInfo.firstName || ''} ${assigneeInfo.lastName || ''}`.trim() || null;
+}
+
 /**
  * Process task creation webhook from GHL
  * @param {Object} webhookData - Raw webhook data from GHL
@@ -96,15 +235,8 @@ async function processTaskCreation(webhookData) {
     console.log('Raw webhook data:', JSON.stringify(webhookData, null, 2));
 
     // Extract task data from webhook
-    const taskData = {
-      ghl_task_id: webhookData.id || webhookData.task?.id,
-      ghl_contact_id: webhookData.contactId || webhookData.task?.contactId,
-      task_name: webhookData.title || webhookData.task?.title,
-      task_description: webhookData.body || webhookData.task?.body,
-      assignee_id: webhookData.assignedTo || webhookData.task?.assignedTo,
-      due_date: webhookData.dueDate || webhookData.task?.dueDate,
-      completed: webhookData.completed || webhookData.task?.completed || false
-    };
+    const taskData = extractTaskData(webhookData);
+    taskData.completed = taskData.completed || false;
 
     // Validate required fields
     if (!taskData.ghl_task_id) {
@@ -116,15 +248,7 @@ async function processTaskCreation(webhookData) {
     }
 
     // Get assignee information if assignee ID exists
-    let assigneeName = null;
-    if (taskData.assignee_id && apiKey) {
-      const assigneeInfo = await getAssigneeInfo(taskData.assignee_id, apiKey);
-      if (assigneeInfo) {
-        assigneeName = assigneeInfo.name || `${assigneeInfo.firstName || ''} ${assigneeInfo.lastName || ''}`.trim();
-      }
-    }
-
-    taskData.assignee_name = assigneeName;
+    taskData.assignee_name = await getAssigneeName(taskData.assignee_id, apiKey);
 
     console.log('Extracted task data:', JSON.stringify(taskData, null, 2));
 
@@ -143,8 +267,94 @@ async function processTaskCreation(webhookData) {
   }
 }
 
+/**
+ * Applies a GHL task change to the mirrored task
+ * Handles updates, completions (and re-opening), due date changes and reassignments.
+ * @param {Object} webhookData - Raw webhook data from GHL (TaskUpdate / TaskComplete)
+ * @param {Object} overrides - Fields implied by the event, e.g. { completed: true }
+ * @returns {Promise<Object>} { success, message, taskId, changes, supabaseRecord }
+ */
+async function processTaskUpdate(webhookData, overrides = {}) {
+  try {
+    const taskData = { ...extractTaskData(webhookData), ...overrides };
+
+    if (!taskData.ghl_task_id) {
+      throw new Error('Missing required field: task ID');
+    }
+
+    const existing = await getTaskRecord(taskData.ghl_task_id);
+
+    if (!existing && !taskData.task_name) {
+      throw new Error('Missing required field: task name/title');
+    }
+
+    const changes = diffTask(existing, taskData);
+    if (existing?.status === 'deleted') {
+      changes.push('restored');
+    }
+
+    if (changes.includes('assignee_id')) {
+      taskData.assignee_name = await getAssigneeName(taskData.assignee_id);
+      if (existing) {
+        console.log(`🔀 Task ${taskData.ghl_task_id} reassigned: ${existing.assignee_id || 'unassigned'} → ${taskData.assignee_id || 'unassigned'}`);
+      }
+    }
+
+    if (existing && changes.length === 0) {
+      console.log(`Task ${taskData.ghl_task_id} already up to date`);
+    }
+
+    const result = await syncTaskToSupabase(taskData);
+
+    return {
+      success: true,
+      message: changes.length > 0 ? `Task updated (${changes.join(', ')})` : 'Task already up to date',
+      taskId: taskData.ghl_task_id,
+      changes: changes,
+      supabaseRecord: result
+    };
+  } catch (error) {
+    console.error('Error processing task update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Process task deletion webhook from GHL
+ * @param {Object} webhookData - Raw webhook data from GHL (TaskDelete)
+ * @returns {Promise<Object>} { success, message, taskId, supabaseRecord }
+ */
+async function processTaskDeletion(webhookData) {
+  try {
+    const { ghl_task_id: taskId } = extractTaskData(webhookData);
+
+    if (!taskId) {
+      throw new Error('Missing required field: task ID');
+    }
+
+    const result = await markTaskDeleted(taskId);
+
+    return {
+      success: true,
+      message: result ? 'Task marked as deleted' : 'Task was never synced, nothing to delete',
+      taskId: taskId,
+      supabaseRecord: result
+    };
+  } catch (error) {
+    console.error('Error processing task deletion:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   syncTaskToSupabase,
   processTaskCreation,
+  processTaskUpdate,
+  processTaskDeletion,
+  markTaskDeleted,
+  getTaskRecord,
+  extractTaskData,
+  diffTask,
+  getAssigneeName,
   getAssigneeInfo
 };
@@ -0,0 +1,128 @@
+/**
+ * Job Handlers
+ *
+ * Registers the background job types processed by the job queue worker.
+ * Each handler runs one check per attempt and returns { retryInMs } when
+ * it needs to look again later, instead of sleeping inside a webhook request.
+ * Polling handlers count their checks in that result ({ retryInMs, check }),
+ * which the queue keeps on the job, so attempts retried after an error don't
+ * use up checks.
+ */
+
+const { registerJobHandler } = require('./jobQueueService');
+const {
+  hasOpportunityLeftStage,
+  updateOpportunityStage,
+  INTAKE_SURVEY_CHECK_DELAYS_MS
+} = require('./ghlOpportunityService');
+const {
+  checkInvoiceAssociation,
+  processInvoiceRecordCreated,
+  ASSOCIATION_CHECK_MAX_ATTEMPTS,
+  ASSOCIATION_CHECK_DELAY_MS
+} = require('./customInvoiceService');
+
+/**
+ * Numbers the check a polling job is about to run
+ * The previous check is kept in the result of the last { retryInMs } reschedule;
+ * error retries leave it unchanged.
+ * @param {Object} job - Claimed job row
+ * @returns {number} 1 for the first check
+ */
+function getCheckNumber(job) {
+  return (job.result?.check || 0) + 1;
+}
+
+/**
+ * Invoice custom object created: wait for the opportunity association, then create the invoice
+ * Payload: { recordId, objectKey, locationId }
+ */
+async function handleInvoiceAssociationCheck(payload, job) {
+  const checkNumber = getCheckNumber(job);
+  console.log(`\n⏳ Check ${checkNumber}/${ASSOCIATION_CHECK_MAX_ATTEMPTS} - Checking for opportunity association...`);
+
+  const { invoiceRecord, opportunityRelation } = await checkInvoiceAssociation(payload);
+
+  if (!opportunityRelation) {
+    console.log(`⚠️ Missing opportunity association on check ${checkNumber}`);
+
+    if (checkNumber >= ASSOCIATION_CHECK_MAX_ATTEMPTS) {
+      console.log('❌ Max checks reached - no opportunity association found');
+      return {
+        success: false,
+        message: `Invoice missing opportunity association after ${checkNumber} checks`,
+        invoiceId: payload.recordId,
+        hasOpportunity: false,
+        attempts: job.attempts
+      };
+    }
+
+    return { retryInMs: ASSOCIATION_CHECK_DELAY_MS, check: checkNumber, hasOpportunity: false };
+  }
+
+  console.log(`✅ Opportunity association found on check ${checkNumber}`);
+  return processInvoiceRecordCreated(payload, invoiceRecord, opportunityRelation);
+}
+
+/**
+ * Intake survey submitted: if the opportunity is still in the intake stage after
+ * the check delays, move it to the target stage (Pending I/V)
+ * Payload: { contactId, opportunityId, expectedPipelineId, expectedStageId, targetPipelineId, targetStageId, targetStageName }
+ */
+async function handleIntakeSurveyStageCheck(payload, job) {
+  const checkNumber = getCheckNumber(job);
+  console.log(`🔍 Checking if opportunity ${payload.opportunityId} is still in original stage (check ${checkNumber}/${INTAKE_SURVEY_CHECK_DELAYS_MS.length})...`);
+
+  const hasMoved = await hasOpportunityLeftStage(
+    payload.opportunityId,
+    payload.expectedPipelineId,
+    payload.expectedStageId
+  );
+
+  if (hasMoved) {
+    console.log('✅ Opportunity already moved to a different stage, no action needed');
+    return {
+      success: true,
+      message: 'Opportunity already moved to a different stage',
+      contactId: payload.contactId,
+      opportunityId: payload.opportunityId,
+      hasMoved: true,
+      action: 'none'
+    };
+  }
+
+  console.log(`❌ Opportunity still in same stage (check ${checkNumber})`);
+
+  if (checkNumber < INTAKE_SURVEY_CHECK_DELAYS_MS.length) {
+    return { retryInMs: INTAKE_SURVEY_CHECK_DELAYS_MS[checkNumber], check: checkNumber, hasMoved: false };
+  }
+
+  console.log(`📍 Moving opportunity to: ${payload.targetStageName}`);
+  await updateOpportunityStage(payload.opportunityId, payload.targetPipelineId, payload.targetStageId);
+  console.log(`✅ Successfully moved opportunity to ${payload.targetStageName}`);
+
+  return {
+    success: true,
+    message: `Opportunity moved to ${payload.targetStageName}`,
+    contactId: payload.contactId,
+    opportunityId: payload.opportunityId,
+    hasMoved: false,
+    movedToStage: payload.targetStageName,
+    pipelineId: payload.targetPipelineId,
+    stageId: payload.targetStageId
+  };
+}
+
+/**
+ * Registers all job handlers with the queue
+ */
+function registerJobHandlers() {
+  registerJobHandler('invoice-association-check', handleInvoiceAssociationCheck);
+  registerJobHandler('intake-survey-stage-check', handleIntakeSurveyStageCheck);
+}
+
+module.exports = {
+  registerJobHandlers,
+  handleInvoiceAssociationCheck,
+  handleIntakeSurveyStageCheck
+};
@@ -0,0 +1,336 @@
+/**
+ * Job Queue Service
+ *
+ * Durable, Supabase-backed job queue with an in-process worker.
+ * Replaces sleep/retry loops inside webhook requests: handlers enqueue a job,
+ * respond 202 immediately, and the worker runs the job in the background.
+ *
+ * Handler contract:
+ * - Return a value -> job is marked completed and the value is stored as result
+ * - Return { retryInMs } -> job is re-scheduled (used for "check again later" polling)
+ * - Throw -> job is retried with exponential backoff until max_attempts, then marked failed
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_WORKER_POLL_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 10000; // 10s, 20s, 40s, ...
+const BACKOFF_MAX_MS = 15 * 60 * 1000; // 15 minutes
+// Running jobs whose lock is older than this are assumed abandoned (e.g. server restarted mid-job)
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const handlers = {};
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Registers a handler for a job type
+ * @param {string} jobType - Job type name
+ * @param {Function} handler - async (payload, job) => result
+ */
+function registerJobHandler(jobType, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for job type "${jobType}" must be a function`);
+  }
+  handlers[jobType] = handler;
+}
+
+/**
+ * Adds a job to the queue
+ * @param {string} jobType - Registered job type
+ * @param {Object} payload - Job payload (stored as JSON)
+ * @param {Object} options - { delayMs, maxAttempts }
+ * @returns {Promise<Object>} The created job row
+ */
+async function enqueueJob(jobType, payload = {}, options = {}) {
+  const { delayMs = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = options;
+  const runAt = new Date(Date.now() + delayMs).toISOString();
+
+  const { data, error } = await supabase
+    .from('job_queue')
+    .insert({
+      job_type: jobType,
+      payload: payload,
+      status: 'pending',
+      max_attempts: maxAttempts,
+      run_at: runAt
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ Error enqueueing ${jobType} job:`, error);
+    throw error;
+  }
+
+  console.log(`📥 Job enqueued: ${jobType} (${data.id}), runs at ${runAt}`);
+  return data;
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<Object|null>} Job row or null
+ */
+async function getJob(jobId) {
+  const { data, error } = await supabase
+    .from('job_queue')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Calculates the retry delay after a failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function calculateBackoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX_MS);
+}
+
+/**
+ * Claims a pending job for this worker.
+ * The attempts match acts as an optimistic lock so only one worker wins.
+ * @param {Object} job - Pending job row
+ * @returns {Promise<Object|null>} Claimed job row, or null if another worker got it first
+ */
+async function claimJob(job) {
+  const { data, error } = await supabase
+    .from('job_queue')
+    .update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_by: WORKER_ID,
+      locked_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', 'pending')
+    .eq('attempts', job.attempts)
+    .select();
+
+  if (error) {
+    console.error(`Error claiming job ${job.id}:`, error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Writes the outcome of a job run back to the queue
+ * @param {string} jobId - Job UUID
+ * @param {Object} updates - Columns to update
+ */
+async function finishJob(jobId, updates) {
+  const { error } = await supabase
+    .from('job_queue')
+    .update({
+      locked_by: null,
+      locked_at: null,
+      ...updates
+    })
+    .eq('id', jobId)
+    .eq('locked_by', WORKER_ID);
+
+  if (error) {
+    console.error(`Error updating job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Runs a claimed job through its handler and records the outcome
+ * @param {Object} job - Claimed job row
+ */
+async function runJob(job) {
+  const handler = handlers[job.job_type];
+
+  if (!handler) {
+    console.error(`❌ No handler registered for job type: ${job.job_type}`);
+    await finishJob(job.id, {
+      status: 'failed',
+      last_error: `No handler registered for job type: ${job.job_type}`
+    });
+    return;
+  }
+
+  console.log(`▶️ Running job ${job.job_type} (${job.id}), attempt ${job.attempts}/${job.max_attempts}`);
+
+  try {
+    const result = await handler(job.payload || {}, job);
+
+    if (result && result.retryInMs !== undefined) {
+      if (job.attempts >= job.max_attempts) {
+        console.log(`❌ Job ${job.id} requested another check but max attempts reached`);
+        await finishJob(job.id, {
+          status: 'failed',
+          last_error: 'Max attempts reached while waiting for condition',
+          result: result
+        });
+        return;
+      }
+
+      const runAt = new Date(Date.now() + result.retryInMs).toISOString();
+      console.log(`🔁 Job ${job.id} re-scheduled for ${runAt}`);
+      await finishJob(job.id, { status: 'pending', run_at: runAt, result: result });
+      return;
+    }
+
+    console.log(`✅ Job ${job.job_type} (${job.id}) completed`);
+    await finishJob(job.id, {
+      status: 'completed',
+      result: result === undefined ? null : result,
+      last_error: null,
+      completed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Job ${job.job_type} (${job.id}) failed:`, error.response?.data || error.message);
+
+    if (job.attempts >= job.max_attempts) {
+      await finishJob(job.id, {
+        status: 'failed',
+        last_error: error.message
+      });
+      return;
+    }
+
+    const delayMs = calculateBackoffDelay(job.attempts);
+    console.log(`🔁 Retrying job ${job.id} in ${delayMs / 1000}s`);
+    await finishJob(job.id, {
+      status: 'pending',
+      run_at: new Date(Date.now() + delayMs).toISOString(),
+      last_error: error.message
+    });
+  }
+}
+
+/**
+ * Puts running jobs with an expired lock back into the pending state
+ * @returns {Promise<number>} Number of jobs released
+ */
+async function releaseStaleJobs() {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('job_queue')
+    .update({ status: 'pending', locked_by: null, locked_at: null })
+    .eq('status', 'running')
+    .lt('locked_at', staleBefore)
+    .select('id');
+
+  if (error) {
+    console.error('Error releasing stale jobs:', error);
+    return 0;
+  }
+
+  if (data && data.length > 0) {
+    console.log(`♻️ Released ${data.length} stale job(s)`);
+  }
+
+  return data ? data.length : 0;
+}
+
+/**
+ * Processes all jobs that are due, one at a time
+ * @returns {Promise<Object>} { processed }
+ */
+async function processDueJobs() {
+  const { data: jobs, error } = await supabase
+    .from('job_queue')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('run_at', new Date().toISOString())
+    .order('run_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching due jobs:', error);
+    return { processed: 0 };
+  }
+
+  let processed = 0;
+
+  for (const job of jobs || []) {
+    const claimed = await claimJob(job);
+    if (!claimed) {
+      continue;
+    }
+
+    await runJob(claimed);
+    processed++;
+  }
+
+  return { processed };
+}
+
+/**
+ * Starts the in-process worker loop
+ * @param {Object} options - { intervalMs }
+ */
+function startJobWorker(options = {}) {
+  if (workerTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || POLL_INTERVAL_MS;
+  console.log(`⚙️ Job worker ${WORKER_ID} started (polling every ${intervalMs / 1000}s)`);
+
+  const tick = async () => {
+    // Skip the tick if the previous batch is still running
+    if (isProcessing) {
+      return;
+    }
+
+    isProcessing = true;
+    try {
+      await releaseStaleJobs();
+      await processDueJobs();
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    } finally {
+      isProcessing = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, intervalMs);
+  tick();
+}
+
+/**
+ * Stops the in-process worker loop
+ */
+function stopJobWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  processDueJobs,
+  releaseStaleJobs,
+  startJobWorker,
+  stopJobWorker,
+  calculateBackoffDelay,
+  WORKER_ID
+};
@@ -0,0 +1,109 @@
+/**
+ * List Overflow Service
+ *
+ * The Personal Information Form allows any number of beneficiaries and bank
+ * accounts, but the contact only has 5 TEXTBOX_LIST fields for each. When a
+ * submission has more, the complete lists are written to a contact note and the
+ * contact is tagged so staff know to look there.
+ */
+
+const ghlClient = require('./ghlClient');
+
+const LIST_OVERFLOW_TAG = process.env.LIST_OVERFLOW_TAG || 'jotform-list-truncated';
+
+/**
+ * Formats one list row as "Column: value | Column: value", skipping empty columns
+ * @param {Object} row - Row from the JotForm matrix answer
+ * @returns {string} Formatted row
+ */
+function formatRow(row) {
+  return Object.entries(row || {})
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([column, value]) => `${column}: ${value}`)
+    .join(' | ') || '(empty)';
+}
+
+/**
+ * Builds the note body with every row of each truncated list
+ * @param {Array} overflow - Output of getListOverflow()
+ * @param {Object} context - { submissionId, contactName }
+ * @returns {string} Note body
+ */
+function buildOverflowNote(overflow, { submissionId, contactName } = {}) {
+  const lines = [
+    'Personal Information Form - complete lists',
+    contactName ? `Contact: ${contactName}` : null,
+    submissionId ? `Submission: ${submissionId}` : null
+  ].filter(Boolean);
+
+  for (const list of overflow) {
+    lines.push('');
+    lines.push(`${list.label} (${list.total} submitted, first ${list.stored} stored in contact fields):`);
+    list.rows.forEach((row, index) => {
+      const marker = index >= list.stored ? ' [not in contact fields]' : '';
+      lines.push(`${index + 1}. ${formatRow(row)}${marker}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Summarizes overflow for webhook responses (without the row data)
+ * @param {Array} overflow - Output of getListOverflow()
+ * @returns {Array} [{ list, total, stored, dropped }]
+ */
+function summarizeOverflow(overflow) {
+  return overflow.map(list => ({
+    list: list.list,
+    total: list.total,
+    stored: list.stored,
+    dropped: list.total - list.stored
+  }));
+}
+
+/**
+ * Stores the complete lists on the contact and flags it as truncated
+ * @param {string} contactId - GHL contact ID
+ * @param {Array} overflow - Output of getListOverflow() (non-empty)
+ * @param {Object} context - { submissionId, contactName }
+ * @returns {Promise<Object>} { success, noteId, tagged, lists, error }
+ */
+async function storeListOverflow(contactId, overflow, context = {}) {
+  if (!contactId) {
+    throw new Error('contactId is required');
+  }
+
+  const lists = summarizeOverflow(overflow);
+  console.log(`📝 Storing complete lists for contact ${contactId}:`, lists.map(l => `${l.list} ${l.total}/${l.stored}`).join(', '));
+
+  const result = { success: false, noteId: null, tagged: false, lists: lists };
+
+  try {
+    const noteResponse = await ghlClient.contacts.addNote(contactId, buildOverflowNote(overflow, context));
+    result.noteId = noteResponse.note?.id || noteResponse.id || null;
+    console.log(`✅ Complete lists saved to note ${result.noteId} on contact ${contactId}`);
+  } catch (error) {
+    console.error(`❌ Error saving list note for contact ${contactId}:`, error.response?.data || error.message);
+    result.error = error.message;
+  }
+
+  try {
+    await ghlClient.tags.addToContact(contactId, [LIST_OVERFLOW_TAG]);
+    result.tagged = true;
+    console.log(`🏷️ Tagged contact ${contactId} with "${LIST_OVERFLOW_TAG}"`);
+  } catch (error) {
+    console.error(`❌ Error tagging contact ${contactId}:`, error.response?.data || error.message);
+    result.error = result.error || error.message;
+  }
+
+  result.success = !!result.noteId && result.tagged;
+  return result;
+}
+
+module.exports = {
+  storeListOverflow,
+  buildOverflowNote,
+  summarizeOverflow,
+  LIST_OVERFLOW_TAG
+};
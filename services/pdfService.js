@@ -1,4 +1,5 @@
 const axios = require('axios');
+const ghlClient = require('./ghlClient');
 const FormData = require('form-data');
 
 /**
@@ -39,14 +40,9 @@ async function downloadPdfFromJotForm(submissionId, formId) {
  * @returns {Promise<Object>} Upload response
  */
 async function uploadPdfToGHL(contactId, pdfBuffer, fileName) {
-  const apiKey = process.env.GHL_API_KEY;
   const locationId = process.env.GHL_LOCATION_ID;
   const customFieldId = process.env.GHL_PDF_FIELD_ID || 'UvlnLTzwo1TQe2KXDfzW';
 
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   if (!locationId) {
     throw new Error('GHL_LOCATION_ID not configured in environment variables');
   }
@@ -62,21 +58,11 @@ async function uploadPdfToGHL(contactId, pdfBuffer, fileName) {
       contentType: 'application/pdf'
     });
 
-    const uploadUrl = `https://services.leadconnectorhq.com/forms/upload-custom-files?contactId=${contactId}&locationId=${locationId}`;
-
     console.log('Uploading PDF to GHL custom field...');
-    const response = await axios.post(uploadUrl, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        'Authorization': `Bearer ${apiKey}`,
-        'Version': '2021-07-28'
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity
-    });
+    const data = await ghlClient.forms.uploadCustomFiles(formData, { contactId, locationId });
 
     console.log('PDF uploaded successfully to GHL');
-    return response.data;
+    return data;
   } catch (error) {
     console.error('Error uploading PDF to GHL:', error.response?.data || error.message);
     throw error;
@@ -89,24 +75,8 @@ async function uploadPdfToGHL(contactId, pdfBuffer, fileName) {
  * @returns {Promise<Object>} Contact data
  */
 async function getContactDetails(contactId) {
-  const apiKey = process.env.GHL_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
-
-    return response.data;
+    return await ghlClient.contacts.get(contactId);
   } catch (error) {
     console.error('Error getting contact details:', error.response?.data || error.message);
     throw error;
@@ -0,0 +1,314 @@
+/**
+ * Pipeline Registry Service
+ *
+ * Resolves logical stage names (pending_contact, engaged, scheduled_discovery_call, ...)
+ * to GHL pipeline and stage IDs. The mapping lives in the pipeline_stage_registry
+ * table and is cached in memory; routes call getStage() instead of hard-coding IDs.
+ *
+ * refreshRegistryFromGHL() re-reads the GHL pipelines API, fills in names/pipelines,
+ * re-points stages whose ID changed (matched by name), and reports any logical
+ * name that no longer resolves.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('./ghlClient');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Logical names the code depends on - validation fails if any is missing
+const REQUIRED_STAGES = [
+  'pending_contact',
+  'pending_iv',
+  'intake_survey_pending',
+  'scheduled_discovery_call',
+  'scheduled_iv',
+  'engaged'
+];
+
+let cache = new Map();
+let cacheLoadedAt = 0;
+let pendingLoad = null;
+
+/**
+ * Converts a registry row to the shape returned to callers
+ * @param {Object} row - pipeline_stage_registry row
+ * @returns {Object} Stage entry
+ */
+function toStageEntry(row) {
+  return {
+    logicalName: row.logical_name,
+    pipelineId: row.pipeline_id,
+    pipelineName: row.pipeline_name,
+    stageId: row.stage_id,
+    stageName: row.stage_name,
+    lastValidatedAt: row.last_validated_at,
+    validationError: row.validation_error
+  };
+}
+
+/**
+ * Gets the cache TTL
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTtl() {
+  const ttl = parseInt(process.env.PIPELINE_REGISTRY_CACHE_TTL_MS, 10);
+  return Number.isNaN(ttl) ? DEFAULT_CACHE_TTL_MS : ttl;
+}
+
+/**
+ * Loads the registry from Supabase into the in-memory cache
+ * Keeps the previous cache if Supabase is unreachable.
+ * @param {Object} options - Load options
+ * @param {boolean} options.force - Reload even if the cache is fresh
+ * @returns {Promise<Map>} Cached entries keyed by logical name
+ */
+async function loadRegistry({ force = false } = {}) {
+  if (!force && cache.size > 0 && Date.now() - cacheLoadedAt < getCacheTtl()) {
+    return cache;
+  }
+
+  if (pendingLoad) {
+    return pendingLoad;
+  }
+
+  pendingLoad = (async () => {
+    try {
+      const { data, error } = await supabase
+        .from('pipeline_stage_registry')
+        .select('*')
+        .eq('active', true);
+
+      if (error) {
+        throw error;
+      }
+
+      const entries = new Map();
+      for (const row of data || []) {
+        entries.set(row.logical_name, toStageEntry(row));
+      }
+
+      cache = entries;
+      cacheLoadedAt = Date.now();
+      console.log(`📋 Pipeline registry loaded (${entries.size} stages)`);
+      return cache;
+    } catch (error) {
+      if (cache.size > 0) {
+        console.error('⚠️ Error reloading pipeline registry, using cached entries:', error.message);
+        return cache;
+      }
+      console.error('❌ Error loading pipeline registry:', error.message);
+      throw error;
+    } finally {
+      pendingLoad = null;
+    }
+  })();
+
+  return pendingLoad;
+}
+
+/**
+ * Resolves a logical stage name
+ * @param {string} logicalName - e.g. 'pending_contact'
+ * @returns {Promise<Object>} { logicalName, pipelineId, pipelineName, stageId, stageName }
+ * @throws {Error} If the name isn't in the registry
+ */
+async function getStage(logicalName) {
+  const entries = await loadRegistry();
+  const entry = entries.get(logicalName);
+
+  if (!entry) {
+    throw new Error(`Pipeline stage "${logicalName}" not found in pipeline_stage_registry`);
+  }
+
+  return entry;
+}
+
+/**
+ * Finds the logical name for a GHL stage ID
+ * @param {string} stageId - GHL stage ID
+ * @returns {Promise<string|null>} Logical name or null if the stage isn't registered
+ */
+async function getLogicalNameForStageId(stageId) {
+  const entries = await loadRegistry();
+
+  for (const entry of entries.values()) {
+    if (entry.stageId === stageId) {
+      return entry.logicalName;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists all cached registry entries
+ * @returns {Promise<Array>} Stage entries
+ */
+async function listStages() {
+  const entries = await loadRegistry();
+  return Array.from(entries.values());
+}
+
+/**
+ * Matches a registry row against the GHL pipelines
+ * @param {Object} row - pipeline_stage_registry row
+ * @param {Array} pipelines - Pipelines from the GHL API
+ * @returns {Object} { status, pipeline, stage, error }
+ */
+function resolveAgainstPipelines(row, pipelines) {
+  // 1. Stage ID still exists
+  for (const pipeline of pipelines) {
+    const stage = (pipeline.stages || []).find(s => s.id === row.stage_id);
+    if (stage) {
+      if (row.pipeline_id && row.pipeline_id !== pipeline.id) {
+        return { status: 'missing', error: `Stage ${row.stage_id} belongs to pipeline ${pipeline.id}, not ${row.pipeline_id}` };
+      }
+      const changed = row.pipeline_id !== pipeline.id ||
+        row.pipeline_name !== pipeline.name ||
+        row.stage_name !== stage.name;
+      return { status: changed ? 'updated' : 'ok', pipeline, stage };
+    }
+  }
+
+  // 2. Stage ID is gone - look for a stage with the same name
+  if (row.stage_name) {
+    const candidates = [];
+    for (const pipeline of pipelines) {
+      if (row.pipeline_id && pipeline.id !== row.pipeline_id) continue;
+      for (const stage of pipeline.stages || []) {
+        if (stage.name?.trim().toLowerCase() === row.stage_name.trim().toLowerCase()) {
+          candidates.push({ pipeline, stage });
+        }
+      }
+    }
+
+    if (candidates.length === 1) {
+      return { status: 'remapped', ...candidates[0] };
+    }
+
+    if (candidates.length > 1) {
+      return { status: 'missing', error: `Stage ${row.stage_id} not found and "${row.stage_name}" matches ${candidates.length} stages` };
+    }
+  }
+
+  return { status: 'missing', error: `Stage ${row.stage_id}${row.stage_name ? ` ("${row.stage_name}")` : ''} not found in GHL pipelines` };
+}
+
+/**
+ * Refreshes the registry from the GHL pipelines API and validates every logical name
+ * @param {Object} options - Refresh options
+ * @param {boolean} options.dryRun - Report changes without saving them
+ * @returns {Promise<Object>} { valid, dryRun, entries: [{ logicalName, status, ... }] }
+ */
+async function refreshRegistryFromGHL({ dryRun = false } = {}) {
+  const locationId = process.env.GHL_LOCATION_ID;
+
+  if (!locationId) {
+    throw new Error('GHL_LOCATION_ID not configured in environment variables');
+  }
+
+  console.log(`=== Refreshing pipeline registry from GHL${dryRun ? ' (dry run)' : ''} ===`);
+
+  const { pipelines = [] } = await ghlClient.opportunities.getPipelines(locationId);
+  console.log(`Found ${pipelines.length} pipelines in GHL`);
+
+  const { data: rows, error } = await supabase
+    .from('pipeline_stage_registry')
+    .select('*')
+    .eq('active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  const validatedAt = new Date().toISOString();
+  const entries = [];
+
+  for (const row of rows || []) {
+    const result = resolveAgainstPipelines(row, pipelines);
+    const entry = {
+      logicalName: row.logical_name,
+      status: result.status,
+      pipelineId: result.pipeline?.id || row.pipeline_id,
+      pipelineName: result.pipeline?.name || row.pipeline_name,
+      stageId: result.stage?.id || row.stage_id,
+      stageName: result.stage?.name || row.stage_name
+    };
+
+    if (result.status === 'remapped') {
+      entry.previousStageId = row.stage_id;
+    }
+    if (result.error) {
+      entry.error = result.error;
+    }
+
+    entries.push(entry);
+
+    if (dryRun) continue;
+
+    const updates = {
+      last_validated_at: validatedAt,
+      validation_error: result.error || null
+    };
+
+    if (result.stage) {
+      updates.pipeline_id = entry.pipelineId;
+      updates.pipeline_name = entry.pipelineName;
+      updates.stage_id = entry.stageId;
+      updates.stage_name = entry.stageName;
+    }
+
+    const { error: updateError } = await supabase
+      .from('pipeline_stage_registry')
+      .update(updates)
+      .eq('id', row.id);
+
+    if (updateError) {
+      console.error(`Error updating registry entry ${row.logical_name}:`, updateError);
+      throw updateError;
+    }
+  }
+
+  // Required names with no row at all
+  const configured = new Set(entries.map(e => e.logicalName));
+  for (const logicalName of REQUIRED_STAGES) {
+    if (!configured.has(logicalName)) {
+      entries.push({ logicalName, status: 'missing', error: 'Not configured in pipeline_stage_registry' });
+    }
+  }
+
+  const invalid = entries.filter(e => e.status === 'missing');
+  invalid.forEach(e => console.error(`❌ ${e.logicalName}: ${e.error}`));
+  entries
+    .filter(e => e.status === 'remapped')
+    .forEach(e => console.warn(`⚠️ ${e.logicalName}: stage ${e.previousStageId} re-pointed to ${e.stageId} ("${e.stageName}")`));
+
+  if (!dryRun) {
+    await loadRegistry({ force: true });
+  }
+
+  console.log(`✅ Pipeline registry refresh complete: ${entries.length - invalid.length}/${entries.length} resolved`);
+
+  return {
+    valid: invalid.length === 0,
+    dryRun: dryRun,
+    validatedAt: validatedAt,
+    entries: entries
+  };
+}
+
+module.exports = {
+  loadRegistry,
+  getStage,
+  getLogicalNameForStageId,
+  listStages,
+  refreshRegistryFromGHL,
+  resolveAgainstPipelines,
+  REQUIRED_STAGES
+};
@@ -0,0 +1,73 @@
+/**
+ * Scheduled Jobs
+ *
+ * Defines the cron-style jobs run by the scheduler (services/schedulerService.js).
+ * Schedules are five-field cron expressions on the firm's wall clock.
+ */
+
+const { defineScheduledJob } = require('./schedulerService');
+const { processScheduledReminders } = require('./appointmentSmsService');
+const {
+  runTaskReconciliation,
+  getReconciliationConfig,
+  JOB_TYPE: TASK_RECONCILIATION_JOB
+} = require('./taskReconciliationService');
+const {
+  runScheduledTaskDigest,
+  getDigestConfig,
+  JOB_TYPE: TASK_DIGEST_JOB
+} = require('./taskDigestService');
+const reminderPolicy = require('../sms-reminder-policy.json');
+
+const SMS_REMINDER_JOB = 'sms-reminders';
+// Every 15 minutes while a reminder window can be open (7am-7pm with the default policy)
+const DEFAULT_SMS_REMINDER_SCHEDULE = '*/15 7-18 * * *';
+// A full reconciliation pass makes one GHL call per contact
+const TASK_RECONCILIATION_LEASE_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Defines all scheduled jobs with the scheduler
+ */
+function registerScheduledJobs() {
+  // Sends due appointment reminders (SMS_REMINDER_JOB_ENABLED=false if an external cron calls /cron/process-sms-reminders)
+  if (process.env.SMS_REMINDER_JOB_ENABLED !== 'false') {
+    defineScheduledJob({
+      name: SMS_REMINDER_JOB,
+      description: 'Sends due appointment reminder SMS',
+      schedule: process.env.SMS_REMINDER_SCHEDULE || DEFAULT_SMS_REMINDER_SCHEDULE,
+      timeZone: reminderPolicy.timeZone || 'America/New_York',
+      handler: () => processScheduledReminders()
+    });
+  }
+
+  // Repairs the ghl_tasks mirror from GHL (TASK_RECONCILIATION_ENABLED=false to skip)
+  const reconciliation = getReconciliationConfig();
+  if (reconciliation.enabled) {
+    defineScheduledJob({
+      name: TASK_RECONCILIATION_JOB,
+      description: 'Re-syncs mirrored GHL tasks that drifted from GHL',
+      schedule: reconciliation.schedule,
+      leaseMs: TASK_RECONCILIATION_LEASE_MS,
+      handler: () => runTaskReconciliation()
+    });
+  }
+
+  // Daily overdue/due-today digest per assignee (TASK_DIGEST_ENABLED=false to skip)
+  const digest = getDigestConfig();
+  if (digest.enabled) {
+    defineScheduledJob({
+      name: TASK_DIGEST_JOB,
+      description: 'Emails each assignee their overdue and due-today tasks and escalates overdue ones',
+      schedule: digest.schedule,
+      timeZone: digest.timeZone,
+      handler: () => runScheduledTaskDigest()
+    });
+  }
+}
+
+module.exports = {
+  registerScheduledJobs,
+  SMS_REMINDER_JOB,
+  TASK_RECONCILIATION_JOB,
+  TASK_DIGEST_JOB
+};
@@ -0,0 +1,467 @@
+/**
+ * Scheduler Service
+ *
+ * Runs cron-style jobs in-process. Jobs are defined in code with
+ * defineScheduledJob() (see services/scheduledJobs.js); their state is kept in
+ * scheduled_jobs and every run is recorded in scheduled_job_runs.
+ *
+ * Safe with several instances: each tick an instance claims a due job by moving
+ * its next_run_at on and taking a lease (locked_by/lock_expires_at), both
+ * conditional on the row it read, so only one instance runs each occurrence.
+ * While the lease is held no other instance starts the job; if the holder dies
+ * the lease runs out, its run is marked abandoned and the next due occurrence
+ * runs elsewhere. Occurrences missed while no scheduler was running run once,
+ * not once each.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { WORKER_ID } = require('./jobQueueService');
+const { parseCronExpression, getNextCronTime } = require('../utils/cronSchedule');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 30000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DEFAULT_RUN_HISTORY_LIMIT = 20;
+
+const jobs = new Map();
+// Jobs this instance is running, so a long job doesn't hold up the others
+const runningJobs = new Set();
+let schedulerTimer = null;
+
+/**
+ * Defines a scheduled job
+ * @param {Object} definition - { name, schedule, handler, timeZone, leaseMs, description }
+ *   handler: async ({ trigger, scheduledFor }) => result; returning { success: false } or
+ *   throwing marks the run failed. leaseMs should be longer than the job ever takes.
+ * @throws {Error} If the handler or cron expression is invalid
+ */
+function defineScheduledJob({ name, schedule, handler, timeZone = DEFAULT_TIME_ZONE, leaseMs = DEFAULT_LEASE_MS, description = null }) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for scheduled job "${name}" must be a function`);
+  }
+
+  const cron = parseCronExpression(schedule);
+  jobs.set(name, { name, schedule: cron.expression, cron, timeZone, leaseMs, handler, description });
+}
+
+/**
+ * Gets the scheduled_jobs rows of the defined jobs
+ * @returns {Promise<Map>} job_name -> row
+ */
+async function getJobRows() {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .in('job_name', [...jobs.keys()]);
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map((data || []).map(row => [row.job_name, row]));
+}
+
+/**
+ * Creates a job's row, or moves its next run when the schedule was changed
+ * @param {Object} job - Job definition
+ * @param {Object|null} row - Current scheduled_jobs row
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Up-to-date row, or null if another instance changed it first
+ */
+async function syncJobRow(job, row, now) {
+  if (row && row.schedule === job.schedule && row.time_zone === job.timeZone) {
+    return row;
+  }
+
+  const nextRunAt = getNextCronTime(job.cron, now, job.timeZone);
+  const fields = {
+    schedule: job.schedule,
+    time_zone: job.timeZone,
+    next_run_at: nextRunAt ? nextRunAt.toISOString() : null
+  };
+
+  if (!row) {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .upsert({ job_name: job.name, ...fields }, { onConflict: 'job_name', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`🗓️ Scheduled job ${job.name} added ("${job.schedule}" ${job.timeZone}), first run ${fields.next_run_at}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update(fields)
+    .eq('job_name', job.name)
+    .eq('schedule', row.schedule)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(`🗓️ Schedule of ${job.name} changed from "${row.schedule}" to "${job.schedule}" (${job.timeZone}), next run ${fields.next_run_at}`);
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Checks whether another run of a job holds an unexpired lease
+ * @param {Object} row - scheduled_jobs row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the job is running
+ */
+function isLeaseHeld(row, now) {
+  return Boolean(row.locked_by && row.lock_expires_at && new Date(row.lock_expires_at) > now);
+}
+
+/**
+ * Takes the lease on a job for this instance
+ * The update only matches if the row still has the lock and next run that were read,
+ * so of several instances claiming at once only one gets it.
+ * @param {Object} job - Job definition
+ * @param {Object} row - scheduled_jobs row as read
+ * @param {Date} now - Current time
+ * @param {Object} options - { advance } moves next_run_at to the following occurrence
+ * @returns {Promise<Object|null>} Claimed row, or null if another instance got it first
+ */
+async function claimJob(job, row, now, { advance = false } = {}) {
+  const updates = {
+    locked_by: WORKER_ID,
+    locked_at: now.toISOString(),
+    lock_expires_at: new Date(now.getTime() + job.leaseMs).toISOString()
+  };
+
+  if (advance) {
+    const nextRunAt = getNextCronTime(job.cron, now, job.timeZone);
+    updates.next_run_at = nextRunAt ? nextRunAt.toISOString() : null;
+  }
+
+  let query = supabase
+    .from('scheduled_jobs')
+    .update(updates)
+    .eq('job_name', job.name);
+
+  query = row.locked_at ? query.eq('locked_at', row.locked_at) : query.is('locked_at', null);
+  if (advance) {
+    query = query.eq('next_run_at', row.next_run_at);
+  }
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    console.error(`Error claiming scheduled job ${job.name}:`, error.message);
+    return null;
+  }
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  // The previous holder's lease ran out without it finishing
+  if (row.locked_by) {
+    await abandonRuns(job.name, row.locked_by);
+  }
+
+  return data[0];
+}
+
+/**
+ * Marks the unfinished runs of an instance whose lease expired as abandoned
+ * @param {string} jobName - Job name
+ * @param {string} instanceId - Instance that held the lease
+ */
+async function abandonRuns(jobName, instanceId) {
+  const { data, error } = await supabase
+    .from('scheduled_job_runs')
+    .update({ status: 'abandoned', finished_at: new Date().toISOString(), error: 'Lease expired before the run finished' })
+    .eq('job_name', jobName)
+    .eq('instance_id', instanceId)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    console.error(`Error marking abandoned runs of ${jobName}:`, error.message);
+    return;
+  }
+
+  if (data && data.length > 0) {
+    console.log(`♻️ ${jobName}: lease of ${instanceId} expired, ${data.length} run(s) marked abandoned`);
+  }
+}
+
+/**
+ * Runs a claimed job; ticks skip it on this instance until it finishes
+ * @param {Object} job - Job definition
+ * @param {Object} options - { trigger: 'schedule' | 'manual', scheduledFor }
+ * @returns {Promise<Object>} { runId, status, durationMs, result, error }
+ */
+async function executeJob(job, { trigger, scheduledFor = null }) {
+  runningJobs.add(job.name);
+  try {
+    return await recordJobRun(job, { trigger, scheduledFor });
+  } finally {
+    runningJobs.delete(job.name);
+  }
+}
+
+/**
+ * Runs a job's handler and records the run, then releases the lease
+ * @param {Object} job - Job definition
+ * @param {Object} options - { trigger, scheduledFor }
+ * @returns {Promise<Object>} { runId, status, durationMs, result, error }
+ */
+async function recordJobRun(job, { trigger, scheduledFor }) {
+  const startedAt = new Date();
+
+  const { data: run, error: runError } = await supabase
+    .from('scheduled_job_runs')
+    .insert({
+      job_name: job.name,
+      trigger,
+      scheduled_for: scheduledFor,
+      instance_id: WORKER_ID,
+      status: 'running',
+      started_at: startedAt.toISOString()
+    })
+    .select()
+    .single();
+
+  if (runError) {
+    console.error(`⚠️ Could not record run of ${job.name}:`, runError.message);
+  }
+
+  console.log(`▶️ Scheduled job ${job.name} started (${trigger})`);
+
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = await job.handler({ trigger, scheduledFor });
+    if (result && result.success === false) {
+      status = 'failed';
+      errorMessage = result.error || result.reason || 'Job reported failure';
+    }
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - startedAt.getTime();
+
+  if (status === 'succeeded') {
+    console.log(`✅ Scheduled job ${job.name} succeeded in ${durationMs}ms`);
+  } else {
+    console.error(`❌ Scheduled job ${job.name} failed after ${durationMs}ms:`, errorMessage);
+  }
+
+  if (run) {
+    const { error } = await supabase
+      .from('scheduled_job_runs')
+      .update({
+        status,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: durationMs,
+        result: result === undefined ? null : result,
+        error: errorMessage
+      })
+      .eq('id', run.id);
+
+    if (error) {
+      console.error(`⚠️ Could not record result of ${job.name}:`, error.message);
+    }
+  }
+
+  const { error: releaseError } = await supabase
+    .from('scheduled_jobs')
+    .update({
+      locked_by: null,
+      locked_at: null,
+      lock_expires_at: null,
+      last_run_id: run ? run.id : null,
+      last_run_at: startedAt.toISOString(),
+      last_status: status,
+      last_error: errorMessage,
+      last_duration_ms: durationMs
+    })
+    .eq('job_name', job.name)
+    .eq('locked_by', WORKER_ID);
+
+  if (releaseError) {
+    console.error(`⚠️ Could not release lease on ${job.name}:`, releaseError.message);
+  }
+
+  return { runId: run ? run.id : null, status, durationMs, result, error: errorMessage };
+}
+
+/**
+ * Runs every defined job whose next run is due and not already running
+ * Due jobs run side by side, so a long job doesn't delay the others' schedules.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { ran: [{ job, runId, status, durationMs, error }] }
+ */
+async function runDueScheduledJobs(now = new Date()) {
+  if (jobs.size === 0) {
+    return { ran: [] };
+  }
+
+  const rows = await getJobRows();
+  const idle = [...jobs.values()].filter(job => !runningJobs.has(job.name));
+
+  const runs = await Promise.all(idle.map(async job => {
+    try {
+      const row = await syncJobRow(job, rows.get(job.name), now);
+      if (!row || !row.next_run_at || new Date(row.next_run_at) > now || isLeaseHeld(row, now)) {
+        return null;
+      }
+
+      const claimed = await claimJob(job, row, now, { advance: true });
+      if (!claimed) {
+        return null;
+      }
+
+      const run = await executeJob(job, { trigger: 'schedule', scheduledFor: row.next_run_at });
+      return { job: job.name, runId: run.runId, status: run.status, durationMs: run.durationMs, error: run.error };
+    } catch (error) {
+      console.error(`❌ Scheduler error for ${job.name}:`, error.message);
+      return null;
+    }
+  }));
+
+  return { ran: runs.filter(Boolean) };
+}
+
+/**
+ * Runs a job now, outside its schedule (its next scheduled run is unchanged)
+ * @param {string} name - Job name
+ * @returns {Promise<Object>} { success, ran, job, runId, status, result, error, reason }
+ */
+async function runScheduledJobNow(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    return { success: false, ran: false, job: name, reason: 'Job not found' };
+  }
+
+  const now = new Date();
+  const row = await syncJobRow(job, (await getJobRows()).get(name), now);
+
+  if (!row || isLeaseHeld(row, now)) {
+    return { success: false, ran: false, job: name, reason: 'Job is currently running' };
+  }
+
+  const claimed = await claimJob(job, row, now);
+  if (!claimed) {
+    return { success: false, ran: false, job: name, reason: 'Job is currently running' };
+  }
+
+  const run = await executeJob(job, { trigger: 'manual' });
+  return { success: run.status === 'succeeded', ran: true, job: name, ...run };
+}
+
+/**
+ * Gets each defined job with its schedule, next run and last run
+ * @returns {Promise<Array>} Job statuses
+ */
+async function getScheduledJobStatuses() {
+  const rows = jobs.size > 0 ? await getJobRows() : new Map();
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const row = rows.get(job.name) || {};
+    const running = isLeaseHeld(row, now);
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timeZone: job.timeZone,
+      nextRunAt: row.next_run_at || null,
+      running,
+      runningOn: running ? row.locked_by : null,
+      lastRun: row.last_run_at ? {
+        id: row.last_run_id,
+        startedAt: row.last_run_at,
+        status: row.last_status,
+        error: row.last_error,
+        durationMs: row.last_duration_ms
+      } : null
+    };
+  });
+}
+
+/**
+ * Gets the most recent runs of a job
+ * @param {string} name - Job name
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} scheduled_job_runs rows, newest first
+ */
+async function getScheduledJobRuns(name, { limit = DEFAULT_RUN_HISTORY_LIMIT } = {}) {
+  const { data, error } = await supabase
+    .from('scheduled_job_runs')
+    .select('*')
+    .eq('job_name', name)
+    .order('started_at', { ascending: false })
+    .limit(Math.min(parseInt(limit, 10) || DEFAULT_RUN_HISTORY_LIMIT, 200));
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Starts the in-process scheduler loop
+ * @param {Object} options - { intervalMs }
+ */
+function startScheduler(options = {}) {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || POLL_INTERVAL_MS;
+  console.log(`🗓️ Scheduler ${WORKER_ID} started with ${jobs.size} job(s) (checking every ${intervalMs / 1000}s)`);
+
+  const tick = async () => {
+    try {
+      await runDueScheduledJobs();
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  tick();
+}
+
+/**
+ * Stops the in-process scheduler loop
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  defineScheduledJob,
+  runDueScheduledJobs,
+  runScheduledJobNow,
+  getScheduledJobStatuses,
+  getScheduledJobRuns,
+  startScheduler,
+  stopScheduler
+};
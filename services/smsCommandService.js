@@ -0,0 +1,479 @@
+/**
+ * SMS Command Service
+ *
+ * Handles inbound SMS replies from GHL. A reply that is a command keyword
+ * (see utils/smsCommands.js) is acted on for the appointment it answers - the
+ * one the contact was last texted about (see utils/smsReplyTarget.js):
+ *
+ *   confirm     adds the "Confirmed [meeting type]" tag and sets the GHL
+ *               appointment status to confirmed
+ *   cancel      cancels the appointment in GHL, runs the same clean-up as the
+ *               appointment-cancelled webhook and creates a staff task
+ *   reschedule  creates a staff task and replies with the booking link
+ *               (SMS_RESCHEDULE_BOOKING_URL)
+ *   opt_out     records the opt-out - no SMS are sent to the contact after it
+ *   opt_in      lifts the opt-out
+ *
+ * When a contact with several upcoming appointments sends a command and it's
+ * unclear which appointment it's for, they're texted a numbered menu and the
+ * numeric reply applies the command to the one they pick.
+ *
+ * Any other reply from a contact with an upcoming appointment, and cancel or
+ * reschedule requests we can't act on, become a staff follow-up task.
+ */
+
+const ghlClient = require('./ghlClient');
+const { parseSmsCommand } = require('../utils/smsCommands');
+const { resolveReplyTarget, findOpenMenu, buildAppointmentMenu, selectMenuOption } = require('../utils/smsReplyTarget');
+const {
+  confirmAppointment,
+  getUpcomingAppointmentsForContact,
+  extractMeetingTypeFromTitle
+} = require('./smsConfirmationService');
+const { getAppointment, updateAppointmentStatus, processAppointmentCancelled } = require('./appointmentService');
+const { getAppointmentRecord } = require('./appointmentRecordService');
+const { sendAppointmentSms, formatAppointmentDateTime } = require('./appointmentSmsService');
+const { recordOptOut, recordOptIn } = require('./smsOptOutService');
+const { recordOutboundSms, getRecentOutboundSms, linkConversation, resolveMenu } = require('./smsMessageLogService');
+
+const STAFF_TASK_DUE_HOURS = 24;
+
+/**
+ * Creates a task for staff on the contact
+ * Never throws - the reply has already been handled as far as it can be.
+ * @param {string} contactId - GHL contact ID
+ * @param {Object} task - { title, lines, assignedTo }
+ * @returns {Promise<Object>} { success, taskId, error }
+ */
+async function createStaffTask(contactId, { title, lines, assignedTo }) {
+  try {
+    const payload = {
+      title,
+      body: lines.join('\n'),
+      dueDate: new Date(Date.now() + STAFF_TASK_DUE_HOURS * 60 * 60 * 1000).toISOString(),
+      completed: false
+    };
+    if (assignedTo) {
+      payload.assignedTo = assignedTo;
+    }
+
+    const data = await ghlClient.tasks.create(contactId, payload);
+    const taskId = data.task?.id || data.id || null;
+
+    console.log(`📋 Staff task "${title}" (${taskId}) created on contact ${contactId}`);
+    return { success: true, taskId };
+  } catch (error) {
+    console.error(`❌ Error creating staff task "${title}" for contact ${contactId}:`, error.response?.data || error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets the GHL appointment behind a pending reminder and who staff tasks about it go to
+ * @param {Object|null} pendingAppointment - scheduled_sms row
+ * @returns {Promise<Object>} { appointment, assignedTo }
+ */
+async function getAppointmentContext(pendingAppointment) {
+  const details = pendingAppointment ? await getAppointment(pendingAppointment.appointment_id) : null;
+  const appointment = details?.appointment || details || null;
+
+  return {
+    appointment,
+    // The appointment's owner, falling back to the staff inbox
+    assignedTo: appointment?.assignedUserId || process.env.SMS_FOLLOW_UP_ASSIGNEE_ID || null
+  };
+}
+
+/**
+ * Describes the appointment and the reply for a staff task
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object|null} pendingAppointment - scheduled_sms row
+ * @param {Array<Object>} appointments - Upcoming scheduled_sms rows, listed when the reply has no one appointment
+ * @returns {Array<string>} Task body lines
+ */
+function describeReply(smsData, pendingAppointment, appointments = []) {
+  const lines = [`Client replied by SMS: "${(smsData.body || '').trim()}"`];
+
+  if (pendingAppointment) {
+    lines.push('');
+    lines.push(`Appointment: ${pendingAppointment.event_title || pendingAppointment.appointment_id}`);
+    lines.push(`When: ${formatAppointmentDateTime(pendingAppointment.appointment_time)}`);
+    if (pendingAppointment.contact_phone) {
+      lines.push(`Phone: ${pendingAppointment.contact_phone}`);
+    }
+  } else if (appointments.length > 0) {
+    lines.push('');
+    lines.push('Upcoming appointments:');
+    for (const appointment of appointments) {
+      lines.push(`- ${appointment.event_title || appointment.appointment_id} (${formatAppointmentDateTime(appointment.appointment_time)})`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Confirms the appointment the client replied Y/yes to
+ * The GHL status is set as well as the tag; if that fails the tag still stands.
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object} pendingAppointment - scheduled_sms row
+ * @returns {Promise<Object>} Processing result
+ */
+async function confirmAppointmentBySms(smsData, pendingAppointment) {
+  const result = await confirmAppointment(smsData.contactId, pendingAppointment);
+  const appointmentId = pendingAppointment.appointment_id;
+
+  let statusUpdate;
+  try {
+    const record = await getAppointmentRecord(appointmentId);
+    await updateAppointmentStatus(appointmentId, 'confirmed', record?.calendar_id);
+    statusUpdate = { success: true, status: 'confirmed' };
+  } catch (error) {
+    console.error(`⚠️ Confirmation tag added but appointment ${appointmentId} status not updated:`, error.message);
+    statusUpdate = { success: false, error: error.message };
+  }
+
+  return { ...result, statusUpdate };
+}
+
+/**
+ * Cancels the appointment the client replied C/cancel to
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object} pendingAppointment - scheduled_sms row
+ * @returns {Promise<Object>} Processing result
+ */
+async function cancelAppointmentBySms(smsData, pendingAppointment) {
+  const appointmentId = pendingAppointment.appointment_id;
+  const record = await getAppointmentRecord(appointmentId);
+
+  if (record?.status === 'cancelled') {
+    console.log('ℹ️ Appointment already cancelled');
+    return { success: true, action: 'skipped', reason: 'Appointment already cancelled', appointmentId };
+  }
+
+  const { appointment, assignedTo } = await getAppointmentContext(pendingAppointment);
+  const calendarId = appointment?.calendarId || record?.calendar_id;
+
+  try {
+    await updateAppointmentStatus(appointmentId, 'cancelled', calendarId);
+  } catch (error) {
+    // Leave the cancellation to staff rather than drop the request
+    const staffTask = await createStaffTask(smsData.contactId, {
+      title: 'Cancel appointment (client cancelled by SMS)',
+      lines: [
+        ...describeReply(smsData, pendingAppointment),
+        '',
+        `The appointment could not be cancelled automatically (${error.message}) - please cancel it in GHL.`
+      ],
+      assignedTo
+    });
+
+    return { success: true, action: 'follow_up', reason: 'Appointment could not be cancelled', appointmentId, staffTask };
+  }
+
+  const cancellation = await processAppointmentCancelled({
+    appointmentId,
+    contactId: smsData.contactId,
+    contactName: pendingAppointment.contact_name,
+    contactPhone: pendingAppointment.contact_phone,
+    calendarId
+  });
+
+  const staffTask = await createStaffTask(smsData.contactId, {
+    title: 'Client cancelled appointment by SMS',
+    lines: [
+      ...describeReply(smsData, pendingAppointment),
+      '',
+      'The appointment was cancelled in GHL. Follow up with the client to rebook if needed.'
+    ],
+    assignedTo
+  });
+
+  return { success: true, action: 'cancelled', appointmentId, cancellation, staffTask };
+}
+
+/**
+ * Handles a reschedule request: staff task and a booking link reply
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object} pendingAppointment - scheduled_sms row
+ * @returns {Promise<Object>} Processing result
+ */
+async function requestReschedule(smsData, pendingAppointment) {
+  const bookingLink = process.env.SMS_RESCHEDULE_BOOKING_URL || null;
+  const { assignedTo } = await getAppointmentContext(pendingAppointment);
+
+  let reply = null;
+  if (bookingLink) {
+    reply = await sendAppointmentSms({
+      type: 'reschedule_link',
+      eventTitle: pendingAppointment.event_title,
+      time: formatAppointmentDateTime(pendingAppointment.appointment_time),
+      location: pendingAppointment.location,
+      appointmentId: pendingAppointment.appointment_id,
+      contactId: smsData.contactId,
+      contactName: pendingAppointment.contact_name,
+      contactPhone: pendingAppointment.contact_phone,
+      bookingLink
+    });
+  }
+
+  const staffTask = await createStaffTask(smsData.contactId, {
+    title: 'Client asked to reschedule by SMS',
+    lines: [
+      ...describeReply(smsData, pendingAppointment),
+      '',
+      reply?.success
+        ? `The client was sent the booking link (${bookingLink}). The current appointment is still booked - cancel it once they pick a new time.`
+        : 'No booking link was sent - contact the client to find a new time.'
+    ],
+    assignedTo
+  });
+
+  return {
+    success: true,
+    action: 'reschedule_requested',
+    appointmentId: pendingAppointment.appointment_id,
+    bookingLinkSent: Boolean(reply?.success),
+    staffTask
+  };
+}
+
+/**
+ * Creates a follow-up task for a reply we can't act on
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object|null} pendingAppointment - scheduled_sms row
+ * @param {string} reason - Why staff need to look at it
+ * @param {Array<Object>} appointments - Upcoming scheduled_sms rows, listed when there's no pendingAppointment
+ * @returns {Promise<Object>} Processing result
+ */
+async function followUpReply(smsData, pendingAppointment, reason, appointments = []) {
+  const { assignedTo } = await getAppointmentContext(pendingAppointment);
+
+  const staffTask = await createStaffTask(smsData.contactId, {
+    title: 'Follow up on SMS reply',
+    lines: [...describeReply(smsData, pendingAppointment, appointments), '', reason],
+    assignedTo
+  });
+
+  return {
+    success: true,
+    action: 'follow_up',
+    reason,
+    appointmentId: pendingAppointment?.appointment_id || null,
+    staffTask
+  };
+}
+
+/**
+ * Texts the client a numbered menu of their upcoming appointments
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Array<Object>} appointments - Upcoming scheduled_sms rows
+ * @param {string} command - What the chosen appointment is done with
+ * @returns {Promise<Object>} Processing result
+ */
+async function sendAppointmentMenu(smsData, appointments, command) {
+  const menu = buildAppointmentMenu(appointments.map(appointment => ({
+    appointmentId: appointment.appointment_id,
+    label: extractMeetingTypeFromTitle(appointment.event_title) || appointment.event_title || 'Appointment',
+    time: formatAppointmentDateTime(appointment.appointment_time)
+  })), command);
+
+  const reply = await sendAppointmentSms({
+    type: 'appointment_menu',
+    contactId: smsData.contactId,
+    contactName: appointments[0].contact_name,
+    contactPhone: appointments[0].contact_phone,
+    message: menu.text
+  });
+
+  if (!reply.success) {
+    return followUpReply(
+      smsData,
+      null,
+      `It isn't clear which appointment the client wants to ${command}, and the menu asking them could not be sent (${reply.error || reply.reason}) - please follow up with the client.`,
+      appointments
+    );
+  }
+
+  await recordOutboundSms({
+    contactId: smsData.contactId,
+    messageType: 'appointment_menu',
+    menuCommand: command,
+    menuOptions: menu.options
+  });
+
+  console.log(`📋 Sent appointment menu (${menu.options.length} options) to ${command}`);
+  return { success: true, action: 'menu_sent', appointmentId: null, options: menu.options };
+}
+
+/**
+ * Applies a confirm, cancel or reschedule command to an appointment
+ * @param {string} command - Parsed command
+ * @param {Object} smsData - Inbound SMS data
+ * @param {Object} pendingAppointment - scheduled_sms row
+ * @returns {Promise<Object>} Processing result
+ */
+async function runAppointmentCommand(command, smsData, pendingAppointment) {
+  console.log(`📅 ${command} for appointment:`, pendingAppointment.event_title);
+
+  switch (command) {
+    case 'confirm':
+      return confirmAppointmentBySms(smsData, pendingAppointment);
+    case 'cancel':
+      return cancelAppointmentBySms(smsData, pendingAppointment);
+    case 'reschedule':
+      return requestReschedule(smsData, pendingAppointment);
+    default:
+      throw new Error(`Unknown appointment command: ${command}`);
+  }
+}
+
+/**
+ * Handles a numeric reply to an appointment menu
+ * @param {Object} smsData - Inbound SMS data
+ * @param {number} selection - Number the client replied with
+ * @param {Object} menu - appointment_sms_messages row of the menu
+ * @param {Array<Object>} appointments - Upcoming scheduled_sms rows
+ * @returns {Promise<Object>} Processing result
+ */
+async function answerAppointmentMenu(smsData, selection, menu, appointments) {
+  const option = selectMenuOption(menu, selection);
+
+  if (!option) {
+    return followUpReply(
+      smsData,
+      null,
+      `The client was asked which appointment to ${menu.menu_command} and replied ${selection}, which isn't one of the options - please follow up with the client.`,
+      appointments
+    );
+  }
+
+  const pendingAppointment = appointments.find(appointment => appointment.appointment_id === option.appointmentId);
+
+  if (!pendingAppointment) {
+    return followUpReply(
+      smsData,
+      null,
+      `The client chose "${option.label}" to ${menu.menu_command}, but it is no longer an upcoming appointment - please follow up with the client.`,
+      appointments
+    );
+  }
+
+  if (!(await resolveMenu(menu.id, smsData.messageId))) {
+    console.log('ℹ️ Appointment menu already answered');
+    return { success: true, action: 'skipped', reason: 'Appointment menu already answered', appointmentId: option.appointmentId };
+  }
+
+  return runAppointmentCommand(menu.menu_command, smsData, pendingAppointment);
+}
+
+/**
+ * Processes an inbound SMS message
+ * @param {Object} smsData - The inbound SMS data from GHL webhook
+ * @returns {Promise<Object>} Processing result ({ success, action, command, ... })
+ */
+async function processInboundSms(smsData) {
+  const {
+    type,
+    body,
+    contactId,
+    messageType,
+    direction,
+    conversationId,
+    locationId,
+    messageId,
+    phone,
+    dateAdded
+  } = smsData;
+
+  console.log('\n========================================');
+  console.log('📱 Processing Inbound SMS');
+  console.log('========================================');
+  console.log('Type:', type);
+  console.log('Message Type:', messageType);
+  console.log('Direction:', direction);
+  console.log('Body:', body);
+  console.log('Contact ID:', contactId);
+  console.log('Conversation ID:', conversationId);
+  console.log('Location ID:', locationId);
+  console.log('========================================\n');
+
+  // Validate this is an inbound SMS
+  if (type !== 'InboundMessage') {
+    console.log('⚠️ Not an InboundMessage, skipping');
+    return { success: true, action: 'skipped', reason: 'Not an InboundMessage' };
+  }
+
+  if (messageType !== 'SMS') {
+    console.log('⚠️ Not an SMS message, skipping');
+    return { success: true, action: 'skipped', reason: 'Not an SMS message' };
+  }
+
+  if (!contactId) {
+    console.log('⚠️ No contact ID in message, skipping');
+    return { success: true, action: 'skipped', reason: 'No contact ID' };
+  }
+
+  const { command, keyword, selection } = parseSmsCommand(body);
+  console.log(`🔤 Command: ${command || 'none'}${keyword ? ` ("${keyword}")` : ''}${selection ? ` (${selection})` : ''}`);
+
+  // Opt-out/in apply to the contact, not an appointment
+  if (command === 'opt_out' || command === 'opt_in') {
+    const reply = { contactId, phone, keyword, messageId };
+    const result = command === 'opt_out' ? await recordOptOut(reply) : await recordOptIn(reply);
+
+    if (!result.success) {
+      throw new Error(`Failed to record SMS ${command === 'opt_out' ? 'opt-out' : 'opt-in'}: ${result.error}`);
+    }
+
+    return { success: true, action: command === 'opt_out' ? 'opted_out' : 'opted_in', command };
+  }
+
+  const receivedAt = dateAdded && !isNaN(new Date(dateAdded)) ? new Date(dateAdded) : new Date();
+  await linkConversation(contactId, conversationId);
+
+  const appointments = await getUpcomingAppointmentsForContact(contactId);
+  const outbound = await getRecentOutboundSms(contactId, receivedAt);
+  const openMenu = findOpenMenu(outbound, receivedAt);
+
+  if (command === 'select' && openMenu) {
+    return { command: openMenu.menu_command, ...(await answerAppointmentMenu(smsData, selection, openMenu, appointments)) };
+  }
+
+  if (appointments.length === 0) {
+    if (command === 'cancel' || command === 'reschedule') {
+      return { command, ...(await followUpReply(smsData, null, `The client asked to ${command}, but no upcoming appointment with reminders was found.`)) };
+    }
+
+    console.log('⚠️ No pending appointment found for contact');
+    return { success: true, action: 'skipped', command, reason: 'No pending appointment found for contact' };
+  }
+
+  // A menu is only sent once per reply - anything but a number to it goes to staff
+  if (openMenu) {
+    return {
+      command,
+      ...(await followUpReply(smsData, null, `The client was asked which appointment to ${openMenu.menu_command} but didn't reply with a number - please follow up with the client.`, appointments))
+    };
+  }
+
+  const target = resolveReplyTarget(appointments.map(appointment => appointment.appointment_id), outbound, { conversationId });
+  const pendingAppointment = appointments.find(appointment => appointment.appointment_id === target.appointmentId) || null;
+  console.log(`🎯 Reply target: ${target.appointmentId || 'unclear'} (${target.reason})`);
+
+  let result;
+  if (!['confirm', 'cancel', 'reschedule'].includes(command)) {
+    result = await followUpReply(smsData, pendingAppointment, 'The reply is not a recognized command (Y to confirm, C to cancel, R to reschedule) - please follow up with the client.', appointments);
+  } else if (target.ambiguous) {
+    result = await sendAppointmentMenu(smsData, appointments, command);
+  } else {
+    result = await runAppointmentCommand(command, smsData, pendingAppointment);
+  }
+
+  return { command, ...result };
+}
+
+module.exports = {
+  processInboundSms,
+  createStaffTask
+};
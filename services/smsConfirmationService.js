@@ -1,13 +1,16 @@
 /**
  * SMS Confirmation Service
  *
- * Handles inbound SMS webhooks from GHL.
- * Detects "Y" or "y" replies as appointment confirmations.
- * Adds "Confirmed [meeting_type]" tag to the contact.
+ * Appointment confirmation tags: adds "Confirmed [meeting_type]" to a contact
+ * who confirmed by SMS and removes it when the appointment changes. Inbound
+ * replies are parsed and routed by services/smsCommandService.js.
  */
 
-const axios = require('axios');
+const ghlClient = require('./ghlClient');
 const { createClient } = require('@supabase/supabase-js');
+const { parseSmsCommand } = require('../utils/smsCommands');
+const { selectUpcomingAppointments } = require('../utils/smsReplyTarget');
+const { getAppointmentRecords } = require('./appointmentRecordService');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -15,8 +18,6 @@ const supabase = createClient(
   process.env.SUPABASE_KEY
 );
 
-const BASE_URL = 'https://services.leadconnectorhq.com';
-
 // All meeting types that can be confirmed
 const MEETING_TYPES = [
   'EP Discovery Call',
@@ -32,22 +33,6 @@ const MEETING_TYPES = [
 // Pre-generated tag names for each meeting type
 const CONFIRMATION_TAGS = MEETING_TYPES.map(type => `Confirmed ${type}`);
 
-/**
- * Gets common headers for GHL API requests
- */
-function getHeaders() {
-  const apiKey = process.env.GHL_API_KEY;
-  if (!apiKey) {
-    throw new Error('GHL_API_KEY not configured in environment variables');
-  }
-
-  return {
-    'Authorization': `Bearer ${apiKey}`,
-    'Version': '2021-07-28',
-    'Content-Type': 'application/json'
-  };
-}
-
 /**
  * Creates a tag in GHL location (if it doesn't exist)
  * @param {string} tagName - The tag name to create
@@ -63,14 +48,10 @@ async function createTag(tagName) {
   try {
     console.log(`🏷️ Creating tag: "${tagName}"`);
 
-    const response = await axios.post(
-      `${BASE_URL}/locations/${locationId}/tags`,
-      { name: tagName },
-      { headers: getHeaders() }
-    );
+    const data = await ghlClient.tags.create(locationId, tagName);
 
     console.log(`✅ Tag created: "${tagName}"`);
-    return { success: true, tag: response.data };
+    return { success: true, tag: data };
   } catch (error) {
     // Tag might already exist - that's okay
     if (error.response?.status === 422 || error.response?.data?.message?.includes('already exists')) {
@@ -143,14 +124,10 @@ async function addTagsToContact(contactId, tags) {
   try {
     console.log(`🏷️ Adding tags to contact ${contactId}:`, tags);
 
-    const response = await axios.post(
-      `${BASE_URL}/contacts/${contactId}/tags`,
-      { tags: tags },
-      { headers: getHeaders() }
-    );
+    const data = await ghlClient.tags.addToContact(contactId, tags);
 
     console.log(`✅ Tags added to contact ${contactId}`);
-    return { success: true, data: response.data };
+    return { success: true, data: data };
   } catch (error) {
     console.error(`❌ Error adding tags to contact ${contactId}:`, error.response?.data || error.message);
     return { success: false, error: error.message };
@@ -158,35 +135,87 @@ async function addTagsToContact(contactId, tags) {
 }
 
 /**
- * Gets the most recent pending appointment for a contact from scheduled_sms table
+ * Removes tags from a contact
  * @param {string} contactId - The GHL contact ID
- * @returns {Promise<Object|null>} The appointment info or null
+ * @param {string[]} tags - Array of tag names to remove
+ * @returns {Promise<Object>} Result of removing tags
  */
-async function getPendingAppointmentForContact(contactId) {
+async function removeTagsFromContact(contactId, tags) {
+  if (!contactId) {
+    throw new Error('contactId is required');
+  }
+
+  if (!tags || tags.length === 0) {
+    throw new Error('At least one tag is required');
+  }
+
+  try {
+    console.log(`🏷️ Removing tags from contact ${contactId}:`, tags);
+
+    const data = await ghlClient.tags.removeFromContact(contactId, tags);
+
+    console.log(`✅ Tags removed from contact ${contactId}`);
+    return { success: true, data: data };
+  } catch (error) {
+    console.error(`❌ Error removing tags from contact ${contactId}:`, error.response?.data || error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Removes the confirmation tag of an appointment that was rescheduled or cancelled
+ * @param {string} contactId - The GHL contact ID
+ * @param {string} meetingType - Meeting type, or null if unknown
+ * @returns {Promise<Object>} Result of removing the tag
+ */
+async function removeConfirmationTag(contactId, meetingType) {
+  const tag = meetingType ? `Confirmed ${meetingType}` : 'Confirmed Appointment';
+  const result = await removeTagsFromContact(contactId, [tag]);
+  return { ...result, tag };
+}
+
+/**
+ * Gets a contact's upcoming appointments that have reminders, earliest first
+ * Cancelled and rescheduled appointments are resolved against the appointments table
+ * (see selectUpcomingAppointments() in utils/smsReplyTarget.js).
+ * @param {string} contactId - The GHL contact ID
+ * @returns {Promise<Array>} One scheduled_sms row per appointment (empty on error)
+ */
+async function getUpcomingAppointmentsForContact(contactId) {
   try {
-    // Look for pending or sent reminders (scheduled within the last week, appointment in the future)
+    const now = new Date();
     const { data, error } = await supabase
       .from('scheduled_sms')
       .select('*')
       .eq('contact_id', contactId)
       .in('status', ['pending', 'sent'])
-      .gte('appointment_time', new Date().toISOString())
-      .order('appointment_time', { ascending: true })
-      .limit(1)
-      .single();
-
-    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
-      console.error('Error fetching pending appointment:', error);
-      return null;
+      .gte('appointment_time', now.toISOString());
+
+    if (error) {
+      console.error('Error fetching upcoming appointments:', error);
+      return [];
     }
 
-    return data;
+    const rows = data || [];
+    const records = await getAppointmentRecords([...new Set(rows.map(row => row.appointment_id))]);
+
+    return selectUpcomingAppointments(rows, records, now);
   } catch (error) {
-    console.error('Error fetching pending appointment:', error);
-    return null;
+    console.error('Error fetching upcoming appointments:', error);
+    return [];
   }
 }
 
+/**
+ * Gets the next pending appointment for a contact from scheduled_sms table
+ * @param {string} contactId - The GHL contact ID
+ * @returns {Promise<Object|null>} The appointment info or null
+ */
+async function getPendingAppointmentForContact(contactId) {
+  const [next] = await getUpcomingAppointmentsForContact(contactId);
+  return next || null;
+}
+
 /**
  * Extracts meeting type from event title
  * The event title format is: "Calendar Name - Meeting Type - Location - Contact Name"
@@ -207,83 +236,22 @@ function extractMeetingTypeFromTitle(eventTitle) {
 }
 
 /**
- * Checks if the SMS body is a confirmation (Y or y)
+ * Checks if the SMS body is a confirmation (Y, yes, confirm)
  * @param {string} body - The SMS message body
  * @returns {boolean} True if it's a confirmation
  */
 function isConfirmationReply(body) {
-  if (!body) return false;
-
-  const trimmed = body.trim().toLowerCase();
-  return trimmed === 'y' || trimmed === 'yes';
+  return parseSmsCommand(body).command === 'confirm';
 }
 
 /**
- * Processes an inbound SMS message
- * Detects "Y"/"y" replies and adds confirmation tag to contact
- * @param {Object} smsData - The inbound SMS data from GHL webhook
+ * Confirms a contact's appointment: adds the confirmation tag and marks the reminder confirmed
+ * @param {string} contactId - The GHL contact ID
+ * @param {Object} pendingAppointment - scheduled_sms row of the appointment
  * @returns {Promise<Object>} Processing result
  */
-async function processInboundSms(smsData) {
-  const {
-    type,
-    body,
-    contactId,
-    messageType,
-    direction,
-    conversationId,
-    locationId
-  } = smsData;
-
-  console.log('\n========================================');
-  console.log('📱 Processing Inbound SMS');
-  console.log('========================================');
-  console.log('Type:', type);
-  console.log('Message Type:', messageType);
-  console.log('Direction:', direction);
-  console.log('Body:', body);
-  console.log('Contact ID:', contactId);
-  console.log('Conversation ID:', conversationId);
-  console.log('Location ID:', locationId);
-  console.log('========================================\n');
-
-  // Validate this is an inbound SMS
-  if (type !== 'InboundMessage') {
-    console.log('⚠️ Not an InboundMessage, skipping');
-    return { success: true, action: 'skipped', reason: 'Not an InboundMessage' };
-  }
-
-  if (messageType !== 'SMS') {
-    console.log('⚠️ Not an SMS message, skipping');
-    return { success: true, action: 'skipped', reason: 'Not an SMS message' };
-  }
-
-  if (!contactId) {
-    console.log('⚠️ No contact ID in message, skipping');
-    return { success: true, action: 'skipped', reason: 'No contact ID' };
-  }
-
-  // Check if this is a confirmation reply
-  if (!isConfirmationReply(body)) {
-    console.log('ℹ️ Not a confirmation reply (Y/y), skipping');
-    return { success: true, action: 'skipped', reason: 'Not a confirmation reply' };
-  }
-
-  console.log('✅ Detected confirmation reply!');
-
-  // Find the pending appointment for this contact
-  const pendingAppointment = await getPendingAppointmentForContact(contactId);
-
-  if (!pendingAppointment) {
-    console.log('⚠️ No pending appointment found for contact');
-    return {
-      success: true,
-      action: 'skipped',
-      reason: 'No pending appointment found for contact'
-    };
-  }
-
-  console.log('📅 Found pending appointment:', pendingAppointment.event_title);
+async function confirmAppointment(contactId, pendingAppointment) {
+  console.log('📅 Confirming appointment:', pendingAppointment.event_title);
 
   // Extract the meeting type from the event title
   const meetingType = extractMeetingTypeFromTitle(pendingAppointment.event_title);
@@ -337,10 +305,13 @@ module.exports = {
   createTag,
   createAllConfirmationTags,
   addTagsToContact,
-  processInboundSms,
+  removeTagsFromContact,
+  removeConfirmationTag,
+  confirmAppointment,
   isConfirmationReply,
   extractMeetingTypeFromTitle,
   getPendingAppointmentForContact,
+  getUpcomingAppointmentsForContact,
   MEETING_TYPES,
   CONFIRMATION_TAGS
 };
@@ -0,0 +1,142 @@
+/**
+ * SMS Message Log Service
+ *
+ * Keeps appointment_sms_messages: every appointment SMS sent to a contact, with
+ * the appointment it was about, and the numbered menus sent when a reply was
+ * ambiguous. Inbound replies are matched against it by utils/smsReplyTarget.js.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// How many recent messages a reply is matched against
+const RECENT_MESSAGE_LIMIT = 20;
+
+/**
+ * Logs an outbound appointment SMS
+ * Never throws - a missing log entry only makes later replies more likely to get a menu.
+ * @param {Object} message - { contactId, appointmentId, messageType, reminderOffset, menuCommand, menuOptions }
+ * @returns {Promise<Object>} { success, record, error }
+ */
+async function recordOutboundSms({
+  contactId,
+  appointmentId = null,
+  messageType,
+  reminderOffset = null,
+  menuCommand = null,
+  menuOptions = null
+}) {
+  try {
+    const { data, error } = await supabase
+      .from('appointment_sms_messages')
+      .insert({
+        contact_id: contactId,
+        appointment_id: appointmentId,
+        message_type: messageType,
+        reminder_offset: reminderOffset,
+        menu_command: menuCommand,
+        menu_options: menuOptions,
+        sent_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('⚠️ Failed to log outbound SMS:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, record: data };
+  } catch (error) {
+    console.error('⚠️ Error logging outbound SMS:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets the appointment SMS sent to a contact before a reply, newest first
+ * @param {string} contactId - GHL contact ID
+ * @param {Date} before - When the reply arrived
+ * @returns {Promise<Array>} appointment_sms_messages rows (empty on error)
+ */
+async function getRecentOutboundSms(contactId, before) {
+  try {
+    const { data, error } = await supabase
+      .from('appointment_sms_messages')
+      .select('*')
+      .eq('contact_id', contactId)
+      .lte('sent_at', before.toISOString())
+      .order('sent_at', { ascending: false })
+      .limit(RECENT_MESSAGE_LIMIT);
+
+    if (error) {
+      console.error('⚠️ Failed to fetch outbound SMS log:', error.message);
+      return [];
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('⚠️ Error fetching outbound SMS log:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Stamps a contact's logged messages with the GHL conversation a reply came in on
+ * The webhook that sends SMS doesn't return the conversation, so it's learned from replies.
+ * @param {string} contactId - GHL contact ID
+ * @param {string} conversationId - GHL conversation ID
+ * @returns {Promise<Object>} { success, error }
+ */
+async function linkConversation(contactId, conversationId) {
+  if (!conversationId) {
+    return { success: true };
+  }
+
+  const { error } = await supabase
+    .from('appointment_sms_messages')
+    .update({ conversation_id: conversationId })
+    .eq('contact_id', contactId)
+    .is('conversation_id', null);
+
+  if (error) {
+    console.error('⚠️ Failed to link SMS log to conversation:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Marks a menu answered so a second number can't act on it again
+ * @param {string} menuId - appointment_sms_messages ID of the menu
+ * @param {string} replyMessageId - GHL message ID of the numeric reply
+ * @returns {Promise<boolean>} True if this reply resolved it (false if another already had)
+ */
+async function resolveMenu(menuId, replyMessageId) {
+  const { data, error } = await supabase
+    .from('appointment_sms_messages')
+    .update({ resolved_at: new Date().toISOString(), reply_message_id: replyMessageId || null })
+    .eq('id', menuId)
+    .is('resolved_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('⚠️ Failed to resolve appointment menu:', error.message);
+    return false;
+  }
+
+  return (data || []).length > 0;
+}
+
+module.exports = {
+  recordOutboundSms,
+  getRecentOutboundSms,
+  linkConversation,
+  resolveMenu
+};
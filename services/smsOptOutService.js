@@ -0,0 +1,107 @@
+/**
+ * SMS Opt-Out Service
+ *
+ * Keeps sms_opt_outs: contacts who replied STOP/UNSUBSCRIBE. Outbound SMS
+ * (services/appointmentSmsService.js) check isOptedOut() before sending;
+ * START/UNSTOP opts the contact back in.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+/**
+ * Records an opt-out or opt-in reply
+ * @param {Object} reply - { contactId, phone, keyword, messageId }
+ * @param {boolean} optedOut - True for STOP, false for START
+ * @returns {Promise<Object>} { success, record, error }
+ */
+async function setOptOut({ contactId, phone = null, keyword = null, messageId = null }, optedOut) {
+  if (!contactId) {
+    return { success: false, error: 'contactId is required' };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    contact_id: contactId,
+    opted_out: optedOut,
+    keyword,
+    message_id: messageId,
+    ...(optedOut ? { opted_out_at: now } : { opted_in_at: now })
+  };
+  if (phone) {
+    record.phone = phone;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('sms_opt_outs')
+      .upsert(record, { onConflict: 'contact_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Failed to save SMS opt-out:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    console.log(`${optedOut ? '🔕 Contact opted out of SMS' : '🔔 Contact opted back in to SMS'}: ${contactId}`);
+    return { success: true, record: data };
+  } catch (error) {
+    console.error('❌ Error saving SMS opt-out:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Records that a contact opted out of SMS
+ * @param {Object} reply - { contactId, phone, keyword, messageId }
+ * @returns {Promise<Object>} { success, record, error }
+ */
+async function recordOptOut(reply) {
+  return setOptOut(reply, true);
+}
+
+/**
+ * Records that a contact opted back in to SMS
+ * @param {Object} reply - { contactId, phone, keyword, messageId }
+ * @returns {Promise<Object>} { success, record, error }
+ */
+async function recordOptIn(reply) {
+  return setOptOut(reply, false);
+}
+
+/**
+ * Checks whether SMS to a contact are suppressed
+ * A failed lookup throws rather than answering either way: sending could text
+ * someone who said STOP, and treating it as an opt-out would close the reminder.
+ * @param {string} contactId - GHL contact ID
+ * @returns {Promise<boolean>} True if the contact opted out
+ * @throws {Error} If the opt-out could not be checked
+ */
+async function isOptedOut(contactId) {
+  if (!contactId) return false;
+
+  const { data, error } = await supabase
+    .from('sms_opt_outs')
+    .select('opted_out')
+    .eq('contact_id', contactId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Failed to check SMS opt-out:', error.message);
+    throw new Error(`Failed to check SMS opt-out for ${contactId}: ${error.message}`);
+  }
+
+  return data?.opted_out === true;
+}
+
+module.exports = {
+  recordOptOut,
+  recordOptIn,
+  isOptedOut
+};
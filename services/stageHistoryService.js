@@ -0,0 +1,272 @@
+/**
+ * Stage History Service
+ *
+ * Keeps the permanent opportunity_stage_history log: each stage change closes
+ * the opportunity's open stay (exited_at, duration, next stage) and opens a new
+ * one. Separate from opportunity_stage_changes, which only serves the 2-minute
+ * grace period and is cleaned up.
+ *
+ * Also loads history rows for the stage analytics endpoints; the aggregation
+ * is in utils/stageAnalytics.js.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('./ghlClient');
+const { getConditionValue } = require('./taskConditionService');
+const {
+  summarizeOpportunityHistory,
+  averageStageDurations,
+  stageConversionRates,
+  findStuckOpportunities
+} = require('../utils/stageAnalytics');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const PAGE_SIZE = 1000;
+const MAX_ROWS = 50000;
+const DEFAULT_STUCK_THRESHOLD_DAYS = 14;
+
+/**
+ * Gets the opportunity's open stay (the stage it's currently in)
+ * @param {string} opportunityId - GHL opportunity ID
+ * @returns {Promise<Object|null>} opportunity_stage_history row
+ */
+async function getOpenStay(opportunityId) {
+  const { data, error } = await supabase
+    .from('opportunity_stage_history')
+    .select('*')
+    .eq('opportunity_id', opportunityId)
+    .is('exited_at', null)
+    .order('entered_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Reads the contact's practice area, fetching the contact if it isn't loaded yet
+ * @param {Object} context - { contact } from buildConditionContext(), may be empty
+ * @param {string} contactId - GHL contact ID
+ * @returns {Promise<string|null>} Practice area
+ */
+async function getPracticeArea(context, contactId) {
+  let contact = context?.contact;
+
+  if (!contact && contactId) {
+    try {
+      const data = await ghlClient.contacts.get(contactId);
+      contact = data.contact || data;
+    } catch (error) {
+      console.error('Error fetching contact for stage history:', error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  if (!contact) {
+    return null;
+  }
+
+  try {
+    const value = getConditionValue({ contact }, 'contact.practice_area');
+    return Array.isArray(value) ? value.join(', ') : (value || null);
+  } catch (error) {
+    console.error('❌ Error reading practice area for stage history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Records a stage transition in the permanent history
+ * Never throws - history must not stop task creation.
+ * @param {Object} change - { opportunityId, opportunityName, contactId, pipelineId, stageId, stageName, previousStageId, previousStageName }
+ * @param {Object} context - { contact, opportunity } if already loaded
+ * @returns {Promise<Object>} { success, recorded, error }
+ */
+async function recordStageTransition(change, context = {}) {
+  try {
+    const now = new Date();
+    const openStay = await getOpenStay(change.opportunityId);
+
+    // Repeated delivery of the same move
+    if (openStay && (change.stageId ? openStay.stage_id === change.stageId : openStay.stage_name === change.stageName)) {
+      console.log(`Stage history: opportunity ${change.opportunityId} already in ${change.stageName}`);
+      return { success: true, recorded: false };
+    }
+
+    if (openStay) {
+      const { error: closeError } = await supabase
+        .from('opportunity_stage_history')
+        .update({
+          exited_at: now.toISOString(),
+          duration_seconds: Math.max(Math.round((now - new Date(openStay.entered_at)) / 1000), 0),
+          next_stage_id: change.stageId || null,
+          next_stage_name: change.stageName
+        })
+        .eq('id', openStay.id);
+
+      if (closeError) {
+        throw closeError;
+      }
+    }
+
+    const { error } = await supabase
+      .from('opportunity_stage_history')
+      .insert({
+        opportunity_id: change.opportunityId,
+        opportunity_name: change.opportunityName || context.opportunity?.name || openStay?.opportunity_name || null,
+        contact_id: change.contactId || openStay?.contact_id || null,
+        pipeline_id: change.pipelineId || context.opportunity?.pipelineId || openStay?.pipeline_id || null,
+        practice_area: await getPracticeArea(context, change.contactId) || openStay?.practice_area || null,
+        from_stage_id: openStay?.stage_id || change.previousStageId || null,
+        from_stage_name: openStay?.stage_name || change.previousStageName || null,
+        stage_id: change.stageId || null,
+        stage_name: change.stageName,
+        entered_at: now.toISOString()
+      });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`📈 Stage history: ${change.opportunityId} ${openStay?.stage_name || change.previousStageName || '(start)'} → ${change.stageName}`);
+    return { success: true, recorded: true };
+  } catch (error) {
+    console.error('❌ Error recording stage history:', error.message);
+    return { success: false, recorded: false, error: error.message };
+  }
+}
+
+/**
+ * Loads history rows, paging through the table
+ * @param {Object} filters - { opportunityId, pipelineId, practiceArea, from, to, openOnly, enteredBefore }
+ *   from/to limit entered_at (ISO dates)
+ * @returns {Promise<Array>} opportunity_stage_history rows
+ */
+async function getStageHistory(filters = {}) {
+  const rows = [];
+
+  for (let offset = 0; offset < MAX_ROWS; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('opportunity_stage_history')
+      .select('*')
+      .order('entered_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (filters.opportunityId) query = query.eq('opportunity_id', filters.opportunityId);
+    if (filters.pipelineId) query = query.eq('pipeline_id', filters.pipelineId);
+    if (filters.practiceArea) query = query.ilike('practice_area', filters.practiceArea);
+    if (filters.from) query = query.gte('entered_at', filters.from);
+    if (filters.to) query = query.lt('entered_at', filters.to);
+    if (filters.enteredBefore) query = query.lt('entered_at', filters.enteredBefore);
+    if (filters.openOnly) query = query.is('exited_at', null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching stage history:', error);
+      throw error;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+
+  console.warn(`⚠️ Stage history query hit the ${MAX_ROWS} row limit, narrow the date range`);
+  return rows;
+}
+
+/**
+ * Parses an analytics date filter
+ * @param {string} value - ISO date or date-time
+ * @param {string} name - Parameter name for the error
+ * @returns {string|null} ISO date-time
+ */
+function parseDateFilter(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Normalizes analytics query parameters
+ * @param {Object} query - { pipelineId, practiceArea, from, to }
+ * @returns {Object} Filters for getStageHistory()
+ */
+function parseAnalyticsFilters(query = {}) {
+  return {
+    pipelineId: query.pipelineId || null,
+    practiceArea: query.practiceArea || null,
+    from: parseDateFilter(query.from, 'from'),
+    to: parseDateFilter(query.to, 'to')
+  };
+}
+
+/**
+ * Time in each stage for one opportunity
+ * @param {string} opportunityId - GHL opportunity ID
+ * @returns {Promise<Object>} { opportunityId, currentStage, timeline, timeInStage }
+ */
+async function getOpportunityTimeInStage(opportunityId) {
+  const rows = await getStageHistory({ opportunityId });
+  return { opportunityId, ...summarizeOpportunityHistory(rows) };
+}
+
+/**
+ * Average stage durations for stays that started in the filtered range
+ * @param {Object} filters - { pipelineId, practiceArea, from, to }
+ * @returns {Promise<Array>} Per-stage averages
+ */
+async function getAverageStageDurations(filters) {
+  return averageStageDurations(await getStageHistory(filters));
+}
+
+/**
+ * Conversion rates between stages for stays that started in the filtered range
+ * @param {Object} filters - { pipelineId, practiceArea, from, to }
+ * @returns {Promise<Array>} Per-stage transitions
+ */
+async function getStageConversionRates(filters) {
+  return stageConversionRates(await getStageHistory(filters));
+}
+
+/**
+ * Opportunities in their current stage for longer than the threshold
+ * @param {Object} filters - { pipelineId, practiceArea, from, to, thresholdDays }
+ * @returns {Promise<Object>} { thresholdDays, opportunities }
+ */
+async function getStuckOpportunities(filters) {
+  const parsed = parseFloat(filters.thresholdDays ?? process.env.STAGE_STUCK_THRESHOLD_DAYS);
+  const thresholdDays = Number.isNaN(parsed) ? DEFAULT_STUCK_THRESHOLD_DAYS : parsed;
+  const now = new Date();
+  const enteredBefore = new Date(now.getTime() - thresholdDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const rows = await getStageHistory({ ...filters, openOnly: true, enteredBefore });
+
+  return {
+    thresholdDays,
+    opportunities: findStuckOpportunities(rows, thresholdDays * 24, now)
+  };
+}
+
+module.exports = {
+  recordStageTransition,
+  getStageHistory,
+  parseAnalyticsFilters,
+  getOpportunityTimeInStage,
+  getAverageStageDurations,
+  getStageConversionRates,
+  getStuckOpportunities
+};
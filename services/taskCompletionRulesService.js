@@ -0,0 +1,365 @@
+/**
+ * Task Completion Rules Service
+ *
+ * Runs the task_completion_rules that apply when a GHL task is completed.
+ * A rule fires on one of:
+ *
+ *   task_completed         - a task created from task_template_id was completed
+ *   stage_tasks_completed  - every task created for the current stage is completed
+ *   outcome_tag            - the completed task carries outcome_tag (optionally
+ *                            only for task_template_id)
+ *
+ * and can be limited to a stage with stage_id. Its actions run in order:
+ *
+ *   { "type": "move_stage", "stage": "engaged" }                 (pipeline registry name)
+ *   { "type": "move_stage", "pipelineId": "...", "stageId": "..." }
+ *   { "type": "create_task", "title": "...", "body": "...", "assignee_id": "...",
+ *     "due_date_value": 1, "due_date_time_relation": "business_days" }
+ *   { "type": "add_tags", "tags": ["closed-no-response"] }
+ *   { "type": "send_email", "to": "contact", "subject": "...", "body": "<p>Hi {firstName}</p>" }
+ *
+ * Templates are matched by ghl_task_list id (stored on ghl_tasks when the stage
+ * task is created), so renaming a task doesn't break its rules. Outcome tags are
+ * #hashtags in the task title/description, or tags sent with the webhook.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const axios = require('axios');
+const ghlClient = require('./ghlClient');
+const { getStage } = require('./pipelineRegistryService');
+const { calculateBusinessDueDate } = require('./businessCalendarService');
+const { hasWaitingTasks } = require('./taskDependencyService');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const TRIGGER_TYPES = ['task_completed', 'stage_tasks_completed', 'outcome_tag'];
+
+/**
+ * Normalizes an outcome tag (lowercase, no leading #)
+ * @param {string} tag - Tag
+ * @returns {string} Normalized tag
+ */
+function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Collects a completed task's outcome tags
+ * @param {Object} taskData - { title, body, outcomeTags }
+ * @returns {Array<string>} Normalized tags
+ */
+function getOutcomeTags(taskData) {
+  const text = `${taskData.title || ''} ${taskData.body || ''}`;
+  const hashtags = text.match(/#[\w-]+/g) || [];
+  const sent = [].concat(taskData.outcomeTags || []);
+  return [...new Set(hashtags.concat(sent).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Checks whether a rule applies to a completed task
+ * @param {Object} rule - task_completion_rules row
+ * @param {Object} facts - { templateId, stageId, outcomeTags, stageTasksCompleted }
+ * @returns {boolean} True if the rule should fire
+ */
+function ruleMatches(rule, facts) {
+  if (rule.stage_id && rule.stage_id !== facts.stageId) return false;
+
+  const templateMatches = facts.templateId != null && String(rule.task_template_id) === String(facts.templateId);
+
+  switch (rule.trigger_type) {
+    case 'task_completed':
+      return templateMatches;
+    case 'stage_tasks_completed':
+      return facts.stageTasksCompleted === true;
+    case 'outcome_tag':
+      return facts.outcomeTags.includes(normalizeTag(rule.outcome_tag)) &&
+        (rule.task_template_id == null || templateMatches);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the active rules for a stage (and stage-independent rules), by priority
+ * @param {string} stageId - Current pipeline stage ID
+ * @returns {Promise<Array>} task_completion_rules rows
+ */
+async function getActiveRules(stageId) {
+  const { data, error } = await supabase
+    .from('task_completion_rules')
+    .select('*')
+    .eq('active', true)
+    .order('priority', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching task completion rules:', error);
+    throw error;
+  }
+
+  return (data || []).filter(rule => {
+    if (!TRIGGER_TYPES.includes(rule.trigger_type)) {
+      console.error(`❌ Task completion rule ${rule.id} has unknown trigger_type "${rule.trigger_type}"`);
+      return false;
+    }
+    return !rule.stage_id || rule.stage_id === stageId;
+  });
+}
+
+/**
+ * Finds the ghl_task_list template a GHL task was created from
+ * Tasks created before templates were recorded fall back to a title match.
+ * @param {string} taskId - GHL task ID
+ * @param {string} title - Task title
+ * @returns {Promise<string|null>} Template ID
+ */
+async function getTaskTemplateId(taskId, title) {
+  if (taskId) {
+    const { data, error } = await supabase
+      .from('ghl_tasks')
+      .select('task_template_id')
+      .eq('ghl_task_id', taskId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up task template:', error.message);
+    } else if (data?.task_template_id) {
+      return data.task_template_id;
+    }
+  }
+
+  if (!title) return null;
+
+  const { data: templates, error } = await supabase
+    .from('ghl_task_list')
+    .select('id')
+    .eq('task_name', title)
+    .limit(1);
+
+  if (error) {
+    console.error('Error looking up task template by title:', error.message);
+    return null;
+  }
+
+  if (templates?.length > 0) {
+    console.log(`Task ${taskId} has no recorded template, matched template ${templates[0].id} by title`);
+    return templates[0].id;
+  }
+  return null;
+}
+
+/**
+ * Checks whether every task created for the opportunity's current stage is completed
+ * Uses the latest opportunity_stage_changes record and the contact's tasks in GHL.
+ * Tasks still waiting for a predecessor count as open. Only completing one of
+ * the stage's own tasks can complete the stage, so other tasks on the contact
+ * (rule output, escalations, follow-ups) don't fire the stage rules again.
+ * @param {Object} params - { opportunityId, contactId, stageId, completedTaskId }
+ * @returns {Promise<boolean>} True if all stage tasks are done
+ */
+async function areStageTasksCompleted({ opportunityId, contactId, stageId, completedTaskId }) {
+  const { data: changes, error } = await supabase
+    .from('opportunity_stage_changes')
+    .select('*')
+    .eq('opportunity_id', opportunityId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching stage change for task completion:', error);
+    throw error;
+  }
+
+  const latest = changes?.[0];
+  const taskIds = latest?.task_ids || [];
+
+  if (!latest || taskIds.length === 0 || (latest.new_stage_id && latest.new_stage_id !== stageId)) {
+    return false;
+  }
+
+  if (!taskIds.includes(completedTaskId)) {
+    console.log(`Stage tasks: completed task ${completedTaskId} is not one of the stage's tasks`);
+    return false;
+  }
+
+  if (await hasWaitingTasks(opportunityId)) {
+    console.log('Stage tasks: some tasks are still waiting for a predecessor');
+    return false;
+  }
+
+  const { tasks = [] } = await ghlClient.tasks.list(contactId);
+  const openTasks = taskIds.filter(id => {
+    if (id === completedTaskId) return false;
+    const task = tasks.find(t => t.id === id);
+    // Deleted tasks no longer block the stage
+    return task && !task.completed;
+  });
+
+  console.log(`Stage tasks: ${taskIds.length - openTasks.length}/${taskIds.length} completed`);
+  return openTasks.length === 0;
+}
+
+/**
+ * Fills {placeholders} in an email subject/body
+ * @param {string} template - Text with {firstName}, {contactName}, {taskTitle}, {opportunityName}
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) => values[key] ?? '');
+}
+
+/**
+ * Runs one rule action
+ * @param {Object} action - Action config
+ * @param {Object} ctx - { contactId, opportunityId, opportunity, taskData }
+ * @returns {Promise<Object>} { type, success, ... }
+ */
+async function executeAction(action, ctx) {
+  switch (action.type) {
+    case 'move_stage': {
+      let { pipelineId, stageId } = action;
+      if (action.stage) {
+        ({ pipelineId, stageId } = await getStage(action.stage));
+      }
+      if (!pipelineId || !stageId) {
+        throw new Error('move_stage needs "stage" or "pipelineId" and "stageId"');
+      }
+      await ghlClient.opportunities.update(ctx.opportunityId, { pipelineId, pipelineStageId: stageId });
+      console.log(`Opportunity ${ctx.opportunityId} moved to pipeline ${pipelineId}, stage ${stageId}`);
+      return { type: action.type, success: true, pipelineId, stageId };
+    }
+
+    case 'create_task': {
+      const dueDate = await calculateBusinessDueDate({
+        due_date_value: action.due_date_value ?? 1,
+        due_date_time_relation: action.due_date_time_relation || 'business_days'
+      });
+      const data = await ghlClient.tasks.create(ctx.contactId, {
+        title: action.title,
+        body: action.body || '',
+        assignedTo: action.assignee_id || ctx.taskData.assignedTo,
+        dueDate: dueDate.toISOString(),
+        completed: false
+      });
+      return { type: action.type, success: true, taskId: data.task?.id || data.id || null };
+    }
+
+    case 'add_tags': {
+      const tags = [].concat(action.tags || []);
+      await ghlClient.tags.addToContact(ctx.contactId, tags);
+      return { type: action.type, success: true, tags };
+    }
+
+    case 'send_email': {
+      const webhookUrl = process.env.MAKE_TASK_RULE_EMAIL_WEBHOOK;
+      if (!webhookUrl) {
+        console.log('⚠️ MAKE_TASK_RULE_EMAIL_WEBHOOK not configured, skipping email');
+        return { type: action.type, success: false, reason: 'Webhook not configured' };
+      }
+
+      const { contact = {} } = await ghlClient.contacts.get(ctx.contactId);
+      const to = !action.to || action.to === 'contact' ? contact.email : action.to;
+      if (!to) {
+        return { type: action.type, success: false, reason: 'No email address' };
+      }
+
+      const values = {
+        firstName: contact.firstName || '',
+        contactName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+        taskTitle: ctx.taskData.title || '',
+        opportunityName: ctx.opportunity?.name || ''
+      };
+      await axios.post(webhookUrl, {
+        to: to,
+        subject: renderTemplate(action.subject, values),
+        htmlBody: renderTemplate(action.body, values),
+        type: 'task_completion_rule'
+      }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 30000
+      });
+      return { type: action.type, success: true, to };
+    }
+
+    default:
+      throw new Error(`Unknown task completion action "${action.type}"`);
+  }
+}
+
+/**
+ * Evaluates and runs the completion rules for a completed task
+ * A failed action is reported and doesn't stop the remaining actions.
+ * @param {Object} params - { taskData, contactId, opportunityId, opportunity, stageId }
+ * @returns {Promise<Object>} { templateId, outcomeTags, stageTasksCompleted, rulesMatched }
+ */
+async function runTaskCompletionRules({ taskData, contactId, opportunityId, opportunity, stageId }) {
+  const rules = await getActiveRules(stageId);
+  const facts = {
+    templateId: null,
+    stageId,
+    outcomeTags: [],
+    stageTasksCompleted: false
+  };
+
+  if (rules.length === 0) {
+    console.log(`No task completion rules for stage ${stageId}`);
+    return { ...facts, rulesMatched: [] };
+  }
+
+  facts.templateId = await getTaskTemplateId(taskData.taskId, taskData.title);
+
+  if (rules.some(rule => rule.trigger_type === 'outcome_tag')) {
+    let task = taskData;
+    if (taskData.body === undefined && taskData.taskId) {
+      try {
+        const data = await ghlClient.tasks.get(contactId, taskData.taskId);
+        task = { ...taskData, body: (data.task || data).body };
+      } catch (error) {
+        console.error('Error fetching completed task for outcome tags:', error.response?.data || error.message);
+      }
+    }
+    facts.outcomeTags = getOutcomeTags(task);
+  }
+
+  if (rules.some(rule => rule.trigger_type === 'stage_tasks_completed')) {
+    facts.stageTasksCompleted = await areStageTasksCompleted({
+      opportunityId,
+      contactId,
+      stageId,
+      completedTaskId: taskData.taskId
+    });
+  }
+
+  console.log(`Task completion facts: template ${facts.templateId}, tags [${facts.outcomeTags.join(', ')}], stage complete: ${facts.stageTasksCompleted}`);
+
+  const rulesMatched = [];
+  for (const rule of rules.filter(r => ruleMatches(r, facts))) {
+    console.log(`⚙️ Running task completion rule ${rule.id} (${rule.name})`);
+    const actions = [];
+
+    for (const action of rule.actions || []) {
+      try {
+        actions.push(await executeAction(action, { contactId, opportunityId, opportunity, taskData }));
+      } catch (error) {
+        console.error(`❌ Rule ${rule.id} action ${action.type} failed:`, error.response?.data || error.message);
+        actions.push({ type: action.type, success: false, error: error.message });
+      }
+    }
+
+    rulesMatched.push({ ruleId: rule.id, name: rule.name, trigger: rule.trigger_type, actions });
+  }
+
+  return { ...facts, rulesMatched };
+}
+
+module.exports = {
+  runTaskCompletionRules,
+  ruleMatches,
+  getOutcomeTags,
+  areStageTasksCompleted,
+  TRIGGER_TYPES
+};
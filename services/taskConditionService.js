@@ -0,0 +1,270 @@
+/**
+ * Task Condition Service
+ *
+ * Decides which ghl_task_list templates apply to an opportunity. A template's
+ * optional `conditions` column is evaluated against the opportunity and its
+ * contact; templates without conditions always apply.
+ *
+ * Conditions are a rule, a list of rules (all must pass), or { all: [...] } /
+ * { any: [...] } groups, which can be nested:
+ *
+ *   [
+ *     { "field": "contact.practice_area", "operator": "equals", "value": "Probate" },
+ *     { "field": "contact.are_you_a_florida_resident", "operator": "equals", "value": "No" }
+ *   ]
+ *
+ * `field` is a contact or opportunity custom field key (contact.practice_area,
+ * opportunity.xyz) or a standard property (contact.tags, opportunity.source).
+ * Text comparisons ignore case and surrounding whitespace.
+ */
+
+const ghlClient = require('./ghlClient');
+const { getFieldId } = require('./customFieldRegistry');
+
+const OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'not_contains', 'exists', 'not_exists'];
+
+/**
+ * Normalizes a value for comparison
+ * @param {*} value - Field or condition value
+ * @returns {string} Trimmed lowercase text
+ */
+function normalizeValue(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Checks whether a field value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.every(isEmpty);
+  return normalizeValue(value) === '';
+}
+
+/**
+ * Reads a custom field value from a GHL contact or opportunity
+ * Contacts return `value`; opportunities return `fieldValue` or a typed variant.
+ * @param {Array} customFields - customFields array from GHL
+ * @param {string} fieldId - Custom field ID
+ * @returns {*} Field value or undefined
+ */
+function readCustomField(customFields, fieldId) {
+  const field = (customFields || []).find(f => f.id === fieldId);
+  if (!field) return undefined;
+
+  return field.value ?? field.field_value ?? field.fieldValue ?? field.fieldValueString ??
+    field.fieldValueArray ?? field.fieldValueNumber ?? field.fieldValueDate;
+}
+
+/**
+ * Resolves a condition field against the opportunity/contact
+ * Throws for a custom field key with no known field ID, so the rule fails as
+ * invalid instead of being compared against an empty value.
+ * @param {Object} context - { contact, opportunity }
+ * @param {string} field - e.g. 'contact.practice_area' or 'opportunity.source'
+ * @returns {*} Field value or undefined
+ */
+function getConditionValue(context, field) {
+  const [model, ...rest] = String(field).split('.');
+  const property = rest.join('.');
+  const record = context[model];
+
+  if (!record || !property) return undefined;
+
+  if (property in record && property !== 'customFields') {
+    return record[property];
+  }
+
+  const fieldId = getFieldId(field);
+  if (!fieldId) {
+    throw new Error(`No custom field ID found for ${field}`);
+  }
+
+  return readCustomField(record.customFields, fieldId);
+}
+
+/**
+ * Evaluates a single rule
+ * @param {Object} rule - { field, operator, value }
+ * @param {Object} context - { contact, opportunity }
+ * @returns {Object} { passed, reason }
+ */
+function evaluateRule(rule, context) {
+  const operator = rule.operator || 'equals';
+
+  if (!rule.field) {
+    throw new Error(`Task condition is missing "field": ${JSON.stringify(rule)}`);
+  }
+  if (!OPERATORS.includes(operator)) {
+    throw new Error(`Unknown task condition operator "${operator}" for ${rule.field}`);
+  }
+
+  const actual = getConditionValue(context, rule.field);
+  const actualValues = (Array.isArray(actual) ? actual : [actual]).map(normalizeValue);
+  const expectedValues = [].concat(rule.value ?? []).map(normalizeValue);
+
+  let passed;
+  switch (operator) {
+    case 'equals':
+      passed = actualValues.includes(expectedValues[0]);
+      break;
+    case 'not_equals':
+      passed = !actualValues.includes(expectedValues[0]);
+      break;
+    case 'in':
+      passed = actualValues.some(v => expectedValues.includes(v));
+      break;
+    case 'not_in':
+      passed = !actualValues.some(v => expectedValues.includes(v));
+      break;
+    case 'contains':
+      passed = actualValues.some(v => v.includes(expectedValues[0]));
+      break;
+    case 'not_contains':
+      passed = !actualValues.some(v => v.includes(expectedValues[0]));
+      break;
+    case 'exists':
+      passed = !isEmpty(actual);
+      break;
+    case 'not_exists':
+      passed = isEmpty(actual);
+      break;
+  }
+
+  const shown = isEmpty(actual) ? 'empty' : `"${Array.isArray(actual) ? actual.join(', ') : actual}"`;
+  const expected = operator === 'exists' || operator === 'not_exists'
+    ? ''
+    : ` ${JSON.stringify(rule.value)}`;
+
+  return {
+    passed,
+    reason: `${rule.field} ${operator.replace('_', ' ')}${expected} (is ${shown})`
+  };
+}
+
+/**
+ * Evaluates a template's conditions
+ * @param {Object|Array|null} conditions - Rule, list of rules, or { all } / { any } group
+ * @param {Object} context - { contact, opportunity }
+ * @returns {Object} { applies, reasons } - reasons lists the rules that failed
+ */
+function evaluateConditions(conditions, context) {
+  if (!conditions || (Array.isArray(conditions) && conditions.length === 0)) {
+    return { applies: true, reasons: [] };
+  }
+
+  if (Array.isArray(conditions)) {
+    return evaluateConditions({ all: conditions }, context);
+  }
+
+  if (conditions.all) {
+    const results = conditions.all.map(c => evaluateConditions(c, context));
+    return {
+      applies: results.every(r => r.applies),
+      reasons: results.flatMap(r => r.reasons)
+    };
+  }
+
+  if (conditions.any) {
+    const results = conditions.any.map(c => evaluateConditions(c, context));
+    const applies = results.length === 0 || results.some(r => r.applies);
+    return {
+      applies,
+      reasons: applies ? [] : [`none of: ${results.flatMap(r => r.reasons).join('; ')}`]
+    };
+  }
+
+  const { passed, reason } = evaluateRule(conditions, context);
+  return { applies: passed, reasons: passed ? [] : [reason] };
+}
+
+/**
+ * Parses a template's conditions column (JSONB, or text holding JSON)
+ * @param {Object} task - ghl_task_list row
+ * @returns {Object|Array|null} Conditions
+ */
+function getTaskConditions(task) {
+  const conditions = task.conditions;
+  if (typeof conditions === 'string') {
+    return conditions.trim() ? JSON.parse(conditions) : null;
+  }
+  return conditions || null;
+}
+
+/**
+ * Loads the opportunity and contact that conditions are evaluated against
+ * A record that can't be loaded is left empty, so rules on it fail rather than pass.
+ * @param {string} opportunityId - GHL opportunity ID
+ * @param {string} contactId - GHL contact ID
+ * @returns {Promise<Object>} { contact, opportunity }
+ */
+async function buildConditionContext(opportunityId, contactId) {
+  const context = { contact: null, opportunity: null };
+
+  if (opportunityId) {
+    try {
+      const data = await ghlClient.opportunities.get(opportunityId);
+      context.opportunity = data.opportunity || data;
+    } catch (error) {
+      console.error(`Error loading opportunity ${opportunityId} for task conditions:`, error.response?.data || error.message);
+    }
+  }
+
+  const resolvedContactId = contactId || context.opportunity?.contactId;
+  if (resolvedContactId) {
+    try {
+      const data = await ghlClient.contacts.get(resolvedContactId);
+      context.contact = data.contact || data;
+    } catch (error) {
+      console.error(`Error loading contact ${resolvedContactId} for task conditions:`, error.response?.data || error.message);
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Splits stage task templates into those that apply and those that don't
+ * A template with invalid conditions is skipped and reported.
+ * @param {Array} tasks - ghl_task_list rows
+ * @param {Object} context - { contact, opportunity }
+ * @returns {Object} { applicable, skipped: [{ taskNumber, taskName, reasons }] }
+ */
+function filterTasksByConditions(tasks, context) {
+  const applicable = [];
+  const skipped = [];
+
+  for (const task of tasks) {
+    let result;
+    try {
+      result = evaluateConditions(getTaskConditions(task), context);
+    } catch (error) {
+      console.error(`❌ Invalid conditions on task ${task.task_number} (${task.task_name}):`, error.message);
+      result = { applies: false, reasons: [`invalid conditions: ${error.message}`] };
+    }
+
+    if (result.applies) {
+      applicable.push(task);
+    } else {
+      console.log(`⏭️ Skipping task ${task.task_number} (${task.task_name}): ${result.reasons.join('; ')}`);
+      skipped.push({
+        taskNumber: task.task_number,
+        taskName: task.task_name,
+        reasons: result.reasons
+      });
+    }
+  }
+
+  return { applicable, skipped };
+}
+
+module.exports = {
+  evaluateConditions,
+  filterTasksByConditions,
+  buildConditionContext,
+  getTaskConditions,
+  getConditionValue,
+  OPERATORS
+};
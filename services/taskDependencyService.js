@@ -0,0 +1,303 @@
+/**
+ * Task Dependency Service
+ *
+ * Supabase bookkeeping for stage tasks that wait for a predecessor
+ * (ghl_task_list.predecessor_task_number). Each stage change stores one
+ * task_dependencies row per waiting task; the row learns its predecessor's GHL
+ * task ID once that task is created, and is released when the task-completed
+ * webhook reports the predecessor done. Moving the opportunity to another
+ * stage cancels whatever is still waiting, and so does deleting (or failing to
+ * create) the predecessor.
+ *
+ * Statuses: waiting -> creating -> created (or failed), or cancelled. A task
+ * left in creating (the server stopped mid-create) fails after CREATING_LEASE_MS.
+ * Which templates wait is decided by utils/taskDependencies.js.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { getPredecessorNumber } = require('../utils/taskDependencies');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// A task still creating after this long was abandoned (e.g. server restarted mid-create)
+const CREATING_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Stores the waiting tasks of a stage change
+ * @param {Object} chain - { chainId, opportunityId, contactId, stageName }
+ * @param {Array} waiting - ghl_task_list rows that wait for a predecessor
+ * @param {Map} createdByNumber - task_number -> GHL task ID of tasks created now
+ * @returns {Promise<Array>} Inserted task_dependencies rows
+ */
+async function recordWaitingTasks(chain, waiting, createdByNumber) {
+  if (waiting.length === 0) return [];
+
+  const rows = waiting.map(task => {
+    const predecessor = getPredecessorNumber(task);
+    return {
+      chain_id: chain.chainId,
+      opportunity_id: chain.opportunityId,
+      contact_id: chain.contactId || null,
+      stage_name: chain.stageName,
+      task_template_id: String(task.id),
+      task_number: task.task_number,
+      task_name: task.task_name,
+      predecessor_task_number: predecessor,
+      predecessor_ghl_task_id: createdByNumber.get(predecessor) || null,
+      status: 'waiting'
+    };
+  });
+
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    console.error('Error recording waiting tasks:', error);
+    throw error;
+  }
+
+  console.log(`⛓️ ${rows.length} task(s) waiting for a predecessor`);
+  return data || [];
+}
+
+/**
+ * Gets the waiting tasks whose predecessor is a GHL task
+ * @param {string} ghlTaskId - Completed GHL task ID
+ * @returns {Promise<Array>} task_dependencies rows
+ */
+async function getTasksWaitingFor(ghlTaskId) {
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .select('*')
+    .eq('predecessor_ghl_task_id', ghlTaskId)
+    .eq('status', 'waiting');
+
+  if (error) {
+    console.error('Error fetching waiting tasks:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Claims a waiting task for creation
+ * The status match makes sure a repeated webhook can't create it twice.
+ * @param {Object} row - task_dependencies row
+ * @returns {Promise<boolean>} True if this call claimed it
+ */
+async function claimWaitingTask(row) {
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .update({ status: 'creating', released_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .eq('status', 'waiting')
+    .select();
+
+  if (error) {
+    console.error(`Error claiming waiting task ${row.id}:`, error);
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Records the outcome of creating a released task
+ * A created task becomes the predecessor of the tasks waiting on its template.
+ * @param {Object} row - task_dependencies row
+ * @param {Object} outcome - { ghlTaskId } or { error }
+ * @returns {Promise<void>}
+ */
+async function completeWaitingTask(row, { ghlTaskId = null, error: failure = null }) {
+  const { error } = await supabase
+    .from('task_dependencies')
+    .update(failure
+      ? { status: 'failed', last_error: failure }
+      : { status: 'created', ghl_task_id: ghlTaskId, last_error: null })
+    .eq('id', row.id);
+
+  if (error) {
+    console.error(`Error updating waiting task ${row.id}:`, error.message);
+  }
+
+  if (ghlTaskId) {
+    await linkPredecessor(row.chain_id, row.task_number, ghlTaskId);
+  } else if (failure) {
+    await cancelDependents([row], `Earlier task ${row.task_number} in the chain was not created`);
+  }
+}
+
+/**
+ * Sets the GHL task ID on tasks waiting for a template in a chain
+ * @param {string} chainId - Stage change chain ID
+ * @param {number} taskNumber - Predecessor's task_number
+ * @param {string} ghlTaskId - Predecessor's GHL task ID
+ * @returns {Promise<void>}
+ */
+async function linkPredecessor(chainId, taskNumber, ghlTaskId) {
+  const { error } = await supabase
+    .from('task_dependencies')
+    .update({ predecessor_ghl_task_id: ghlTaskId })
+    .eq('chain_id', chainId)
+    .eq('predecessor_task_number', taskNumber)
+    .eq('status', 'waiting');
+
+  if (error) {
+    console.error(`Error linking predecessor task ${ghlTaskId}:`, error.message);
+  }
+}
+
+/**
+ * Cancels everything still waiting for an opportunity (it moved to another stage)
+ * @param {string} opportunityId - GHL opportunity ID
+ * @returns {Promise<number>} Number of tasks cancelled
+ */
+async function cancelWaitingTasks(opportunityId) {
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+    .eq('opportunity_id', opportunityId)
+    .eq('status', 'waiting')
+    .select('id');
+
+  if (error) {
+    console.error('Error cancelling waiting tasks:', error);
+    throw error;
+  }
+
+  const count = (data || []).length;
+  if (count > 0) {
+    console.log(`⛓️ Cancelled ${count} waiting task(s) for opportunity ${opportunityId}`);
+  }
+  return count;
+}
+
+/**
+ * Cancels the tasks waiting for a GHL task that was deleted
+ * Their own dependents are cancelled too - none of them can be released now.
+ * @param {string} ghlTaskId - Deleted GHL task ID
+ * @returns {Promise<number>} Number of tasks cancelled
+ */
+async function cancelTasksWaitingFor(ghlTaskId) {
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), last_error: `Predecessor task ${ghlTaskId} was deleted` })
+    .eq('predecessor_ghl_task_id', ghlTaskId)
+    .eq('status', 'waiting')
+    .select();
+
+  if (error) {
+    console.error('Error cancelling waiting tasks:', error);
+    throw error;
+  }
+
+  const rows = data || [];
+  const count = rows.length + await cancelDependents(rows, `Earlier task ${ghlTaskId} in the chain was deleted`);
+  if (count > 0) {
+    console.log(`⛓️ Cancelled ${count} task(s) waiting for deleted task ${ghlTaskId}`);
+  }
+  return count;
+}
+
+/**
+ * Cancels the tasks waiting for chain tasks that will never be created, down the chain
+ * @param {Array} rows - task_dependencies rows that won't be created
+ * @param {string} reason - Stored as last_error
+ * @returns {Promise<number>} Number of tasks cancelled
+ */
+async function cancelDependents(rows, reason) {
+  let count = 0;
+  let pending = [...rows];
+
+  while (pending.length > 0) {
+    const row = pending.shift();
+    const { data, error } = await supabase
+      .from('task_dependencies')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), last_error: reason })
+      .eq('chain_id', row.chain_id)
+      .eq('predecessor_task_number', row.task_number)
+      .eq('status', 'waiting')
+      .select();
+
+    if (error) {
+      console.error(`Error cancelling tasks waiting for task ${row.task_number}:`, error.message);
+      continue;
+    }
+
+    count += (data || []).length;
+    pending = pending.concat(data || []);
+  }
+
+  return count;
+}
+
+/**
+ * Fails tasks of an opportunity that have been creating for longer than the lease
+ * Whoever claimed them stopped before recording the outcome; their dependents are cancelled.
+ * @param {string} opportunityId - GHL opportunity ID
+ * @returns {Promise<number>} Number of tasks expired
+ */
+async function expireStaleCreations(opportunityId) {
+  const cutoff = new Date(Date.now() - CREATING_LEASE_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .update({ status: 'failed', last_error: 'Creation did not finish' })
+    .eq('opportunity_id', opportunityId)
+    .eq('status', 'creating')
+    .lte('released_at', cutoff)
+    .select();
+
+  if (error) {
+    console.error('Error expiring stale task creations:', error.message);
+    return 0;
+  }
+
+  const rows = data || [];
+  if (rows.length > 0) {
+    console.log(`⛓️ ${rows.length} task(s) of opportunity ${opportunityId} never finished creating, marked failed`);
+    await cancelDependents(rows, 'Earlier task in the chain was not created');
+  }
+  return rows.length;
+}
+
+/**
+ * Checks whether an opportunity still has tasks waiting for a predecessor
+ * Stale creating tasks are expired first, so an abandoned create doesn't hold the stage open.
+ * @param {string} opportunityId - GHL opportunity ID
+ * @returns {Promise<boolean>} True if any task is waiting
+ */
+async function hasWaitingTasks(opportunityId) {
+  await expireStaleCreations(opportunityId);
+
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .select('id')
+    .eq('opportunity_id', opportunityId)
+    .in('status', ['waiting', 'creating'])
+    .limit(1);
+
+  if (error) {
+    console.error('Error checking waiting tasks:', error);
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
+
+module.exports = {
+  recordWaitingTasks,
+  getTasksWaitingFor,
+  claimWaitingTask,
+  completeWaitingTask,
+  cancelWaitingTasks,
+  cancelTasksWaitingFor,
+  hasWaitingTasks
+};
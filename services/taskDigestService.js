@@ -0,0 +1,416 @@
+/**
+ * Task Digest Service
+ *
+ * Sends each staff member one email a day listing their overdue and due-today
+ * tasks from ghl_tasks, and escalates tasks that are overdue past their
+ * template's threshold: an email to the supervisor (email_supervisor) or a GHL
+ * task for the supervisor on the same contact (create_task).
+ *
+ * Runs as the 'task-digest' scheduled job (services/scheduledJobs.js) at
+ * TASK_DIGEST_TIME firm time; runs on weekends and firm holidays do nothing.
+ * Each assignee's digest is claimed in task_digest_sends before it is sent, so
+ * running the job again the same day only sends the digests that didn't go out. Emails go through the Make.com webhook MAKE_TASK_DIGEST_EMAIL_WEBHOOK.
+ * Grouping, escalation rules and email layout are in utils/taskDigest.js.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const axios = require('axios');
+const ghlClient = require('./ghlClient');
+const { getBusinessCalendar, calculateBusinessDueDate } = require('./businessCalendarService');
+const { endOfLocalDay, getZonedParts, isBusinessDay, parseTimeOfDay, toDateKey, DEFAULT_CALENDAR } = require('../utils/businessCalendar');
+const {
+  getEscalationPolicy,
+  isEscalationDue,
+  buildDigests,
+  describeOverdue,
+  renderDigestEmail,
+  renderEscalationEmail
+} = require('../utils/taskDigest');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const JOB_TYPE = 'task-digest';
+const DEFAULT_DIGEST_TIME = 8 * 60; // 8:00am firm time
+const DEFAULT_THRESHOLD_HOURS = 48;
+const DEFAULT_ACTION = 'email_supervisor';
+
+/**
+ * Gets the digest/escalation settings from the environment
+ * @returns {Object} { enabled, digestMinutes, schedule, timeZone, escalationDefaults }
+ */
+function getDigestConfig() {
+  const threshold = parseFloat(process.env.TASK_ESCALATION_THRESHOLD_HOURS);
+  const digestMinutes = parseTimeOfDay(process.env.TASK_DIGEST_TIME, DEFAULT_DIGEST_TIME);
+
+  return {
+    enabled: process.env.TASK_DIGEST_ENABLED !== 'false',
+    digestMinutes,
+    // Daily at TASK_DIGEST_TIME, as a cron expression for the scheduler
+    schedule: `${digestMinutes % 60} ${Math.floor(digestMinutes / 60)} * * *`,
+    timeZone: process.env.BUSINESS_TIMEZONE || DEFAULT_CALENDAR.timeZone,
+    escalationDefaults: {
+      thresholdHours: Number.isNaN(threshold) ? DEFAULT_THRESHOLD_HOURS : threshold,
+      action: process.env.TASK_ESCALATION_ACTION || DEFAULT_ACTION,
+      escalateTo: process.env.TASK_ESCALATION_SUPERVISOR_ID || null
+    }
+  };
+}
+
+/**
+ * Gets open tasks due before a time
+ * @param {Date} dueBefore - Upper bound (end of today)
+ * @returns {Promise<Array>} ghl_tasks rows
+ */
+async function getDueTasks(dueBefore) {
+  const { data, error } = await supabase
+    .from('ghl_tasks')
+    .select('*')
+    .eq('status', 'open')
+    .not('due_date', 'is', null)
+    .lt('due_date', dueBefore.toISOString())
+    .order('due_date', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching due tasks:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Gets the escalation settings of the templates the tasks were created from
+ * @param {Array} tasks - ghl_tasks rows
+ * @returns {Promise<Map>} Template ID -> ghl_task_list row
+ */
+async function getTemplates(tasks) {
+  const ids = [...new Set(tasks.map(task => task.task_template_id).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('ghl_task_list')
+    .select('id, task_name, escalation_threshold_hours, escalation_action, escalation_user_id')
+    .in('id', ids);
+
+  if (error) {
+    console.error('Error fetching task escalation settings:', error);
+    throw error;
+  }
+
+  return new Map((data || []).map(row => [String(row.id), row]));
+}
+
+/**
+ * Creates a cached GHL user lookup for one run
+ * @returns {Function} async (userId) => { name, email } or null
+ */
+function createUserLookup() {
+  const users = new Map();
+
+  return async (userId) => {
+    if (!users.has(userId)) {
+      users.set(userId, ghlClient.users.get(userId)
+        .then(user => ({
+          name: user.name || `${user.firstName || ''} ${user.lastName || ''}`.trim() || null,
+          email: user.email || null
+        }))
+        .catch(error => {
+          console.error(`Error fetching GHL user ${userId}:`, error.response?.data || error.message);
+          return null;
+        }));
+    }
+    return users.get(userId);
+  };
+}
+
+/**
+ * Sends an email through the Make.com digest webhook
+ * @param {Object} email - { to, subject, htmlBody, type }
+ * @returns {Promise<Object>} { success, error }
+ */
+async function sendEmail(email) {
+  const webhookUrl = process.env.MAKE_TASK_DIGEST_EMAIL_WEBHOOK;
+  if (!webhookUrl) {
+    console.log('⚠️ MAKE_TASK_DIGEST_EMAIL_WEBHOOK not configured, skipping email');
+    return { success: false, error: 'Webhook not configured' };
+  }
+
+  try {
+    await axios.post(webhookUrl, email, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000
+    });
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Failed to send ${email.type} email to ${email.to}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Claims an assignee's digest for a day before it is sent
+ * @param {string} digestDate - Firm-local date (YYYY-MM-DD)
+ * @param {string} assigneeId - GHL user ID
+ * @returns {Promise<Object>} { claimed, alreadySent, error }
+ */
+async function claimDigestSend(digestDate, assigneeId) {
+  const { error } = await supabase
+    .from('task_digest_sends')
+    .insert({ digest_date: digestDate, assignee_id: assigneeId, status: 'sending' });
+
+  if (!error) {
+    return { claimed: true };
+  }
+
+  // 23505 = unique_violation: sent (or being sent) by an earlier run today
+  if (error.code === '23505') {
+    return { claimed: false, alreadySent: true };
+  }
+
+  console.error(`Error claiming task digest for ${assigneeId}:`, error.message);
+  return { claimed: false, error: error.message };
+}
+
+/**
+ * Marks a claimed digest sent, or drops the claim so the next run retries it
+ * @param {string} digestDate - Firm-local date (YYYY-MM-DD)
+ * @param {string} assigneeId - GHL user ID
+ * @param {boolean} sent - Whether the email went out
+ * @returns {Promise<void>}
+ */
+async function finishDigestSend(digestDate, assigneeId, sent) {
+  const query = sent
+    ? supabase.from('task_digest_sends').update({ status: 'sent', sent_at: new Date().toISOString() })
+    : supabase.from('task_digest_sends').delete();
+
+  const { error } = await query
+    .eq('digest_date', digestDate)
+    .eq('assignee_id', assigneeId);
+
+  if (error) {
+    console.error(`Error recording task digest for ${assigneeId}:`, error.message);
+  }
+}
+
+/**
+ * Records that a task was escalated so it isn't escalated again
+ * @param {Object} task - ghl_tasks row
+ * @param {Object} details - { escalatedTo, action, escalationTaskId }
+ * @returns {Promise<void>}
+ */
+async function markEscalated(task, { escalatedTo, action, escalationTaskId = null }) {
+  const { error } = await supabase
+    .from('ghl_tasks')
+    .update({
+      escalated_at: new Date().toISOString(),
+      escalated_to: escalatedTo,
+      escalation_action: action,
+      escalation_task_id: escalationTaskId
+    })
+    .eq('ghl_task_id', task.ghl_task_id);
+
+  if (error) {
+    console.error(`Error recording escalation of task ${task.ghl_task_id}:`, error.message);
+  }
+}
+
+/**
+ * Creates the supervisor's GHL task for an overdue task
+ * @param {Object} task - ghl_tasks row
+ * @param {string|null} supervisorId - GHL user ID
+ * @param {Date} now - Current time
+ * @returns {Promise<string|null>} Created GHL task ID
+ */
+async function createEscalationTask(task, supervisorId, now) {
+  const dueDate = await calculateBusinessDueDate({ due_date_value: 1, due_date_time_relation: 'next_business_morning' }, now);
+  const data = await ghlClient.tasks.create(task.ghl_contact_id, {
+    title: `Escalation: ${task.task_name}`,
+    body: `"${task.task_name}" assigned to ${task.assignee_name || task.assignee_id || 'nobody'} is ${describeOverdue(task, now)}.`,
+    assignedTo: supervisorId || undefined,
+    dueDate: dueDate.toISOString(),
+    completed: false
+  });
+  return data.task?.id || data.id || null;
+}
+
+/**
+ * Escalates overdue tasks past their template's threshold
+ * @param {Array} tasks - Open ghl_tasks rows
+ * @param {Object} options - { now, calendar, defaults, getUser, dryRun }
+ * @returns {Promise<Object>} { escalated: [...], emailsSent, failures }
+ */
+async function escalateOverdueTasks(tasks, { now, calendar, defaults, getUser, dryRun }) {
+  const templates = await getTemplates(tasks);
+  const escalated = [];
+  const failures = [];
+  const emailBySupervisor = new Map();
+
+  for (const task of tasks) {
+    const policy = getEscalationPolicy(templates.get(String(task.task_template_id)) || null, defaults);
+    if (!isEscalationDue(task, policy, now)) continue;
+
+    const entry = { taskId: task.ghl_task_id, taskName: task.task_name, action: policy.action, escalateTo: policy.escalateTo };
+
+    if (policy.action === 'email_supervisor') {
+      if (!policy.escalateTo) {
+        failures.push({ ...entry, error: 'No supervisor configured' });
+        continue;
+      }
+      if (!emailBySupervisor.has(policy.escalateTo)) emailBySupervisor.set(policy.escalateTo, []);
+      emailBySupervisor.get(policy.escalateTo).push(task);
+      escalated.push(entry);
+      continue;
+    }
+
+    // create_task
+    if (!task.ghl_contact_id) {
+      failures.push({ ...entry, error: 'Task has no contact' });
+      continue;
+    }
+    if (dryRun) {
+      escalated.push(entry);
+      continue;
+    }
+    try {
+      const escalationTaskId = await createEscalationTask(task, policy.escalateTo, now);
+      await markEscalated(task, { escalatedTo: policy.escalateTo, action: policy.action, escalationTaskId });
+      escalated.push({ ...entry, escalationTaskId });
+      console.log(`⏫ Task ${task.ghl_task_id} escalated with GHL task ${escalationTaskId}`);
+    } catch (error) {
+      console.error(`❌ Error creating escalation task for ${task.ghl_task_id}:`, error.response?.data || error.message);
+      failures.push({ ...entry, error: error.message });
+    }
+  }
+
+  let emailsSent = 0;
+  for (const [supervisorId, supervisorTasks] of emailBySupervisor) {
+    if (dryRun) continue;
+
+    const supervisor = await getUser(supervisorId);
+    if (!supervisor?.email) {
+      supervisorTasks.forEach(task => failures.push({ taskId: task.ghl_task_id, escalateTo: supervisorId, error: 'Supervisor has no email' }));
+      continue;
+    }
+
+    const email = renderEscalationEmail(supervisorTasks, { now, timeZone: calendar.timeZone, recipientName: supervisor.name });
+    const result = await sendEmail({ to: supervisor.email, ...email, type: 'task_escalation' });
+    if (!result.success) {
+      supervisorTasks.forEach(task => failures.push({ taskId: task.ghl_task_id, escalateTo: supervisorId, error: result.error }));
+      continue;
+    }
+
+    emailsSent++;
+    for (const task of supervisorTasks) {
+      await markEscalated(task, { escalatedTo: supervisorId, action: 'email_supervisor' });
+    }
+    console.log(`⏫ Escalated ${supervisorTasks.length} task(s) to ${supervisor.email}`);
+  }
+
+  // Tasks whose email couldn't be sent are retried on the next run
+  const failedIds = new Set(failures.map(f => f.taskId));
+  return { escalated: escalated.filter(e => !failedIds.has(e.taskId)), emailsSent, failures };
+}
+
+/**
+ * Sends the daily digests and runs escalations
+ * Digests already sent today (task_digest_sends) are skipped, so a repeat run only
+ * sends the ones that failed; escalations are recorded per task and never repeat.
+ * @param {Object} options - { now, dryRun } (dryRun builds everything but sends and records nothing)
+ * @returns {Promise<Object>} { digests, digestsSent, alreadySent, escalation, failures }
+ */
+async function runTaskDigest({ now = new Date(), dryRun = false } = {}) {
+  const config = getDigestConfig();
+  const calendar = await getBusinessCalendar();
+  const dayEnd = endOfLocalDay(now, calendar.timeZone);
+  const digestDate = toDateKey(getZonedParts(now, calendar.timeZone));
+  const tasks = await getDueTasks(dayEnd);
+  const getUser = createUserLookup();
+
+  const digests = buildDigests(tasks, now, dayEnd);
+  const failures = [];
+  let digestsSent = 0;
+  let alreadySent = 0;
+
+  console.log(`📋 Task digest: ${tasks.length} open task(s) due by ${dayEnd.toISOString()} for ${digests.length} assignee(s)`);
+
+  for (const digest of digests) {
+    if (dryRun) continue;
+
+    const user = await getUser(digest.assigneeId);
+    if (!user?.email) {
+      failures.push({ assigneeId: digest.assigneeId, error: 'Assignee has no email' });
+      continue;
+    }
+
+    const claim = await claimDigestSend(digestDate, digest.assigneeId);
+    if (claim.alreadySent) {
+      alreadySent++;
+      continue;
+    }
+    if (!claim.claimed) {
+      failures.push({ assigneeId: digest.assigneeId, error: claim.error });
+      continue;
+    }
+
+    const email = renderDigestEmail(digest, { now, timeZone: calendar.timeZone, recipientName: user.name });
+    const result = await sendEmail({ to: user.email, ...email, type: 'task_digest' });
+    await finishDigestSend(digestDate, digest.assigneeId, result.success);
+    if (result.success) {
+      digestsSent++;
+    } else {
+      failures.push({ assigneeId: digest.assigneeId, error: result.error });
+    }
+  }
+
+  const overdue = tasks.filter(task => new Date(task.due_date) < now);
+  const escalation = await escalateOverdueTasks(overdue, {
+    now,
+    calendar,
+    defaults: config.escalationDefaults,
+    getUser,
+    dryRun
+  });
+
+  console.log(`✅ Task digest done: ${digestsSent}/${digests.length} digest(s) sent (${alreadySent} already sent today), ${escalation.escalated.length} task(s) escalated`);
+
+  return {
+    dryRun,
+    digests: digests.map(d => ({
+      assigneeId: d.assigneeId,
+      assigneeName: d.assigneeName,
+      overdue: d.overdue.map(t => t.ghl_task_id),
+      dueToday: d.dueToday.map(t => t.ghl_task_id)
+    })),
+    digestsSent,
+    alreadySent,
+    escalation,
+    failures
+  };
+}
+
+/**
+ * Scheduled digest run: sends the digests on business days only
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} runTaskDigest() result, or { skipped, reason } on a closed day
+ */
+async function runScheduledTaskDigest({ now = new Date() } = {}) {
+  const calendar = await getBusinessCalendar();
+
+  if (!isBusinessDay(getZonedParts(now, calendar.timeZone), calendar)) {
+    console.log('📋 Task digest skipped: not a business day');
+    return { skipped: true, reason: 'Not a business day' };
+  }
+
+  return runTaskDigest({ now });
+}
+
+module.exports = {
+  runTaskDigest,
+  runScheduledTaskDigest,
+  getDigestConfig,
+  JOB_TYPE
+};
@@ -0,0 +1,292 @@
+/**
+ * Task Reconciliation Service
+ *
+ * Repairs drift between GHL tasks and the ghl_tasks mirror when a webhook was
+ * missed. GHL's contacts are paged through with the contact search cursor;
+ * each contact's task list is fetched from GHL and compared with the stored
+ * rows. Changed or missing tasks are re-synced and tasks that no longer exist
+ * in GHL are marked deleted. Mirrored contacts the pass didn't see (deleted in
+ * GHL) are checked last, so their tasks are marked deleted too.
+ *
+ * Runs as the 'task-reconciliation' scheduled job (services/scheduledJobs.js),
+ * one full pass per run on TASK_RECONCILIATION_SCHEDULE.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const ghlClient = require('./ghlClient');
+const {
+  syncTaskToSupabase,
+  markTaskDeleted,
+  extractTaskData,
+  diffTask,
+  getAssigneeName
+} = require('./ghlTaskService');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const JOB_TYPE = 'task-reconciliation';
+const DEFAULT_SCHEDULE = '0 */6 * * *'; // Every 6 hours
+const DEFAULT_PAGE_SIZE = 50;
+const ROW_SCAN_LIMIT = 1000;
+// Failures kept in a pass's result (the run history stores it)
+const MAX_REPORTED_FAILURES = 50;
+
+/**
+ * Gets the reconciliation settings from the environment
+ * @returns {Object} { enabled, schedule, pageSize }
+ */
+function getReconciliationConfig() {
+  return {
+    enabled: process.env.TASK_RECONCILIATION_ENABLED !== 'false',
+    schedule: process.env.TASK_RECONCILIATION_SCHEDULE || DEFAULT_SCHEDULE,
+    pageSize: parseInt(process.env.TASK_RECONCILIATION_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE
+  };
+}
+
+/**
+ * Gets the next page of GHL contacts
+ * @param {Object|null} cursor - { startAfterId, startAfter } from the previous page
+ * @param {number} pageSize - Contacts per page
+ * @returns {Promise<Object>} { contactIds, cursor, hasMore }
+ */
+async function getContactPage(cursor, pageSize) {
+  const locationId = process.env.GHL_LOCATION_ID;
+  if (!locationId) {
+    throw new Error('GHL_LOCATION_ID not configured in environment variables');
+  }
+
+  const params = { locationId, limit: pageSize, ...(cursor || {}) };
+  const data = await ghlClient.contacts.search(params);
+  const contactIds = (data.contacts || []).map(contact => contact.id).filter(Boolean);
+  const next = contactIds.length > 0 ? ghlClient.getNextPageParams(data, {}) : null;
+
+  return {
+    contactIds,
+    cursor: next,
+    // A cursor that doesn't move would page forever
+    hasMore: Boolean(next) && JSON.stringify(next) !== JSON.stringify(cursor)
+  };
+}
+
+/**
+ * Gets every contact with live rows in the mirror
+ * @returns {Promise<Set>} GHL contact IDs
+ */
+async function getMirroredContactIds() {
+  const contactIds = new Set();
+  let afterContactId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('ghl_tasks')
+      .select('ghl_contact_id')
+      .not('ghl_contact_id', 'is', null)
+      .is('deleted_at', null)
+      .order('ghl_contact_id', { ascending: true })
+      .limit(ROW_SCAN_LIMIT);
+
+    if (afterContactId) {
+      query = query.gt('ghl_contact_id', afterContactId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching mirrored contacts for task reconciliation:', error);
+      throw error;
+    }
+
+    const rows = data || [];
+    rows.forEach(row => contactIds.add(row.ghl_contact_id));
+
+    if (rows.length < ROW_SCAN_LIMIT) {
+      return contactIds;
+    }
+    afterContactId = rows[rows.length - 1].ghl_contact_id;
+  }
+}
+
+/**
+ * Compares one contact's GHL tasks with the mirror and repairs the differences
+ * @param {string} contactId - GHL contact ID
+ * @returns {Promise<Object>} { contactId, checked, created, updated, deleted, errors }
+ */
+async function reconcileContactTasks(contactId) {
+  const summary = { contactId, checked: 0, created: 0, updated: 0, deleted: 0, errors: [] };
+
+  const { data: rows, error } = await supabase
+    .from('ghl_tasks')
+    .select('*')
+    .eq('ghl_contact_id', contactId);
+
+  if (error) {
+    throw error;
+  }
+
+  let ghlTasks;
+  try {
+    const data = await ghlClient.tasks.list(contactId);
+    ghlTasks = data.tasks || [];
+  } catch (fetchError) {
+    // A deleted contact takes its tasks with it
+    if (fetchError.response?.status !== 404) {
+      throw fetchError;
+    }
+    console.log(`Contact ${contactId} no longer exists in GHL`);
+    ghlTasks = [];
+  }
+
+  const stored = new Map((rows || []).map(row => [row.ghl_task_id, row]));
+
+  for (const task of ghlTasks) {
+    summary.checked++;
+    const taskData = extractTaskData({ ...task, contactId: task.contactId || contactId });
+    taskData.completed = taskData.completed === true;
+    const existing = stored.get(taskData.ghl_task_id);
+    stored.delete(taskData.ghl_task_id);
+
+    const changes = diffTask(existing, taskData);
+    if (existing && existing.status !== 'deleted' && changes.length === 0) {
+      continue;
+    }
+
+    try {
+      if (changes.includes('assignee_id')) {
+        taskData.assignee_name = await getAssigneeName(taskData.assignee_id);
+      }
+      await syncTaskToSupabase(taskData);
+      if (existing) {
+        summary.updated++;
+        console.log(`🔧 Task ${taskData.ghl_task_id} repaired (${changes.join(', ') || 'restored'})`);
+      } else {
+        summary.created++;
+        console.log(`🔧 Task ${taskData.ghl_task_id} was missing, added`);
+      }
+    } catch (syncError) {
+      summary.errors.push({ taskId: taskData.ghl_task_id, error: syncError.message });
+    }
+  }
+
+  // Whatever is left is no longer in GHL
+  for (const row of stored.values()) {
+    if (row.status === 'deleted') continue;
+    try {
+      await markTaskDeleted(row.ghl_task_id);
+      summary.deleted++;
+      console.log(`🔧 Task ${row.ghl_task_id} no longer in GHL, marked deleted`);
+    } catch (deleteError) {
+      summary.errors.push({ taskId: row.ghl_task_id, error: deleteError.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Reconciles a list of contacts
+ * A contact that fails is reported and doesn't stop the rest.
+ * @param {Array<string>} contactIds - GHL contact IDs
+ * @returns {Promise<Object>} { totals, failures }
+ */
+async function reconcileContacts(contactIds) {
+  const totals = { checked: 0, created: 0, updated: 0, deleted: 0, errors: 0 };
+  const failures = [];
+
+  for (const contactId of contactIds) {
+    try {
+      const summary = await reconcileContactTasks(contactId);
+      totals.checked += summary.checked;
+      totals.created += summary.created;
+      totals.updated += summary.updated;
+      totals.deleted += summary.deleted;
+      totals.errors += summary.errors.length;
+      failures.push(...summary.errors.map(e => ({ contactId, ...e })));
+    } catch (error) {
+      console.error(`❌ Error reconciling tasks for contact ${contactId}:`, error.response?.data || error.message);
+      totals.errors++;
+      failures.push({ contactId, error: error.message });
+    }
+  }
+
+  return { totals, failures };
+}
+
+/**
+ * Reconciles one page of GHL contacts
+ * @param {Object} options - { cursor, pageSize }
+ * @returns {Promise<Object>} { contactIds, cursor, hasMore, totals, failures }
+ */
+async function reconcileTaskPage({ cursor = null, pageSize = getReconciliationConfig().pageSize } = {}) {
+  const page = await getContactPage(cursor, pageSize);
+  const { totals, failures } = await reconcileContacts(page.contactIds);
+
+  return {
+    contactIds: page.contactIds,
+    cursor: page.cursor,
+    hasMore: page.hasMore,
+    totals,
+    failures
+  };
+}
+
+/**
+ * Reconciles every GHL contact, then the mirrored contacts GHL no longer has
+ * @returns {Promise<Object>} { success, startedAt, totals, failures }
+ */
+async function runTaskReconciliation() {
+  const startedAt = new Date().toISOString();
+  const totals = { contacts: 0, checked: 0, created: 0, updated: 0, deleted: 0, errors: 0 };
+  const failures = [];
+  const seen = new Set();
+
+  const add = (contacts, result) => {
+    totals.contacts += contacts;
+    for (const [key, value] of Object.entries(result.totals)) {
+      totals[key] += value;
+    }
+    failures.push(...result.failures);
+  };
+
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await reconcileTaskPage({ cursor });
+    page.contactIds.forEach(contactId => seen.add(contactId));
+    add(page.contactIds.length, page);
+
+    console.log(`🔄 Task reconciliation page: ${page.contactIds.length} contacts, ${page.totals.created} added, ${page.totals.updated} repaired, ${page.totals.deleted} deleted, ${page.totals.errors} errors`);
+
+    cursor = page.cursor;
+    hasMore = page.hasMore;
+  }
+
+  // Contacts deleted in GHL aren't in the search, but their tasks are still mirrored
+  const missing = [...await getMirroredContactIds()].filter(contactId => !seen.has(contactId));
+  if (missing.length > 0) {
+    const result = await reconcileContacts(missing);
+    add(missing.length, result);
+    console.log(`🔄 Task reconciliation: ${missing.length} mirrored contact(s) not in GHL, ${result.totals.deleted} task(s) marked deleted`);
+  }
+
+  console.log(`✅ Task reconciliation pass started ${startedAt} finished:`, JSON.stringify(totals));
+
+  return {
+    success: true,
+    startedAt,
+    totals,
+    failures: failures.slice(0, MAX_REPORTED_FAILURES)
+  };
+}
+
+module.exports = {
+  reconcileContactTasks,
+  reconcileTaskPage,
+  runTaskReconciliation,
+  getReconciliationConfig,
+  JOB_TYPE
+};
@@ -0,0 +1,311 @@
+/**
+ * Task Routing Service
+ *
+ * Picks the assignee for each stage task. A ghl_task_list template's
+ * routing_strategy decides who gets it:
+ *
+ *   fixed              - the template's assignee_id (default)
+ *   opportunity_owner  - the opportunity's assigned user, else assignee_id
+ *   round_robin        - next member of routing_team, in turn
+ *   least_open_tasks   - routing_team member with the fewest open tasks in ghl_tasks
+ *
+ * Users with a current user_out_of_office entry are skipped: their cover user
+ * takes the task, or another routing_team member if no cover is set. Every
+ * decision is stored in task_routing_decisions with the reason and candidates.
+ *
+ * A team pick only advances the round-robin once the task exists: the caller
+ * passes the decision to confirmAssignment() after creating the GHL task, so a
+ * failed create doesn't skip that member's turn.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const STRATEGIES = ['fixed', 'opportunity_owner', 'round_robin', 'least_open_tasks'];
+
+/**
+ * Gets out-of-office entries that cover the current time
+ * @param {Array<string>} userIds - GHL user IDs
+ * @returns {Promise<Map>} User ID -> { cover_user_id, ends_at, reason }
+ */
+async function getOutOfOffice(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('user_out_of_office')
+    .select('*')
+    .in('user_id', ids)
+    .lte('starts_at', now)
+    .gt('ends_at', now);
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map((data || []).map(row => [row.user_id, row]));
+}
+
+/**
+ * Gets a team's active members in round-robin order (least recently assigned first)
+ * @param {string} teamName - Team name
+ * @returns {Promise<Array>} task_routing_team_members rows
+ */
+async function getTeamMembers(teamName) {
+  const { data, error } = await supabase
+    .from('task_routing_team_members')
+    .select('*')
+    .eq('team_name', teamName)
+    .eq('active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).sort((a, b) => {
+    const lastA = a.last_assigned_at ? new Date(a.last_assigned_at).getTime() : 0;
+    const lastB = b.last_assigned_at ? new Date(b.last_assigned_at).getTime() : 0;
+    return lastA - lastB || (a.position || 0) - (b.position || 0);
+  });
+}
+
+/**
+ * Counts open tasks (not completed or deleted) per user in the synced ghl_tasks table
+ * @param {Array<string>} userIds - GHL user IDs
+ * @returns {Promise<Map>} User ID -> open task count
+ */
+async function countOpenTasks(userIds) {
+  const counts = new Map(userIds.map(id => [id, 0]));
+
+  const { data, error } = await supabase
+    .from('ghl_tasks')
+    .select('assignee_id')
+    .in('assignee_id', userIds)
+    .eq('status', 'open');
+
+  if (error) {
+    throw error;
+  }
+
+  for (const row of data || []) {
+    counts.set(row.assignee_id, (counts.get(row.assignee_id) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Records that a team member was just given a task (advances the round-robin)
+ * @param {Object} member - task_routing_team_members row
+ * @returns {Promise<void>}
+ */
+async function markAssigned(member) {
+  const { error } = await supabase
+    .from('task_routing_team_members')
+    .update({ last_assigned_at: new Date().toISOString() })
+    .eq('id', member.id);
+
+  if (error) {
+    console.error(`Error updating round-robin position for ${member.user_id}:`, error.message);
+  }
+}
+
+/**
+ * Picks an available member of a team
+ * @param {string} teamName - Team name
+ * @param {string} mode - 'round_robin' or 'least_open_tasks'
+ * @returns {Promise<Object|null>} { assigneeId, member, reason, candidates } or null if nobody is available
+ */
+async function pickFromTeam(teamName, mode) {
+  const members = await getTeamMembers(teamName);
+  const outOfOffice = await getOutOfOffice(members.map(m => m.user_id));
+  const available = members.filter(m => !outOfOffice.has(m.user_id));
+
+  const candidates = members.map(m => ({
+    userId: m.user_id,
+    userName: m.user_name || null,
+    lastAssignedAt: m.last_assigned_at || null,
+    outOfOffice: outOfOffice.has(m.user_id)
+  }));
+
+  if (available.length === 0) {
+    return null;
+  }
+
+  let chosen = available[0];
+  let reason = `round robin in team ${teamName}: least recently assigned`;
+
+  if (mode === 'least_open_tasks') {
+    const counts = await countOpenTasks(available.map(m => m.user_id));
+    candidates.forEach(c => { c.openTasks = counts.get(c.userId) ?? null; });
+    // available is in round-robin order, so ties go to whoever waited longest
+    chosen = available.reduce((best, m) => (counts.get(m.user_id) < counts.get(best.user_id) ? m : best));
+    reason = `fewest open tasks in team ${teamName} (${counts.get(chosen.user_id)})`;
+  }
+
+  const skipped = candidates.filter(c => c.outOfOffice).map(c => c.userName || c.userId);
+  if (skipped.length > 0) {
+    reason += `; skipped out of office: ${skipped.join(', ')}`;
+  }
+
+  return { assigneeId: chosen.user_id, member: chosen, reason, candidates };
+}
+
+/**
+ * Chooses the assignee for a stage task
+ * Never throws - on a routing error the template's assignee_id is used.
+ * @param {Object} task - ghl_task_list row
+ * @param {Object} context - { opportunity } (opportunity needed for opportunity_owner)
+ * @returns {Promise<Object>} { strategy, team, assigneeId, member, reason, candidates }
+ *   (member is the team member picked, if any - see confirmAssignment())
+ */
+async function routeTask(task, context = {}) {
+  const strategy = task.routing_strategy || 'fixed';
+  const team = task.routing_team || null;
+  const decision = { strategy, team, assigneeId: task.assignee_id || null, member: null, reason: 'fixed assignee', candidates: [] };
+
+  try {
+    if (!STRATEGIES.includes(strategy)) {
+      decision.reason = `unknown routing strategy "${strategy}", using fixed assignee`;
+      console.error(`❌ Task ${task.task_number} (${task.task_name}): ${decision.reason}`);
+      return decision;
+    }
+
+    if (strategy === 'round_robin' || strategy === 'least_open_tasks') {
+      if (!team) {
+        decision.reason = `${strategy} without routing_team, using fixed assignee`;
+        return decision;
+      }
+      const picked = await pickFromTeam(team, strategy);
+      if (picked) {
+        return { ...decision, ...picked };
+      }
+      decision.reason = `no available members in team ${team}, using fixed assignee`;
+      return decision;
+    }
+
+    if (strategy === 'opportunity_owner') {
+      const ownerId = context.opportunity?.assignedTo;
+      decision.assigneeId = ownerId || task.assignee_id || null;
+      decision.reason = ownerId ? 'opportunity owner' : 'opportunity has no owner, using fixed assignee';
+    }
+
+    // fixed / opportunity_owner: hand over if the person is out of office
+    const outOfOffice = (await getOutOfOffice([decision.assigneeId])).get(decision.assigneeId);
+    if (outOfOffice) {
+      const away = `${decision.assigneeId} out of office until ${outOfOffice.ends_at}`;
+      decision.candidates = [{ userId: decision.assigneeId, outOfOffice: true }];
+
+      if (outOfOffice.cover_user_id) {
+        decision.assigneeId = outOfOffice.cover_user_id;
+        decision.reason = `${decision.reason}; ${away}, covered by ${outOfOffice.cover_user_id}`;
+      } else if (team) {
+        const picked = await pickFromTeam(team, 'least_open_tasks');
+        if (picked) {
+          decision.assigneeId = picked.assigneeId;
+          decision.member = picked.member;
+          decision.reason = `${decision.reason}; ${away}, reassigned by ${picked.reason}`;
+          decision.candidates = decision.candidates.concat(picked.candidates);
+        } else {
+          decision.reason = `${decision.reason}; ${away}, no cover available`;
+        }
+      } else {
+        decision.reason = `${decision.reason}; ${away}, no cover configured`;
+      }
+    }
+
+    return decision;
+  } catch (error) {
+    console.error(`❌ Error routing task ${task.task_number} (${task.task_name}):`, error.message);
+    return { ...decision, assigneeId: task.assignee_id || null, member: null, reason: `routing failed (${error.message}), using fixed assignee` };
+  }
+}
+
+/**
+ * Advances the round-robin for a decision's team member once their task was created
+ * @param {Object} decision - Result of routeTask()
+ * @returns {Promise<void>}
+ */
+async function confirmAssignment(decision) {
+  if (decision.member) {
+    await markAssigned(decision.member);
+  }
+}
+
+/**
+ * Stores a routing decision
+ * Never throws - the task has already been created.
+ * @param {Object} decision - Result of routeTask()
+ * @param {Object} details - { task, opportunityId, contactId, stageName, ghlTaskId }
+ * @returns {Promise<Object>} { success, error }
+ */
+async function recordRoutingDecision(decision, { task, opportunityId, contactId, stageName, ghlTaskId = null }) {
+  try {
+    const { error } = await supabase
+      .from('task_routing_decisions')
+      .insert({
+        task_template_id: task.id ?? null,
+        task_name: task.task_name,
+        opportunity_id: opportunityId || null,
+        contact_id: contactId || null,
+        stage_name: stageName || null,
+        ghl_task_id: ghlTaskId,
+        strategy: decision.strategy,
+        team_name: decision.team,
+        assignee_id: decision.assigneeId,
+        reason: decision.reason,
+        candidates: decision.candidates
+      });
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error recording task routing decision:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Lists routing decisions, newest first
+ * @param {Object} filters - { opportunityId, assigneeId, limit }
+ * @returns {Promise<Array>} task_routing_decisions rows
+ */
+async function getRoutingDecisions({ opportunityId = null, assigneeId = null, limit = 50 } = {}) {
+  let query = supabase
+    .from('task_routing_decisions')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit, 10) || 50, 500));
+
+  if (opportunityId) {
+    query = query.eq('opportunity_id', opportunityId);
+  }
+  if (assigneeId) {
+    query = query.eq('assignee_id', assigneeId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching task routing decisions:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  routeTask,
+  confirmAssignment,
+  recordRoutingDecision,
+  getRoutingDecisions,
+  STRATEGIES
+};
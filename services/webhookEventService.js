@@ -0,0 +1,296 @@
+/**
+ * Webhook Event Service
+ *
+ * Data access for the webhook_events ledger.
+ * Every inbound webhook is stored with a derived idempotency key, its processing
+ * status and the response we returned, so resent deliveries can be short-circuited.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// Headers that should never be persisted
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-admin-key', 'x-internal-request-token'];
+
+/**
+ * Builds a stable hash of a payload (used when a route has no natural event ID)
+ * @param {Object} payload - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashPayload(payload) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(payload || {}))
+    .digest('hex');
+}
+
+/**
+ * Removes sensitive headers before storing
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers safe to persist
+ */
+function sanitizeHeaders(headers = {}) {
+  const sanitized = {};
+  for (const [key, value] of Object.entries(headers)) {
+    sanitized[key] = REDACTED_HEADERS.includes(key.toLowerCase()) ? '[REDACTED]' : value;
+  }
+  return sanitized;
+}
+
+/**
+ * Gets a webhook event by idempotency key
+ * @param {string} idempotencyKey - The idempotency key
+ * @returns {Promise<Object|null>} Event row or null
+ */
+async function getWebhookEventByKey(idempotencyKey) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('idempotency_key', idempotencyKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Records an inbound webhook in the ledger.
+ * Relies on the unique idempotency_key constraint: if the insert conflicts,
+ * the existing event is returned with isDuplicate = true.
+ * @param {Object} eventData - { source, eventType, route, idempotencyKey, payload, headers }
+ * @returns {Promise<Object>} { event, isDuplicate }
+ */
+async function recordWebhookEvent(eventData) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert({
+      source: eventData.source,
+      event_type: eventData.eventType,
+      route: eventData.route,
+      idempotency_key: eventData.idempotencyKey,
+      payload: eventData.payload || {},
+      headers: sanitizeHeaders(eventData.headers),
+      status: 'processing',
+      attempts: 1,
+      received_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { event: data, isDuplicate: false };
+  }
+
+  // 23505 = unique_violation
+  if (error.code === '23505') {
+    const existing = await getWebhookEventByKey(eventData.idempotencyKey);
+    return { event: existing, isDuplicate: true };
+  }
+
+  throw error;
+}
+
+/**
+ * Increments the suppressed-duplicate counter on an event
+ * @param {Object} event - Existing event row
+ */
+async function recordDuplicateDelivery(event) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      duplicate_count: (event.duplicate_count || 0) + 1,
+      last_duplicate_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (error) {
+    console.error('Error recording duplicate delivery:', error);
+  }
+}
+
+/**
+ * Resets an existing event so it can be processed again
+ * (previous attempt failed, or the dedupe window has passed)
+ * @param {Object} event - Existing event row
+ * @param {Object} eventData - { payload, headers } (headers are kept when omitted)
+ * @returns {Promise<Object>} Updated event row
+ */
+async function restartWebhookEvent(event, eventData) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      payload: eventData.payload || event.payload,
+      headers: eventData.headers ? sanitizeHeaders(eventData.headers) : event.headers,
+      status: 'processing',
+      attempts: (event.attempts || 1) + 1,
+      response_status: null,
+      response_body: null,
+      received_at: new Date().toISOString(),
+      processed_at: null
+    })
+    .eq('id', event.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Stores the outcome of processing a webhook event
+ * @param {string} eventId - Event UUID
+ * @param {Object} outcome - { status, responseStatus, responseBody, error }
+ */
+async function completeWebhookEvent(eventId, outcome) {
+  const now = new Date().toISOString();
+  const updates = {
+    status: outcome.status,
+    response_status: outcome.responseStatus,
+    response_body: outcome.responseBody === undefined ? null : outcome.responseBody,
+    processed_at: now
+  };
+
+  if (outcome.status === 'failed') {
+    updates.error_message = outcome.error?.message ||
+      outcome.responseBody?.error ||
+      outcome.responseBody?.message ||
+      `HTTP ${outcome.responseStatus}`;
+    updates.error_stack = outcome.error?.stack || null;
+    updates.failed_at = now;
+  } else {
+    updates.error_message = null;
+    updates.error_stack = null;
+  }
+
+  const { error } = await supabase
+    .from('webhook_events')
+    .update(updates)
+    .eq('id', eventId);
+
+  if (error) {
+    console.error(`Error updating webhook event ${eventId}:`, error);
+  }
+}
+
+/**
+ * Gets a webhook event by ID
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object|null>} Event row or null
+ */
+async function getWebhookEventById(eventId) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Lists webhook events (defaults to the dead-letter queue: failed events)
+ * @param {Object} filters - { status, source, eventType, limit }
+ * @returns {Promise<Array>} Event rows without payload/headers
+ */
+async function listWebhookEvents(filters = {}) {
+  const { status = 'failed', source, eventType, limit = 50 } = filters;
+
+  let query = supabase
+    .from('webhook_events')
+    .select('id, source, event_type, route, idempotency_key, status, attempts, response_status, error_message, duplicate_count, replay_count, received_at, failed_at, processed_at, last_replayed_at')
+    .order('received_at', { ascending: false })
+    .limit(Math.min(parseInt(limit, 10) || 50, 500));
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (source) {
+    query = query.eq('source', source);
+  }
+  if (eventType) {
+    query = query.eq('event_type', eventType);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Records that an admin replay was started for an event
+ * @param {Object} event - Event row
+ */
+async function markEventReplayed(event) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      replay_count: (event.replay_count || 0) + 1,
+      last_replayed_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (error) {
+    console.error(`Error marking webhook event ${event.id} as replayed:`, error);
+  }
+}
+
+/**
+ * Records a webhook that was rejected before processing (e.g. invalid signature).
+ * Each rejection gets its own row so repeated forgeries are all visible.
+ * @param {Object} eventData - { source, eventType, route, payload, headers, reason }
+ */
+async function recordRejectedWebhook(eventData) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .insert({
+      source: eventData.source,
+      event_type: eventData.eventType,
+      route: eventData.route,
+      idempotency_key: `${eventData.source}:rejected:${crypto.randomUUID()}`,
+      payload: eventData.payload || {},
+      headers: sanitizeHeaders(eventData.headers),
+      status: 'rejected',
+      response_status: eventData.responseStatus || 401,
+      error_message: eventData.reason,
+      received_at: new Date().toISOString(),
+      processed_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Error recording rejected webhook:', error);
+  }
+}
+
+module.exports = {
+  hashPayload,
+  sanitizeHeaders,
+  getWebhookEventByKey,
+  recordWebhookEvent,
+  recordDuplicateDelivery,
+  restartWebhookEvent,
+  completeWebhookEvent,
+  getWebhookEventById,
+  listWebhookEvents,
+  markEventReplayed,
+  recordRejectedWebhook
+};
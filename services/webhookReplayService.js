@@ -0,0 +1,164 @@
+/**
+ * Webhook Replay Service
+ *
+ * Replays stored webhook events (usually from the dead-letter queue) through the
+ * same route handlers by re-posting the stored payload to this server, the same
+ * way custom-object-created forwards update/delete events internally.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  getWebhookEventById,
+  listWebhookEvents,
+  markEventReplayed
+} = require('./webhookEventService');
+
+// Per-process token that marks a request as coming from this server
+// (admin replays and internal forwards). Internal requests bypass signature
+// checks - the original delivery was already verified.
+const INTERNAL_REQUEST_TOKEN = crypto.randomBytes(32).toString('hex');
+const INTERNAL_TOKEN_HEADER = 'x-internal-request-token';
+const REPLAY_ID_HEADER = 'x-webhook-replay-id';
+
+const DEFAULT_BATCH_LIMIT = 25;
+
+/**
+ * Checks whether a request was sent by this process (replay or internal forward)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request carries the internal token
+ */
+function isInternalRequest(req) {
+  const token = req.headers[INTERNAL_TOKEN_HEADER];
+  if (!token || token.length !== INTERNAL_REQUEST_TOKEN.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(INTERNAL_REQUEST_TOKEN));
+}
+
+/**
+ * Headers for requests this server sends to its own webhook routes
+ * @returns {Object} Headers including the internal request token
+ */
+function getInternalRequestHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    [INTERNAL_TOKEN_HEADER]: INTERNAL_REQUEST_TOKEN
+  };
+}
+
+/**
+ * Replays a single webhook event
+ * @param {string} eventId - Event UUID
+ * @param {Object} options - { dryRun, force }
+ * @returns {Promise<Object>} Replay result
+ */
+async function replayWebhookEvent(eventId, options = {}) {
+  const { dryRun = false, force = false } = options;
+  const event = await getWebhookEventById(eventId);
+
+  if (!event) {
+    return { eventId, success: false, replayed: false, reason: 'Event not found' };
+  }
+
+  if (event.status === 'processing') {
+    return { eventId, success: false, replayed: false, reason: 'Event is currently processing' };
+  }
+
+  if (event.status !== 'failed' && !force) {
+    return {
+      eventId,
+      success: false,
+      replayed: false,
+      reason: `Event status is '${event.status}' - pass force: true to replay a non-failed event`
+    };
+  }
+
+  if (!event.route) {
+    return { eventId, success: false, replayed: false, reason: 'Event has no route recorded' };
+  }
+
+  if (dryRun) {
+    console.log(`🧪 [DRY RUN] Would replay webhook event ${eventId} to ${event.route}`);
+    return {
+      eventId,
+      success: true,
+      replayed: false,
+      dryRun: true,
+      route: event.route,
+      idempotencyKey: event.idempotency_key,
+      previousStatus: event.status,
+      attempts: event.attempts,
+      payload: event.payload
+    };
+  }
+
+  console.log(`🔁 Replaying webhook event ${eventId} to ${event.route}`);
+  await markEventReplayed(event);
+
+  const response = await axios.post(
+    'http://localhost:' + (process.env.PORT || 3000) + event.route,
+    event.payload,
+    {
+      headers: {
+        ...getInternalRequestHeaders(),
+        [REPLAY_ID_HEADER]: event.id
+      },
+      validateStatus: () => true // Report handler failures instead of throwing
+    }
+  );
+
+  console.log(`🔁 Replay of ${eventId} finished with status ${response.status}`);
+
+  return {
+    eventId,
+    success: response.status < 500,
+    replayed: true,
+    route: event.route,
+    previousStatus: event.status,
+    responseStatus: response.status,
+    response: response.data
+  };
+}
+
+/**
+ * Replays a batch of webhook events, one at a time
+ * @param {Object} options - { eventIds, source, eventType, limit, dryRun, force }
+ *   When eventIds is omitted, failed events matching source/eventType are replayed.
+ * @returns {Promise<Object>} Batch summary with per-event results
+ */
+async function replayWebhookEvents(options = {}) {
+  const { eventIds, source, eventType, limit = DEFAULT_BATCH_LIMIT, dryRun = false, force = false } = options;
+
+  let ids = eventIds;
+  if (!ids || ids.length === 0) {
+    const failedEvents = await listWebhookEvents({ status: 'failed', source, eventType, limit });
+    ids = failedEvents.map(event => event.id);
+  }
+
+  const results = [];
+  for (const id of ids) {
+    try {
+      results.push(await replayWebhookEvent(id, { dryRun, force }));
+    } catch (error) {
+      console.error(`Error replaying webhook event ${id}:`, error.message);
+      results.push({ eventId: id, success: false, replayed: false, reason: error.message });
+    }
+  }
+
+  return {
+    dryRun: dryRun,
+    total: results.length,
+    succeeded: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    results: results
+  };
+}
+
+module.exports = {
+  isInternalRequest,
+  getInternalRequestHeaders,
+  replayWebhookEvent,
+  replayWebhookEvents,
+  REPLAY_ID_HEADER
+};
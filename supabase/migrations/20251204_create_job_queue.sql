@@ -0,0 +1,55 @@
+-- Migration: Create durable job queue
+-- Created: 2025-12-04
+-- Purpose: Replace in-request sleep/retry loops with background jobs that survive restarts
+
+CREATE TABLE IF NOT EXISTS public.job_queue (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_type TEXT NOT NULL,
+  payload JSONB DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, running, completed, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for the worker poll and for lookups by type
+CREATE INDEX IF NOT EXISTS idx_job_queue_status_run_at ON public.job_queue(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_job_queue_job_type ON public.job_queue(job_type);
+CREATE INDEX IF NOT EXISTS idx_job_queue_locked_at ON public.job_queue(locked_at) WHERE status = 'running';
+
+-- Enable RLS
+ALTER TABLE public.job_queue ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on job_queue" ON public.job_queue
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_job_queue_updated_at
+    BEFORE UPDATE ON public.job_queue
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.job_queue IS 'Durable background jobs processed by the in-process worker (see services/jobQueueService.js)';
+COMMENT ON COLUMN public.job_queue.job_type IS 'Handler name registered with registerJobHandler()';
+COMMENT ON COLUMN public.job_queue.status IS 'pending, running, completed, or failed';
+COMMENT ON COLUMN public.job_queue.attempts IS 'Number of times a worker has picked up this job';
+COMMENT ON COLUMN public.job_queue.run_at IS 'Earliest time the job may run (used for delays, re-checks and backoff)';
+COMMENT ON COLUMN public.job_queue.locked_by IS 'Worker ID that currently holds the job';
+COMMENT ON COLUMN public.job_queue.result IS 'Handler return value for completed jobs';
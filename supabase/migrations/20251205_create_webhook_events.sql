@@ -0,0 +1,57 @@
+-- Migration: Create webhook event ledger
+-- Created: 2025-12-05
+-- Purpose: Store every inbound webhook with an idempotency key so resent deliveries
+--          from GHL/Confido return the stored result instead of being reprocessed
+
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  source TEXT NOT NULL, -- ghl, confido, jotform
+  event_type TEXT NOT NULL, -- e.g. payment-received, task-completed
+  route TEXT,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  payload JSONB,
+  headers JSONB,
+  status TEXT NOT NULL DEFAULT 'processing', -- processing, processed, failed
+  response_status INTEGER,
+  response_body JSONB,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  last_duplicate_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for lookups and ledger browsing
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON public.webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_source_type ON public.webhook_events(source, event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON public.webhook_events(received_at DESC);
+
+-- Enable RLS
+ALTER TABLE public.webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on webhook_events" ON public.webhook_events
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_webhook_events_updated_at
+    BEFORE UPDATE ON public.webhook_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.webhook_events IS 'Ledger of inbound webhooks used for duplicate suppression (see middleware/webhookIdempotency.js)';
+COMMENT ON COLUMN public.webhook_events.idempotency_key IS 'Derived key, e.g. confido:payment-received:<paymentId> or ghl:task-completed:<taskId>';
+COMMENT ON COLUMN public.webhook_events.status IS 'processing, processed, or failed';
+COMMENT ON COLUMN public.webhook_events.response_status IS 'HTTP status returned for the original delivery';
+COMMENT ON COLUMN public.webhook_events.response_body IS 'JSON body returned for the original delivery (replayed to duplicates)';
+COMMENT ON COLUMN public.webhook_events.duplicate_count IS 'Number of duplicate deliveries suppressed';
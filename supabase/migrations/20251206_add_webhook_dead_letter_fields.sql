@@ -0,0 +1,23 @@
+-- Migration: Dead-letter fields for webhook_events
+-- Created: 2025-12-06
+-- Purpose: Persist failed webhook deliveries with error details so they can be
+--          inspected and replayed from the admin endpoints
+
+ALTER TABLE public.webhook_events
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS error_message TEXT,
+  ADD COLUMN IF NOT EXISTS error_stack TEXT,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS replay_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMPTZ;
+
+-- Index for the dead-letter listing
+CREATE INDEX IF NOT EXISTS idx_webhook_events_failed ON public.webhook_events(failed_at DESC) WHERE status = 'failed';
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.webhook_events.attempts IS 'Number of times this event has been processed (original delivery, redeliveries and replays)';
+COMMENT ON COLUMN public.webhook_events.error_message IS 'Error message from the last failed attempt';
+COMMENT ON COLUMN public.webhook_events.error_stack IS 'Stack trace from the last failed attempt';
+COMMENT ON COLUMN public.webhook_events.failed_at IS 'When the last attempt failed';
+COMMENT ON COLUMN public.webhook_events.replay_count IS 'Number of admin replays';
+COMMENT ON COLUMN public.webhook_events.last_replayed_at IS 'When the event was last replayed from the admin endpoint';
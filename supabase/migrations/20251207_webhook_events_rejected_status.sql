@@ -0,0 +1,7 @@
+-- Migration: Track rejected webhooks in webhook_events
+-- Created: 2025-12-07
+-- Purpose: Requests that fail signature verification are stored with status 'rejected'
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_rejected ON public.webhook_events(received_at DESC) WHERE status = 'rejected';
+
+COMMENT ON COLUMN public.webhook_events.status IS 'processing, processed, failed (dead-letter queue), or rejected (failed signature verification)';
@@ -0,0 +1,60 @@
+-- Migration: Create pipeline/stage registry
+-- Created: 2025-12-08
+-- Purpose: Map logical stage names (pending_contact, engaged, ...) to GHL pipeline and
+--          stage IDs so routes don't hard-code IDs (see services/pipelineRegistryService.js)
+
+CREATE TABLE IF NOT EXISTS public.pipeline_stage_registry (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  logical_name TEXT NOT NULL UNIQUE,
+  pipeline_id TEXT,
+  pipeline_name TEXT,
+  stage_id TEXT NOT NULL,
+  stage_name TEXT,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  last_validated_at TIMESTAMPTZ,
+  validation_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_stage_registry_stage_id ON public.pipeline_stage_registry(stage_id);
+
+-- Enable RLS
+ALTER TABLE public.pipeline_stage_registry ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on pipeline_stage_registry" ON public.pipeline_stage_registry
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_pipeline_stage_registry_updated_at
+    BEFORE UPDATE ON public.pipeline_stage_registry
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed with the IDs previously hard-coded in server.js and appointmentService.js.
+-- Missing pipeline/stage names are filled in by POST /admin/pipeline-registry/refresh.
+INSERT INTO public.pipeline_stage_registry (logical_name, pipeline_id, stage_id, stage_name, description) VALUES
+  ('pending_contact', 'LFxLIUP3LCVES60i9iwN', 'f0241e66-85b6-477e-9754-393aeedaef20', 'Pending Contact', 'New Jotform intake contacts'),
+  ('pending_iv', 'LFxLIUP3LCVES60i9iwN', '624feffa-eab0-4aeb-b186-ee921e5e6eb7', 'Pending I/V', 'Intake survey submitted but no meeting booked'),
+  ('intake_survey_pending', '6cYEonzedT5vf2Lt8rcl', '042cb50b-6ef1-448e-9f64-a7455e1395b5', NULL, 'Stage watched after an intake survey; opportunities still here move to pending_iv'),
+  ('scheduled_discovery_call', 'LFxLIUP3LCVES60i9iwN', '12d9abab-c81b-4215-8b2a-020bc3fff912', 'Scheduled Discovery Call', 'Discovery call booked'),
+  ('scheduled_iv', 'LFxLIUP3LCVES60i9iwN', '1648da87-eab3-491f-a51b-8d1646137550', 'Scheduled I/V', 'Initial/vision/doc review/trust admin meeting booked'),
+  ('engaged', NULL, '26243231-7b09-48dd-a8a1-18489bab69e3', 'Engaged', 'Confido payment received')
+ON CONFLICT (logical_name) DO NOTHING;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.pipeline_stage_registry IS 'Logical stage names mapped to GHL pipeline/stage IDs (cached in memory by pipelineRegistryService)';
+COMMENT ON COLUMN public.pipeline_stage_registry.logical_name IS 'Name used in code, e.g. pending_contact, engaged, scheduled_discovery_call';
+COMMENT ON COLUMN public.pipeline_stage_registry.pipeline_id IS 'GHL pipeline ID (NULL = keep the opportunity''s current pipeline until refreshed from GHL)';
+COMMENT ON COLUMN public.pipeline_stage_registry.last_validated_at IS 'Last time the stage was checked against the GHL pipelines API';
+COMMENT ON COLUMN public.pipeline_stage_registry.validation_error IS 'Why the stage failed the last validation (NULL when it resolved)';
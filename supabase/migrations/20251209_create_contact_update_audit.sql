@@ -0,0 +1,47 @@
+-- Migration: Create contact update audit
+-- Created: 2025-12-09
+-- Purpose: Record which GHL contact fields each form submission set or changed, with
+--          the previous values (see contact-merge-policy.json and services/contactAuditService.js)
+
+CREATE TABLE IF NOT EXISTS public.contact_update_audit (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  contact_id TEXT NOT NULL,
+  source TEXT NOT NULL, -- personal-info-form, intake-form, intake-form-link
+  submission_id TEXT,
+  contact_action TEXT NOT NULL, -- created, updated, unchanged
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_update_audit_contact ON public.contact_update_audit(contact_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contact_update_audit_submission ON public.contact_update_audit(submission_id);
+CREATE INDEX IF NOT EXISTS idx_contact_update_audit_changed_fields ON public.contact_update_audit USING GIN (changed_fields);
+
+-- Enable RLS
+ALTER TABLE public.contact_update_audit ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on contact_update_audit" ON public.contact_update_audit
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_contact_update_audit_updated_at
+    BEFORE UPDATE ON public.contact_update_audit
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.contact_update_audit IS 'Per-submission record of GHL contact fields created/updated/kept by the merge policy';
+COMMENT ON COLUMN public.contact_update_audit.contact_action IS 'created = new contact, updated = duplicate merged, unchanged = duplicate with nothing to write';
+COMMENT ON COLUMN public.contact_update_audit.changed_fields IS 'Standard field names / custom field keys that were written';
+COMMENT ON COLUMN public.contact_update_audit.changes IS 'Every submitted field: { field, fieldId, policy, action, previousValue, newValue, reason }';
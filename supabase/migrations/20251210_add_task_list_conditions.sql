@@ -0,0 +1,14 @@
+-- Migration: Add conditions to stage task templates
+-- Created: 2025-12-10
+-- Purpose: Only create a stage's tasks when they apply to the matter (practice area,
+--          Florida residency, spouse planning, ...). See services/taskConditionService.js
+
+ALTER TABLE public.ghl_task_list
+  ADD COLUMN IF NOT EXISTS conditions JSONB;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.ghl_task_list.conditions IS 'NULL = always create. Otherwise a rule { field, operator, value }, a list of rules (all must match), or { "all": [...] } / { "any": [...] }. field is a contact/opportunity custom field key (contact.practice_area) or property (opportunity.source); operators: equals, not_equals, in, not_in, contains, not_contains, exists, not_exists';
+
+-- Examples:
+-- UPDATE public.ghl_task_list SET conditions = '[{"field": "contact.practice_area", "operator": "equals", "value": "Probate"}]'
+--   WHERE opportunity_stage_name = 'Drafting' AND task_name = 'Order death certificate';
@@ -0,0 +1,54 @@
+-- Migration: Create firm holidays
+-- Created: 2025-12-11
+-- Purpose: Days the office is closed, skipped when task due dates are counted in
+--          business days (see utils/businessCalendar.js and services/businessCalendarService.js)
+
+CREATE TABLE IF NOT EXISTS public.firm_holidays (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  holiday_date DATE NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_firm_holidays_active ON public.firm_holidays(active, holiday_date);
+
+-- Enable RLS
+ALTER TABLE public.firm_holidays ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on firm_holidays" ON public.firm_holidays
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_firm_holidays_updated_at
+    BEFORE UPDATE ON public.firm_holidays
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed: 2026 office closures
+INSERT INTO public.firm_holidays (holiday_date, name) VALUES
+  ('2026-01-01', 'New Year''s Day'),
+  ('2026-01-19', 'Martin Luther King Jr. Day'),
+  ('2026-05-25', 'Memorial Day'),
+  ('2026-07-03', 'Independence Day (observed)'),
+  ('2026-09-07', 'Labor Day'),
+  ('2026-11-26', 'Thanksgiving Day'),
+  ('2026-11-27', 'Day after Thanksgiving'),
+  ('2026-12-24', 'Christmas Eve'),
+  ('2026-12-25', 'Christmas Day')
+ON CONFLICT (holiday_date) DO NOTHING;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.firm_holidays IS 'Office closures skipped by business-day task due dates (cached for BUSINESS_CALENDAR_CACHE_TTL_MS)';
+COMMENT ON COLUMN public.firm_holidays.holiday_date IS 'Closed date in the firm timezone (BUSINESS_TIMEZONE)';
+COMMENT ON COLUMN public.ghl_task_list.due_date_time_relation IS 'minutes, hours (elapsed time), days, weeks (calendar days, moved off weekends and holidays) or business_days, next_business_morning, end_of_business_day (business calendar)';
@@ -0,0 +1,108 @@
+-- Migration: Create task assignee routing
+-- Created: 2025-12-12
+-- Purpose: Route stage tasks by strategy (fixed, opportunity owner, round robin, least open
+--          tasks), with out-of-office cover and a log of every decision
+--          (see services/taskRoutingService.js)
+
+ALTER TABLE public.ghl_task_list
+  ADD COLUMN IF NOT EXISTS routing_strategy TEXT NOT NULL DEFAULT 'fixed',
+  ADD COLUMN IF NOT EXISTS routing_team TEXT;
+
+-- Team members for round_robin / least_open_tasks
+CREATE TABLE IF NOT EXISTS public.task_routing_team_members (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  team_name TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  user_name TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_assigned_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (team_name, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_routing_team_members_team ON public.task_routing_team_members(team_name, active);
+
+-- Out-of-office periods; cover_user_id takes the user's tasks while away
+CREATE TABLE IF NOT EXISTS public.user_out_of_office (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  cover_user_id TEXT,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_out_of_office_user ON public.user_out_of_office(user_id, starts_at, ends_at);
+
+-- One row per routed task
+CREATE TABLE IF NOT EXISTS public.task_routing_decisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  task_template_id TEXT,
+  task_name TEXT,
+  opportunity_id TEXT,
+  contact_id TEXT,
+  stage_name TEXT,
+  ghl_task_id TEXT,
+  strategy TEXT NOT NULL,
+  team_name TEXT,
+  assignee_id TEXT,
+  reason TEXT NOT NULL,
+  candidates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_routing_decisions_opportunity ON public.task_routing_decisions(opportunity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_task_routing_decisions_assignee ON public.task_routing_decisions(assignee_id, created_at DESC);
+
+-- Used by least_open_tasks
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_open_by_assignee ON public.ghl_tasks(assignee_id) WHERE completed = FALSE;
+
+-- Enable RLS
+ALTER TABLE public.task_routing_team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_out_of_office ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_routing_decisions ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on task_routing_team_members" ON public.task_routing_team_members
+    FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations on user_out_of_office" ON public.user_out_of_office
+    FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations on task_routing_decisions" ON public.task_routing_decisions
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_task_routing_team_members_updated_at
+    BEFORE UPDATE ON public.task_routing_team_members
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_out_of_office_updated_at
+    BEFORE UPDATE ON public.user_out_of_office
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_task_routing_decisions_updated_at
+    BEFORE UPDATE ON public.task_routing_decisions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.ghl_task_list.routing_strategy IS 'fixed (assignee_id), opportunity_owner, round_robin or least_open_tasks (within routing_team)';
+COMMENT ON COLUMN public.ghl_task_list.routing_team IS 'task_routing_team_members.team_name; also the fallback when the assignee is out of office without cover';
+COMMENT ON TABLE public.task_routing_team_members IS 'Named teams for round-robin / load-balanced task routing';
+COMMENT ON COLUMN public.task_routing_team_members.last_assigned_at IS 'Round-robin position: the least recently assigned member is next';
+COMMENT ON TABLE public.user_out_of_office IS 'Users skipped by task routing between starts_at and ends_at';
+COMMENT ON TABLE public.task_routing_decisions IS 'Why each stage task was assigned to its user (GET /admin/task-routing/decisions)';
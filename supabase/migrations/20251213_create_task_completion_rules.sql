@@ -0,0 +1,77 @@
+-- Migration: Create task completion rules
+-- Created: 2025-12-13
+-- Purpose: Configurable actions when tasks are completed, keyed by task template instead of
+--          task title (see services/taskCompletionRulesService.js)
+
+-- Stage tasks record the template they were created from
+ALTER TABLE public.ghl_tasks
+  ADD COLUMN IF NOT EXISTS task_template_id TEXT,
+  ADD COLUMN IF NOT EXISTS opportunity_id TEXT,
+  ADD COLUMN IF NOT EXISTS stage_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_task_template ON public.ghl_tasks(task_template_id);
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_opportunity ON public.ghl_tasks(opportunity_id);
+
+CREATE TABLE IF NOT EXISTS public.task_completion_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  trigger_type TEXT NOT NULL CHECK (trigger_type IN ('task_completed', 'stage_tasks_completed', 'outcome_tag')),
+  task_template_id TEXT, -- ghl_task_list.id
+  stage_id TEXT, -- only fire while the opportunity is in this stage (NULL = any stage)
+  outcome_tag TEXT,
+  actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  priority INTEGER NOT NULL DEFAULT 100,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (trigger_type <> 'task_completed' OR task_template_id IS NOT NULL),
+  CHECK (trigger_type <> 'outcome_tag' OR outcome_tag IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_completion_rules_active ON public.task_completion_rules(active, priority);
+
+-- Enable RLS
+ALTER TABLE public.task_completion_rules ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on task_completion_rules" ON public.task_completion_rules
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_task_completion_rules_updated_at
+    BEFORE UPDATE ON public.task_completion_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Carry over the previous hard-coded behavior: completing the final follow-up task moves
+-- the opportunity per stage_completion_mappings
+INSERT INTO public.task_completion_rules (name, trigger_type, task_template_id, stage_id, actions)
+SELECT
+  'Final follow-up completed: ' || m.source_stage_name || ' -> ' || m.target_stage_name,
+  'task_completed',
+  t.id::TEXT,
+  m.source_stage_id,
+  jsonb_build_array(jsonb_build_object(
+    'type', 'move_stage',
+    'pipelineId', m.target_pipeline_id,
+    'stageId', m.target_stage_id
+  ))
+FROM public.ghl_task_list t
+CROSS JOIN public.stage_completion_mappings m
+WHERE t.task_name = 'Final follow-up call—if no answer, send final text and close the matter.'
+  AND m.active = TRUE
+  AND m.target_stage_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.task_completion_rules IS 'Actions run when a GHL task is completed (move_stage, create_task, add_tags, send_email)';
+COMMENT ON COLUMN public.task_completion_rules.trigger_type IS 'task_completed = template task done, stage_tasks_completed = all current stage tasks done, outcome_tag = completed task tagged #outcome_tag';
+COMMENT ON COLUMN public.task_completion_rules.actions IS 'Ordered list, e.g. [{"type": "move_stage", "stage": "engaged"}, {"type": "add_tags", "tags": ["x"]}]';
+COMMENT ON COLUMN public.ghl_tasks.task_template_id IS 'ghl_task_list.id the task was created from (stage tasks only)';
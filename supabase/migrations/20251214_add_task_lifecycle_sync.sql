@@ -0,0 +1,34 @@
+-- Migration: Track the full GHL task lifecycle in ghl_tasks
+-- Created: 2025-12-14
+-- Purpose: Keep status, completion time and assignee of mirrored tasks accurate through the
+--          task-updated / task-completed / task-deleted webhooks and the reconciliation job
+--          (see services/taskReconciliationService.js)
+
+ALTER TABLE public.ghl_tasks
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open',
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+
+-- Existing completed tasks: the best known completion time is the last update
+UPDATE public.ghl_tasks
+SET status = 'completed',
+    completed_at = COALESCE(completed_at, updated_at)
+WHERE completed = TRUE AND status = 'open';
+
+ALTER TABLE public.ghl_tasks
+  DROP CONSTRAINT IF EXISTS ghl_tasks_status_check;
+ALTER TABLE public.ghl_tasks
+  ADD CONSTRAINT ghl_tasks_status_check CHECK (status IN ('open', 'completed', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_status ON public.ghl_tasks(status);
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_contact_active ON public.ghl_tasks(ghl_contact_id) WHERE deleted_at IS NULL;
+
+-- Deleted tasks are no longer open work for routing
+DROP INDEX IF EXISTS idx_ghl_tasks_open_by_assignee;
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_open_by_assignee ON public.ghl_tasks(assignee_id) WHERE status = 'open';
+
+COMMENT ON COLUMN public.ghl_tasks.status IS 'open, completed or deleted (deleted in GHL; the row is kept for history)';
+COMMENT ON COLUMN public.ghl_tasks.completed_at IS 'When the task was first seen completed; cleared if the task is re-opened';
+COMMENT ON COLUMN public.ghl_tasks.deleted_at IS 'When the task was deleted in GHL (task-deleted webhook or reconciliation)';
+COMMENT ON COLUMN public.ghl_tasks.last_synced_at IS 'Last time the row was written from a GHL webhook or the reconciliation job';
@@ -0,0 +1,27 @@
+-- Migration: Overdue task escalation settings
+-- Created: 2025-12-15
+-- Purpose: Per-template escalation thresholds for the daily task digest, and a record of
+--          which tasks were escalated (see services/taskDigestService.js)
+
+ALTER TABLE public.ghl_task_list
+  ADD COLUMN IF NOT EXISTS escalation_threshold_hours NUMERIC,
+  ADD COLUMN IF NOT EXISTS escalation_action TEXT CHECK (escalation_action IN ('email_supervisor', 'create_task', 'none')),
+  ADD COLUMN IF NOT EXISTS escalation_user_id TEXT;
+
+ALTER TABLE public.ghl_tasks
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS escalated_to TEXT,
+  ADD COLUMN IF NOT EXISTS escalation_action TEXT,
+  ADD COLUMN IF NOT EXISTS escalation_task_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ghl_tasks_open_due_date ON public.ghl_tasks(due_date) WHERE status = 'open';
+
+COMMENT ON COLUMN public.ghl_task_list.escalation_threshold_hours IS 'Hours overdue before the task is escalated (NULL = TASK_ESCALATION_THRESHOLD_HOURS)';
+COMMENT ON COLUMN public.ghl_task_list.escalation_action IS 'email_supervisor, create_task (GHL task for the supervisor) or none (NULL = TASK_ESCALATION_ACTION)';
+COMMENT ON COLUMN public.ghl_task_list.escalation_user_id IS 'Supervisor GHL user ID (NULL = TASK_ESCALATION_SUPERVISOR_ID)';
+COMMENT ON COLUMN public.ghl_tasks.escalated_at IS 'When the overdue task was escalated; each task is escalated once';
+
+-- Example: escalate unsigned engagement letters after one day with a task for the supervisor
+-- UPDATE public.ghl_task_list
+-- SET escalation_threshold_hours = 24, escalation_action = 'create_task', escalation_user_id = '<ghl user id>'
+-- WHERE task_name = 'Send engagement letter';
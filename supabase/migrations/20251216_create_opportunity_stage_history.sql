@@ -0,0 +1,59 @@
+-- Migration: Create permanent opportunity stage history
+-- Created: 2025-12-16
+-- Purpose: Keep every stage transition for time-in-stage and conversion analytics.
+--          opportunity_stage_changes stays as the 2-minute grace-period bookkeeping (its rows
+--          are deleted once handled); this table is never cleaned up
+--          (see services/stageHistoryService.js)
+
+-- One row per stay in a stage: entered when the opportunity moved in, closed when it moved on
+CREATE TABLE IF NOT EXISTS public.opportunity_stage_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  opportunity_id TEXT NOT NULL,
+  opportunity_name TEXT,
+  contact_id TEXT,
+  pipeline_id TEXT,
+  practice_area TEXT,
+  from_stage_id TEXT,
+  from_stage_name TEXT,
+  stage_id TEXT,
+  stage_name TEXT NOT NULL,
+  entered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  exited_at TIMESTAMPTZ,
+  duration_seconds BIGINT,
+  next_stage_id TEXT,
+  next_stage_name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_opportunity_stage_history_opportunity ON public.opportunity_stage_history(opportunity_id, entered_at);
+CREATE INDEX IF NOT EXISTS idx_opportunity_stage_history_entered ON public.opportunity_stage_history(entered_at);
+CREATE INDEX IF NOT EXISTS idx_opportunity_stage_history_pipeline ON public.opportunity_stage_history(pipeline_id, stage_id);
+CREATE INDEX IF NOT EXISTS idx_opportunity_stage_history_open ON public.opportunity_stage_history(entered_at) WHERE exited_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE public.opportunity_stage_history ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on opportunity_stage_history" ON public.opportunity_stage_history
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_opportunity_stage_history_updated_at
+    BEFORE UPDATE ON public.opportunity_stage_history
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.opportunity_stage_history IS 'Permanent log of opportunity stage transitions (one row per stay in a stage)';
+COMMENT ON COLUMN public.opportunity_stage_history.exited_at IS 'NULL while the opportunity is still in the stage';
+COMMENT ON COLUMN public.opportunity_stage_history.duration_seconds IS 'exited_at - entered_at, set when the opportunity leaves the stage';
+COMMENT ON COLUMN public.opportunity_stage_history.next_stage_name IS 'Stage the opportunity moved to when it left (for conversion rates)';
@@ -0,0 +1,64 @@
+-- Migration: Create task dependency chains
+-- Created: 2025-12-17
+-- Purpose: Let a stage task template wait for another task of the same stage.
+--          A template with predecessor_task_number isn't created with the stage; it is
+--          created (and its due date starts) when the task-completed webhook reports the
+--          predecessor done (see services/taskDependencyService.js)
+
+-- Predecessor: task_number of another template in the same stage
+ALTER TABLE public.ghl_task_list
+  ADD COLUMN IF NOT EXISTS predecessor_task_number INTEGER;
+
+-- One row per task waiting in a stage change's chain
+CREATE TABLE IF NOT EXISTS public.task_dependencies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  chain_id TEXT NOT NULL,
+  opportunity_id TEXT NOT NULL,
+  contact_id TEXT,
+  stage_name TEXT,
+  task_template_id TEXT NOT NULL,
+  task_number INTEGER,
+  task_name TEXT,
+  predecessor_task_number INTEGER NOT NULL,
+  predecessor_ghl_task_id TEXT,
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'creating', 'created', 'failed', 'cancelled')),
+  ghl_task_id TEXT,
+  last_error TEXT,
+  released_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_predecessor ON public.task_dependencies(predecessor_ghl_task_id, status);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_opportunity ON public.task_dependencies(opportunity_id, status);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_chain ON public.task_dependencies(chain_id, predecessor_task_number);
+
+-- Enable RLS
+ALTER TABLE public.task_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on task_dependencies" ON public.task_dependencies
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_task_dependencies_updated_at
+    BEFORE UPDATE ON public.task_dependencies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.ghl_task_list.predecessor_task_number IS 'task_number of the template in the same stage that must be completed before this task is created';
+COMMENT ON TABLE public.task_dependencies IS 'Stage tasks waiting for a predecessor task to be completed';
+COMMENT ON COLUMN public.task_dependencies.chain_id IS 'opportunity_stage_changes record that started the chain';
+COMMENT ON COLUMN public.task_dependencies.predecessor_ghl_task_id IS 'Set once the predecessor task exists in GHL';
+COMMENT ON COLUMN public.task_dependencies.status IS 'waiting, creating (released), created, failed, or cancelled (opportunity changed stage, or an earlier task in the chain was deleted or not created)';
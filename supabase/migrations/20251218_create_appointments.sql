@@ -0,0 +1,61 @@
+-- Migration: Create appointment bookkeeping
+-- Created: 2025-12-18
+-- Purpose: Remember what the appointment-created webhook did for each appointment (title,
+--          start time, the stage it moved the opportunity from) so the appointment-updated
+--          and appointment-cancelled webhooks can detect reschedules and undo the stage move
+--          (see services/appointmentRecordService.js)
+
+CREATE TABLE IF NOT EXISTS public.appointments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  appointment_id TEXT NOT NULL UNIQUE,
+  contact_id TEXT,
+  opportunity_id TEXT,
+  calendar_id TEXT,
+  title TEXT,
+  meeting_type TEXT,
+  meeting_location TEXT,
+  start_time TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'booked'
+    CHECK (status IN ('booked', 'rescheduled', 'cancelled')),
+  previous_pipeline_id TEXT,
+  previous_stage_id TEXT,
+  scheduled_pipeline_id TEXT,
+  scheduled_stage_id TEXT,
+  rescheduled_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_contact ON public.appointments(contact_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_appointments_opportunity ON public.appointments(opportunity_id);
+
+-- Reminders are looked up by appointment when it is rescheduled or cancelled
+CREATE INDEX IF NOT EXISTS idx_scheduled_sms_appointment ON public.scheduled_sms(appointment_id, status);
+
+-- Enable RLS
+ALTER TABLE public.appointments ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on appointments" ON public.appointments
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_appointments_updated_at
+    BEFORE UPDATE ON public.appointments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.appointments IS 'GHL appointments handled by the appointment webhooks';
+COMMENT ON COLUMN public.appointments.start_time IS 'Last known start time, compared on appointment-updated to detect a reschedule';
+COMMENT ON COLUMN public.appointments.previous_stage_id IS 'Stage the opportunity was in before the booking moved it (restored on cancellation)';
+COMMENT ON COLUMN public.appointments.scheduled_stage_id IS 'Stage the booking moved the opportunity to';
@@ -0,0 +1,28 @@
+-- Migration: Add reminder offsets to scheduled_sms
+-- Created: 2025-12-19
+-- Purpose: Appointments now get several reminders (e.g. 72h, 24h and 2h before, per meeting
+--          type in sms-reminder-policy.json). Each row records which offset it is and the
+--          send window the cron must respect (see utils/smsReminderSchedule.js)
+
+ALTER TABLE public.scheduled_sms
+  ADD COLUMN IF NOT EXISTS reminder_offset TEXT,
+  ADD COLUMN IF NOT EXISTS reminder_offset_minutes INTEGER,
+  ADD COLUMN IF NOT EXISTS send_window_start TEXT,
+  ADD COLUMN IF NOT EXISTS send_window_end TEXT;
+
+-- Rows scheduled before offsets existed were all 24 hours before, in the 8am-4pm window
+UPDATE public.scheduled_sms
+SET reminder_offset = '24h',
+    reminder_offset_minutes = 1440,
+    send_window_start = '08:00',
+    send_window_end = '16:00'
+WHERE reminder_offset IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_sms_due ON public.scheduled_sms(status, scheduled_send_time);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.scheduled_sms.reminder_offset IS 'Reminder offset from sms-reminder-policy.json, e.g. 72h, 24h, 2h';
+COMMENT ON COLUMN public.scheduled_sms.reminder_offset_minutes IS 'reminder_offset in minutes before appointment_time';
+COMMENT ON COLUMN public.scheduled_sms.send_window_start IS 'Local time (HH:MM) from which the cron may send it; NULL with send_window_end = any time';
+COMMENT ON COLUMN public.scheduled_sms.send_window_end IS 'Local time (HH:MM) after which the cron waits for the next day';
+COMMENT ON COLUMN public.scheduled_sms.status IS 'pending, sent, failed, cancelled, expired (appointment started first) or skipped (a later reminder was sent)';
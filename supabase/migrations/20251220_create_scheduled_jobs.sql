@@ -0,0 +1,83 @@
+-- Migration: Create scheduled jobs and their run history
+-- Created: 2025-12-20
+-- Purpose: Cron-style jobs run by the in-process scheduler (see services/schedulerService.js).
+--          Each instance claims a job occurrence with a lease on its scheduled_jobs row so only
+--          one instance runs it; scheduled_sms rows are claimed one by one so overlapping
+--          reminder runs (scheduler, /cron endpoint) never send the same reminder twice
+
+CREATE TABLE IF NOT EXISTS public.scheduled_jobs (
+  job_name TEXT PRIMARY KEY,
+  schedule TEXT NOT NULL,
+  time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+  next_run_at TIMESTAMPTZ,
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  lock_expires_at TIMESTAMPTZ,
+  last_run_id UUID,
+  last_run_at TIMESTAMPTZ,
+  last_status TEXT,
+  last_error TEXT,
+  last_duration_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.scheduled_job_runs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL DEFAULT 'schedule'
+    CHECK (trigger IN ('schedule', 'manual')),
+  scheduled_for TIMESTAMPTZ,
+  instance_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'succeeded', 'failed', 'abandoned')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON public.scheduled_job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_running ON public.scheduled_job_runs(job_name, instance_id) WHERE status = 'running';
+
+-- Reminder claims
+ALTER TABLE public.scheduled_sms
+  ADD COLUMN IF NOT EXISTS claimed_by TEXT,
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+-- Enable RLS
+ALTER TABLE public.scheduled_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.scheduled_job_runs ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on scheduled_jobs" ON public.scheduled_jobs
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on scheduled_job_runs" ON public.scheduled_job_runs
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_scheduled_jobs_updated_at
+    BEFORE UPDATE ON public.scheduled_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.scheduled_jobs IS 'Cron-style jobs defined in services/scheduledJobs.js, one row per job';
+COMMENT ON COLUMN public.scheduled_jobs.schedule IS 'Five-field cron expression, on the time_zone wall clock';
+COMMENT ON COLUMN public.scheduled_jobs.next_run_at IS 'Next occurrence; the instance that claims a due occurrence moves it to the one after';
+COMMENT ON COLUMN public.scheduled_jobs.locked_by IS 'Instance running the job, NULL when idle';
+COMMENT ON COLUMN public.scheduled_jobs.lock_expires_at IS 'Lease end; after it another instance may take over (the holder is assumed dead)';
+COMMENT ON TABLE public.scheduled_job_runs IS 'One row per scheduled job run';
+COMMENT ON COLUMN public.scheduled_job_runs.status IS 'running, succeeded, failed, or abandoned (its instance stopped before finishing)';
+COMMENT ON COLUMN public.scheduled_sms.claimed_by IS 'Instance sending or closing the reminder; claims older than 10 minutes may be taken over';
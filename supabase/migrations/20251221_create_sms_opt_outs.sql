@@ -0,0 +1,46 @@
+-- Migration: Create SMS opt-outs
+-- Created: 2025-12-21
+-- Purpose: Record contacts who replied STOP/UNSUBSCRIBE to an SMS. Every outbound SMS
+--          (confirmations, reminders, replies) is suppressed while opted_out is true;
+--          START/UNSTOP opts the contact back in (see services/smsOptOutService.js)
+
+CREATE TABLE IF NOT EXISTS public.sms_opt_outs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  contact_id TEXT NOT NULL UNIQUE,
+  phone TEXT,
+  opted_out BOOLEAN NOT NULL DEFAULT true,
+  keyword TEXT,
+  message_id TEXT,
+  opted_out_at TIMESTAMPTZ,
+  opted_in_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.sms_opt_outs ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on sms_opt_outs" ON public.sms_opt_outs
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_sms_opt_outs_updated_at
+    BEFORE UPDATE ON public.sms_opt_outs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE public.sms_opt_outs IS 'Contacts who opted out of SMS by replying STOP/UNSUBSCRIBE';
+COMMENT ON COLUMN public.sms_opt_outs.opted_out IS 'True while SMS to the contact are suppressed';
+COMMENT ON COLUMN public.sms_opt_outs.keyword IS 'Keyword of the last opt-out or opt-in reply';
+COMMENT ON COLUMN public.sms_opt_outs.message_id IS 'GHL message ID of that reply';
+COMMENT ON COLUMN public.scheduled_sms.status IS 'pending, sent, failed, cancelled, expired (appointment started first) or skipped (a later reminder was sent, or the contact opted out)';
@@ -0,0 +1,39 @@
+-- Migration: Create appointment SMS message log
+-- Created: 2025-12-22
+-- Purpose: Remember which appointment each outbound SMS was about, so a "Y"/"C"/"R" reply from a
+--          contact with several upcoming appointments goes to the one they were last texted
+--          about. When that's unclear the client gets a numbered menu, also logged here with
+--          its options, and the numeric reply picks the appointment
+--          (see services/smsMessageLogService.js and utils/smsReplyTarget.js)
+
+CREATE TABLE IF NOT EXISTS public.appointment_sms_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  contact_id TEXT NOT NULL,
+  appointment_id TEXT,
+  conversation_id TEXT,
+  message_type TEXT NOT NULL, -- confirmation, reminder, reschedule_link, appointment_menu
+  reminder_offset TEXT,
+  menu_command TEXT,
+  menu_options JSONB,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  reply_message_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_sms_messages_contact ON public.appointment_sms_messages(contact_id, sent_at DESC);
+
+-- Enable RLS
+ALTER TABLE public.appointment_sms_messages ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on appointment_sms_messages" ON public.appointment_sms_messages
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.appointment_sms_messages IS 'Outbound appointment SMS, used to tell which appointment a reply is about';
+COMMENT ON COLUMN public.appointment_sms_messages.appointment_id IS 'Appointment the SMS was about (NULL for menus)';
+COMMENT ON COLUMN public.appointment_sms_messages.conversation_id IS 'GHL conversation, filled in from the first reply in it';
+COMMENT ON COLUMN public.appointment_sms_messages.menu_command IS 'Menus only: what the chosen appointment is done with (confirm, cancel or reschedule)';
+COMMENT ON COLUMN public.appointment_sms_messages.menu_options IS 'Menus only: [{ number, appointmentId, label }]';
+COMMENT ON COLUMN public.appointment_sms_messages.resolved_at IS 'Menus only: when a numeric reply picked an option';
@@ -0,0 +1,27 @@
+-- Migration: Create task digest send ledger
+-- Created: 2025-12-23
+-- Purpose: One row per assignee per firm day, claimed before their digest email is sent, so
+--          running the task-digest job again the same day (manually, or after a run that
+--          failed part-way) doesn't email anyone twice (see services/taskDigestService.js)
+
+CREATE TABLE IF NOT EXISTS public.task_digest_sends (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  digest_date DATE NOT NULL,
+  assignee_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent')),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (digest_date, assignee_id)
+);
+
+-- Enable RLS
+ALTER TABLE public.task_digest_sends ENABLE ROW LEVEL SECURITY;
+
+-- RLS policy: Allow all operations (adjust based on your security requirements)
+CREATE POLICY "Allow all operations on task_digest_sends" ON public.task_digest_sends
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.task_digest_sends IS 'Daily task digest emails claimed or sent, one per assignee per firm day';
+COMMENT ON COLUMN public.task_digest_sends.digest_date IS 'Firm-local date of the digest (BUSINESS_TIMEZONE)';
+COMMENT ON COLUMN public.task_digest_sends.status IS 'sending while the email is being sent, sent once the webhook accepted it; claims of failed sends are deleted so they can be retried';
@@ -0,0 +1,277 @@
+/**
+ * Business Calendar
+ *
+ * Due-date arithmetic in the firm's timezone. Times are worked out on the local
+ * wall clock and converted to UTC with the zone's offset on that date, so a
+ * 9am deadline stays 9am across DST changes.
+ *
+ * Supported due_date_time_relation values:
+ *   minutes, hours          - elapsed time from now
+ *   days, weeks             - calendar days, same local time; a due date on a weekend or
+ *                             firm holiday moves to the next working day
+ *   business_days           - N working days later, same local time (kept within office hours)
+ *   next_business_morning   - opening time of the Nth next working day (default 1)
+ *   end_of_business_day     - closing time today (or the next working day), plus N working days
+ *
+ * Pure functions - holidays are passed in by services/businessCalendarService.js.
+ */
+
+const DEFAULT_CALENDAR = {
+  timeZone: 'America/New_York',
+  startMinutes: 9 * 60,
+  endMinutes: 17 * 60,
+  workDays: [1, 2, 3, 4, 5],
+  holidays: new Set()
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+/**
+ * Gets a cached formatter for a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Gets the local wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Converts a local wall-clock time in a timezone to an instant
+ * Times skipped by a DST change resolve to the hour after.
+ * @param {Object} local - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour || 0, local.minute || 0, local.second || 0);
+
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // The offset depends on the instant we're solving for - one correction covers a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  const corrected = wallClock - offsetAt(instant);
+  if (corrected !== instant && offsetAt(corrected) === wallClock - corrected) {
+    instant = corrected;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Adds calendar days to a local date
+ * @param {Object} local - { year, month, day, ... }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Object} New local date with the same time of day
+ */
+function addLocalDays(local, days) {
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+  return {
+    ...local,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+/**
+ * Formats a local date as YYYY-MM-DD (the holiday table's key)
+ * @param {Object} local - { year, month, day }
+ * @returns {string} Date key
+ */
+function toDateKey(local) {
+  return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a local date is a working day
+ * @param {Object} local - { year, month, day, weekday }
+ * @param {Object} calendar - Business calendar
+ * @returns {boolean} True if the office is open that day
+ */
+function isBusinessDay(local, calendar) {
+  return calendar.workDays.includes(local.weekday) && !calendar.holidays.has(toDateKey(local));
+}
+
+/**
+ * Moves to the next working day (never the same day)
+ * @param {Object} local - Local date
+ * @param {Object} calendar - Business calendar
+ * @returns {Object} Next working day
+ */
+function nextBusinessDay(local, calendar) {
+  let next = addLocalDays(local, 1);
+  // A year of closures would be a configuration error
+  for (let i = 0; i < 366 && !isBusinessDay(next, calendar); i++) {
+    next = addLocalDays(next, 1);
+  }
+  return next;
+}
+
+/**
+ * Moves a date that falls on a closed day to the next working day
+ * @param {Object} local - Local date
+ * @param {Object} calendar - Business calendar
+ * @returns {Object} The same date if it's a working day, else the next one
+ */
+function rollToBusinessDay(local, calendar) {
+  return isBusinessDay(local, calendar) ? local : nextBusinessDay(local, calendar);
+}
+
+/**
+ * Adds working days to a local date
+ * @param {Object} local - Local date
+ * @param {number} days - Working days to add
+ * @param {Object} calendar - Business calendar
+ * @returns {Object} Local date
+ */
+function addBusinessDays(local, days, calendar) {
+  let result = local;
+  for (let i = 0; i < days; i++) {
+    result = nextBusinessDay(result, calendar);
+  }
+  return result;
+}
+
+/**
+ * Sets the time of day on a local date
+ * @param {Object} local - Local date
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Object} Local date at that time
+ */
+function atMinutes(local, minutes) {
+  return { ...local, hour: Math.floor(minutes / 60), minute: minutes % 60, second: 0 };
+}
+
+/**
+ * Calculates a task due date
+ * @param {Object} taskData - { due_date_value, due_date_time_relation }
+ * @param {Date} now - Current time
+ * @param {Object} calendar - { timeZone, startMinutes, endMinutes, workDays, holidays: Set<'YYYY-MM-DD'> }
+ * @returns {Date} Due date
+ */
+function computeDueDate(taskData, now = new Date(), calendar = DEFAULT_CALENDAR) {
+  const value = Number(taskData.due_date_value) || 0;
+  const relation = taskData.due_date_time_relation || 'days';
+  const { timeZone } = calendar;
+  const local = getZonedParts(now, timeZone);
+  const minutesNow = local.hour * 60 + local.minute;
+
+  switch (relation) {
+    case 'minutes':
+      return new Date(now.getTime() + value * 60 * 1000);
+    case 'hours':
+      return new Date(now.getTime() + value * 60 * 60 * 1000);
+    case 'weeks':
+      return zonedTimeToUtc(rollToBusinessDay(addLocalDays(local, value * 7), calendar), timeZone);
+    case 'business_days': {
+      const due = addBusinessDays(local, value, calendar);
+      const minutes = Math.min(Math.max(minutesNow, calendar.startMinutes), calendar.endMinutes);
+      return zonedTimeToUtc(atMinutes(due, minutes), timeZone);
+    }
+    case 'next_business_morning':
+      return zonedTimeToUtc(atMinutes(addBusinessDays(local, Math.max(value, 1), calendar), calendar.startMinutes), timeZone);
+    case 'end_of_business_day': {
+      const closesToday = isBusinessDay(local, calendar) && minutesNow < calendar.endMinutes;
+      const firstDay = closesToday ? local : nextBusinessDay(local, calendar);
+      return zonedTimeToUtc(atMinutes(addBusinessDays(firstDay, value, calendar), calendar.endMinutes), timeZone);
+    }
+    case 'days':
+    default:
+      return zonedTimeToUtc(rollToBusinessDay(addLocalDays(local, value), calendar), timeZone);
+  }
+}
+
+/**
+ * Finds the next business day occurrence of a local time of day
+ * Today counts if the time hasn't passed yet and today is a working day.
+ * @param {Date} now - Current time
+ * @param {number} minutes - Local time of day (minutes after midnight)
+ * @param {Object} calendar - Business calendar
+ * @returns {Date} Next occurrence
+ */
+function nextBusinessTime(now, minutes, calendar = DEFAULT_CALENDAR) {
+  const local = getZonedParts(now, calendar.timeZone);
+  const today = zonedTimeToUtc(atMinutes(local, minutes), calendar.timeZone);
+
+  if (isBusinessDay(local, calendar) && today > now) {
+    return today;
+  }
+  return zonedTimeToUtc(atMinutes(nextBusinessDay(local, calendar), minutes), calendar.timeZone);
+}
+
+/**
+ * Gets the end of the local calendar day (midnight that starts tomorrow)
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the next local day
+ */
+function endOfLocalDay(now, timeZone = DEFAULT_CALENDAR.timeZone) {
+  return zonedTimeToUtc(atMinutes(addLocalDays(getZonedParts(now, timeZone), 1), 0), timeZone);
+}
+
+/**
+ * Parses an office-hours time like '9:00' or '17:30'
+ * @param {string} value - Time of day
+ * @param {number} fallback - Minutes after midnight if unset/invalid
+ * @returns {number} Minutes after midnight
+ */
+function parseTimeOfDay(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return fallback;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+module.exports = {
+  computeDueDate,
+  nextBusinessTime,
+  endOfLocalDay,
+  zonedTimeToUtc,
+  getZonedParts,
+  addLocalDays,
+  isBusinessDay,
+  addBusinessDays,
+  parseTimeOfDay,
+  toDateKey,
+  DEFAULT_CALENDAR
+};
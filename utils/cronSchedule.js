@@ -0,0 +1,143 @@
+/**
+ * Cron Schedule
+ *
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week)
+ * and works out the next run time on a timezone's wall clock, so '0 8 * * 1-5'
+ * stays 8am across DST changes.
+ *
+ * Supported syntax per field: *, numbers, ranges (1-5), lists (1,15,30) and
+ * steps on * or a range (0-30/10). Day of week is 0-7 (0 and 7 are Sunday).
+ * As in standard cron, when both day of month and day of week are restricted
+ * a day matching either one runs.
+ *
+ * Pure functions - jobs are run by services/schedulerService.js.
+ */
+
+const { getZonedParts, zonedTimeToUtc, addLocalDays } = require('./businessCalendar');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Far enough ahead to find Feb 29 schedules
+const MAX_SEARCH_DAYS = 366 * 8;
+
+/**
+ * Parses one cron field
+ * @param {string} value - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Object} { values: Set<number>, any }
+ */
+function parseField(value, field) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      // A single value with a step runs from it to the end of the range, as in 5/15
+      end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : start);
+    }
+
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return { values, any: value === '*' };
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const schedule = { expression: parts.join(' ') };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.values.has(7)) {
+    schedule.dayOfWeek.values.add(0);
+  }
+
+  return schedule;
+}
+
+/**
+ * Checks whether a schedule runs on a local date
+ * @param {Object} schedule - From parseCronExpression()
+ * @param {Object} local - { month, day, weekday }
+ * @returns {boolean} True if the date matches
+ */
+function matchesDay(schedule, local) {
+  if (!schedule.month.values.has(local.month)) return false;
+
+  const dayOfMonth = schedule.dayOfMonth.values.has(local.day);
+  const dayOfWeek = schedule.dayOfWeek.values.has(local.weekday);
+
+  if (schedule.dayOfMonth.any) return dayOfWeek;
+  if (schedule.dayOfWeek.any) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Gets the next time a schedule runs, strictly after a given time
+ * @param {Object|string} schedule - From parseCronExpression(), or an expression
+ * @param {Date} after - Time to search from
+ * @param {string} timeZone - IANA timezone of the schedule
+ * @returns {Date|null} Next run time, or null if it never runs (e.g. Feb 31)
+ */
+function getNextCronTime(schedule, after = new Date(), timeZone = 'America/New_York') {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const hours = [...parsed.hour.values].sort((a, b) => a - b);
+  const minutes = [...parsed.minute.values].sort((a, b) => a - b);
+  const start = getZonedParts(after, timeZone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = addLocalDays(start, offset);
+    if (!matchesDay(parsed, day)) continue;
+
+    for (const hour of hours) {
+      if (offset === 0 && hour < start.hour) continue;
+
+      for (const minute of minutes) {
+        const candidate = zonedTimeToUtc({ ...day, hour, minute, second: 0 }, timeZone);
+        if (candidate > after) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextCronTime
+};
@@ -0,0 +1,500 @@
+/**
+ * Form Mapping Engine
+ *
+ * Parses JotForm submissions and maps them to GHL contact payloads from a
+ * declarative per-form spec (form-specs/<form>.json) instead of hand-written
+ * field-by-field code. A spec has three parts:
+ *
+ *   input   - how rawRequest is decoded (JSON / URL-encoded, HTML entities, nested JSON keys)
+ *   fields  - JotForm question keys, their type and the parsed keys they produce
+ *   contact - GHL standard fields, custom fields (with fan-out) and TEXTBOX_LIST groups
+ *
+ * Adding a question to a form is a spec change only. Custom field keys are
+ * resolved through the custom field registry, TEXTBOX_LIST sub-field IDs
+ * through jotform-to-ghl-mapping.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFieldId } = require('../services/customFieldRegistry');
+const jotformMapping = require('../jotform-to-ghl-mapping.json');
+
+const SPEC_DIR = path.join(__dirname, '..', 'form-specs');
+
+const specCache = new Map();
+
+/**
+ * Decodes HTML entities from JotForm webhook data
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  var decoded = text;
+
+  // Decode HTML entities in order
+  decoded = decoded.replace(/&quot;/g, '"');
+  decoded = decoded.replace(/&#x3D;/g, '=');
+  decoded = decoded.replace(/&#x2F;/g, '/');
+  decoded = decoded.replace(/&amp;/g, '&');
+  decoded = decoded.replace(/&lt;/g, '<');
+  decoded = decoded.replace(/&gt;/g, '>');
+  decoded = decoded.replace(/\\&quot;/g, '\\"');
+
+  return decoded;
+}
+
+// Value transforms usable in both the fields and contact sections of a spec.
+// Referenced by name ("trim") or as { name: argument } ({ "join": ", " }).
+const TRANSFORMS = {
+  trim: (value) => typeof value === 'string' ? value.trim() : value,
+  firstWord: (value) => String(value).split(' ')[0],
+  afterFirstWord: (value) => String(value).split(' ').slice(1).join(' '),
+  join: (value, separator) => Array.isArray(value) ? value.join(separator) : value,
+  append: (value, suffix) => value ? `${value}${suffix}` : value
+};
+
+/**
+ * Applies a list of transforms to a value
+ * @param {*} value - Input value
+ * @param {Array} transforms - Transform names or { name: argument } objects
+ * @returns {*} Transformed value
+ */
+function applyTransforms(value, transforms = []) {
+  return transforms.reduce((current, transform) => {
+    const [name, argument] = typeof transform === 'string'
+      ? [transform, undefined]
+      : Object.entries(transform)[0];
+
+    if (!TRANSFORMS[name]) {
+      throw new Error(`Unknown form mapping transform: ${name}`);
+    }
+
+    return TRANSFORMS[name](current, argument);
+  }, value);
+}
+
+/**
+ * Reads a dotted path ("callersName.first") from an object
+ * @param {Object} obj - Source object
+ * @param {string} keyPath - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+/**
+ * Fills {placeholders} in a template
+ * @param {string} template - e.g. '{first} {last}'
+ * @param {Function} lookup - Returns the value for a placeholder
+ * @returns {Object} { text, complete } - complete is false if any placeholder was empty
+ */
+function renderTemplate(template, lookup) {
+  let complete = true;
+  const text = template.replace(/\{([^}]+)\}/g, (match, key) => {
+    const value = lookup(key);
+    if (!value) {
+      complete = false;
+    }
+    return value || '';
+  });
+  return { text, complete };
+}
+
+/**
+ * Formats a JotForm date answer ({ month, day, year })
+ * Tokens: YYYY, MM/DD (zero-padded), M/D (as submitted).
+ * @param {Object} dateObj - Date answer
+ * @param {string} format - e.g. 'M/D/YYYY' or 'YYYY-MM-DD'
+ * @returns {string} Formatted date, or '' unless month, day and year are all set
+ */
+function formatDate(dateObj, format) {
+  if (!dateObj || !dateObj.month || !dateObj.day || !dateObj.year) {
+    return '';
+  }
+
+  const tokens = {
+    YYYY: dateObj.year,
+    MM: String(dateObj.month).padStart(2, '0'),
+    DD: String(dateObj.day).padStart(2, '0'),
+    M: dateObj.month,
+    D: dateObj.day
+  };
+
+  return format.replace(/YYYY|MM|DD|M|D/g, token => tokens[token]);
+}
+
+// Question types: how a raw answer is normalized and what an empty answer looks like
+const FIELD_TYPES = {
+  text: {
+    normalize: (raw) => raw,
+    empty: ''
+  },
+  list: {
+    normalize: (raw) => raw,
+    empty: ''
+  },
+  phone: {
+    normalize: (raw) => raw?.full,
+    empty: ''
+  },
+  name: {
+    normalize: (raw) => raw,
+    empty: ''
+  },
+  address: {
+    normalize: (raw) => raw,
+    empty: ''
+  },
+  date: {
+    normalize: (raw) => raw,
+    empty: ''
+  },
+  matrix: {
+    normalize: (raw) => raw,
+    empty: []
+  }
+};
+
+/**
+ * Decodes rawRequest into a flat object of question key -> answer
+ * @param {Object} input - Spec input section
+ * @param {string|Object} rawRequest - JotForm rawRequest
+ * @returns {Object} Submission answers
+ */
+function decodeSubmission(input, rawRequest) {
+  let submission;
+
+  if (input.format === 'json-or-urlencoded') {
+    if (!rawRequest) {
+      throw new Error('rawRequest is required');
+    }
+
+    if (typeof rawRequest === 'string' && rawRequest.trim().startsWith('{')) {
+      submission = JSON.parse(rawRequest);
+    } else if (typeof rawRequest === 'object') {
+      submission = rawRequest;
+    } else {
+      submission = {};
+      for (const [key, value] of new URLSearchParams(rawRequest).entries()) {
+        submission[key] = value;
+      }
+    }
+  } else if (typeof rawRequest === 'string') {
+    const decoded = input.decodeHtmlEntities ? decodeHtmlEntities(rawRequest) : rawRequest;
+    try {
+      submission = JSON.parse(decoded);
+    } catch (e) {
+      throw new Error('Failed to parse JSON: ' + e.toString());
+    }
+  } else {
+    submission = rawRequest;
+  }
+
+  // Answers JotForm sends as JSON-encoded strings (matrix/list widgets)
+  for (const key of input.parseJsonKeys || []) {
+    if (submission[key] && typeof submission[key] === 'string') {
+      try {
+        submission[key] = JSON.parse(submission[key]);
+      } catch (e) {
+        console.error(`Error parsing ${key}:`, e.toString());
+      }
+    }
+  }
+
+  return submission;
+}
+
+/**
+ * Reads a question's answer, trying fallback question keys in order
+ * @param {Object} submission - Submission answers
+ * @param {Object} field - Spec field
+ * @returns {*} Normalized answer or undefined
+ */
+function readAnswer(submission, field) {
+  const type = FIELD_TYPES[field.type || 'text'];
+  const questions = [].concat(field.question);
+
+  for (const question of questions) {
+    const value = type.normalize(submission[question] || null);
+    if (value) {
+      return value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Extracts one parsed value from a normalized answer
+ * @param {*} answer - Normalized answer
+ * @param {Object} field - Spec field
+ * @param {string|Object} output - Part name ('first'), '' for the whole answer, or
+ *   { part, format, requireAll, pick, transforms }
+ * @returns {*} Parsed value
+ */
+function extractOutput(answer, field, output) {
+  const type = FIELD_TYPES[field.type || 'text'];
+  const options = typeof output === 'string' ? { part: output } : output;
+  let value;
+
+  if (options.pick) {
+    value = {};
+    for (const part of options.pick) {
+      value[part] = answer?.[part] || '';
+    }
+    return value;
+  }
+
+  if (options.format && field.type === 'date') {
+    value = formatDate(answer, options.format);
+  } else if (options.format) {
+    const rendered = renderTemplate(options.format, part => answer?.[part]);
+    value = options.requireAll && !rendered.complete ? '' : rendered.text;
+  } else if (options.part) {
+    value = answer?.[options.part];
+  } else {
+    value = answer;
+  }
+
+  return applyTransforms(value, options.transforms) || (Array.isArray(type.empty) ? [] : type.empty);
+}
+
+/**
+ * Parses a JotForm submission with a form spec
+ * @param {Object} spec - Form spec
+ * @param {string|Object} rawRequest - JotForm rawRequest (JSON string, URL-encoded string or object)
+ * @returns {Object} Parsed data keyed by the spec's output names
+ */
+function parseSubmission(spec, rawRequest) {
+  const input = spec.input || {};
+  const submission = decodeSubmission(input, rawRequest);
+  const parsed = {};
+
+  for (const field of spec.fields) {
+    if (!FIELD_TYPES[field.type || 'text']) {
+      throw new Error(`Unknown field type "${field.type}" in form spec ${spec.form}`);
+    }
+
+    const answer = readAnswer(submission, field);
+    const outputs = field.outputs || { [field.name]: { format: field.format, transforms: field.transforms } };
+
+    for (const [name, output] of Object.entries(outputs)) {
+      parsed[name] = extractOutput(answer, field, output);
+    }
+  }
+
+  if (input.rawDataKey) {
+    parsed[input.rawDataKey] = submission;
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolves a contact-section source against parsed data
+ * A source is a parsed key ('email', 'callersName.first') or
+ * { field | template, transforms }.
+ * @param {Object} parsedData - Parsed submission
+ * @param {string|Object} source - Source definition
+ * @returns {Object} { present, value } - present is false when the raw value is empty
+ */
+function resolveSource(parsedData, source) {
+  const options = typeof source === 'string' ? { field: source } : source;
+  const raw = options.template
+    ? renderTemplate(options.template, key => getPath(parsedData, key)).text
+    : getPath(parsedData, options.field);
+
+  if (!raw) {
+    return { present: false };
+  }
+
+  return { present: true, value: applyTransforms(raw, options.transforms) };
+}
+
+/**
+ * Resolves the first present source from a list (first non-empty wins)
+ * @param {Object} parsedData - Parsed submission
+ * @param {string|Object|Array} from - One source or a list of fallbacks
+ * @returns {Object} { present, value }
+ */
+function resolveFirst(parsedData, from) {
+  for (const source of [].concat(from)) {
+    const resolved = resolveSource(parsedData, source);
+    if (resolved.present) {
+      return resolved;
+    }
+  }
+  return { present: false };
+}
+
+/**
+ * Finds a TEXTBOX_LIST group in jotform-to-ghl-mapping.json
+ * @param {string} groupName - e.g. 'currentSpouse' or 'beneficiaries'
+ * @returns {Object|Array} Group definition (array for repeating groups)
+ */
+function getTextboxListGroup(groupName) {
+  const group = jotformMapping.mapping[groupName];
+  if (!group) {
+    throw new Error(`TEXTBOX_LIST group "${groupName}" not found in jotform-to-ghl-mapping.json`);
+  }
+  return group;
+}
+
+/**
+ * Builds TEXTBOX_LIST custom fields for a spec entry
+ * Single groups are written when any sub-field has a value. Repeating groups
+ * write one field per row, up to the number of fields defined for the group;
+ * rows beyond that are reported by findListOverflow().
+ * @param {Object} parsedData - Parsed submission
+ * @param {Object} entry - Spec textboxList entry
+ * @returns {Array} Custom field entries
+ */
+function buildTextboxListFields(parsedData, entry) {
+  const group = getTextboxListGroup(entry.textboxList);
+
+  if (entry.repeat) {
+    const rows = getPath(parsedData, entry.repeat) || [];
+    const prefix = entry.subFieldPrefix || '';
+
+    if (rows.length > group.length) {
+      console.warn(`⚠️ ${entry.label || entry.repeat}: ${rows.length} rows submitted, only ${group.length} fit in contact fields`);
+    }
+
+    return rows.slice(0, group.length).map((row, index) => {
+      const fieldValue = {};
+      group[index].subFields.forEach(subField => {
+        fieldValue[subField.subFieldId] = row[subField.jotformField.replace(prefix, '')] || '';
+      });
+      return { id: getFieldId(group[index].ghlFieldKey), field_value: fieldValue };
+    });
+  }
+
+  const fieldValue = {};
+  let hasValue = false;
+  group.subFields.forEach(subField => {
+    const source = entry.subFields[subField.jotformField];
+    if (source === undefined) return;
+
+    const value = resolveFirst(parsedData, source).value || '';
+    fieldValue[subField.subFieldId] = value;
+    hasValue = hasValue || !!value;
+  });
+
+  return hasValue ? [{ id: getFieldId(group.ghlFieldKey), field_value: fieldValue }] : [];
+}
+
+/**
+ * Maps parsed data to a GHL contact payload with a form spec
+ * @param {Object} spec - Form spec
+ * @param {Object} parsedData - Output of parseSubmission()
+ * @returns {Object} GHL contact payload
+ */
+function mapToContact(spec, parsedData) {
+  const mapping = spec.contact;
+  const contactData = {};
+
+  for (const entry of mapping.standardFields || []) {
+    const resolved = resolveFirst(parsedData, entry.from);
+    if (resolved.present || entry.always) {
+      contactData[entry.field] = resolved.value || '';
+    }
+  }
+
+  contactData.customFields = [];
+
+  for (const entry of mapping.customFields || []) {
+    if (entry.textboxList) {
+      contactData.customFields.push(...buildTextboxListFields(parsedData, entry));
+      continue;
+    }
+
+    const resolved = resolveFirst(parsedData, entry.from);
+    if (!resolved.present) continue;
+
+    const value = applyTransforms(resolved.value, entry.transforms);
+
+    // Skip if value is null, undefined, or empty after trim
+    if (!value) continue;
+    const stringValue = typeof value === 'string' ? value : String(value);
+    if (stringValue.trim() === '') continue;
+
+    // Fan-out: the same answer can be written to several fields
+    for (const fieldKey of [].concat(entry.key)) {
+      const fieldId = getFieldId(fieldKey);
+      if (fieldId) {
+        contactData.customFields.push({
+          id: fieldId,
+          field_value: stringValue
+        });
+      } else {
+        console.warn(`No field ID found for key: ${fieldKey}`);
+      }
+    }
+  }
+
+  if (mapping.omitEmptyCustomFields && contactData.customFields.length === 0) {
+    delete contactData.customFields;
+  }
+
+  return contactData;
+}
+
+/**
+ * Finds repeating lists with more rows than their TEXTBOX_LIST group has fields
+ * @param {Object} spec - Form spec
+ * @param {Object} parsedData - Output of parseSubmission()
+ * @returns {Array} [{ list, label, total, stored, rows }] - rows is the complete list
+ */
+function findListOverflow(spec, parsedData) {
+  const overflow = [];
+
+  for (const entry of spec.contact?.customFields || []) {
+    if (!entry.textboxList || !entry.repeat) continue;
+
+    const rows = getPath(parsedData, entry.repeat);
+    const capacity = getTextboxListGroup(entry.textboxList).length;
+
+    if (Array.isArray(rows) && rows.length > capacity) {
+      overflow.push({
+        list: entry.repeat,
+        label: entry.label || entry.repeat,
+        total: rows.length,
+        stored: capacity,
+        rows: rows
+      });
+    }
+  }
+
+  return overflow;
+}
+
+/**
+ * Loads a form spec from form-specs/<formName>.json (cached)
+ * @param {string} formName - e.g. 'intake' or 'personal-info'
+ * @returns {Object} Form spec
+ */
+function loadFormSpec(formName) {
+  if (!specCache.has(formName)) {
+    const specPath = path.join(SPEC_DIR, `${formName}.json`);
+    if (!fs.existsSync(specPath)) {
+      throw new Error(`Form spec "${formName}" not found in form-specs/`);
+    }
+    specCache.set(formName, JSON.parse(fs.readFileSync(specPath, 'utf8')));
+  }
+  return specCache.get(formName);
+}
+
+module.exports = {
+  parseSubmission,
+  mapToContact,
+  findListOverflow,
+  loadFormSpec,
+  applyTransforms,
+  decodeHtmlEntities,
+  SPEC_DIR
+};
@@ -0,0 +1,65 @@
+/**
+ * SMS Commands
+ *
+ * The keywords clients can reply to appointment SMS with. A reply is a command
+ * only if the whole message is one keyword (case, surrounding whitespace and
+ * trailing punctuation are ignored), so "Yes!" confirms but "yes but can we
+ * move it" is left for staff.
+ *
+ *   confirm     Y, YES, CONFIRM, CONFIRMED
+ *   cancel      C, CANCEL
+ *   reschedule  R, RESCHEDULE
+ *   opt_out     STOP, STOPALL, UNSUBSCRIBE
+ *   opt_in      START, UNSTOP
+ *   select      1, 2, ... (answers a numbered appointment menu)
+ *
+ * Pure functions - replies are handled by services/smsCommandService.js.
+ */
+
+const COMMAND_KEYWORDS = {
+  confirm: ['y', 'yes', 'confirm', 'confirmed'],
+  cancel: ['c', 'cancel'],
+  reschedule: ['r', 'reschedule'],
+  opt_out: ['stop', 'stopall', 'unsubscribe'],
+  opt_in: ['start', 'unstop']
+};
+
+const KEYWORD_COMMANDS = new Map(
+  Object.entries(COMMAND_KEYWORDS).flatMap(([command, keywords]) => keywords.map(keyword => [keyword, command]))
+);
+
+/**
+ * Normalizes an SMS reply for keyword matching
+ * @param {string} body - SMS body
+ * @returns {string} Lower-case text without surrounding whitespace, quotes or trailing punctuation
+ */
+function normalizeReply(body) {
+  return String(body || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^["'\s]+|["'\s.!?,]+$/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Parses an SMS reply into a command
+ * @param {string} body - SMS body
+ * @returns {Object} { command, keyword, selection, text } - command is null if the reply isn't a
+ *   keyword; selection is the number of a 'select' reply
+ */
+function parseSmsCommand(body) {
+  const text = normalizeReply(body);
+
+  if (/^\d{1,2}$/.test(text)) {
+    return { command: 'select', keyword: null, selection: parseInt(text, 10), text };
+  }
+
+  const command = KEYWORD_COMMANDS.get(text) || null;
+  return { command, keyword: command ? text : null, selection: null, text };
+}
+
+module.exports = {
+  parseSmsCommand,
+  normalizeReply,
+  COMMAND_KEYWORDS
+};
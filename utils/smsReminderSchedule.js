@@ -0,0 +1,234 @@
+/**
+ * SMS Reminder Schedule
+ *
+ * Works out when appointment reminder SMS go out, from the per-meeting-type
+ * offsets in sms-reminder-policy.json. Each offset has its own send window
+ * (local office hours); a reminder that lands outside it is clamped into the
+ * window or skipped.
+ *
+ * Also decides which due scheduled_sms rows the cron sends now, and whether the
+ * confirmation SMS goes out when an appointment is booked.
+ *
+ * Pure functions - rows are stored and sent by services/appointmentSmsService.js.
+ */
+
+const { getZonedParts, zonedTimeToUtc, parseTimeOfDay } = require('./businessCalendar');
+
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+const CLAMP_LATE_LEAD_MINUTES = 60;
+
+// Window for rows scheduled before reminders had their own (the old 8am-4pm cron window)
+const LEGACY_WINDOW = { start: '08:00', end: '16:00' };
+
+/**
+ * Parses a reminder offset like '72h', '30m' or '3d'
+ * @param {string|number} offset - Offset (a number is minutes)
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function parseOffset(offset) {
+  if (typeof offset === 'number') {
+    return offset > 0 ? offset : null;
+  }
+
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(offset || '').trim());
+  if (!match) return null;
+
+  const minutes = parseInt(match[1], 10) * OFFSET_UNITS[match[2].toLowerCase()];
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Gets the reminder rules for a meeting type
+ * @param {Object} policy - sms-reminder-policy.json contents
+ * @param {string} meetingType - Meeting type, or null
+ * @returns {Array<Object>} [{ label, offsetMinutes, window, outsideWindow }], longest offset first
+ */
+function getReminderRules(policy, meetingType) {
+  const configured = (meetingType && policy.meetingTypes?.[meetingType]) || policy.defaultReminders || [];
+
+  return configured
+    .map(rule => {
+      const offsetMinutes = parseOffset(rule.offset);
+      if (!offsetMinutes) {
+        throw new Error(`Invalid reminder offset "${rule.offset}" in sms-reminder-policy.json`);
+      }
+
+      return {
+        label: String(rule.offset),
+        offsetMinutes,
+        window: rule.window ? { start: rule.window.start, end: rule.window.end } : null,
+        outsideWindow: rule.outsideWindow === 'skip' ? 'skip' : 'clamp'
+      };
+    })
+    .sort((a, b) => b.offsetMinutes - a.offsetMinutes);
+}
+
+/**
+ * Minutes after local midnight of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { local, minutes }
+ */
+function localMinutes(date, timeZone) {
+  const local = getZonedParts(date, timeZone);
+  return { local, minutes: local.hour * 60 + local.minute };
+}
+
+/**
+ * Fits a send time into a rule's window
+ * @param {Date} sendAt - Exact offset time
+ * @param {Object} rule - Reminder rule
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} Send time, or null if the rule skips it
+ */
+function applyWindow(sendAt, rule, timeZone) {
+  if (!rule.window) return sendAt;
+
+  const start = parseTimeOfDay(rule.window.start, 0);
+  const end = parseTimeOfDay(rule.window.end, 24 * 60);
+  const { local, minutes } = localMinutes(sendAt, timeZone);
+
+  if (minutes >= start && minutes < end) return sendAt;
+  if (rule.outsideWindow === 'skip') return null;
+
+  // Early: window opening that day. Late: an hour before it closes, leaving the cron time to send it
+  const target = minutes < start ? start : Math.max(end - CLAMP_LATE_LEAD_MINUTES, start);
+  return zonedTimeToUtc({ ...local, hour: Math.floor(target / 60), minute: target % 60, second: 0 }, timeZone);
+}
+
+/**
+ * Plans the reminders for an appointment
+ * @param {string|Date} startTime - Appointment start
+ * @param {Array<Object>} rules - From getReminderRules()
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone of the windows
+ * @returns {Object} { reminders: [{ label, offsetMinutes, sendAt, window }], skipped: [{ label, reason }] }
+ */
+function planReminders(startTime, rules, now = new Date(), timeZone = 'America/New_York') {
+  const appointmentStart = new Date(startTime);
+  const reminders = [];
+  const skipped = [];
+
+  for (const rule of rules) {
+    const exact = new Date(appointmentStart.getTime() - rule.offsetMinutes * 60 * 1000);
+    const sendAt = applyWindow(exact, rule, timeZone);
+
+    let reason = null;
+    if (!sendAt) {
+      reason = 'outside its send window';
+    } else if (sendAt >= appointmentStart) {
+      reason = 'would be sent after the appointment starts';
+    } else if (sendAt <= now) {
+      reason = 'send time has passed';
+    } else if (reminders.some(r => r.sendAt.getTime() === sendAt.getTime())) {
+      reason = 'same send time as another reminder';
+    }
+
+    if (reason) {
+      skipped.push({ label: rule.label, reason });
+    } else {
+      reminders.push({ label: rule.label, offsetMinutes: rule.offsetMinutes, sendAt, window: rule.window });
+    }
+  }
+
+  return { reminders, skipped };
+}
+
+/**
+ * Checks whether a scheduled_sms row may be sent now
+ * @param {Object} row - scheduled_sms row (send_window_start/end, if any)
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone of the windows
+ * @returns {boolean} True if inside the row's window
+ */
+function isInSendWindow(row, now, timeZone = 'America/New_York') {
+  const hasWindow = row.send_window_start || row.send_window_end;
+  // Reminders sent at their exact offset have no window; rows without an offset predate windows
+  if (!hasWindow && row.reminder_offset) return true;
+
+  const window = hasWindow ? { start: row.send_window_start, end: row.send_window_end } : LEGACY_WINDOW;
+  const start = parseTimeOfDay(window.start, 0);
+  const end = parseTimeOfDay(window.end, 24 * 60);
+  const { minutes } = localMinutes(now, timeZone);
+  return minutes >= start && minutes < end;
+}
+
+/**
+ * Decides whether the confirmation SMS is sent when an appointment is booked
+ * It only goes out inside the policy's confirmation window; bookings made
+ * outside it rely on the reminders instead of texting the client at night.
+ * @param {Object} policy - sms-reminder-policy.json contents
+ * @param {string|Date} startTime - Appointment start
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone of the window
+ * @returns {Object} { send, reason }
+ */
+function planConfirmation(policy, startTime, now = new Date(), timeZone = 'America/New_York') {
+  if (startTime && new Date(startTime) <= now) {
+    return { send: false, reason: 'Appointment has already started' };
+  }
+
+  const window = policy.confirmation?.window;
+  if (!window) {
+    return { send: true, reason: null };
+  }
+
+  const start = parseTimeOfDay(window.start, 0);
+  const end = parseTimeOfDay(window.end, 24 * 60);
+  const { minutes } = localMinutes(now, timeZone);
+
+  if (minutes < start || minutes >= end) {
+    return { send: false, reason: `Outside the confirmation window (${window.start}-${window.end})` };
+  }
+
+  return { send: true, reason: null };
+}
+
+/**
+ * Sorts due reminders into send now, wait for the window, expired and superseded
+ * When several reminders of one appointment are due (the cron was down), only
+ * the latest one is sent.
+ * @param {Array<Object>} rows - Pending scheduled_sms rows that are due
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone of the windows
+ * @returns {Object} { send, wait, expired, superseded: [{ row, by }] }
+ */
+function selectDueReminders(rows, now = new Date(), timeZone = 'America/New_York') {
+  const result = { send: [], wait: [], expired: [], superseded: [] };
+  const byAppointment = new Map();
+
+  for (const row of rows) {
+    if (row.appointment_time && new Date(row.appointment_time) <= now) {
+      result.expired.push(row);
+      continue;
+    }
+
+    const key = row.appointment_id || `row:${row.id}`;
+    if (!byAppointment.has(key)) byAppointment.set(key, []);
+    byAppointment.get(key).push(row);
+  }
+
+  for (const group of byAppointment.values()) {
+    group.sort((a, b) => new Date(b.scheduled_send_time) - new Date(a.scheduled_send_time));
+    const [latest, ...older] = group;
+
+    older.forEach(row => result.superseded.push({ row, by: latest }));
+
+    if (isInSendWindow(latest, now, timeZone)) {
+      result.send.push(latest);
+    } else {
+      result.wait.push(latest);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseOffset,
+  getReminderRules,
+  planReminders,
+  isInSendWindow,
+  planConfirmation,
+  selectDueReminders
+};
@@ -0,0 +1,163 @@
+/**
+ * SMS Reply Target
+ *
+ * Works out which appointment an SMS reply is about when the contact has more
+ * than one coming up. A reply answers the last appointment SMS we sent the
+ * contact (in the same GHL conversation); if SMS about different appointments
+ * went out close together, or none were logged, it's ambiguous and the client
+ * gets a numbered menu instead. A numeric reply to an open menu picks the
+ * appointment.
+ *
+ * Pure functions - messages are logged by services/smsMessageLogService.js and
+ * replies handled by services/smsCommandService.js.
+ */
+
+// SMS about two appointments sent this close together can't be told apart
+const AMBIGUITY_WINDOW_MINUTES = 30;
+// A menu can be answered for this long
+const MENU_REPLY_HOURS = 24;
+
+const MENU_VERBS = {
+  confirm: 'confirm',
+  cancel: 'cancel',
+  reschedule: 'reschedule'
+};
+
+/**
+ * Reduces a contact's reminder rows to one per upcoming appointment, earliest first
+ * Reminders already sent stay 'sent' when the appointment is cancelled or
+ * rescheduled, so the appointment record decides: cancelled appointments are
+ * dropped and the record's current title and start time win over the row's.
+ * @param {Array<Object>} rows - Pending/sent scheduled_sms rows of the contact
+ * @param {Array<Object>} records - appointments rows for those appointments
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} The newest scheduled_sms row per appointment
+ */
+function selectUpcomingAppointments(rows, records, now = new Date()) {
+  const recordsById = new Map(records.map(record => [record.appointment_id, record]));
+  const newest = new Map();
+
+  for (const row of rows) {
+    const current = newest.get(row.appointment_id);
+    if (!current || new Date(row.created_at || 0) > new Date(current.created_at || 0)) {
+      newest.set(row.appointment_id, row);
+    }
+  }
+
+  return [...newest.values()]
+    .filter(row => recordsById.get(row.appointment_id)?.status !== 'cancelled')
+    .map(row => {
+      const record = recordsById.get(row.appointment_id);
+      return {
+        ...row,
+        event_title: record?.title || row.event_title,
+        appointment_time: record?.start_time || row.appointment_time
+      };
+    })
+    .filter(row => new Date(row.appointment_time) > now)
+    .sort((a, b) => new Date(a.appointment_time) - new Date(b.appointment_time));
+}
+
+/**
+ * Picks the appointment a reply is about
+ * @param {Array<string>} appointmentIds - The contact's upcoming appointments
+ * @param {Array<Object>} outbound - Logged SMS sent to the contact before the reply, newest first
+ *   ({ appointment_id, message_type, conversation_id, sent_at })
+ * @param {Object} options - { conversationId } of the reply
+ * @returns {Object} { appointmentId, ambiguous, reason }
+ */
+function resolveReplyTarget(appointmentIds, outbound, { conversationId = null } = {}) {
+  if (appointmentIds.length === 0) {
+    return { appointmentId: null, ambiguous: false, reason: 'No upcoming appointment' };
+  }
+
+  if (appointmentIds.length === 1) {
+    return { appointmentId: appointmentIds[0], ambiguous: false, reason: 'Only upcoming appointment' };
+  }
+
+  const upcoming = new Set(appointmentIds);
+  const messages = outbound.filter(m =>
+    m.appointment_id &&
+    upcoming.has(m.appointment_id) &&
+    (!conversationId || !m.conversation_id || m.conversation_id === conversationId)
+  );
+
+  if (messages.length === 0) {
+    return { appointmentId: null, ambiguous: true, reason: 'No SMS about these appointments to match the reply to' };
+  }
+
+  const [last] = messages;
+  const lastSentAt = new Date(last.sent_at).getTime();
+  const sentTogether = messages.some(m =>
+    m.appointment_id !== last.appointment_id &&
+    lastSentAt - new Date(m.sent_at).getTime() < AMBIGUITY_WINDOW_MINUTES * 60 * 1000
+  );
+
+  if (sentTogether) {
+    return { appointmentId: null, ambiguous: true, reason: 'SMS about several appointments were sent together' };
+  }
+
+  return {
+    appointmentId: last.appointment_id,
+    ambiguous: false,
+    reason: `Reply to the ${last.message_type} SMS sent ${new Date(last.sent_at).toISOString()}`
+  };
+}
+
+/**
+ * Gets the menu a numeric reply answers, if the last SMS sent was an unanswered menu
+ * @param {Array<Object>} outbound - Logged SMS sent to the contact before the reply, newest first
+ * @param {Date} receivedAt - When the reply arrived
+ * @returns {Object|null} Menu message, or null if none is open
+ */
+function findOpenMenu(outbound, receivedAt) {
+  const [last] = outbound;
+
+  if (!last || last.message_type !== 'appointment_menu' || last.resolved_at) {
+    return null;
+  }
+
+  const age = receivedAt.getTime() - new Date(last.sent_at).getTime();
+  return age <= MENU_REPLY_HOURS * 60 * 60 * 1000 ? last : null;
+}
+
+/**
+ * Builds the numbered menu of appointments
+ * @param {Array<Object>} appointments - [{ appointmentId, label, time }], in the order to list them
+ * @param {string} command - What the chosen one is done with (confirm, cancel, reschedule)
+ * @returns {Object} { text, options: [{ number, appointmentId, label }] }
+ */
+function buildAppointmentMenu(appointments, command) {
+  const options = appointments.map((appointment, i) => ({
+    number: i + 1,
+    appointmentId: appointment.appointmentId,
+    label: `${appointment.label} - ${appointment.time}`
+  }));
+
+  const text = [
+    `You have ${options.length} upcoming appointments. Reply with the number of the one you want to ${MENU_VERBS[command] || command}:`,
+    ...options.map(option => `${option.number}. ${option.label}`)
+  ].join('\n');
+
+  return { text, options };
+}
+
+/**
+ * Gets the menu option a numeric reply picked
+ * @param {Object} menu - Menu message (menu_options)
+ * @param {number} number - Number the client replied with
+ * @returns {Object|null} { number, appointmentId, label }, or null if it's not an option
+ */
+function selectMenuOption(menu, number) {
+  return (menu.menu_options || []).find(option => option.number === number) || null;
+}
+
+module.exports = {
+  selectUpcomingAppointments,
+  resolveReplyTarget,
+  findOpenMenu,
+  buildAppointmentMenu,
+  selectMenuOption,
+  AMBIGUITY_WINDOW_MINUTES,
+  MENU_REPLY_HOURS
+};
@@ -0,0 +1,194 @@
+/**
+ * Stage Analytics
+ *
+ * Aggregates opportunity_stage_history rows (one row per stay in a stage) into
+ * time-in-stage, average stage duration, stage-to-stage conversion and stuck
+ * opportunity reports. Stays that are still open count up to `now`.
+ *
+ * Pure functions - rows are loaded by services/stageHistoryService.js.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rounds hours for reporting
+ * @param {number} hours - Hours
+ * @returns {number} Hours to 2 decimals
+ */
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Gets the length of a stay in a stage
+ * @param {Object} row - opportunity_stage_history row
+ * @param {Date} now - Current time (end of open stays)
+ * @returns {number} Hours in the stage
+ */
+function stayHours(row, now) {
+  if (row.duration_seconds !== null && row.duration_seconds !== undefined) {
+    return Number(row.duration_seconds) / 3600;
+  }
+  const end = row.exited_at ? new Date(row.exited_at) : now;
+  return Math.max(end.getTime() - new Date(row.entered_at).getTime(), 0) / HOUR_MS;
+}
+
+/**
+ * Key that identifies a stage across rows (ID when known, otherwise name)
+ * @param {string} stageId - Stage ID
+ * @param {string} stageName - Stage name
+ * @returns {string} Stage key
+ */
+function stageKey(stageId, stageName) {
+  return stageId || `name:${stageName}`;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Builds one opportunity's stage timeline and time per stage
+ * @param {Array} rows - The opportunity's history rows
+ * @param {Date} now - Current time
+ * @returns {Object} { currentStage, timeline, timeInStage }
+ */
+function summarizeOpportunityHistory(rows, now = new Date()) {
+  const ordered = [...rows].sort((a, b) => new Date(a.entered_at) - new Date(b.entered_at));
+  const totals = new Map();
+
+  const timeline = ordered.map(row => {
+    const hours = stayHours(row, now);
+    const key = stageKey(row.stage_id, row.stage_name);
+    const total = totals.get(key) || { stageId: row.stage_id || null, stageName: row.stage_name, visits: 0, hours: 0 };
+    total.visits++;
+    total.hours += hours;
+    totals.set(key, total);
+
+    return {
+      stageId: row.stage_id || null,
+      stageName: row.stage_name,
+      fromStageName: row.from_stage_name || null,
+      enteredAt: row.entered_at,
+      exitedAt: row.exited_at || null,
+      hours: roundHours(hours),
+      current: !row.exited_at
+    };
+  });
+
+  const current = timeline.find(stay => stay.current) || null;
+
+  return {
+    currentStage: current ? { stageId: current.stageId, stageName: current.stageName, enteredAt: current.enteredAt, hours: current.hours } : null,
+    timeline,
+    timeInStage: [...totals.values()].map(total => ({ ...total, hours: roundHours(total.hours) }))
+  };
+}
+
+/**
+ * Average and median time spent in each stage
+ * Only completed stays count towards the averages; open stays are reported separately.
+ * @param {Array} rows - History rows
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} [{ stageId, stageName, completedStays, averageHours, medianHours, currentlyInStage }]
+ */
+function averageStageDurations(rows, now = new Date()) {
+  const stages = new Map();
+
+  for (const row of rows) {
+    const key = stageKey(row.stage_id, row.stage_name);
+    if (!stages.has(key)) {
+      stages.set(key, { stageId: row.stage_id || null, stageName: row.stage_name, durations: [], currentlyInStage: 0 });
+    }
+
+    const stage = stages.get(key);
+    if (row.exited_at) {
+      stage.durations.push(stayHours(row, now));
+    } else {
+      stage.currentlyInStage++;
+    }
+  }
+
+  return [...stages.values()].map(({ durations, ...stage }) => ({
+    ...stage,
+    completedStays: durations.length,
+    averageHours: durations.length > 0 ? roundHours(durations.reduce((sum, h) => sum + h, 0) / durations.length) : null,
+    medianHours: durations.length > 0 ? roundHours(median(durations)) : null
+  })).sort((a, b) => b.completedStays - a.completedStays);
+}
+
+/**
+ * Where opportunities went after each stage
+ * @param {Array} rows - History rows
+ * @returns {Array<Object>} [{ stageId, stageName, entered, exited, stillInStage, transitions: [{ stageId, stageName, count, rate }] }]
+ */
+function stageConversionRates(rows) {
+  const stages = new Map();
+
+  for (const row of rows) {
+    const key = stageKey(row.stage_id, row.stage_name);
+    if (!stages.has(key)) {
+      stages.set(key, { stageId: row.stage_id || null, stageName: row.stage_name, entered: 0, exited: 0, next: new Map() });
+    }
+
+    const stage = stages.get(key);
+    stage.entered++;
+    if (!row.exited_at) continue;
+
+    stage.exited++;
+    const nextKey = stageKey(row.next_stage_id, row.next_stage_name);
+    const next = stage.next.get(nextKey) || { stageId: row.next_stage_id || null, stageName: row.next_stage_name || null, count: 0 };
+    next.count++;
+    stage.next.set(nextKey, next);
+  }
+
+  return [...stages.values()].map(({ next, ...stage }) => ({
+    ...stage,
+    stillInStage: stage.entered - stage.exited,
+    // Rates are out of everyone who entered the stage, so they don't add up to 1 while some are still there
+    transitions: [...next.values()]
+      .map(t => ({ ...t, rate: Math.round((t.count / stage.entered) * 1000) / 1000 }))
+      .sort((a, b) => b.count - a.count)
+  })).sort((a, b) => b.entered - a.entered);
+}
+
+/**
+ * Opportunities sitting in their current stage longer than a threshold
+ * @param {Array} rows - Open history rows (exited_at NULL)
+ * @param {number} thresholdHours - Hours in stage before an opportunity counts as stuck
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Longest-waiting first
+ */
+function findStuckOpportunities(rows, thresholdHours, now = new Date()) {
+  return rows
+    .filter(row => !row.exited_at)
+    .map(row => ({
+      opportunityId: row.opportunity_id,
+      opportunityName: row.opportunity_name || null,
+      contactId: row.contact_id || null,
+      pipelineId: row.pipeline_id || null,
+      practiceArea: row.practice_area || null,
+      stageId: row.stage_id || null,
+      stageName: row.stage_name,
+      enteredAt: row.entered_at,
+      hours: stayHours(row, now)
+    }))
+    .filter(stay => stay.hours > thresholdHours)
+    .sort((a, b) => b.hours - a.hours)
+    .map(stay => ({ ...stay, hours: roundHours(stay.hours), days: roundHours(stay.hours / 24) }));
+}
+
+module.exports = {
+  summarizeOpportunityHistory,
+  averageStageDurations,
+  stageConversionRates,
+  findStuckOpportunities
+};
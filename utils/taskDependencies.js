@@ -0,0 +1,79 @@
+/**
+ * Task Dependencies
+ *
+ * Splits a stage's task templates into tasks to create now and tasks that wait
+ * for a predecessor. A template declares its predecessor with
+ * predecessor_task_number (the task_number of another template in the same
+ * stage); it is created once that task is completed.
+ *
+ * A template whose predecessor won't be created (skipped by its conditions,
+ * missing, itself, or part of a loop) is created straight away, with a note.
+ *
+ * Pure functions - the waiting chain is stored by services/taskDependencyService.js.
+ */
+
+/**
+ * Reads a template's predecessor task number
+ * @param {Object} task - ghl_task_list row
+ * @returns {number|null} Predecessor task_number
+ */
+function getPredecessorNumber(task) {
+  const value = task.predecessor_task_number;
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Plans which tasks are created now and which wait for a predecessor
+ * @param {Array} tasks - Applicable ghl_task_list rows for the stage
+ * @returns {Object} { ready, waiting, notes: [{ taskNumber, taskName, reason }] }
+ */
+function planTaskChain(tasks) {
+  const byNumber = new Map(tasks.map(task => [Number(task.task_number), task]));
+  const ready = [];
+  const waiting = [];
+  const notes = [];
+
+  for (const task of tasks) {
+    const predecessor = getPredecessorNumber(task);
+
+    if (predecessor === null) {
+      ready.push(task);
+      continue;
+    }
+
+    let reason = null;
+    if (predecessor === Number(task.task_number)) {
+      reason = 'task is its own predecessor';
+    } else if (!byNumber.has(predecessor)) {
+      reason = `predecessor task ${predecessor} is not being created`;
+    } else {
+      // Follow the chain upwards; coming back to this task means a loop. A loop further
+      // up doesn't involve this task - those tasks are created now and this one waits.
+      const seen = new Set([Number(task.task_number)]);
+      let current = predecessor;
+      while (current !== null && byNumber.has(current) && !seen.has(current)) {
+        seen.add(current);
+        current = getPredecessorNumber(byNumber.get(current));
+      }
+      if (current === Number(task.task_number)) {
+        reason = `circular predecessors (${[...seen].join(' → ')} → ${current})`;
+      }
+    }
+
+    if (reason) {
+      notes.push({ taskNumber: task.task_number, taskName: task.task_name, reason: `${reason}, created now` });
+      ready.push(task);
+    } else {
+      waiting.push(task);
+    }
+  }
+
+  return { ready, waiting, notes };
+}
+
+module.exports = {
+  planTaskChain,
+  getPredecessorNumber
+};
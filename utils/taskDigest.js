@@ -0,0 +1,256 @@
+/**
+ * Task Digest
+ *
+ * Groups open ghl_tasks into per-assignee digests (overdue / due today),
+ * decides which overdue tasks need escalating and renders the digest emails.
+ *
+ * Escalation policy per task template (ghl_task_list), falling back to the
+ * environment defaults:
+ *   escalation_threshold_hours  - hours overdue before escalating
+ *   escalation_action           - email_supervisor, create_task or none
+ *   escalation_user_id          - supervisor GHL user ID
+ *
+ * Pure functions - data is loaded by services/taskDigestService.js.
+ */
+
+const ESCALATION_ACTIONS = ['email_supervisor', 'create_task', 'none'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolves the escalation policy for a task's template
+ * @param {Object|null} template - ghl_task_list row (escalation columns)
+ * @param {Object} defaults - { thresholdHours, action, escalateTo }
+ * @returns {Object} { thresholdHours, action, escalateTo }
+ */
+function getEscalationPolicy(template, defaults) {
+  const threshold = template?.escalation_threshold_hours;
+  let action = template?.escalation_action || defaults.action;
+
+  if (!ESCALATION_ACTIONS.includes(action)) {
+    console.error(`❌ Unknown escalation action "${action}", using ${defaults.action}`);
+    action = defaults.action;
+  }
+
+  return {
+    thresholdHours: threshold !== null && threshold !== undefined ? Number(threshold) : defaults.thresholdHours,
+    action,
+    escalateTo: template?.escalation_user_id || defaults.escalateTo || null
+  };
+}
+
+/**
+ * Hours a task is past its due date
+ * @param {Object} task - ghl_tasks row
+ * @param {Date} now - Current time
+ * @returns {number} Hours overdue (negative if not due yet)
+ */
+function hoursOverdue(task, now) {
+  return (now.getTime() - new Date(task.due_date).getTime()) / HOUR_MS;
+}
+
+/**
+ * Checks whether an overdue task should be escalated now
+ * Each task is escalated once (escalated_at is set afterwards).
+ * @param {Object} task - ghl_tasks row
+ * @param {Object} policy - Result of getEscalationPolicy()
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the task needs escalating
+ */
+function isEscalationDue(task, policy, now) {
+  if (policy.action === 'none' || task.escalated_at || !task.due_date) return false;
+  if (!Number.isFinite(policy.thresholdHours)) return false;
+  return hoursOverdue(task, now) > policy.thresholdHours;
+}
+
+/**
+ * Groups open tasks into digests per assignee
+ * Unassigned tasks have no digest (they can still be escalated).
+ * @param {Array} tasks - Open ghl_tasks rows due before dayEnd
+ * @param {Date} now - Current time
+ * @param {Date} dayEnd - End of today in the firm's timezone
+ * @returns {Array<Object>} [{ assigneeId, assigneeName, overdue, dueToday }] sorted by due date
+ */
+function buildDigests(tasks, now, dayEnd) {
+  const digests = new Map();
+
+  for (const task of tasks) {
+    if (!task.assignee_id || !task.due_date) continue;
+
+    const due = new Date(task.due_date);
+    if (due >= dayEnd) continue;
+
+    if (!digests.has(task.assignee_id)) {
+      digests.set(task.assignee_id, {
+        assigneeId: task.assignee_id,
+        assigneeName: task.assignee_name || null,
+        overdue: [],
+        dueToday: []
+      });
+    }
+
+    const digest = digests.get(task.assignee_id);
+    digest.assigneeName = digest.assigneeName || task.assignee_name || null;
+    (due < now ? digest.overdue : digest.dueToday).push(task);
+  }
+
+  const byDueDate = (a, b) => new Date(a.due_date) - new Date(b.due_date);
+  return [...digests.values()].map(digest => ({
+    ...digest,
+    overdue: digest.overdue.sort(byDueDate),
+    dueToday: digest.dueToday.sort(byDueDate)
+  }));
+}
+
+/**
+ * Escapes text for the email HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a due date for the emails
+ * @param {string} dueDate - ISO date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "Mon, Dec 22, 9:00 AM"
+ */
+function formatDueDate(dueDate, timeZone) {
+  return new Date(dueDate).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Describes how late a task is
+ * @param {Object} task - ghl_tasks row
+ * @param {Date} now - Current time
+ * @returns {string} e.g. "3 days overdue"
+ */
+function describeOverdue(task, now) {
+  const hours = Math.floor(hoursOverdue(task, now));
+  if (hours < 24) return `${Math.max(hours, 1)} hour${hours > 1 ? 's' : ''} overdue`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days > 1 ? 's' : ''} overdue`;
+}
+
+/**
+ * Renders a table of tasks
+ * @param {string} heading - Section heading
+ * @param {Array} tasks - ghl_tasks rows
+ * @param {Function} note - (task) => text for the last column
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} HTML (empty if there are no tasks)
+ */
+function renderTaskTable(heading, tasks, note, timeZone) {
+  if (tasks.length === 0) return '';
+
+  const rows = tasks.map(task => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(task.task_name)}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(formatDueDate(task.due_date, timeZone))}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(note(task))}</td>
+        </tr>`).join('');
+
+  return `
+      <h3 style="color: #1a365d; margin: 24px 0 8px 0;">${escapeHtml(heading)} (${tasks.length})</h3>
+      <table width="100%" cellpadding="0" cellspacing="0" style="font-size: 14px;">
+        <tr>
+          <th align="left" style="padding: 8px; border-bottom: 2px solid #1a365d;">Task</th>
+          <th align="left" style="padding: 8px; border-bottom: 2px solid #1a365d;">Due</th>
+          <th align="left" style="padding: 8px; border-bottom: 2px solid #1a365d;"></th>
+        </tr>${rows}
+      </table>`;
+}
+
+/**
+ * Wraps email content in the firm's email layout
+ * @param {string} title - Heading
+ * @param {string} content - Inner HTML
+ * @returns {string} HTML email body
+ */
+function renderLayout(title, content) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #e8f4fc;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #e8f4fc; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="padding: 32px 40px;">
+              <h2 style="color: #1a365d; margin: 0 0 8px 0; font-size: 22px;">${escapeHtml(title)}</h2>${content}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Renders an assignee's daily digest email
+ * @param {Object} digest - From buildDigests()
+ * @param {Object} options - { now, timeZone, recipientName }
+ * @returns {Object} { subject, htmlBody }
+ */
+function renderDigestEmail(digest, { now, timeZone, recipientName }) {
+  const firstName = String(recipientName || digest.assigneeName || '').split(' ')[0];
+  const counts = [];
+  if (digest.overdue.length > 0) counts.push(`${digest.overdue.length} overdue`);
+  if (digest.dueToday.length > 0) counts.push(`${digest.dueToday.length} due today`);
+
+  const content = `
+      <p style="color: #2d3748;">${firstName ? `Hi ${escapeHtml(firstName)}, here` : 'Here'} are your open tasks for today.</p>` +
+    renderTaskTable('Overdue', digest.overdue, task => describeOverdue(task, now), timeZone) +
+    renderTaskTable('Due today', digest.dueToday, () => '', timeZone);
+
+  return {
+    subject: `Task digest: ${counts.join(', ')}`,
+    htmlBody: renderLayout('Your tasks for today', content)
+  };
+}
+
+/**
+ * Renders the escalation email for a supervisor
+ * @param {Array} tasks - Escalated ghl_tasks rows
+ * @param {Object} options - { now, timeZone, recipientName }
+ * @returns {Object} { subject, htmlBody }
+ */
+function renderEscalationEmail(tasks, { now, timeZone, recipientName }) {
+  const firstName = String(recipientName || '').split(' ')[0];
+  const content = `
+      <p style="color: #2d3748;">${firstName ? `Hi ${escapeHtml(firstName)}, these` : 'These'} tasks are overdue past their escalation threshold.</p>` +
+    renderTaskTable('Escalated', tasks, task => `${task.assignee_name || task.assignee_id || 'Unassigned'} - ${describeOverdue(task, now)}`, timeZone);
+
+  return {
+    subject: `Escalation: ${tasks.length} overdue task${tasks.length > 1 ? 's' : ''}`,
+    htmlBody: renderLayout('Overdue task escalation', content)
+  };
+}
+
+module.exports = {
+  getEscalationPolicy,
+  isEscalationDue,
+  buildDigests,
+  describeOverdue,
+  renderDigestEmail,
+  renderEscalationEmail,
+  ESCALATION_ACTIONS
+};